@@ -2,6 +2,11 @@ import React, { useState } from 'react';
 import IdentityTab from './components/IdentityTab';
 import CredentialTab from './components/CredentialTab';
 import VerifyTab from './components/VerifyTab';
+import IssuerTab from './components/IssuerTab';
+import StorageSettings from './components/StorageSettings';
+import LockScreen from './components/LockScreen';
+import { useWallet } from './wallet/WalletContext';
+import { cidFromLocation } from './utils/qr';
 
 // ============================================================================
 // MAIN APP COMPONENT
@@ -11,7 +16,14 @@ import VerifyTab from './components/VerifyTab';
 // ============================================================================
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('identity');
+  const { isLocked, lock, identity, identities, selectIdentity } = useWallet();
+  // Verification links (#verify=<cid>) from credential QR codes open the Verify tab
+  const [activeTab, setActiveTab] = useState(() => (cidFromLocation() ? 'verify' : 'identity'));
+  // Verifiers need no wallet: links open the Verify tab even while locked
+  const [verifyOnly, setVerifyOnly] = useState(() => Boolean(cidFromLocation()));
+  const [showSettings, setShowSettings] = useState(false);
+  // Bumped when the storage backend changes so tabs reload their records
+  const [storageVersion, setStorageVersion] = useState(0);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50">
@@ -21,54 +33,129 @@ export default function App() {
           <h1 className="text-3xl font-bold flex items-center gap-2">
             🔐 Decentralized Identity Vault
           </h1>
-          <p className="text-blue-100 mt-1">
-            Self-Sovereign Identity using DIDs, Verifiable Credentials & IPFS
-          </p>
+          <div className="flex items-center justify-between">
+            <p className="text-blue-100 mt-1">
+              Self-Sovereign Identity using DIDs, Verifiable Credentials & IPFS
+            </p>
+            {!isLocked && (
+              <div className="flex items-center gap-2">
+                {identities.length > 0 && (
+                  <select
+                    value={identity?.did || ''}
+                    onChange={(e) => selectIdentity(e.target.value)}
+                    title="Active identity"
+                    className="bg-white/20 text-white font-semibold py-2 px-3 rounded-lg border border-white/30"
+                  >
+                    {identities.map((i) => (
+                      <option key={i.did} value={i.did} className="text-gray-800">
+                        👤 {i.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={() => { setVerifyOnly(false); lock(); }}
+                  className="bg-white/20 hover:bg-white/30 text-white font-semibold py-2 px-4 rounded-lg transition"
+                >
+                  🔒 Lock
+                </button>
+              </div>
+            )}
+          </div>
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-6xl mx-auto px-4 py-8">
-        {/* Tabs Navigation */}
-        <div className="flex gap-2 mb-8 flex-wrap">
-          <button
-            onClick={() => setActiveTab('identity')}
-            className={`px-6 py-3 rounded-lg font-semibold transition ${
-              activeTab === 'identity'
-                ? 'bg-blue-600 text-white shadow-lg'
-                : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
-            }`}
-          >
-            🆔 Identity
-          </button>
-          <button
-            onClick={() => setActiveTab('credential')}
-            className={`px-6 py-3 rounded-lg font-semibold transition ${
-              activeTab === 'credential'
-                ? 'bg-blue-600 text-white shadow-lg'
-                : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
-            }`}
-          >
-            📜 Credential
-          </button>
-          <button
-            onClick={() => setActiveTab('verify')}
-            className={`px-6 py-3 rounded-lg font-semibold transition ${
-              activeTab === 'verify'
-                ? 'bg-blue-600 text-white shadow-lg'
-                : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
-            }`}
-          >
-            🔍 Verify
-          </button>
-        </div>
+        {isLocked && verifyOnly ? (
+          <>
+            <div className="flex items-center justify-between gap-4 mb-8 bg-white rounded-lg border border-gray-300 px-6 py-3">
+              <p className="text-sm text-gray-700">🔍 Verifying without a wallet - credentials shared with your DID need an unlocked wallet</p>
+              <button
+                onClick={() => setVerifyOnly(false)}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition whitespace-nowrap"
+              >
+                🔓 Open Wallet
+              </button>
+            </div>
+            <div className="bg-white rounded-lg shadow-xl p-6 min-h-96">
+              <VerifyTab />
+            </div>
+          </>
+        ) : isLocked ? (
+          <div className="bg-white rounded-lg shadow-xl p-6 min-h-96">
+            <LockScreen onVerifyOnly={() => { setVerifyOnly(true); setActiveTab('verify'); }} />
+          </div>
+        ) : (
+          <>
+            {/* Tabs Navigation */}
+            <div className="flex gap-2 mb-8 flex-wrap">
+              <button
+                onClick={() => setActiveTab('identity')}
+                className={`px-6 py-3 rounded-lg font-semibold transition ${
+                  activeTab === 'identity'
+                    ? 'bg-blue-600 text-white shadow-lg'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+                }`}
+              >
+                🆔 Identity
+              </button>
+              <button
+                onClick={() => setActiveTab('credential')}
+                className={`px-6 py-3 rounded-lg font-semibold transition ${
+                  activeTab === 'credential'
+                    ? 'bg-blue-600 text-white shadow-lg'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+                }`}
+              >
+                📜 Credential
+              </button>
+              <button
+                onClick={() => setActiveTab('verify')}
+                className={`px-6 py-3 rounded-lg font-semibold transition ${
+                  activeTab === 'verify'
+                    ? 'bg-blue-600 text-white shadow-lg'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+                }`}
+              >
+                🔍 Verify
+              </button>
+              <button
+                onClick={() => setActiveTab('issuer')}
+                className={`px-6 py-3 rounded-lg font-semibold transition ${
+                  activeTab === 'issuer'
+                    ? 'bg-blue-600 text-white shadow-lg'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+                }`}
+              >
+                🏛️ Issuer
+              </button>
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className={`px-6 py-3 rounded-lg font-semibold transition ml-auto ${
+                  showSettings
+                    ? 'bg-gray-700 text-white shadow-lg'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
+                }`}
+              >
+                ⚙️ Storage
+              </button>
+            </div>
 
-        {/* Tab Content */}
-        <div className="bg-white rounded-lg shadow-xl p-6 min-h-96">
-          {activeTab === 'identity' && <IdentityTab />}
-          {activeTab === 'credential' && <CredentialTab />}
-          {activeTab === 'verify' && <VerifyTab />}
-        </div>
+            {showSettings && (
+              <StorageSettings onChange={() => setStorageVersion((v) => v + 1)} />
+            )}
+
+            {/* Tab Content */}
+            {/* Remounted when storage or the active identity changes */}
+            <div key={`${storageVersion}:${identity?.did}`} className="bg-white rounded-lg shadow-xl p-6 min-h-96">
+              {activeTab === 'identity' && <IdentityTab />}
+              {activeTab === 'credential' && <CredentialTab />}
+              {activeTab === 'verify' && <VerifyTab />}
+              {activeTab === 'issuer' && <IssuerTab />}
+            </div>
+          </>
+        )}
       </main>
 
       {/* Footer */}
@@ -99,7 +186,7 @@ export default function App() {
               <h3 className="font-bold text-white mb-2">🎯 Flow Overview</h3>
               <ul className="text-sm space-y-1">
                 <li>1. Create DID & Key Pair</li>
-                <li>2. Request Signed VC</li>
+                <li>2. Request a VC, Issuer Approves &amp; Signs</li>
                 <li>3. Encrypt & Store on IPFS</li>
                 <li>4. Retrieve & Verify</li>
                 <li>5. Share CID with Verifiers</li>
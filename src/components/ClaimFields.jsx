@@ -0,0 +1,68 @@
+import React from 'react';
+
+// ============================================================================
+// CLAIM FIELDS
+// ============================================================================
+// Form inputs for the claims of a registered credential type, rendered
+// from its JSON Schema: labelled enums (oneOf) become selects, integers
+// number inputs and format "date" strings date inputs. Fields with a
+// const value are fixed by the type and not shown
+// ============================================================================
+
+export const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all';
+
+export default function ClaimFields({ schema, values, onChange }) {
+  const renderClaimField = (name, property) => {
+    const required = schema.claims.required.includes(name);
+    const setValue = (value) => onChange({ ...values, [name]: value });
+
+    let input;
+    if (property.oneOf) {
+      input = (
+        <select value={values[name] ?? ''} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+          {property.oneOf.map((option) => (
+            <option key={option.const} value={option.const}>{option.title}</option>
+          ))}
+        </select>
+      );
+    } else if (property.type === 'integer') {
+      input = (
+        <input
+          type="number"
+          value={values[name] ?? ''}
+          onChange={(e) => setValue(e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+          min={property.minimum}
+          max={property.maximum}
+          className={inputClass}
+        />
+      );
+    } else {
+      input = (
+        <input
+          type={property.format === 'date' ? 'date' : 'text'}
+          value={values[name] ?? ''}
+          onChange={(e) => setValue(e.target.value)}
+          className={inputClass}
+          placeholder={property.default ? `e.g., ${property.default}` : ''}
+        />
+      );
+    }
+
+    return (
+      <div key={name}>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">
+          {property.title}{!required && ' (optional)'}
+        </label>
+        {input}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      {Object.entries(schema.claims.properties)
+        .filter(([, property]) => property.const === undefined)
+        .map(([name, property]) => renderClaimField(name, property))}
+    </>
+  );
+}
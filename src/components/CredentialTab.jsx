@@ -1,165 +1,162 @@
 import React, { useState, useEffect } from 'react';
-import CryptoJS from 'crypto-js';
+import { loadIssuer, resolveIssuerProfile, listPublishedIssuers } from '../utils/issuer';
+import { resolveDID } from '../utils/didResolver';
+import { getValidityPeriod } from '../utils/verification';
+import { computeCID } from '../utils/cid';
+import { encryptEnvelope, decryptLegacyCryptoJS, ENVELOPE_VERSION } from '../utils/envelope';
+import { recipientFor, decryptionKeysFor, decryptForIdentity } from '../utils/keyRotation';
+import { createPresentation } from '../utils/presentation';
+import { defaultDomain } from '../utils/challenges';
+import { presentSdJwt } from '../utils/sdJwt';
+import { deriveBbsProof, DEGREE_LEVELS } from '../utils/bbs';
+import { compactQrPayload, renderQrDataUrl } from '../utils/qr';
+import { CREDENTIAL_SCHEMAS, getCredentialSchema, defaultClaims, summarizeClaims } from '../utils/schemaRegistry';
+import { submitCredentialRequest, listCredentialRequests } from '../utils/credentialRequests';
+import { loadTrustRegistry } from '../utils/trustRegistry';
+import { shareWithDID, createShareLink, listShares, revokeShare, SHARE_LINK } from '../utils/sharing';
+import { parsePresentationDefinition, matchCredentials, createPresentationSubmission } from '../utils/presentationExchange';
+import {
+  CREDENTIAL_FORMATS,
+  verifyPayload,
+  detectFormat,
+  credentialFromPayload,
+  describeCredential,
+  exportCredential
+} from '../utils/credentialFormats';
+import { readCredentialStatus } from '../utils/statusList';
+import { getStorage } from '../storage';
+import { useWallet } from '../wallet/WalletContext';
+import ClaimFields, { inputClass } from './ClaimFields';
 
 // ============================================================================
-// CREDENTIAL TAB WITH GUARANTEED VERIFICATION
+// CREDENTIAL TAB WITH ISSUER-SIGNED CREDENTIALS
+// ============================================================================
+// The holder's vault: credentials issued to the active identity from the
+// Issuer tab or imported from another wallet. Holders request credentials
+// from an issuer here and follow the request until it is issued
 // ============================================================================
 
 export default function CredentialTab() {
+  const { identity, identities } = useWallet();
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [credentials, setCredentials] = useState([]);
-  const [issuerInfo, setIssuerInfo] = useState(null);
-  const [showForm, setShowForm] = useState(false);
-  const [progress, setProgress] = useState(0);
-  
-  const [degreeData, setDegreeData] = useState({
-    type: 'BachelorDegree',
-    name: 'Bachelor of Technology in Computer Science',
-    university: 'Example Tech University',
-    graduationYear: new Date().getFullYear() + 1
-  });
+  const [statuses, setStatuses] = useState({});
+  const [selectedCIDs, setSelectedCIDs] = useState([]);
+  const [presentationRequest, setPresentationRequest] = useState({ challenge: '', domain: defaultDomain() });
+  const [presentationJSON, setPresentationJSON] = useState('');
+  const [showPresentationBuilder, setShowPresentationBuilder] = useState(false);
+  const [definitionText, setDefinitionText] = useState('');
+  const [definitionMatches, setDefinitionMatches] = useState(null);
+  const [issuers, setIssuers] = useState({});
+  const [disclosurePicker, setDisclosurePicker] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [qrCodes, setQrCodes] = useState({});
+  const [accessPanel, setAccessPanel] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [requestForm, setRequestForm] = useState(null);
+
+  // Credentials are scoped to the identity they were issued to
+  // Copies shared with verifiers are listed under the credential they share
+  const listOwnCredentials = async (storage = getStorage()) =>
+    (await storage.list()).filter((cred) => cred.did === identity?.did && !cred.sharedFrom);
 
   useEffect(() => {
-    const savedCredentials = localStorage.getItem('userCredentials');
-    if (savedCredentials) {
+    listOwnCredentials()
+      .then(setCredentials)
+      .catch((error) => {
+        console.error('Error loading credentials:', error);
+        setMessage(`❌ Could not load credentials: ${error.message}`);
+      });
+    refreshRequests();
+  }, []);
+
+  const refreshRequests = () =>
+    listCredentialRequests({ holderDid: identity?.did })
+      .then(setRequests)
+      .catch((error) => setMessage(`❌ Could not load credential requests: ${error.message}`));
+
+  // Status bits live in the issuer's status lists, not in the stored record
+  useEffect(() => {
+    Promise.all(credentials.map(async (cred) => {
       try {
-        setCredentials(JSON.parse(savedCredentials));
+        return [cred.cid, await readCredentialStatus(cred.credentialStatus)];
       } catch (error) {
-        console.error('Error loading credentials:', error);
-        setMessage('❌ Corrupted credentials data');
+        console.error('Error reading credential status:', error);
+        return [cred.cid, 'unknown'];
       }
-    }
+    })).then((entries) => setStatuses(Object.fromEntries(entries)));
+  }, [credentials]);
 
-    setIssuerInfo({ 
-      name: 'Demo University', 
-      did: 'did:ethr:0x123456789abcdef',
-      status: 'online'
-    });
-  }, []);
+  // Issuers of the held credentials: published profile, whether their
+  // DID Document resolves and whether this wallet's verifier trusts them
+  useEffect(() => {
+    const dids = [...new Set(credentials.map((cred) => cred.issuer).filter(Boolean))];
+    const registry = loadTrustRegistry();
+    Promise.all(dids.map(async (did) => {
+      const profile = resolveIssuerProfile(did);
+      const trustedFor = registry.find((entry) => entry.did === did)?.credentialTypes;
+      try {
+        const didDocument = await resolveDID(did);
+        return [did, { profile, trustedFor, keyCount: didDocument.verificationMethod.length, status: 'online' }];
+      } catch (error) {
+        console.error('Error resolving issuer DID:', error);
+        return [did, { profile, trustedFor, status: 'offline' }];
+      }
+    })).then((entries) => setIssuers(Object.fromEntries(entries)));
+  }, [credentials]);
 
-  const updateProgress = (step, totalSteps = 5) => {
-    setProgress((step / totalSteps) * 100);
-  };
+  const issuerName = (did) => issuers[did]?.profile?.name || did;
 
-  // Generate a mock CID (simulated IPFS hash)
-  const generateMockCID = () => {
-    const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-    let cid = 'Qm';
-    for (let i = 0; i < 42; i++) {
-      cid += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return cid;
+  // ========================================================================
+  // Function: Request Credential
+  // ========================================================================
+  // Sends a signed request to the issuer's queue; the issuer reviews it in
+  // the Issuer tab and the credential lands in this vault once issued
+  // ========================================================================
+
+  const handleOpenRequestForm = () => {
+    const schema = CREDENTIAL_SCHEMAS[0];
+    setRequestForm({
+      issuerDid: listPublishedIssuers()[0]?.did || '',
+      schemaId: schema.id,
+      claims: defaultClaims(schema),
+      format: schema.formats[0],
+      validity: { validFrom: '', validUntil: '' }
+    });
   };
 
-  // Create a signature that will ALWAYS verify successfully
-  const createAlwaysValidSignature = () => {
-    // This signature format will always pass verification
-    return '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+  const handleRequestSchemaChange = (schemaId) => {
+    const schema = getCredentialSchema(schemaId);
+    setRequestForm({
+      ...requestForm,
+      schemaId,
+      claims: defaultClaims(schema),
+      format: schema.formats.includes(requestForm.format) ? requestForm.format : schema.formats[0]
+    });
   };
 
-  const handleRequestVC = async () => {
+  const handleSubmitRequest = async () => {
     try {
-      setLoading(true);
-      setProgress(0);
-      setMessage('Initializing credential request...');
-
-      const identityStr = localStorage.getItem('userIdentity');
-      if (!identityStr) {
-        setMessage('❌ Please create an identity first!');
-        setLoading(false);
-        return;
+      if (!identity) {
+        throw new Error('Please create an identity first!');
       }
-
-      const identity = JSON.parse(identityStr);
-      
-      // Step 1: Identity verification
-      updateProgress(1);
-      setMessage('🔍 Verifying your identity...');
-      await new Promise(resolve => setTimeout(resolve, 800));
-
-      // Step 2: Create VC locally
-      updateProgress(2);
-      setMessage('📝 Creating verifiable credential...');
-      await new Promise(resolve => setTimeout(resolve, 600));
-
-      const vc = {
-        issuer: "did:ethr:0x123456789abcdef", // Fixed issuer DID
-        credentialSubject: {
-          id: identity.did, // Your DID as holder
-          degree: degreeData
-        },
-        issuanceDate: new Date().toISOString(),
-        type: ['VerifiableCredential', 'UniversityDegreeCredential']
-      };
-
-      // Step 3: Create a signature that always works
-      updateProgress(3);
-      setMessage('✍️ Creating verifiable signature...');
-      await new Promise(resolve => setTimeout(resolve, 600));
-      
-      const signature = createAlwaysValidSignature();
-
-      // Step 4: Encrypt the VC
-      updateProgress(3);
-      setMessage('🔐 Encrypting credential locally...');
-      await new Promise(resolve => setTimeout(resolve, 600));
-      
-      const encryptionKey = identity.privateKey;
-      const encryptedVC = CryptoJS.AES.encrypt(JSON.stringify(vc), encryptionKey).toString();
-
-      // Step 5: Generate mock IPFS CID
-      updateProgress(4);
-      setMessage('🌐 Generating storage reference...');
-      await new Promise(resolve => setTimeout(resolve, 600));
-
-      const cid = generateMockCID();
-
-      // Step 6: Save credential
-      updateProgress(5);
-      setMessage('💾 Storing credential locally...');
-      await new Promise(resolve => setTimeout(resolve, 400));
-
-      const credentialRecord = {
-        id: `cred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        did: identity.did,
-        issuer: vc.issuer,
-        cid,
-        signature,
-        degreeData: vc.credentialSubject.degree,
-        issuanceDate: vc.issuanceDate,
-        isSimulated: true,
-        ipfsGatewayUrl: `https://ipfs.io/ipfs/${cid}`,
-        status: 'active',
-        encrypted: true,
-        encryptedData: encryptedVC,
-        vcData: vc // Store the original VC data for debugging
-      };
-
-      const updatedCredentials = [credentialRecord, ...credentials];
-      localStorage.setItem('userCredentials', JSON.stringify(updatedCredentials));
-      setCredentials(updatedCredentials);
-
-      setMessage(`✅ Credential issued successfully! CID: ${cid}`);
-      setShowForm(false);
-      
-      // Reset form
-      setDegreeData({
-        type: 'BachelorDegree',
-        name: 'Bachelor of Technology in Computer Science',
-        university: 'Example Tech University',
-        graduationYear: new Date().getFullYear() + 1
-      });
-
-      setTimeout(() => setProgress(0), 2000);
+      const request = await submitCredentialRequest({ identity, ...requestForm, issuerDid: requestForm.issuerDid.trim() });
+      setRequestForm(null);
+      await refreshRequests();
+      setMessage(`✓ Credential request sent to ${resolveIssuerProfile(request.issuerDid)?.name || request.issuerDid}`);
     } catch (error) {
-      console.error('Error:', error);
       setMessage(`❌ ${error.message}`);
-      setProgress(0);
-      setLoading(false);
     }
   };
 
+  // Issued requests deliver their credential to the vault
+  const handleRefreshRequests = async () => {
+    await refreshRequests();
+    setCredentials(await listOwnCredentials());
+  };
+
   // ... (rest of the component remains the same - handleCopyCID, handleShare, getCredentialStatus, handleClearCredentials, and JSX)
   const handleCopyCID = async (cid) => {
     try {
@@ -171,8 +168,79 @@ export default function CredentialTab() {
     }
   };
 
+  // ========================================================================
+  // Function: Share With Selective Disclosure
+  // ========================================================================
+  // SD-JWT: copies the SD-JWT with only the chosen degree disclosures
+  // BBS:    copies a derived credential revealing the chosen fields and
+  //         proving the chosen predicates (minimum year / degree level),
+  //         bound to the verifier's challenge and domain. Validity dates
+  //         and status are hidden unless chosen, since they are unique to
+  //         the credential and would link presentations
+  // ========================================================================
+
+  const toggleDisclosure = (name) => {
+    setDisclosurePicker((prev) => ({
+      ...prev,
+      revealed: prev.revealed.includes(name) ? prev.revealed.filter((n) => n !== name) : [...prev.revealed, name]
+    }));
+  };
+
+  const handleShareSelective = async () => {
+    try {
+      const { cid, format, revealed, minYear, minLevel, revealValidity, revealStatus } = disclosurePicker;
+      const record = await getStorage().get(cid);
+      const plaintext = await decryptForIdentity(record.encryptedData, identity);
+
+      let shared;
+      if (format === 'bbs') {
+        const derived = await deriveBbsProof(JSON.parse(plaintext), {
+          reveal: [
+            ...revealed.map((name) => `/credentialSubject/degree/${name}`),
+            ...(revealValidity ? ['/validFrom', '/validUntil'] : []),
+            ...(revealStatus ? ['/credentialStatus'] : [])
+          ],
+          predicates: [
+            ...(minYear ? [`graduationYear >= ${minYear}`] : []),
+            ...(minLevel ? [`degreeLevel >= ${minLevel}`] : [])
+          ],
+          challenge: presentationRequest.challenge.trim(),
+          domain: presentationRequest.domain.trim()
+        });
+        shared = JSON.stringify(derived, null, 2);
+      } else {
+        // With a verifier challenge the SD-JWT carries a key-binding JWT
+        const challenge = presentationRequest.challenge.trim();
+        shared = presentSdJwt(plaintext, revealed, challenge
+          ? { identity, challenge, domain: presentationRequest.domain.trim() }
+          : {});
+      }
+
+      await navigator.clipboard.writeText(shared);
+      setMessage(`✓ ${format === 'bbs' ? 'BBS derived proof' : 'SD-JWT'} copied revealing ${revealed.join(', ') || 'no degree fields'}`);
+      setDisclosurePicker(null);
+    } catch (error) {
+      setMessage(`❌ Failed to share credential: ${error.message}`);
+    }
+  };
+
   const handleShare = async (credential) => {
-    const shareText = `Verifiable Credential\n📜 ${credential.degreeData.name}\n🎓 ${credential.degreeData.university}\n📅 ${credential.degreeData.graduationYear}\n🔗 CID: ${credential.cid}\n🌐 Verify: ${credential.ipfsGatewayUrl}`;
+    if (credential.format === 'sd-jwt' || credential.format === 'bbs') {
+      setDisclosurePicker({
+        cid: credential.cid,
+        format: credential.format,
+        revealed: ['university'],
+        minYear: '',
+        minLevel: '',
+        revealValidity: true,
+        revealStatus: true
+      });
+      return;
+    }
+
+    const summary = summarizeClaims(credential.degreeData);
+    const details = summary.rows.map((row) => `${row.label}: ${row.value}`).join('\n');
+    const shareText = `Verifiable Credential\n${summary.icon} ${summary.title}\n🏛️ ${summary.subtitle}\n${details}\n🔗 CID: ${credential.cid}\n🌐 Verify: ${credential.ipfsGatewayUrl}`;
     
     try {
       await navigator.clipboard.writeText(shareText);
@@ -183,16 +251,356 @@ export default function CredentialTab() {
     }
   };
 
+  // ========================================================================
+  // Function: Grant Verifier Access
+  // ========================================================================
+  // Shares an encrypted credential with a verifier DID or through a share
+  // link, so a verifier can open it without the holder's key. Each grant is
+  // a separate copy with its own CID that can be withdrawn
+  // ========================================================================
+
+  const handleToggleAccess = async (cred) => {
+    if (accessPanel?.recordId === cred.id) {
+      setAccessPanel(null);
+      return;
+    }
+    try {
+      setAccessPanel({ recordId: cred.id, cid: cred.cid, verifierDid: '', link: '', shares: await listShares(getStorage(), cred.id) });
+    } catch (error) {
+      setMessage(`❌ Could not load shares: ${error.message}`);
+    }
+  };
+
+  const handleShareWithDID = async () => {
+    try {
+      const storage = getStorage();
+      const verifierDid = accessPanel.verifierDid.trim();
+      const shared = await shareWithDID({ cid: accessPanel.cid, identity, verifierDid, identities, storage });
+      await navigator.clipboard.writeText(shared.cid).catch(() => {});
+      setAccessPanel({ ...accessPanel, verifierDid: '', link: '', shares: await listShares(storage, accessPanel.recordId) });
+      setMessage(`✓ Shared with ${verifierDid} - CID ${shared.cid} copied, send it to the verifier`);
+    } catch (error) {
+      setMessage(`❌ Sharing failed: ${error.message}`);
+    }
+  };
+
+  const handleCreateShareLink = async () => {
+    try {
+      const storage = getStorage();
+      const { link } = await createShareLink({ cid: accessPanel.cid, identity, storage });
+      await navigator.clipboard.writeText(link).catch(() => {});
+      setAccessPanel({ ...accessPanel, link, shares: await listShares(storage, accessPanel.recordId) });
+      setMessage('✓ Share link created and copied - anyone with the link can verify this credential');
+    } catch (error) {
+      setMessage(`❌ Sharing failed: ${error.message}`);
+    }
+  };
+
+  const handleRevokeShare = async (cid) => {
+    try {
+      const storage = getStorage();
+      await revokeShare(storage, cid);
+      setAccessPanel({ ...accessPanel, link: '', shares: await listShares(storage, accessPanel.recordId) });
+      setMessage('✓ Access withdrawn - the shared copy was removed from your storage');
+    } catch (error) {
+      setMessage(`❌ Could not withdraw access: ${error.message}`);
+    }
+  };
+
   const getCredentialStatus = (cred) => {
+    const listStatus = statuses[cred.cid];
+    if (listStatus === 'revoked') return { text: 'Revoked', color: 'bg-red-100 text-red-800 border-red-300' };
+    if (listStatus === 'suspended') return { text: 'Suspended', color: 'bg-orange-100 text-orange-800 border-orange-300' };
     if (cred.isSimulated) return { text: 'Demo', color: 'bg-yellow-100 text-yellow-800 border-yellow-300' };
     if (cred.status === 'active') return { text: 'Active', color: 'bg-green-100 text-green-800 border-green-300' };
     return { text: 'Unknown', color: 'bg-gray-100 text-gray-800 border-gray-300' };
   };
 
-  const handleClearCredentials = () => {
-    localStorage.removeItem('userCredentials');
-    setCredentials([]);
-    setMessage('✓ All credentials cleared');
+  const getExpiryBadge = (cred) => {
+    const { validFrom, validUntil } = getValidityPeriod(cred);
+    const now = Date.now();
+    if (validFrom && validFrom.getTime() > now) {
+      return { text: `Valid from ${validFrom.toLocaleDateString()}`, color: 'bg-blue-100 text-blue-800 border-blue-300' };
+    }
+    if (!validUntil) return null;
+
+    const days = Math.ceil((validUntil.getTime() - now) / (24 * 60 * 60 * 1000));
+    if (days <= 0) return { text: 'Expired', color: 'bg-red-100 text-red-800 border-red-300' };
+    return {
+      text: `Expires in ${days} ${days === 1 ? 'day' : 'days'}`,
+      color: days <= 30 ? 'bg-orange-100 text-orange-800 border-orange-300' : 'bg-gray-100 text-gray-800 border-gray-300'
+    };
+  };
+
+  // ========================================================================
+  // Function: Create Presentation
+  // ========================================================================
+  // Wraps the selected credentials in a VP signed by the holder over the
+  // verifier's challenge and domain (from the verifier's Verify tab). With
+  // a presentation definition, the VP carries the presentation_submission
+  // mapping each of its input descriptors to a selected credential
+  // ========================================================================
+
+  // JSON credentials and VC-JWTs: SD-JWT and BBS credentials are shared on their own
+  const presentableCredentials = credentials.filter((cred) => cred.encryptionVersion && !['sd-jwt', 'bbs'].includes(cred.format));
+
+  const toggleSelected = (cid) => {
+    setSelectedCIDs((prev) => (prev.includes(cid) ? prev.filter((c) => c !== cid) : [...prev, cid]));
+    setPresentationJSON('');
+  };
+
+  // JSON credentials are parsed; VC-JWTs are presented as the JWT itself
+  const decryptCredentials = async (cids) => {
+    const storage = getStorage();
+    const signedVCs = [];
+    for (const cid of cids) {
+      const record = await storage.get(cid);
+      const payload = await decryptForIdentity(record.encryptedData, identity);
+      signedVCs.push(record.format === 'jwt' ? payload.trim() : JSON.parse(payload));
+    }
+    return signedVCs;
+  };
+
+  const closePresentationBuilder = () => {
+    setSelectedCIDs([]);
+    setPresentationJSON('');
+    setShowPresentationBuilder(false);
+    setDefinitionMatches(null);
+  };
+
+  const handleMatchDefinition = async () => {
+    try {
+      const definition = parsePresentationDefinition(definitionText);
+      const cids = presentableCredentials.map((cred) => cred.cid);
+      const matches = matchCredentials(definition, await decryptCredentials(cids));
+
+      const matched = definition.input_descriptors.map((descriptor) => ({
+        id: descriptor.id,
+        name: descriptor.name || descriptor.id,
+        purpose: descriptor.purpose,
+        cids: matches[descriptor.id].map((index) => cids[index])
+      }));
+      setDefinitionMatches(matched);
+      // Preselect the first matching credential for every requirement
+      setSelectedCIDs([...new Set(matched.filter((d) => d.cids.length > 0).map((d) => d.cids[0]))]);
+      setPresentationJSON('');
+
+      const unmatched = matched.filter((d) => d.cids.length === 0);
+      setMessage(unmatched.length === 0
+        ? `✓ Your credentials satisfy every requirement of ${definition.name || definition.id}`
+        : `❌ No credential in your wallet satisfies: ${unmatched.map((d) => d.name).join(', ')}`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleCreatePresentation = async () => {
+    try {
+      const signedVCs = await decryptCredentials(selectedCIDs);
+      const presentationSubmission = definitionText.trim()
+        ? createPresentationSubmission(parsePresentationDefinition(definitionText), signedVCs)
+        : undefined;
+
+      const vp = await createPresentation({
+        credentials: signedVCs,
+        identity,
+        challenge: presentationRequest.challenge.trim(),
+        domain: presentationRequest.domain.trim(),
+        presentationSubmission
+      });
+      const json = JSON.stringify(vp, null, 2);
+      setPresentationJSON(json);
+
+      await navigator.clipboard.writeText(json).catch(() => {});
+      setMessage(`✓ Presentation of ${signedVCs.length} credential(s) signed and copied - paste it into the verifier's Verify tab`);
+    } catch (error) {
+      setMessage(`❌ Failed to create presentation: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Export / Import Credential
+  // ========================================================================
+  // Export: VC-JWT (ES256K) or JSON-LD with embedded proof, as a file
+  // Import: either format from another wallet; verified before it is
+  //         encrypted to the holder and added to the vault
+  // ========================================================================
+
+  const handleExport = async (cred, target) => {
+    try {
+      const record = await getStorage().get(cred.cid);
+      const payload = await decryptForIdentity(record.encryptedData, identity);
+      const exported = await exportCredential(payload, target, loadIssuer());
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([exported], {
+        type: target === 'jwt' ? 'application/vc+jwt' : 'application/vc+ld+json'
+      }));
+      link.download = `credential-${cred.cid.slice(0, 12)}.${target === 'jwt' ? 'jwt' : 'jsonld'}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setMessage(`✓ Credential exported as ${target === 'jwt' ? 'VC-JWT' : 'JSON-LD'}`);
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Show QR Code
+  // ========================================================================
+  // Renders the credential (or a verification link when it is too large)
+  // as a QR code for in-person verification; a second click hides it
+  // ========================================================================
+
+  const handleToggleQr = async (cred) => {
+    if (qrCodes[cred.cid]) {
+      setQrCodes(({ [cred.cid]: hidden, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const record = await getStorage().get(cred.cid);
+      const payload = await decryptForIdentity(record.encryptedData, identity);
+      const { kind, text } = compactQrPayload(cred, payload);
+      const dataUrl = await renderQrDataUrl(text);
+      setQrCodes((prev) => ({ ...prev, [cred.cid]: { kind, dataUrl } }));
+    } catch (error) {
+      setMessage(`❌ Could not create QR code: ${error.message}`);
+    }
+  };
+
+  const handleImportFile = async (file) => {
+    if (file) {
+      setImportText(await file.text());
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const payload = importText.trim();
+      const result = await verifyPayload(payload);
+      if (!result.isValid) {
+        const failed = result.checks.filter((c) => !c.passed).map((c) => `${c.label}: ${c.detail}`);
+        throw new Error(`credential did not verify (${failed.join('; ')})`);
+      }
+
+      const vc = credentialFromPayload(payload);
+      const recipient = recipientFor(identity);
+      const encryptedData = await encryptEnvelope(payload, [recipient]);
+      const cid = computeCID(encryptedData);
+      const storage = getStorage();
+
+      await storage.put({
+        id: `cred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        did: identity.did,
+        issuer: typeof vc.issuer === 'object' ? vc.issuer.id : vc.issuer,
+        cid,
+        format: detectFormat(payload),
+        imported: true,
+        degreeData: describeCredential(vc),
+        issuanceDate: vc.issuanceDate || vc.proof?.created || vc.validFrom,
+        validFrom: vc.validFrom || null,
+        validUntil: vc.validUntil || vc.expirationDate || null,
+        isSimulated: storage.name !== 'ipfs',
+        ipfsGatewayUrl: `https://ipfs.io/ipfs/${cid}`,
+        status: 'active',
+        credentialStatus: vc.credentialStatus,
+        encrypted: true,
+        encryptionVersion: ENVELOPE_VERSION,
+        encryptedTo: recipient.kid,
+        encryptedData
+      });
+      setCredentials(await listOwnCredentials(storage));
+
+      const notMine = vc.credentialSubject?.id && vc.credentialSubject.id !== identity.did;
+      setMessage(`✓ Credential imported (${result.format}) - CID: ${cid}${notMine ? ' (note: issued to a different DID)' : ''}`);
+      setImportText('');
+      setShowImport(false);
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Migrate Legacy Credentials
+  // ========================================================================
+  // Re-encrypts CryptoJS passphrase-mode records into the v1 envelope.
+  // The new ciphertext has a new CID, so the old record is replaced.
+  // ========================================================================
+
+  const legacyCredentials = credentials.filter((cred) => !cred.encryptionVersion);
+
+  const handleMigrateLegacy = async () => {
+    try {
+      setLoading(true);
+      const storage = getStorage();
+      let migrated = 0;
+
+      for (const cred of legacyCredentials) {
+        const stored = await storage.get(cred.cid);
+        // Legacy records may predate a key rotation, so try every key we hold
+        const plaintext = decryptionKeysFor(identity)
+          .map((key) => {
+            try {
+              return decryptLegacyCryptoJS(stored.encryptedData, key);
+            } catch (error) {
+              return null;
+            }
+          })
+          .find(Boolean);
+        if (!plaintext) {
+          throw new Error(`Legacy record ${cred.cid} could not be decrypted with any of your keys`);
+        }
+
+        const recipient = recipientFor(identity);
+        const encryptedData = await encryptEnvelope(plaintext, [recipient]);
+        const cid = computeCID(encryptedData);
+
+        await storage.put({
+          ...stored,
+          cid,
+          ipfsGatewayUrl: `https://ipfs.io/ipfs/${cid}`,
+          encryptionVersion: ENVELOPE_VERSION,
+          encryptedTo: recipient.kid,
+          encryptedData,
+          migratedFrom: cred.cid
+        });
+        await storage.delete(cred.cid);
+        migrated += 1;
+      }
+
+      setCredentials(await listOwnCredentials(storage));
+      setMessage(`✅ Migrated ${migrated} legacy ${migrated === 1 ? 'credential' : 'credentials'} to the v${ENVELOPE_VERSION} envelope`);
+    } catch (error) {
+      console.error('Migration error:', error);
+      setMessage(`❌ Migration failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePin = async (cid) => {
+    try {
+      const storage = getStorage();
+      await storage.pin(cid);
+      setCredentials(await listOwnCredentials(storage));
+      setMessage('✓ Credential pinned');
+    } catch (error) {
+      setMessage(`❌ Failed to pin credential: ${error.message}`);
+    }
+  };
+
+  const handleClearCredentials = async () => {
+    try {
+      const storage = getStorage();
+      const recordIds = credentials.map((cred) => cred.id);
+      const shares = (await storage.list()).filter((record) => recordIds.includes(record.sharedFrom));
+      await Promise.all([...credentials, ...shares].map((cred) => storage.delete(cred.cid)));
+      setCredentials([]);
+      setMessage('✓ All credentials cleared');
+    } catch (error) {
+      setMessage(`❌ Failed to clear credentials: ${error.message}`);
+    }
   };
 
   return (
@@ -203,7 +611,7 @@ export default function CredentialTab() {
           <div>
             <h1 className="text-3xl font-bold mb-2">Digital Credentials</h1>
             <p className="text-blue-100 opacity-90">
-              Issue, store, and share verifiable credentials securely
+              Store and share the verifiable credentials issued to your DID
             </p>
           </div>
           <div className="text-right">
@@ -213,46 +621,73 @@ export default function CredentialTab() {
         </div>
       </div>
 
-      {/* Issuer Status Card */}
-      {issuerInfo && (
+      {/* Credential Issuers */}
+      {Object.keys(issuers).length > 0 && (
         <div className="bg-gradient-to-r from-blue-50 to-indigo-100 rounded-2xl shadow-lg p-5 border-l-4 border-blue-500">
-          <div className="flex items-center justify-between">
-            <div>
-              <h3 className="font-bold text-blue-900 text-lg">Issuer Status</h3>
-              <p className="text-blue-700">{issuerInfo.name}</p>
-              <p className="text-sm text-blue-600 font-mono mt-1">{issuerInfo.did}</p>
-            </div>
-            <div className={`px-3 py-1 rounded-full ${issuerInfo.status === 'offline' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
-              {issuerInfo.status === 'offline' ? '🔴 Offline' : '🟢 Online'}
-            </div>
+          <h3 className="font-bold text-blue-900 text-lg mb-3">Credential Issuers</h3>
+          <div className="space-y-3">
+            {Object.entries(issuers).map(([did, info]) => (
+              <div key={did} className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  {info.profile?.logo ? (
+                    <img src={info.profile.logo} alt={`${info.profile.name} logo`} className="w-10 h-10 rounded-lg object-contain bg-white border" />
+                  ) : (
+                    <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center text-white">🏛️</div>
+                  )}
+                  <div>
+                    <p className="text-blue-700 font-semibold">{info.profile?.name || 'Unknown issuer (no published profile)'}</p>
+                    {/^https?:\/\//.test(info.profile?.website || '') && (
+                      <a href={info.profile.website} target="_blank" rel="noreferrer" className="text-xs text-blue-600 hover:underline">
+                        {info.profile.website}
+                      </a>
+                    )}
+                    <p className="text-xs text-blue-600 font-mono break-all">{did}</p>
+                    {info.keyCount !== undefined && (
+                      <p className="text-xs text-blue-500">
+                        DID Document resolved • {info.keyCount} verification {info.keyCount === 1 ? 'method' : 'methods'}
+                      </p>
+                    )}
+                    <p className={`text-xs font-semibold ${info.trustedFor ? 'text-green-700' : 'text-amber-700'}`}>
+                      {info.trustedFor
+                        ? `🛡️ Trusted issuer for ${info.trustedFor.join(', ')}`
+                        : '⚠️ Not in the trusted issuer registry'}
+                    </p>
+                  </div>
+                </div>
+                <div className={`px-3 py-1 rounded-full ${info.status === 'offline' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                  {info.status === 'offline' ? '🔴 Offline' : '🟢 Online'}
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       )}
 
-      {/* Progress Bar */}
-      {loading && (
-        <div className="bg-white rounded-2xl shadow-lg p-6">
-          <div className="flex items-center justify-between mb-3">
-            <span className="font-semibold text-gray-700">Issuing Credential</span>
-            <span className="text-sm text-gray-500">{Math.round(progress)}%</span>
-          </div>
-          <div className="w-full bg-gray-200 rounded-full h-3">
-            <div 
-              className="bg-gradient-to-r from-blue-500 to-purple-600 h-3 rounded-full transition-all duration-500 ease-out"
-              style={{ width: `${progress}%` }}
-            ></div>
+      {/* Legacy Encryption Notice */}
+      {legacyCredentials.length > 0 && (
+        <div className="bg-yellow-50 border-2 border-yellow-300 rounded-2xl p-5 flex items-center justify-between">
+          <div>
+            <h3 className="font-bold text-yellow-900">⚠️ Legacy encryption detected</h3>
+            <p className="text-sm text-yellow-800">
+              {legacyCredentials.length} {legacyCredentials.length === 1 ? 'credential uses' : 'credentials use'} the old CryptoJS format and cannot be verified until migrated.
+            </p>
           </div>
-          <p className="text-center text-sm text-gray-600 mt-2">{message}</p>
+          <button
+            onClick={handleMigrateLegacy}
+            disabled={loading}
+            className="bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition"
+          >
+            Migrate
+          </button>
         </div>
       )}
 
-      {/* Request New Credential */}
-      {!showForm ? (
+      {/* Request / Import Credential */}
+      {!requestForm ? (
         <div className="text-center">
           <button
-            onClick={() => setShowForm(true)}
-            disabled={loading}
-            className="bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-8 rounded-2xl transition-all duration-300 transform hover:scale-105 disabled:scale-100 shadow-lg disabled:shadow-none"
+            onClick={handleOpenRequestForm}
+            className="bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white font-bold py-4 px-8 rounded-2xl transition-all duration-300 transform hover:scale-105 shadow-lg"
           >
             <div className="flex items-center justify-center space-x-3">
               <span className="text-xl">✨</span>
@@ -260,16 +695,21 @@ export default function CredentialTab() {
             </div>
           </button>
           <p className="text-gray-600 mt-3 text-sm">
-            Issue verifiable degrees, certificates, and credentials
+            The issuer reviews your request and issues the credential to your DID
           </p>
+          <button
+            onClick={() => setShowImport(!showImport)}
+            className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            📥 Import a VC-JWT or JSON-LD credential
+          </button>
         </div>
       ) : (
         <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-green-200">
           <div className="flex items-center justify-between mb-6">
-            <h3 className="text-2xl font-bold text-gray-800">🎓 Create New Credential</h3>
+            <h3 className="text-2xl font-bold text-gray-800">🎓 Request a Credential</h3>
             <button
-              onClick={() => setShowForm(false)}
-              disabled={loading}
+              onClick={() => setRequestForm(null)}
               className="text-gray-500 hover:text-gray-700 text-xl transition-colors"
             >
               ✕
@@ -277,81 +717,158 @@ export default function CredentialTab() {
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {/* Degree Type & Name */}
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Type</label>
-                <select
-                  value={degreeData.type}
-                  onChange={(e) => setDegreeData({ ...degreeData, type: e.target.value })}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all"
-                >
-                  <option value="BachelorDegree">Bachelor's Degree</option>
-                  <option value="MastersDegree">Master's Degree</option>
-                  <option value="Doctorate">Doctorate</option>
-                  <option value="Diploma">Diploma</option>
-                  <option value="Certificate">Professional Certificate</option>
-                  <option value="License">Professional License</option>
-                </select>
-              </div>
+            {/* Issuer */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Issuer</label>
+              <input
+                type="text"
+                list="published-issuers"
+                value={requestForm.issuerDid}
+                onChange={(e) => setRequestForm({ ...requestForm, issuerDid: e.target.value })}
+                placeholder="Issuer DID"
+                className={`${inputClass} font-mono text-sm`}
+              />
+              <datalist id="published-issuers">
+                {listPublishedIssuers().map((published) => (
+                  <option key={published.did} value={published.did}>{published.name}</option>
+                ))}
+              </datalist>
+              {resolveIssuerProfile(requestForm.issuerDid.trim()) && (
+                <p className="text-xs text-gray-500 mt-1">🏛️ {resolveIssuerProfile(requestForm.issuerDid.trim()).name}</p>
+              )}
+            </div>
 
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Name</label>
-                <input
-                  type="text"
-                  value={degreeData.name}
-                  onChange={(e) => setDegreeData({ ...degreeData, name: e.target.value })}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all"
-                  placeholder="e.g., Bachelor of Science in Computer Science"
-                />
-              </div>
+            {/* Credential Type */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Type</label>
+              <select value={requestForm.schemaId} onChange={(e) => handleRequestSchemaChange(e.target.value)} className={inputClass}>
+                {CREDENTIAL_SCHEMAS.map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.icon} {entry.title}</option>
+                ))}
+              </select>
             </div>
 
-            {/* University & Year */}
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Issuing Institution</label>
-                <input
-                  type="text"
-                  value={degreeData.university}
-                  onChange={(e) => setDegreeData({ ...degreeData, university: e.target.value })}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all"
-                  placeholder="e.g., Stanford University"
-                />
-              </div>
+            {/* Claims to be attested */}
+            <ClaimFields
+              schema={getCredentialSchema(requestForm.schemaId)}
+              values={requestForm.claims}
+              onChange={(claims) => setRequestForm({ ...requestForm, claims })}
+            />
 
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Completion Year</label>
-                <input
-                  type="number"
-                  value={degreeData.graduationYear}
-                  onChange={(e) => setDegreeData({ ...degreeData, graduationYear: parseInt(e.target.value) })}
-                  min="1900"
-                  max="2030"
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all"
-                />
-              </div>
+            {/* Credential Format */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Format</label>
+              <select value={requestForm.format} onChange={(e) => setRequestForm({ ...requestForm, format: e.target.value })} className={inputClass}>
+                {CREDENTIAL_FORMATS.filter((format) => getCredentialSchema(requestForm.schemaId).formats.includes(format.id)).map((format) => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
             </div>
+
+            {/* Requested Validity */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Valid From (optional)</label>
+              <input
+                type="date"
+                value={requestForm.validity.validFrom}
+                onChange={(e) => setRequestForm({ ...requestForm, validity: { ...requestForm.validity, validFrom: e.target.value } })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Valid Until (optional)</label>
+              <input
+                type="date"
+                value={requestForm.validity.validUntil}
+                min={requestForm.validity.validFrom || undefined}
+                onChange={(e) => setRequestForm({ ...requestForm, validity: { ...requestForm.validity, validUntil: e.target.value } })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <button
+            onClick={handleSubmitRequest}
+            disabled={!requestForm.issuerDid.trim()}
+            className="w-full mt-8 bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-6 rounded-xl transition-all duration-300 shadow-lg disabled:shadow-none"
+          >
+            📨 Sign & Send Request
+          </button>
+        </div>
+      )}
+
+      {/* My Credential Requests */}
+      {requests.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-800">📨 My Credential Requests</h3>
+            <button onClick={handleRefreshRequests} className="text-sm text-blue-600 hover:text-blue-800 font-semibold">
+              🔄 Refresh
+            </button>
           </div>
+          <div className="space-y-2">
+            {requests.map((request) => {
+              const schema = getCredentialSchema(request.schemaId);
+              const badge = {
+                pending: { text: '⏳ Pending review', color: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+                issuing: { text: '⚙️ Being issued', color: 'bg-blue-100 text-blue-800 border-blue-300' },
+                approved: { text: '✔️ Approved', color: 'bg-blue-100 text-blue-800 border-blue-300' },
+                rejected: { text: '✖️ Rejected', color: 'bg-red-100 text-red-800 border-red-300' },
+                issued: { text: '🎉 Issued', color: 'bg-green-100 text-green-800 border-green-300' }
+              }[request.status];
+              return (
+                <div key={request.id} className="flex items-start justify-between border border-gray-200 rounded-xl p-3">
+                  <div>
+                    <p className="font-semibold text-gray-800">{schema?.icon} {summarizeClaims(request.claims).title}</p>
+                    <p className="text-xs text-gray-500">
+                      to {resolveIssuerProfile(request.issuerDid)?.name || request.issuerDid} • {new Date(request.createdAt).toLocaleString()}
+                    </p>
+                    {request.status === 'rejected' && <p className="text-xs text-red-700 mt-1">Reason: {request.reason}</p>}
+                    {request.status === 'issued' && (
+                      <p className="text-xs text-green-700 mt-1 font-mono break-all">In your portfolio - CID {request.cid}</p>
+                    )}
+                  </div>
+                  <span className={`px-3 py-1 rounded-full text-xs font-semibold border whitespace-nowrap ${badge.color}`}>
+                    {badge.text}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
 
-          {/* Action Buttons */}
-          <div className="flex gap-4 mt-8">
+      {/* Import Credential */}
+      {showImport && (
+        <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-blue-200">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-800">📥 Import Credential</h3>
             <button
-              onClick={handleRequestVC}
-              disabled={loading}
-              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-6 rounded-xl transition-all duration-300 transform hover:scale-105 disabled:scale-100 shadow-lg disabled:shadow-none"
+              onClick={() => setShowImport(false)}
+              className="text-gray-500 hover:text-gray-700 text-xl transition-colors"
             >
-              {loading ? (
-                <div className="flex items-center justify-center space-x-2">
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                  <span>Issuing Credential...</span>
-                </div>
-              ) : (
-                <div className="flex items-center justify-center space-x-2">
-                  <span>✅</span>
-                  <span>Issue & Store Credential</span>
-                </div>
-              )}
+              ✕
+            </button>
+          </div>
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste a VC-JWT (eyJ...) or a JSON-LD credential with an embedded proof"
+            className="w-full h-32 p-3 font-mono text-xs border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 mb-3"
+          />
+          <div className="flex items-center gap-3">
+            <input
+              type="file"
+              accept=".jwt,.json,.jsonld,application/json"
+              onChange={(e) => handleImportFile(e.target.files[0])}
+              className="flex-1 text-sm text-gray-600"
+            />
+            <button
+              onClick={handleImport}
+              disabled={!importText.trim()}
+              className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Verify & Import
             </button>
           </div>
         </div>
@@ -381,12 +898,116 @@ export default function CredentialTab() {
         </div>
       )}
 
+      {/* Presentation Builder */}
+      {(selectedCIDs.length > 0 || showPresentationBuilder) && (
+        <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-purple-200">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-800">
+              📤 Present {selectedCIDs.length} {selectedCIDs.length === 1 ? 'Credential' : 'Credentials'}
+            </h3>
+            <button
+              onClick={closePresentationBuilder}
+              className="text-gray-500 hover:text-gray-700 text-xl transition-colors"
+            >
+              ✕
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Verifier Challenge</label>
+              <input
+                type="text"
+                value={presentationRequest.challenge}
+                onChange={(e) => setPresentationRequest({ ...presentationRequest, challenge: e.target.value })}
+                placeholder="Nonce supplied by the verifier"
+                className="w-full px-4 py-3 border border-gray-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Verifier Domain</label>
+              <input
+                type="text"
+                value={presentationRequest.domain}
+                onChange={(e) => setPresentationRequest({ ...presentationRequest, domain: e.target.value })}
+                className="w-full px-4 py-3 border border-gray-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Presentation Definition (optional)</label>
+            <textarea
+              value={definitionText}
+              onChange={(e) => {
+                setDefinitionText(e.target.value);
+                setDefinitionMatches(null);
+                setPresentationJSON('');
+              }}
+              placeholder="Paste the verifier's presentation_definition JSON to find the credentials it asks for"
+              className="w-full h-24 px-4 py-3 border border-gray-300 rounded-xl font-mono text-xs focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <button
+              onClick={handleMatchDefinition}
+              disabled={!definitionText.trim()}
+              className="mt-2 bg-purple-100 hover:bg-purple-200 disabled:opacity-50 text-purple-800 font-semibold py-2 px-4 rounded-lg text-sm transition-colors"
+            >
+              🔎 Match My Credentials
+            </button>
+            {definitionMatches && (
+              <div className="mt-3 space-y-2">
+                {definitionMatches.map((descriptor) => (
+                  <div key={descriptor.id} className="bg-purple-50 rounded-lg p-3 border border-purple-200">
+                    <p className="text-sm font-semibold text-purple-900">
+                      {descriptor.cids.length > 0 ? '✓' : '✗'} {descriptor.name}
+                    </p>
+                    {descriptor.purpose && <p className="text-xs text-purple-700">{descriptor.purpose}</p>}
+                    {descriptor.cids.length === 0 ? (
+                      <p className="text-xs text-red-700">No matching credential in your wallet</p>
+                    ) : (
+                      descriptor.cids.map((cid) => (
+                        <label key={cid} className="flex items-center space-x-2 text-xs text-gray-700">
+                          <input type="checkbox" checked={selectedCIDs.includes(cid)} onChange={() => toggleSelected(cid)} />
+                          <span>
+                            {summarizeClaims(credentials.find((cred) => cred.cid === cid)?.degreeData).title}
+                            <span className="font-mono text-gray-500"> {cid.slice(0, 16)}…</span>
+                          </span>
+                        </label>
+                      ))
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={handleCreatePresentation}
+            disabled={selectedCIDs.length === 0 || !presentationRequest.challenge.trim() || !presentationRequest.domain.trim()}
+            className="w-full bg-purple-500 hover:bg-purple-600 disabled:bg-gray-400 text-white font-bold py-3 px-6 rounded-xl transition-colors"
+          >
+            ✍️ Sign Presentation
+          </button>
+          {presentationJSON && (
+            <textarea
+              readOnly
+              value={presentationJSON}
+              className="w-full h-40 mt-4 p-3 font-mono text-xs bg-gray-50 border rounded-lg"
+            />
+          )}
+        </div>
+      )}
+
       {/* Enhanced Credentials Display */}
       {credentials.length > 0 && (
         <div className="bg-white rounded-2xl shadow-xl p-6">
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-2xl font-bold text-gray-800">📚 My Credential Portfolio</h3>
             <div className="flex gap-2">
+              <button
+                onClick={() => setShowPresentationBuilder(true)}
+                disabled={presentableCredentials.length === 0}
+                className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm font-semibold hover:bg-purple-200 disabled:opacity-50 transition-colors"
+              >
+                📤 Respond to Request
+              </button>
               <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-semibold">
                 {credentials.length} {credentials.length === 1 ? 'Credential' : 'Credentials'}
               </div>
@@ -402,31 +1023,44 @@ export default function CredentialTab() {
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {credentials.map((cred, index) => {
               const status = getCredentialStatus(cred);
+              const expiry = getExpiryBadge(cred);
+              const summary = summarizeClaims(cred.degreeData);
               return (
-                <div key={cred.id} className="border-2 border-gray-200 rounded-2xl p-5 hover:border-blue-300 transition-all duration-300 hover:shadow-lg">
+                <div key={cred.id} className={`border-2 rounded-2xl p-5 hover:border-blue-300 transition-all duration-300 hover:shadow-lg ${
+                  selectedCIDs.includes(cred.cid) ? 'border-purple-400 bg-purple-50' : 'border-gray-200'
+                }`}>
                   <div className="flex items-start justify-between mb-4">
                     <div className="flex items-center space-x-3">
                       <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center text-white text-lg">
-                        🎓
+                        {summary.icon}
                       </div>
                       <div>
-                        <h4 className="font-bold text-gray-800 text-lg">{cred.degreeData.name}</h4>
-                        <p className="text-gray-600 text-sm">{cred.degreeData.university}</p>
+                        <h4 className="font-bold text-gray-800 text-lg">{summary.title}</h4>
+                        <p className="text-gray-600 text-sm">{summary.subtitle}</p>
                       </div>
                     </div>
-                    <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${status.color}`}>
-                      {status.text}
-                    </span>
+                    <div className="flex flex-col items-end gap-1">
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${status.color}`}>
+                        {status.text}
+                      </span>
+                      {expiry && (
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${expiry.color}`}>
+                          {expiry.text}
+                        </span>
+                      )}
+                    </div>
                   </div>
 
                   <div className="space-y-2 text-sm text-gray-700 mb-4">
+                    {summary.rows.map((row) => (
+                      <div key={row.label} className="flex justify-between">
+                        <span>{row.label}:</span>
+                        <span className="font-semibold">{row.value}</span>
+                      </div>
+                    ))}
                     <div className="flex justify-between">
-                      <span>Type:</span>
-                      <span className="font-semibold">{cred.degreeData.type}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>Year:</span>
-                      <span className="font-semibold">{cred.degreeData.graduationYear}</span>
+                      <span>Issued by:</span>
+                      <span className="font-semibold truncate ml-4" title={cred.issuer}>{issuerName(cred.issuer)}</span>
                     </div>
                     <div className="flex justify-between">
                       <span>Issued:</span>
@@ -442,6 +1076,114 @@ export default function CredentialTab() {
                     </p>
                   </div>
 
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 mb-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedCIDs.includes(cred.cid)}
+                      onChange={() => toggleSelected(cred.cid)}
+                      disabled={!cred.encryptionVersion || ['sd-jwt', 'bbs'].includes(cred.format)}
+                    />
+                    <span>
+                      {cred.format === 'sd-jwt' && 'SD-JWT - share with selective disclosure'}
+                      {cred.format === 'bbs' && 'BBS - share a derived proof'}
+                      {!['sd-jwt', 'bbs'].includes(cred.format) && 'Include in presentation'}
+                    </span>
+                  </label>
+
+                  {/* Selective Disclosure Picker */}
+                  {disclosurePicker?.cid === cred.cid && (
+                    <div className="bg-purple-50 border border-purple-200 rounded-xl p-3 mb-3">
+                      <p className="text-xs font-semibold text-purple-900 mb-2">Reveal to the verifier:</p>
+                      <div className="grid grid-cols-2 gap-1 mb-2">
+                        {Object.keys(cred.degreeData).map((name) => (
+                          <label key={name} className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={disclosurePicker.revealed.includes(name)}
+                              onChange={() => toggleDisclosure(name)}
+                            />
+                            <span>{name}</span>
+                          </label>
+                        ))}
+                      </div>
+                      {disclosurePicker.format === 'bbs' && (
+                        <div className="space-y-2 mb-2">
+                          <p className="text-xs font-semibold text-purple-900">Prove without revealing:</p>
+                          <label className="flex items-center justify-between text-sm text-gray-700">
+                            <span>Graduated on or after</span>
+                            <input
+                              type="number"
+                              value={disclosurePicker.minYear}
+                              onChange={(e) => setDisclosurePicker({ ...disclosurePicker, minYear: e.target.value })}
+                              placeholder="year"
+                              className="w-24 px-2 py-1 border border-gray-300 rounded-lg"
+                            />
+                          </label>
+                          <label className="flex items-center justify-between text-sm text-gray-700">
+                            <span>Degree at least</span>
+                            <select
+                              value={disclosurePicker.minLevel}
+                              onChange={(e) => setDisclosurePicker({ ...disclosurePicker, minLevel: e.target.value })}
+                              className="px-2 py-1 border border-gray-300 rounded-lg"
+                            >
+                              <option value="">—</option>
+                              {Object.keys(DEGREE_LEVELS).map((level) => (
+                                <option key={level} value={level}>{level}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <p className="text-xs font-semibold text-purple-900">Unique to this credential - links your presentations, but most verifiers require them:</p>
+                          <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={disclosurePicker.revealValidity}
+                              onChange={(e) => setDisclosurePicker({ ...disclosurePicker, revealValidity: e.target.checked })}
+                            />
+                            <span>Validity dates (lets the verifier check expiry)</span>
+                          </label>
+                          <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={disclosurePicker.revealStatus}
+                              onChange={(e) => setDisclosurePicker({ ...disclosurePicker, revealStatus: e.target.checked })}
+                            />
+                            <span>Revocation status (lets the verifier check revocation)</span>
+                          </label>
+                        </div>
+                      )}
+                      <div className="grid grid-cols-2 gap-2 mb-2">
+                        <input
+                          type="text"
+                          value={presentationRequest.challenge}
+                          onChange={(e) => setPresentationRequest({ ...presentationRequest, challenge: e.target.value })}
+                          placeholder={disclosurePicker.format === 'bbs' ? 'Verifier challenge' : 'Verifier challenge (binds the SD-JWT to you)'}
+                          className="px-2 py-1 border border-gray-300 rounded-lg font-mono text-xs"
+                        />
+                        <input
+                          type="text"
+                          value={presentationRequest.domain}
+                          onChange={(e) => setPresentationRequest({ ...presentationRequest, domain: e.target.value })}
+                          placeholder="Verifier domain"
+                          className="px-2 py-1 border border-gray-300 rounded-lg font-mono text-xs"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={handleShareSelective}
+                          className="flex-1 bg-purple-500 hover:bg-purple-600 text-white py-1 px-3 rounded-lg text-sm font-semibold"
+                        >
+                          {disclosurePicker.format === 'bbs' ? 'Copy Derived Proof' : 'Copy SD-JWT'}
+                        </button>
+                        <button
+                          onClick={() => setDisclosurePicker(null)}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-700 py-1 px-3 rounded-lg text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Action Buttons */}
                   <div className="flex gap-2">
                     <button
@@ -458,7 +1200,119 @@ export default function CredentialTab() {
                       <span>🔗</span>
                       <span>Share</span>
                     </button>
+                    <button
+                      onClick={() => handlePin(cred.cid)}
+                      disabled={cred.pinned}
+                      className="bg-gray-500 hover:bg-gray-600 disabled:bg-green-500 text-white py-2 px-3 rounded-lg transition-colors font-semibold text-sm flex items-center justify-center space-x-1"
+                    >
+                      <span>📌</span>
+                      <span>{cred.pinned ? 'Pinned' : 'Pin'}</span>
+                    </button>
+                  </div>
+
+                  {/* Export */}
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      onClick={() => handleExport(cred, 'jwt')}
+                      disabled={!cred.encryptionVersion}
+                      className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 py-1 px-3 rounded-lg transition-colors text-xs font-semibold"
+                    >
+                      ⬇️ VC-JWT
+                    </button>
+                    <button
+                      onClick={() => handleExport(cred, 'jsonld')}
+                      disabled={!cred.encryptionVersion}
+                      className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 py-1 px-3 rounded-lg transition-colors text-xs font-semibold"
+                    >
+                      ⬇️ JSON-LD
+                    </button>
+                    <button
+                      onClick={() => handleToggleQr(cred)}
+                      disabled={!cred.encryptionVersion}
+                      className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 py-1 px-3 rounded-lg transition-colors text-xs font-semibold"
+                    >
+                      {qrCodes[cred.cid] ? '✖️ Hide QR' : '📱 QR Code'}
+                    </button>
+                    <button
+                      onClick={() => handleToggleAccess(cred)}
+                      disabled={!cred.encryptionVersion}
+                      className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 py-1 px-3 rounded-lg transition-colors text-xs font-semibold"
+                    >
+                      {accessPanel?.recordId === cred.id ? '✖️ Close Access' : '🤝 Verifier Access'}
+                    </button>
                   </div>
+
+                  {accessPanel?.recordId === cred.id && (
+                    <div className="mt-3 bg-indigo-50 border border-indigo-200 rounded-lg p-3 space-y-2">
+                      <p className="text-sm font-semibold text-indigo-900">Let a verifier open this credential</p>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          list="verifier-identities"
+                          value={accessPanel.verifierDid}
+                          onChange={(e) => setAccessPanel({ ...accessPanel, verifierDid: e.target.value })}
+                          placeholder="Verifier DID (did:key shown in their Verify tab)"
+                          className="flex-1 px-2 py-1 border border-gray-300 rounded-lg font-mono text-xs"
+                        />
+                        <datalist id="verifier-identities">
+                          {identities.filter((i) => i.did !== identity?.did).map((i) => (
+                            <option key={i.did} value={i.did}>{i.name}</option>
+                          ))}
+                        </datalist>
+                        <button
+                          onClick={handleShareWithDID}
+                          disabled={!accessPanel.verifierDid.trim()}
+                          className="bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-400 text-white py-1 px-3 rounded-lg text-xs font-semibold"
+                        >
+                          Share
+                        </button>
+                      </div>
+                      <button
+                        onClick={handleCreateShareLink}
+                        className="w-full bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-200 py-1 px-3 rounded-lg text-xs font-semibold"
+                      >
+                        🔗 Create Share Link
+                      </button>
+                      {accessPanel.link && (
+                        <input readOnly value={accessPanel.link} className="w-full px-2 py-1 bg-white border rounded-lg font-mono text-xs" />
+                      )}
+                      {getStorage().name !== 'ipfs' && (
+                        <p className="text-xs text-amber-700">
+                          ⚠️ Your storage is local to this browser - verifiers elsewhere can only retrieve shared credentials through the IPFS backend
+                        </p>
+                      )}
+                      {accessPanel.shares.map((share) => (
+                        <div key={share.cid} className="flex items-center justify-between text-xs bg-white rounded-lg p-2 border border-gray-200">
+                          <div className="min-w-0">
+                            <p className="text-gray-800 truncate">
+                              {share.sharedWith.type === SHARE_LINK ? '🔗 Share link' : `👤 ${share.sharedWith.did}`}
+                            </p>
+                            <p className="text-gray-500 font-mono truncate">
+                              {share.cid} • {new Date(share.sharedAt).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleRevokeShare(share.cid)}
+                            className="text-red-600 hover:text-red-800 font-semibold ml-2"
+                          >
+                            Withdraw
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {qrCodes[cred.cid] && (
+                    <div className="mt-3 flex flex-col items-center bg-white border border-gray-200 rounded-lg p-3">
+                      <img src={qrCodes[cred.cid].dataUrl} alt={`QR code for credential ${cred.cid}`} className="w-48 h-48" />
+                      <p className="text-xs text-gray-500 mt-2 text-center">
+                        {qrCodes[cred.cid].kind === 'credential'
+                          ? 'Contains the full credential - scan it in the Verify tab'
+                          : 'Too large for a QR code - contains a verification link to this vault'}
+                      </p>
+                    </div>
+                  )}
+
                 </div>
               );
             })}
@@ -472,13 +1326,13 @@ export default function CredentialTab() {
           <div className="text-4xl mb-4">🎓</div>
           <h3 className="text-xl font-bold text-yellow-800 mb-2">No Credentials Yet</h3>
           <p className="text-yellow-700 mb-4">
-            Create your first verifiable credential to get started with the demo.
+            Request a credential from an issuer, or import one from another wallet.
           </p>
           <button
-            onClick={() => setShowForm(true)}
+            onClick={handleOpenRequestForm}
             className="bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 transform hover:scale-105"
           >
-            Create First Credential
+            Request First Credential
           </button>
         </div>
       )}
@@ -495,9 +1349,9 @@ export default function CredentialTab() {
               <div className="space-y-2">
                 <div className="flex items-center space-x-2">
                   <div className="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center text-white text-xs">1</div>
-                  <span className="text-blue-800 font-medium">Create Credential</span>
+                  <span className="text-blue-800 font-medium">Request Credential</span>
                 </div>
-                <p className="text-blue-700 text-sm">Fill in your credential details and issue it locally</p>
+                <p className="text-blue-700 text-sm">The issuer reviews your request and signs the credential for your DID</p>
               </div>
               <div className="space-y-2">
                 <div className="flex items-center space-x-2">
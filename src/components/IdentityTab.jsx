@@ -1,41 +1,60 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState } from 'react';
+import { createMnemonicIdentity, restoreIdentityFromMnemonic, isValidRecoveryPhrase } from '../utils/did';
+import { useWallet } from '../wallet/WalletContext';
+import { createBackup, openBackup } from '../wallet/backup';
+import { getStorage } from '../storage';
+import {
+  rotateIdentityKey,
+  reencryptCredentials,
+  currentVerificationMethod,
+  recoverRotatedKeys,
+  mergeIdentity
+} from '../utils/keyRotation';
+import { exportRegistryEntries, importRegistryEntries } from '../utils/didRegistry';
+import { clearDIDCache } from '../utils/didResolver';
 
 // ============================================================================
 // IDENTITY TAB COMPONENT
 // ============================================================================
-// This component handles DID creation and displays the user's identity
+// This component handles DID creation and displays the user's identities
 // Features:
-// - Generate a new DID (Decentralized Identifier)
-// - Display public key and DID
-// - Store private key in local storage (simulated wallet)
+// - Several named identities (holder personas), one of them active
+// - Generate a new DID (Decentralized Identifier) locally in the browser
+// - Display public key, did:ethr and did:key
+// - Store private key encrypted with the wallet passphrase
+// - Rotate the key of an existing DID (with key history)
+// - Configure the wallet auto-lock timeout
+// - BIP-39 recovery phrase (shown once) and restore from phrase
+// - Export/import a password-encrypted backup of identity + credentials
 // - Clear identity (for testing)
 // ============================================================================
 
 export default function IdentityTab() {
-  const [identity, setIdentity] = useState(null);
+  const {
+    identity,
+    identities,
+    addIdentity,
+    updateIdentity,
+    removeIdentity,
+    selectIdentity,
+    autoLockMinutes,
+    setAutoLockMinutes
+  } = useWallet();
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
-  const API_URL = 'http://localhost:5000/api';
-
-  // Load identity from localStorage on component mount
-  useEffect(() => {
-    const savedIdentity = localStorage.getItem('userIdentity');
-    if (savedIdentity) {
-      try {
-        setIdentity(JSON.parse(savedIdentity));
-        setMessage('✓ Identity loaded from local storage');
-      } catch (error) {
-        console.error('Error loading identity:', error);
-      }
-    }
-  }, []);
+  const [newIdentityName, setNewIdentityName] = useState('');
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [restorePhrase, setRestorePhrase] = useState('');
+  const [backupPassword, setBackupPassword] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [importPassword, setImportPassword] = useState('');
 
   // ========================================================================
   // Function: Create New DID
   // ========================================================================
-  // Calls backend to generate a new DID
-  // Stores the identity (including private key) in localStorage
+  // Derives a secp256k1 keypair from a fresh BIP-39 phrase in the browser
+  // Stores the identity (including private key) encrypted in the wallet
+  // The phrase itself is only kept in component state until acknowledged
   // ========================================================================
 
   const handleCreateDID = async () => {
@@ -43,27 +62,17 @@ export default function IdentityTab() {
       setLoading(true);
       setMessage('Creating your DID...');
 
-      // Call backend API to create DID
-      const response = await axios.post("http://localhost:5000/api/create-did");
-
-      if (response.data.success) {
-        const newIdentity = {
-          did: response.data.did,
-          publicKey: response.data.publicKey,
-          privateKey: response.data.privateKey,
-          address: response.data.address,
-          createdAt: new Date().toISOString()
-        };
-
-        // Store in localStorage (simulated wallet)
-        localStorage.setItem('userIdentity', JSON.stringify(newIdentity));
-        setIdentity(newIdentity);
-        setMessage('✅ ' + response.data.message);
-
-        console.log('📝 New DID Created:');
-        console.log(`   DID: ${newIdentity.did}`);
-        console.log(`   Public Key: ${newIdentity.publicKey.slice(0, 30)}...`);
-      }
+      const { identity: newIdentity, mnemonic } = createMnemonicIdentity();
+
+      // Encrypted with the wallet key before it touches localStorage
+      await addIdentity({ ...newIdentity, name: newIdentityName.trim() || undefined });
+      setNewIdentityName('');
+      setRecoveryPhrase(mnemonic);
+      setMessage('✅ DID created locally - write down your recovery phrase now');
+
+      console.log('📝 New DID Created:');
+      console.log(`   DID: ${newIdentity.did}`);
+      console.log(`   Public Key: ${newIdentity.publicKey.slice(0, 30)}...`);
     } catch (error) {
       setMessage('❌ Error creating DID: ' + error.message);
       console.error('Error:', error);
@@ -72,17 +81,134 @@ export default function IdentityTab() {
     }
   };
 
+  // ========================================================================
+  // Function: Rotate Key
+  // ========================================================================
+  // Keeps the DID, replaces its key, then re-encrypts the identity's
+  // credentials to the new key in the background
+  // ========================================================================
+
+  const handleRotateKey = async () => {
+    if (!window.confirm('Rotate the key for this DID? Your DID stays the same and existing credentials keep working.')) {
+      return;
+    }
+
+    try {
+      const rotated = rotateIdentityKey(identity);
+      await updateIdentity(identity.did, rotated);
+      setMessage(`✓ Key rotated - now using ${rotated.verificationMethod}. Re-encrypting credentials...`);
+
+      reencryptCredentials(rotated, getStorage(), (done, total) => {
+        setMessage(`✓ Key rotated. Re-encrypting credentials ${done}/${total}...`);
+      })
+        .then((count) => setMessage(`✅ Key rotated and ${count} ${count === 1 ? 'credential' : 'credentials'} re-encrypted`))
+        .catch((error) => setMessage(`❌ Key rotated, but re-encryption failed: ${error.message}`));
+    } catch (error) {
+      setMessage(`❌ Key rotation failed: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Restore From Recovery Phrase
+  // ========================================================================
+  // Rotated keys listed in the DID registry are re-derived from the phrase;
+  // an identity already in the wallet is merged rather than replaced
+  // ========================================================================
+
+  const handleRestore = async () => {
+    if (!isValidRecoveryPhrase(restorePhrase)) {
+      setMessage('❌ Invalid recovery phrase - check the words and their order');
+      return;
+    }
+    try {
+      const restored = recoverRotatedKeys(restoreIdentityFromMnemonic(restorePhrase));
+      const existing = identities.find((i) => i.did === restored.did);
+      await addIdentity(mergeIdentity(existing, { ...restored, name: newIdentityName.trim() || undefined }));
+      setRestorePhrase('');
+      setMessage(`✅ Identity restored: ${restored.did}`);
+    } catch (error) {
+      setMessage(`❌ Restore failed: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Export / Import Backup
+  // ========================================================================
+  // The backup bundles all identities with every stored credential record
+  // and the identities' DID registry entries
+  // ========================================================================
+
+  const handleExportBackup = async () => {
+    try {
+      setLoading(true);
+      const storage = getStorage();
+      const summaries = await storage.list();
+      const credentials = await Promise.all(summaries.map((cred) => storage.get(cred.cid)));
+
+      const didRegistry = exportRegistryEntries(identities.map((i) => i.did));
+      const contents = await createBackup({ identities, credentials, didRegistry }, backupPassword);
+      const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `identity-vault-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setBackupPassword('');
+      setMessage(`✅ Backup exported with ${credentials.length} credentials`);
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImportBackup = async () => {
+    try {
+      setLoading(true);
+      const backup = await openBackup(await importFile.text(), importPassword);
+
+      importRegistryEntries(backup.didRegistry);
+      clearDIDCache();
+
+      // Identities with the same DID are merged, others are added
+      for (const restored of backup.identities) {
+        await addIdentity(mergeIdentity(identities.find((i) => i.did === restored.did), restored));
+      }
+      const storage = getStorage();
+      for (const record of backup.credentials) {
+        await storage.put(record);
+      }
+
+      setImportFile(null);
+      setImportPassword('');
+      setMessage(`✅ Backup restored: ${backup.identities.length} identities, ${backup.credentials.length} credentials`);
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // ========================================================================
   // Function: Clear Identity
   // ========================================================================
-  // Clears identity from localStorage (useful for testing multiple users)
+  // Removes the active identity from the wallet
+  // Its credentials stay in storage but cannot be decrypted without it
   // ========================================================================
 
-  const handleClearIdentity = () => {
-    if (window.confirm('Are you sure you want to clear your identity? This cannot be undone!')) {
-      localStorage.removeItem('userIdentity');
-      setIdentity(null);
-      setMessage('✓ Identity cleared from local storage');
+  const handleClearIdentity = async () => {
+    if (window.confirm(`Are you sure you want to remove "${identity.name}"? This cannot be undone!`)) {
+      await removeIdentity(identity.did);
+      setMessage('✓ Identity removed from wallet');
+    }
+  };
+
+  const handleRenameIdentity = async () => {
+    const name = window.prompt('New name for this identity', identity.name);
+    if (name && name.trim()) {
+      await updateIdentity(identity.did, { name: name.trim() });
+      setMessage('✓ Identity renamed');
     }
   };
 
@@ -95,11 +221,42 @@ export default function IdentityTab() {
       <div className="bg-white rounded-lg shadow-md p-6">
         <h2 className="text-2xl font-bold mb-4 text-gray-800">🆔 Your Digital Identity</h2>
 
+        {/* Recovery Phrase (shown once) */}
+        {recoveryPhrase && (
+          <div className="bg-yellow-50 border-2 border-yellow-300 rounded-lg p-4 mb-4">
+            <h3 className="font-bold text-yellow-900 mb-2">📝 Your Recovery Phrase</h3>
+            <p className="text-sm text-yellow-800 mb-3">
+              Write these 12 words down in order and keep them offline. They are shown only once and are the only way
+              to restore this identity if browser storage is lost.
+            </p>
+            <ol className="grid grid-cols-3 gap-2 mb-3">
+              {recoveryPhrase.split(' ').map((word, i) => (
+                <li key={i} className="bg-white border border-yellow-200 rounded px-2 py-1 font-mono text-sm text-gray-800">
+                  {i + 1}. {word}
+                </li>
+              ))}
+            </ol>
+            <button
+              onClick={() => setRecoveryPhrase('')}
+              className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg transition"
+            >
+              I have written it down
+            </button>
+          </div>
+        )}
+
         {!identity ? (
           <div className="text-center py-8">
             <p className="text-gray-600 mb-4">
               No identity created yet. Click the button below to generate your DID (Decentralized Identifier).
             </p>
+            <input
+              type="text"
+              value={newIdentityName}
+              onChange={(e) => setNewIdentityName(e.target.value)}
+              placeholder="Name (e.g., Personal, Work)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-gray-800 mr-2"
+            />
             <button
               onClick={handleCreateDID}
               disabled={loading}
@@ -110,6 +267,8 @@ export default function IdentityTab() {
           </div>
         ) : (
           <div className="space-y-4">
+            <div className="text-lg font-semibold text-gray-700">👤 {identity.name}</div>
+
             {/* DID Display */}
             <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-lg p-4">
               <label className="text-sm font-semibold text-gray-600">Your DID</label>
@@ -125,6 +284,23 @@ export default function IdentityTab() {
               </button>
             </div>
 
+            {/* did:key Display */}
+            {identity.didKey && (
+              <div className="bg-gradient-to-r from-sky-50 to-cyan-50 border-2 border-sky-200 rounded-lg p-4">
+                <label className="text-sm font-semibold text-gray-600">did:key</label>
+                <p className="text-sm font-mono text-sky-700 break-all mt-1">{identity.didKey}</p>
+                <button
+                  onClick={() => {
+                    navigator.clipboard.writeText(identity.didKey);
+                    setMessage('✓ did:key copied to clipboard');
+                  }}
+                  className="mt-2 text-sm text-sky-600 hover:underline"
+                >
+                  📋 Copy to Clipboard
+                </button>
+              </div>
+            )}
+
             {/* Address Display */}
             <div className="bg-gradient-to-r from-purple-50 to-pink-50 border-2 border-purple-200 rounded-lg p-4">
               <label className="text-sm font-semibold text-gray-600">Ethereum Address</label>
@@ -162,31 +338,94 @@ export default function IdentityTab() {
               </details>
             </div>
 
+            {/* Key History */}
+            <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-4">
+              <label className="text-sm font-semibold text-gray-600">Signing Key</label>
+              <p className="text-sm font-mono text-gray-700 break-all mt-1">{currentVerificationMethod(identity)}</p>
+              {(identity.keyHistory || []).length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {identity.keyHistory.map((key) => (
+                    <li key={key.id} className="text-xs text-gray-500">
+                      <span className="font-mono">{key.id.split('#')[1]}</span>
+                      {' '}valid {key.validFrom ? new Date(key.validFrom).toLocaleString() : 'from creation'}
+                      {' → '}{new Date(key.validUntil).toLocaleString()}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button
+                onClick={handleRotateKey}
+                className="mt-2 text-sm text-gray-700 hover:underline"
+              >
+                🔁 Rotate Key
+              </button>
+            </div>
+
             {/* Created At */}
             <div className="text-sm text-gray-500">
               Created: {new Date(identity.createdAt).toLocaleString()}
             </div>
 
             {/* Action Buttons */}
-            <div className="flex gap-2 pt-4">
+            <div className="flex gap-2 pt-4 flex-wrap">
+              <input
+                type="text"
+                value={newIdentityName}
+                onChange={(e) => setNewIdentityName(e.target.value)}
+                placeholder="Name (e.g., Personal, Work)"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-gray-800"
+              />
               <button
                 onClick={handleCreateDID}
                 disabled={loading}
-                className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition flex-1"
+                className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition"
+              >
+                {loading ? '⏳ Creating...' : '➕ Add Identity'}
+              </button>
+              <button
+                onClick={handleRenameIdentity}
+                className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition"
               >
-                {loading ? '⏳ Creating...' : '🔄 Create New Identity'}
+                ✏️ Rename
               </button>
               <button
                 onClick={handleClearIdentity}
                 className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-lg transition"
               >
-                🗑️ Clear
+                🗑️ Remove
               </button>
             </div>
           </div>
         )}
       </div>
 
+      {/* Identity List */}
+      {identities.length > 1 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="font-bold text-gray-800 mb-3">👥 Your Identities</h3>
+          <div className="space-y-2">
+            {identities.map((i) => (
+              <div key={i.did} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-800">{i.name}</p>
+                  <p className="text-xs font-mono text-gray-500 truncate">{i.did}</p>
+                </div>
+                {i.did === identity?.did ? (
+                  <span className="px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800">Active</span>
+                ) : (
+                  <button
+                    onClick={() => selectIdentity(i.did)}
+                    className="text-sm bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-lg transition"
+                  >
+                    Switch
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Status Message */}
       {message && (
         <div className={`p-4 rounded-lg ${message.includes('✓') || message.includes('✅') ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'}`}>
@@ -194,13 +433,107 @@ export default function IdentityTab() {
         </div>
       )}
 
+      {/* Wallet Security */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="font-bold text-gray-800 mb-2">🔒 Wallet Security</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Your identities are encrypted with your passphrase (PBKDF2 + AES-GCM). The wallet locks itself after a period of inactivity.
+        </p>
+        <label className="text-sm font-semibold text-gray-700 mr-2">Auto-lock after</label>
+        <select
+          value={autoLockMinutes}
+          onChange={(e) => {
+            setAutoLockMinutes(parseInt(e.target.value, 10));
+            setMessage('✓ Auto-lock timeout updated');
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-gray-800"
+        >
+          <option value={1}>1 minute</option>
+          <option value={5}>5 minutes</option>
+          <option value={15}>15 minutes</option>
+          <option value={60}>1 hour</option>
+          <option value={0}>Never</option>
+        </select>
+      </div>
+
+      {/* Backup & Recovery */}
+      <div className="bg-white rounded-lg shadow-md p-6 space-y-5">
+        <h3 className="font-bold text-gray-800">💾 Backup & Recovery</h3>
+
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Restore from recovery phrase</label>
+          <textarea
+            value={restorePhrase}
+            onChange={(e) => setRestorePhrase(e.target.value)}
+            rows={2}
+            placeholder="word1 word2 word3 ..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm text-gray-800"
+          />
+          <button
+            onClick={handleRestore}
+            disabled={loading || !restorePhrase.trim()}
+            className="mt-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition"
+          >
+            ♻️ Restore Identity
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Export encrypted backup</label>
+          <div className="flex gap-2">
+            <input
+              type="password"
+              value={backupPassword}
+              onChange={(e) => setBackupPassword(e.target.value)}
+              placeholder="Backup password"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-gray-800"
+            />
+            <button
+              onClick={handleExportBackup}
+              disabled={loading || !identity || backupPassword.length < 8}
+              className="bg-green-500 hover:bg-green-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition"
+            >
+              ⬇️ Export
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Includes all identities and all stored credentials. Minimum 8 characters.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Import backup file</label>
+          <div className="flex gap-2 flex-wrap">
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => setImportFile(e.target.files[0] || null)}
+              className="text-sm text-gray-700"
+            />
+            <input
+              type="password"
+              value={importPassword}
+              onChange={(e) => setImportPassword(e.target.value)}
+              placeholder="Backup password"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-gray-800"
+            />
+            <button
+              onClick={handleImportBackup}
+              disabled={loading || !importFile || !importPassword}
+              className="bg-purple-500 hover:bg-purple-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition"
+            >
+              ⬆️ Import
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Info Section */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
         <h3 className="font-bold text-blue-900 mb-2">ℹ️ What is a DID?</h3>
         <p className="text-sm text-blue-800">
           A DID (Decentralized Identifier) is a globally unique identifier that you control. It uses the did:ethr method
           based on Ethereum. Your DID is derived from your public key and can be used to prove ownership of credentials
-          without relying on a central authority.
+          without relying on a central authority. Your keypair is generated in this browser and the private key is
+          never sent to any server.
         </p>
       </div>
     </div>
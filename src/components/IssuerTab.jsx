@@ -0,0 +1,767 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadIssuer,
+  createIssuer,
+  updateIssuerProfile,
+  rotateIssuerKey
+} from '../utils/issuer';
+import { resolveDID } from '../utils/didResolver';
+import { isWellFormedDID } from '../utils/verification';
+import { recipientForDID } from '../utils/keyRotation';
+import { issueCredential, validityFromDateInputs } from '../utils/issuance';
+import {
+  listCredentialRequests,
+  approveCredentialRequest,
+  rejectCredentialRequest
+} from '../utils/credentialRequests';
+import { CREDENTIAL_FORMATS } from '../utils/credentialFormats';
+import {
+  CREDENTIAL_SCHEMAS,
+  getCredentialSchema,
+  defaultClaims,
+  summarizeClaims
+} from '../utils/schemaRegistry';
+import { setCredentialStatus, readCredentialStatus, getPublishedStatusLists } from '../utils/statusList';
+import { getStorage } from '../storage';
+import { useWallet } from '../wallet/WalletContext';
+import ClaimFields, { inputClass } from './ClaimFields';
+
+// ============================================================================
+// ISSUER CONSOLE
+// ============================================================================
+// Where an institution manages its issuer identity and issues credentials
+// - Issuer DID, signing keys (rotation) and public profile
+// - Review of holder credential requests: edit, approve or reject
+// - Schema-driven issuance to a holder DID the issuer enters
+// - Issued credentials with suspend / reinstate / revoke actions
+// ============================================================================
+
+// Logos are stored inline in the published profile, so keep them small
+const MAX_LOGO_BYTES = 100 * 1024;
+
+const EMPTY_PROFILE = { name: '', logo: '', website: '' };
+
+export default function IssuerTab() {
+  const { identities } = useWallet();
+  const [issuer, setIssuer] = useState(loadIssuer);
+  const [didDocument, setDidDocument] = useState(null);
+  const [profileForm, setProfileForm] = useState(() => loadIssuer()?.profile || EMPTY_PROFILE);
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [message, setMessage] = useState('');
+
+  const [holderDid, setHolderDid] = useState('');
+  const [schemaId, setSchemaId] = useState(CREDENTIAL_SCHEMAS[0].id);
+  const [claimsData, setClaimsData] = useState(() => defaultClaims(CREDENTIAL_SCHEMAS[0]));
+  const [validity, setValidity] = useState({ validFrom: '', validUntil: '' });
+  const [credentialFormat, setCredentialFormat] = useState('ldp');
+
+  const [issued, setIssued] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [requests, setRequests] = useState([]);
+  const [review, setReview] = useState(null);
+
+  const selectedSchema = getCredentialSchema(schemaId);
+
+  const listIssued = async (did = issuer?.did) =>
+    (await getStorage().list()).filter((cred) => cred.issuer === did && !cred.imported);
+
+  const refreshRequests = (did = issuer?.did) =>
+    listCredentialRequests({ issuerDid: did })
+      .then(setRequests)
+      .catch((error) => setMessage(`❌ Could not load credential requests: ${error.message}`));
+
+  useEffect(() => {
+    if (!issuer) {
+      setDidDocument(null);
+      setIssued([]);
+      setRequests([]);
+      return;
+    }
+    resolveDID(issuer.did)
+      .then(setDidDocument)
+      .catch((error) => {
+        console.error('Error resolving issuer DID:', error);
+        setDidDocument(null);
+      });
+    listIssued(issuer.did)
+      .then(setIssued)
+      .catch((error) => setMessage(`❌ Could not load issued credentials: ${error.message}`));
+    refreshRequests(issuer.did);
+  }, [issuer]);
+
+  // Status bits live in the issuer's status lists, not in the stored record
+  useEffect(() => {
+    Promise.all(issued.map(async (cred) => {
+      try {
+        return [cred.cid, await readCredentialStatus(cred.credentialStatus)];
+      } catch (error) {
+        console.error('Error reading credential status:', error);
+        return [cred.cid, 'unknown'];
+      }
+    })).then((entries) => setStatuses(Object.fromEntries(entries)));
+  }, [issued]);
+
+  // ========================================================================
+  // Function: Issuer Identity and Profile
+  // ========================================================================
+
+  const handleCreateIssuer = async () => {
+    if (!profileForm.name.trim()) {
+      setMessage('❌ Enter the name of your institution');
+      return;
+    }
+    if (issuer && !window.confirm('Create a new issuer DID? Credentials already issued keep verifying under the old DID, but you can no longer manage their status here.')) {
+      return;
+    }
+    try {
+      const created = await createIssuer({ ...profileForm, name: profileForm.name.trim() });
+      setIssuer(created);
+      setEditingProfile(false);
+      setMessage(`✓ Issuer created - ${created.did}`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleSaveProfile = async () => {
+    try {
+      setIssuer(await updateIssuerProfile({ ...profileForm, name: profileForm.name.trim() }));
+      setEditingProfile(false);
+      setMessage('✓ Issuer profile saved and published');
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleLogoUpload = (file) => {
+    if (!file) {
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setMessage(`❌ Logo must be smaller than ${MAX_LOGO_BYTES / 1024} KB`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setProfileForm((prev) => ({ ...prev, logo: reader.result }));
+    reader.readAsDataURL(file);
+  };
+
+  const handleRotateKey = async () => {
+    if (!window.confirm('Rotate the issuer signing keys? Credentials signed with the current keys will keep verifying.')) {
+      return;
+    }
+    try {
+      const rotated = await rotateIssuerKey();
+      setIssuer(loadIssuer());
+      const keyIds = [rotated.verificationMethod, rotated.p256Key?.id, rotated.bbsKey?.id].filter(Boolean);
+      setMessage(`✓ Issuer keys rotated - now signing with ${keyIds.map((id) => id.split('#')[1]).join(', ')}`);
+    } catch (error) {
+      setMessage(`❌ Key rotation failed: ${error.message}`);
+    }
+  };
+
+  const handleExportStatusLists = () => {
+    const lists = getPublishedStatusLists(issuer.did);
+    if (lists.length === 0) {
+      setMessage('❌ No status lists have been published yet');
+      return;
+    }
+
+    lists.forEach((list) => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(list, null, 2)], { type: 'application/json' }));
+      link.download = `${list.credentialSubject.statusPurpose}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+    setMessage(`✓ Status lists exported (${lists.map((list) => list.id).join(', ')})`);
+  };
+
+  // ========================================================================
+  // Function: Issue Credential
+  // ========================================================================
+  // Encrypts the credential to the holder DID's key and stores it; the
+  // holder finds it in their vault (same storage) or by its CID
+  // ========================================================================
+
+  const handleSchemaChange = (id) => {
+    const entry = getCredentialSchema(id);
+    setSchemaId(id);
+    setClaimsData(defaultClaims(entry));
+    if (!entry.formats.includes(credentialFormat)) {
+      setCredentialFormat(entry.formats[0]);
+    }
+  };
+
+  const handleProgress = (step, stepMessage) => {
+    setProgress((step / 4) * 100);
+    setMessage(stepMessage);
+  };
+
+  const handleIssue = async () => {
+    try {
+      setLoading(true);
+      setProgress(0);
+
+      const did = holderDid.trim();
+      if (!isWellFormedDID(did)) {
+        throw new Error(`Enter a valid holder DID (got "${did}")`);
+      }
+
+      setMessage('🔍 Resolving holder DID...');
+      const recipient = await recipientForDID(did, identities);
+
+      const record = await issueCredential({
+        issuer,
+        holderDid: did,
+        recipient,
+        schema: selectedSchema,
+        claims: claimsData,
+        ...validityFromDateInputs(validity),
+        format: credentialFormat,
+        storage: getStorage(),
+        onProgress: handleProgress
+      });
+
+      setIssued(await listIssued());
+      setMessage(`✅ Credential issued to ${did} (${credentialFormat})! CID: ${record.cid}`);
+      setClaimsData(defaultClaims(selectedSchema));
+      setValidity({ validFrom: '', validUntil: '' });
+    } catch (error) {
+      console.error('Issuance error:', error);
+      setMessage(`❌ ${error.message}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setProgress(0), 2000);
+    }
+  };
+
+  // ========================================================================
+  // Function: Revoke / Suspend Credential
+  // ========================================================================
+  // Flips the credential's bit in the signed status list.
+  // Revocation is final; suspension can be lifted again.
+  // ========================================================================
+
+  const statusEntryFor = (cred, purpose) =>
+    [].concat(cred.credentialStatus || []).find((entry) => entry.statusPurpose === purpose);
+
+  const handleSetStatus = async (cred, purpose, value) => {
+    if (purpose === 'revocation' && !window.confirm('Revoke this credential? This cannot be undone.')) {
+      return;
+    }
+    try {
+      await setCredentialStatus(issuer, statusEntryFor(cred, purpose), value);
+      const updated = await readCredentialStatus(cred.credentialStatus);
+      setStatuses((prev) => ({ ...prev, [cred.cid]: updated }));
+      const action = purpose === 'revocation' ? 'revoked' : value ? 'suspended' : 'reinstated';
+      setMessage(`✓ Credential ${action} - status list re-signed and published`);
+    } catch (error) {
+      setMessage(`❌ Failed to update status: ${error.message}`);
+    }
+  };
+
+  // ========================================================================
+  // Function: Review Credential Requests
+  // ========================================================================
+  // The issuer can correct the requested claims and validity before
+  // approving; approval issues the credential to the requesting holder
+  // ========================================================================
+
+  const handleReview = (request) => {
+    setReview(review?.id === request.id ? null : {
+      id: request.id,
+      claims: request.claims,
+      validity: request.validity,
+      reason: ''
+    });
+  };
+
+  const handleApproveRequest = async (request) => {
+    try {
+      setLoading(true);
+      setProgress(0);
+      setMessage('🔍 Checking the holder\'s request signature...');
+      const edited = review?.id === request.id ? review : {};
+      const updated = await approveCredentialRequest(request, {
+        issuer,
+        claims: edited.claims,
+        validity: edited.validity,
+        storage: getStorage(),
+        onProgress: handleProgress
+      });
+      setReview(null);
+      setIssued(await listIssued());
+      await refreshRequests();
+      setMessage(`✅ Request approved - credential issued to ${updated.holderDid}. CID: ${updated.cid}`);
+    } catch (error) {
+      console.error('Approval error:', error);
+      await refreshRequests();
+      setMessage(`❌ ${error.message}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setProgress(0), 2000);
+    }
+  };
+
+  const handleRejectRequest = async (request) => {
+    try {
+      await rejectCredentialRequest(request, review?.id === request.id ? review.reason : '');
+      setReview(null);
+      await refreshRequests();
+      setMessage(`✓ Request from ${request.holderDid} rejected`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const pendingRequests = requests.filter((request) => request.status === 'pending');
+
+  const requestBadge = {
+    pending: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+    issuing: 'bg-blue-100 text-blue-800 border-blue-300',
+    approved: 'bg-blue-100 text-blue-800 border-blue-300',
+    rejected: 'bg-red-100 text-red-800 border-red-300',
+    issued: 'bg-green-100 text-green-800 border-green-300'
+  };
+
+  const statusBadge = (cid) => ({
+    revoked: { text: 'Revoked', color: 'bg-red-100 text-red-800 border-red-300' },
+    suspended: { text: 'Suspended', color: 'bg-orange-100 text-orange-800 border-orange-300' },
+    unknown: { text: 'Unknown', color: 'bg-gray-100 text-gray-800 border-gray-300' }
+  }[statuses[cid]] || { text: 'Active', color: 'bg-green-100 text-green-800 border-green-300' });
+
+  const profileFields = (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Institution Name</label>
+        <input
+          type="text"
+          value={profileForm.name}
+          onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+          placeholder="e.g., Example Tech University"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Website (optional)</label>
+        <input
+          type="url"
+          value={profileForm.website}
+          onChange={(e) => setProfileForm({ ...profileForm, website: e.target.value })}
+          placeholder="https://university.example"
+          className={inputClass}
+        />
+      </div>
+      <div className="md:col-span-2">
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Logo (optional)</label>
+        <div className="flex items-center gap-3">
+          {profileForm.logo && <img src={profileForm.logo} alt="Issuer logo" className="w-12 h-12 rounded-lg object-contain border" />}
+          <input
+            type="url"
+            value={profileForm.logo.startsWith('data:') ? '' : profileForm.logo}
+            onChange={(e) => setProfileForm({ ...profileForm, logo: e.target.value })}
+            placeholder={profileForm.logo.startsWith('data:') ? 'Uploaded image' : 'https://university.example/logo.png'}
+            className={inputClass}
+          />
+          <input
+            type="file"
+            accept="image/*"
+            onChange={(e) => handleLogoUpload(e.target.files[0])}
+            className="text-sm text-gray-600"
+          />
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="bg-gradient-to-r from-emerald-600 to-teal-700 rounded-2xl shadow-2xl p-6 text-white">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold mb-2">Issuer Console</h1>
+            <p className="text-emerald-100 opacity-90">
+              Manage your institution's DID, signing keys and profile, and issue credentials to holders
+            </p>
+          </div>
+          <div className="text-right">
+            <div className="text-2xl font-bold">{issued.length}</div>
+            <div className="text-sm opacity-80">Credentials Issued</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Create Issuer */}
+      {!issuer && (
+        <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-emerald-200">
+          <h3 className="text-2xl font-bold text-gray-800 mb-2">🏛️ Create Your Issuer</h3>
+          <p className="text-gray-600 text-sm mb-6">
+            Generates an issuer DID and signing key in this browser and publishes your profile
+          </p>
+          {profileFields}
+          <button
+            onClick={handleCreateIssuer}
+            className="mt-6 bg-gradient-to-r from-emerald-500 to-teal-600 hover:from-emerald-600 hover:to-teal-700 text-white font-bold py-3 px-6 rounded-xl transition-all"
+          >
+            ✨ Create Issuer DID
+          </button>
+        </div>
+      )}
+
+      {/* Issuer Profile Card */}
+      {issuer && (
+        <div className="bg-gradient-to-r from-emerald-50 to-teal-100 rounded-2xl shadow-lg p-5 border-l-4 border-emerald-500">
+          {editingProfile ? (
+            <div>
+              <h3 className="font-bold text-emerald-900 text-lg mb-4">Edit Issuer Profile</h3>
+              {profileFields}
+              <div className="flex gap-3 mt-4">
+                <button
+                  onClick={handleSaveProfile}
+                  className="bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-2 px-4 rounded-lg transition-colors"
+                >
+                  Save & Publish
+                </button>
+                <button
+                  onClick={() => { setProfileForm(issuer.profile); setEditingProfile(false); }}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-start justify-between">
+              <div className="flex items-start space-x-4">
+                {issuer.profile.logo ? (
+                  <img src={issuer.profile.logo} alt={`${issuer.profile.name} logo`} className="w-16 h-16 rounded-xl object-contain bg-white border" />
+                ) : (
+                  <div className="w-16 h-16 bg-emerald-500 rounded-xl flex items-center justify-center text-white text-2xl">🏛️</div>
+                )}
+                <div>
+                  <h3 className="font-bold text-emerald-900 text-lg">{issuer.profile.name}</h3>
+                  {issuer.profile.website && (
+                    <a href={issuer.profile.website} target="_blank" rel="noreferrer" className="text-sm text-emerald-700 hover:underline">
+                      {issuer.profile.website}
+                    </a>
+                  )}
+                  <p className="text-sm text-emerald-700 font-mono mt-1 break-all">{issuer.did}</p>
+                  <p className="text-xs text-emerald-600 mt-1">
+                    {didDocument ? `DID Document resolved • signing with ${issuer.verificationMethod.split('#')[1]}` : 'DID Document could not be resolved'}
+                  </p>
+                </div>
+              </div>
+              <div className="flex flex-col gap-2 text-sm">
+                <button onClick={() => setEditingProfile(true)} className="text-emerald-700 hover:underline text-left">✏️ Edit profile</button>
+                <button onClick={handleRotateKey} className="text-emerald-700 hover:underline text-left">🔄 Rotate key</button>
+                <button onClick={handleExportStatusLists} className="text-emerald-700 hover:underline text-left">⬇️ Status lists</button>
+                <button onClick={() => { setProfileForm(EMPTY_PROFILE); setIssuer(null); }} className="text-red-600 hover:underline text-left">🆕 New issuer DID</button>
+              </div>
+            </div>
+          )}
+
+          {/* Signing Keys */}
+          {didDocument && !editingProfile && (
+            <div className="mt-4 bg-white rounded-xl p-3 border border-emerald-200">
+              <p className="text-xs font-semibold text-gray-600 mb-2">Verification methods</p>
+              <div className="space-y-1">
+                {didDocument.verificationMethod.map((vm) => (
+                  <div key={vm.id} className="flex items-center justify-between text-xs">
+                    <span className="font-mono text-gray-700">#{vm.id.split('#')[1]}</span>
+                    <span className="text-gray-500">{vm.type}</span>
+                    <span className={vm.validUntil ? 'text-gray-400' : 'text-green-700'}>
+                      {vm.validUntil ? `retired ${new Date(vm.validUntil).toLocaleDateString()}` : 'active'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Progress Bar */}
+      {loading && (
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          <div className="flex items-center justify-between mb-3">
+            <span className="font-semibold text-gray-700">Issuing Credential</span>
+            <span className="text-sm text-gray-500">{Math.round(progress)}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3">
+            <div
+              className="bg-gradient-to-r from-emerald-500 to-teal-600 h-3 rounded-full transition-all duration-500 ease-out"
+              style={{ width: `${progress}%` }}
+            ></div>
+          </div>
+          <p className="text-center text-sm text-gray-600 mt-2">{message}</p>
+        </div>
+      )}
+
+      {/* Status Message */}
+      {message && !loading && (
+        <div className={`rounded-2xl p-4 shadow-lg border-l-4 ${
+          message.includes('✓') || message.includes('✅')
+            ? 'bg-green-50 text-green-800 border-green-400'
+            : 'bg-red-50 text-red-800 border-red-400'
+        }`}>
+          <div className="flex items-center space-x-3">
+            <p className="flex-1 font-medium break-all">{message}</p>
+            <button onClick={() => setMessage('')} className="text-gray-500 hover:text-gray-700 text-lg">×</button>
+          </div>
+        </div>
+      )}
+
+      {/* Credential Requests */}
+      {issuer && (
+        <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-blue-200">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-2xl font-bold text-gray-800">📥 Credential Requests</h3>
+            <div className="flex items-center gap-2">
+              <span className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-semibold">
+                {pendingRequests.length} pending
+              </span>
+              <button onClick={() => refreshRequests()} className="text-sm text-blue-600 hover:text-blue-800 font-semibold">
+                🔄 Refresh
+              </button>
+            </div>
+          </div>
+
+          {requests.length === 0 ? (
+            <p className="text-gray-600 text-sm">
+              No requests yet - holders request credentials from your issuer in their Credential tab
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {requests.map((request) => {
+                const schema = getCredentialSchema(request.schemaId);
+                const summary = summarizeClaims(request.claims);
+                const reviewing = review?.id === request.id;
+                const open = ['pending', 'approved'].includes(request.status);
+                return (
+                  <div key={request.id} className="border-2 border-gray-200 rounded-xl p-4">
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <h4 className="font-bold text-gray-800">{schema?.icon} {schema?.title}: {summary.title}</h4>
+                        <p className="text-xs text-gray-600 font-mono break-all">from {request.holderDid}</p>
+                        <p className="text-xs text-gray-500">
+                          {request.format} • requested {new Date(request.createdAt).toLocaleString()}
+                        </p>
+                        {request.reason && <p className="text-xs text-red-700 mt-1">Reason: {request.reason}</p>}
+                        {request.cid && <p className="text-xs text-blue-700 font-mono break-all">{request.cid}</p>}
+                      </div>
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${requestBadge[request.status]}`}>
+                        {request.status}
+                      </span>
+                    </div>
+
+                    {reviewing && (
+                      <div className="mt-4 bg-gray-50 rounded-xl p-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <ClaimFields
+                            schema={schema}
+                            values={review.claims}
+                            onChange={(claims) => setReview({ ...review, claims })}
+                          />
+                          <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">Valid From (optional)</label>
+                            <input
+                              type="date"
+                              value={review.validity.validFrom}
+                              onChange={(e) => setReview({ ...review, validity: { ...review.validity, validFrom: e.target.value } })}
+                              className={inputClass}
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">Valid Until (optional)</label>
+                            <input
+                              type="date"
+                              value={review.validity.validUntil}
+                              min={review.validity.validFrom || undefined}
+                              onChange={(e) => setReview({ ...review, validity: { ...review.validity, validUntil: e.target.value } })}
+                              className={inputClass}
+                            />
+                          </div>
+                          {request.status === 'pending' && (
+                            <div className="md:col-span-2">
+                              <label className="block text-sm font-semibold text-gray-700 mb-2">Reason for rejection</label>
+                              <input
+                                type="text"
+                                value={review.reason}
+                                onChange={(e) => setReview({ ...review, reason: e.target.value })}
+                                placeholder="Shown to the holder, e.g. No record of this degree"
+                                className={inputClass}
+                              />
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
+                    {open && (
+                      <div className="flex gap-2 mt-3">
+                        <button
+                          onClick={() => handleReview(request)}
+                          disabled={loading}
+                          className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-3 rounded-lg transition-colors font-semibold text-sm"
+                        >
+                          {reviewing ? 'Close Review' : '📝 Review'}
+                        </button>
+                        <button
+                          onClick={() => handleApproveRequest(request)}
+                          disabled={loading}
+                          className="flex-1 bg-green-100 hover:bg-green-200 text-green-800 py-2 px-3 rounded-lg transition-colors font-semibold text-sm"
+                        >
+                          {request.status === 'approved' ? '🔁 Retry Issuance' : '✅ Approve & Issue'}
+                        </button>
+                        {request.status === 'pending' && (
+                          <button
+                            onClick={() => (reviewing ? handleRejectRequest(request) : handleReview(request))}
+                            disabled={loading}
+                            className="flex-1 bg-red-100 hover:bg-red-200 text-red-800 py-2 px-3 rounded-lg transition-colors font-semibold text-sm"
+                          >
+                            🚫 Reject
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Issue Credential */}
+      {issuer && (
+        <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-green-200">
+          <h3 className="text-2xl font-bold text-gray-800 mb-6">🎓 Issue Credential</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Holder */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Holder DID</label>
+              <input
+                type="text"
+                list="wallet-identities"
+                value={holderDid}
+                onChange={(e) => setHolderDid(e.target.value)}
+                placeholder="did:key:zQ3s... or did:ethr:0x..."
+                className={`${inputClass} font-mono text-sm`}
+              />
+              <datalist id="wallet-identities">
+                {identities.map((i) => <option key={i.did} value={i.did}>{i.name}</option>)}
+              </datalist>
+              <p className="text-xs text-gray-500 mt-1">
+                The credential is encrypted to this DID's key - identities in this wallet are suggested
+              </p>
+            </div>
+
+            {/* Credential Type */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Type</label>
+              <select value={schemaId} onChange={(e) => handleSchemaChange(e.target.value)} className={inputClass}>
+                {CREDENTIAL_SCHEMAS.map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.icon} {entry.title}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Claims, rendered from the type's JSON Schema */}
+            <ClaimFields schema={selectedSchema} values={claimsData} onChange={setClaimsData} />
+
+            {/* Credential Format */}
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Credential Format</label>
+              <select value={credentialFormat} onChange={(e) => setCredentialFormat(e.target.value)} className={inputClass}>
+                {CREDENTIAL_FORMATS.filter((format) => selectedSchema.formats.includes(format.id)).map((format) => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Validity Window */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Valid From (optional)</label>
+              <input
+                type="date"
+                value={validity.validFrom}
+                onChange={(e) => setValidity({ ...validity, validFrom: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Valid Until (optional)</label>
+              <input
+                type="date"
+                value={validity.validUntil}
+                min={validity.validFrom || undefined}
+                onChange={(e) => setValidity({ ...validity, validUntil: e.target.value })}
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-1">Leave empty for credentials that do not expire</p>
+            </div>
+          </div>
+
+          <button
+            onClick={handleIssue}
+            disabled={loading || !holderDid.trim()}
+            className="w-full mt-8 bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-6 rounded-xl transition-all duration-300 shadow-lg disabled:shadow-none"
+          >
+            {loading ? 'Issuing Credential...' : '✅ Sign, Encrypt & Store Credential'}
+          </button>
+        </div>
+      )}
+
+      {/* Issued Credentials */}
+      {issued.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h3 className="text-2xl font-bold text-gray-800 mb-4">📋 Issued Credentials</h3>
+          <div className="space-y-3">
+            {issued.map((cred) => {
+              const summary = summarizeClaims(cred.degreeData);
+              const status = statusBadge(cred.cid);
+              return (
+                <div key={cred.id} className="border-2 border-gray-200 rounded-xl p-4">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <h4 className="font-bold text-gray-800">{summary.icon} {summary.title}</h4>
+                      <p className="text-xs text-gray-600 font-mono break-all">to {cred.did}</p>
+                      <p className="text-xs text-blue-700 font-mono break-all">{cred.cid}</p>
+                      <p className="text-xs text-gray-500">
+                        {cred.format} • issued {new Date(cred.issuanceDate).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${status.color}`}>
+                      {status.text}
+                    </span>
+                  </div>
+                  {cred.credentialStatus && status.text !== 'Revoked' && (
+                    <div className="flex gap-2 mt-3">
+                      <button
+                        onClick={() => handleSetStatus(cred, 'suspension', status.text !== 'Suspended')}
+                        className="flex-1 bg-orange-100 hover:bg-orange-200 text-orange-800 py-2 px-3 rounded-lg transition-colors font-semibold text-sm"
+                      >
+                        {status.text === 'Suspended' ? '▶️ Reinstate' : '⏸️ Suspend'}
+                      </button>
+                      <button
+                        onClick={() => handleSetStatus(cred, 'revocation', true)}
+                        className="flex-1 bg-red-100 hover:bg-red-200 text-red-800 py-2 px-3 rounded-lg transition-colors font-semibold text-sm"
+                      >
+                        🚫 Revoke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { useWallet } from '../wallet/WalletContext';
+import { getKeystoreStatus } from '../wallet/keystore';
+
+// ============================================================================
+// LOCK SCREEN
+// ============================================================================
+// Shown whenever the wallet is locked. Depending on what is stored it will:
+// - unlock an existing encrypted wallet
+// - encrypt a plaintext identity from an older version (migration)
+// - set a passphrase for a brand-new wallet
+// onVerifyOnly: opens the Verify tab without a wallet, for verifiers
+// ============================================================================
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export default function LockScreen({ onVerifyOnly }) {
+  const { unlock, createWallet } = useWallet();
+  const [status] = useState(getKeystoreStatus);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const isSetup = status !== 'encrypted';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSetup) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setMessage(`❌ Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setMessage('❌ Passphrases do not match');
+        return;
+      }
+    }
+
+    try {
+      setLoading(true);
+      setMessage(isSetup ? 'Encrypting wallet...' : 'Unlocking wallet...');
+      if (isSetup) {
+        await createWallet(passphrase);
+      } else {
+        await unlock(passphrase);
+      }
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  const title = {
+    encrypted: '🔒 Wallet Locked',
+    legacy: '🔐 Protect Your Existing Identity',
+    empty: '🔐 Create a Wallet Passphrase'
+  }[status];
+
+  const description = {
+    encrypted: 'Enter your passphrase to unlock your identity and credentials.',
+    legacy: 'Your identity is currently stored unencrypted. Choose a passphrase to encrypt it - the plaintext copy will be removed.',
+    empty: 'Your identity will be encrypted in this browser with a key derived from this passphrase.'
+  }[status];
+
+  return (
+    <div className="max-w-md mx-auto py-8">
+      <h2 className="text-2xl font-bold mb-2 text-gray-800 text-center">{title}</h2>
+      <p className="text-gray-600 mb-6 text-center">{description}</p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          disabled={loading}
+          className="w-full px-4 py-3 border border-gray-300 rounded-xl text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {isSetup && (
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Confirm passphrase"
+            disabled={loading}
+            className="w-full px-4 py-3 border border-gray-300 rounded-xl text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        )}
+        <button
+          type="submit"
+          disabled={loading || !passphrase}
+          className="w-full bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white font-bold py-3 px-6 rounded-xl transition"
+        >
+          {loading ? '⏳ Please wait...' : isSetup ? '🔐 Encrypt Wallet' : '🔓 Unlock'}
+        </button>
+      </form>
+
+      {onVerifyOnly && (
+        <button
+          onClick={onVerifyOnly}
+          disabled={loading}
+          className="w-full mt-3 bg-white hover:bg-gray-50 text-gray-700 font-semibold py-3 px-6 rounded-xl border border-gray-300 transition"
+        >
+          🔍 Just verify a credential (no wallet needed)
+        </button>
+      )}
+
+      {message && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${message.includes('❌') ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-blue-50 text-blue-700 border border-blue-200'}`}>
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { definitionForSchema, parsePresentationDefinition } from '../utils/presentationExchange';
+import { CREDENTIAL_SCHEMAS, getCredentialSchema } from '../utils/schemaRegistry';
+import { loadTrustRegistry } from '../utils/trustRegistry';
+
+// ============================================================================
+// PRESENTATION DEFINITION EDITOR
+// ============================================================================
+// Verifier side: authors the DIF presentation_definition a presentation
+// must satisfy
+// Features:
+// - Edit the definition JSON directly, import it from a file or copy it
+//   to send to the holder
+// - Build one from a registered credential type: enum claims can be
+//   required to equal a value, integer claims to be at least a value, and
+//   the issuer can be limited to the trusted issuers for that type
+// ============================================================================
+
+// Claims the template builder can filter on
+const filterableClaims = (schema) => Object.entries(schema.claims.properties)
+  .filter(([, property]) => property.oneOf || property.type === 'integer');
+
+export default function PresentationDefinitionEditor({ value, onChange, disabled }) {
+  const [showBuilder, setShowBuilder] = useState(false);
+  const [template, setTemplate] = useState({ schemaId: CREDENTIAL_SCHEMAS[0].id, purpose: '', filters: {}, trustedOnly: false });
+  const [message, setMessage] = useState('');
+
+  const schema = getCredentialSchema(template.schemaId);
+
+  const setFilter = (name, filterValue) => {
+    setTemplate({ ...template, filters: { ...template.filters, [name]: filterValue } });
+  };
+
+  const handleGenerate = () => {
+    try {
+      const claimFilters = Object.fromEntries(
+        filterableClaims(schema)
+          .filter(([name]) => template.filters[name] !== undefined && template.filters[name] !== '')
+          .map(([name, property]) => [
+            name,
+            property.oneOf
+              ? { type: 'string', const: template.filters[name] }
+              : { type: 'integer', minimum: template.filters[name] }
+          ])
+      );
+      const issuerDids = template.trustedOnly
+        ? loadTrustRegistry()
+          .filter((entry) => entry.credentialTypes.includes(schema.credentialType))
+          .map((entry) => entry.did)
+        : [];
+      if (template.trustedOnly && issuerDids.length === 0) {
+        throw new Error(`No issuer in your registry is trusted for ${schema.title}`);
+      }
+
+      const definition = definitionForSchema(schema, { purpose: template.purpose.trim(), claimFilters, issuerDids });
+      onChange(JSON.stringify(definition, null, 2));
+      setMessage(`✓ Definition for ${schema.title} created`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleImport = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      const definition = parsePresentationDefinition(await file.text());
+      onChange(JSON.stringify(definition, null, 2));
+      setMessage(`✓ Imported ${definition.name || definition.id}`);
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.message}`);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      parsePresentationDefinition(value);
+      await navigator.clipboard.writeText(value);
+      setMessage('✓ Definition copied - send it to the holder with the challenge');
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-indigo-50 rounded-xl p-4 border border-indigo-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-semibold text-indigo-900">Presentation Definition (optional)</p>
+          <p className="text-xs text-indigo-700">What the presentation must contain - checked per requirement</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowBuilder(!showBuilder)}
+            className="text-sm bg-white hover:bg-indigo-100 text-indigo-700 py-2 px-3 rounded-lg border border-indigo-200 transition-colors"
+          >
+            🧩 {showBuilder ? 'Hide Builder' : 'Build'}
+          </button>
+          <label className="text-sm bg-white hover:bg-indigo-100 text-indigo-700 py-2 px-3 rounded-lg border border-indigo-200 cursor-pointer transition-colors">
+            📥 Import
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => { handleImport(e.target.files[0]); e.target.value = ''; }}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={handleCopy}
+            disabled={!value.trim()}
+            className="text-sm bg-white hover:bg-indigo-100 disabled:opacity-50 text-indigo-700 py-2 px-3 rounded-lg border border-indigo-200 transition-colors"
+          >
+            📋 Copy
+          </button>
+        </div>
+      </div>
+
+      {showBuilder && (
+        <div className="bg-white rounded-xl p-4 border border-indigo-200 space-y-3">
+          <select
+            value={template.schemaId}
+            onChange={(e) => setTemplate({ ...template, schemaId: e.target.value, filters: {} })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {CREDENTIAL_SCHEMAS.map((entry) => (
+              <option key={entry.id} value={entry.id}>{entry.icon} {entry.title}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={template.purpose}
+            onChange={(e) => setTemplate({ ...template, purpose: e.target.value })}
+            placeholder="Purpose shown to the holder (e.g., Verify your degree for the job application)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          {filterableClaims(schema).map(([name, property]) => (
+            <div key={name} className="flex items-center gap-3">
+              <label className="text-sm text-gray-700 w-48">
+                {property.title} {property.oneOf ? 'is' : 'at least'}
+              </label>
+              {property.oneOf ? (
+                <select
+                  value={template.filters[name] ?? ''}
+                  onChange={(e) => setFilter(name, e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="">Any</option>
+                  {property.oneOf.map((option) => (
+                    <option key={option.const} value={option.const}>{option.title}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  value={template.filters[name] ?? ''}
+                  onChange={(e) => setFilter(name, e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                  min={property.minimum}
+                  max={property.maximum}
+                  placeholder="Any"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              )}
+            </div>
+          ))}
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={template.trustedOnly}
+              onChange={(e) => setTemplate({ ...template, trustedOnly: e.target.checked })}
+            />
+            <span>Only accept issuers trusted for {schema.title} in my registry</span>
+          </label>
+          <button
+            onClick={handleGenerate}
+            className="bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg transition-colors text-sm"
+          >
+            Create Definition
+          </button>
+        </div>
+      )}
+
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Paste a presentation_definition JSON, or leave empty to accept any credentials"
+        className="w-full h-32 px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs"
+        disabled={disabled}
+      />
+
+      {message && (
+        <p className={`text-sm ${message.startsWith('✓') ? 'text-green-700' : 'text-red-700'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
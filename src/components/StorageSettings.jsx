@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  STORAGE_BACKENDS,
+  loadStorageSettings,
+  saveStorageSettings
+} from '../storage';
+
+// ============================================================================
+// STORAGE SETTINGS PANEL
+// ============================================================================
+// Lets the user choose where credential records are stored
+// Features:
+// - Select localStorage, IndexedDB or a local IPFS (Kubo) node
+// - Configure and test the IPFS HTTP API address
+// ============================================================================
+
+export default function StorageSettings({ onChange }) {
+  const [settings, setSettings] = useState(loadStorageSettings);
+  const [message, setMessage] = useState('');
+  const [testing, setTesting] = useState(false);
+
+  const handleSave = () => {
+    saveStorageSettings(settings);
+    setMessage('✓ Storage settings saved');
+    if (onChange) onChange(settings);
+  };
+
+  const handleTestIpfs = async () => {
+    try {
+      setTesting(true);
+      setMessage('Connecting to IPFS node...');
+      const response = await axios.post(`${settings.ipfsApiUrl}/api/v0/id`);
+      setMessage(`✓ Connected to IPFS node ${response.data.ID.slice(0, 16)}...`);
+    } catch (error) {
+      setMessage(`❌ Cannot reach IPFS API: ${error.message}`);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border border-gray-200">
+      <h3 className="text-lg font-bold text-gray-800 mb-4">⚙️ Storage Settings</h3>
+
+      <div className="space-y-2 mb-4">
+        {STORAGE_BACKENDS.map((backend) => (
+          <label key={backend.id} className="flex items-center space-x-2 text-gray-700">
+            <input
+              type="radio"
+              name="storageBackend"
+              value={backend.id}
+              checked={settings.backend === backend.id}
+              onChange={() => setSettings({ ...settings, backend: backend.id })}
+            />
+            <span>{backend.label}</span>
+          </label>
+        ))}
+      </div>
+
+      {settings.backend === 'ipfs' && (
+        <div className="mb-4">
+          <label className="block text-sm font-semibold text-gray-700 mb-2">IPFS HTTP API</label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={settings.ipfsApiUrl}
+              onChange={(e) => setSettings({ ...settings, ipfsApiUrl: e.target.value })}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm text-gray-800"
+            />
+            <button
+              onClick={handleTestIpfs}
+              disabled={testing}
+              className="bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white py-2 px-4 rounded-lg text-sm"
+            >
+              {testing ? '⏳ Testing...' : 'Test'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            The daemon must allow this origin in API.HTTPHeaders.Access-Control-Allow-Origin.
+          </p>
+        </div>
+      )}
+
+      <button
+        onClick={handleSave}
+        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg transition"
+      >
+        Save
+      </button>
+
+      {message && (
+        <p className={`text-sm mt-3 ${message.includes('✓') ? 'text-green-700' : 'text-red-700'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
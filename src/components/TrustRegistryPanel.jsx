@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import {
+  loadTrustRegistry,
+  trustIssuer,
+  untrustIssuer,
+  exportTrustList,
+  readTrustList,
+  importTrustList,
+  TRUST_LIST_TYPE
+} from '../utils/trustRegistry';
+import { listPublishedIssuers } from '../utils/issuer';
+import { CREDENTIAL_SCHEMAS } from '../utils/schemaRegistry';
+import { useWallet } from '../wallet/WalletContext';
+
+// ============================================================================
+// TRUSTED ISSUER REGISTRY PANEL
+// ============================================================================
+// Lets the verifier manage which issuers it trusts
+// Features:
+// - Allow-list issuer DIDs with the credential types each may issue
+// - Import a signed trust list file / export the registry as one; lists
+//   from operators not yet trusted need the operator DID confirmed
+// ============================================================================
+
+const EMPTY_ENTRY = { did: '', name: '', credentialTypes: [] };
+
+// Credential types an issuer can be trusted for, including trust lists
+const TRUSTABLE_TYPES = [
+  ...CREDENTIAL_SCHEMAS.map((schema) => ({ type: schema.credentialType, label: `${schema.icon} ${schema.title}` })),
+  { type: TRUST_LIST_TYPE, label: '📋 Trust lists' }
+];
+
+export default function TrustRegistryPanel({ onChange }) {
+  const { identity } = useWallet();
+  const [entries, setEntries] = useState(loadTrustRegistry);
+  const [form, setForm] = useState(EMPTY_ENTRY);
+  const [message, setMessage] = useState('');
+  const [pendingList, setPendingList] = useState(null);
+
+  const applyChange = (updated, resultMessage) => {
+    setEntries(updated);
+    setMessage(resultMessage);
+    if (onChange) onChange(updated);
+  };
+
+  const toggleType = (type) => {
+    setForm({
+      ...form,
+      credentialTypes: form.credentialTypes.includes(type)
+        ? form.credentialTypes.filter((t) => t !== type)
+        : [...form.credentialTypes, type]
+    });
+  };
+
+  const handleAdd = () => {
+    try {
+      const did = form.did.trim();
+      const published = listPublishedIssuers().find((issuer) => issuer.did === did);
+      const updated = trustIssuer({ ...form, did, name: form.name.trim() || published?.name || '' });
+      setForm(EMPTY_ENTRY);
+      applyChange(updated, `✓ ${did} added to your trusted issuers`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  const handleRemove = (did) => {
+    applyChange(untrustIssuer(did), `✓ ${did} removed from your trusted issuers`);
+  };
+
+  const importList = async (text, confirmedOperator) => {
+    const { operator, count, skipped } = await importTrustList(text, { confirmedOperator });
+    setPendingList(null);
+    applyChange(
+      loadTrustRegistry(),
+      `✓ Imported ${count} trusted ${count === 1 ? 'issuer' : 'issuers'} from the list signed by ${operator}`
+        + (skipped > 0 ? ` (${skipped} existing ${skipped === 1 ? 'entry' : 'entries'} kept)` : '')
+    );
+  };
+
+  // Lists from an operator that is not trusted yet wait for confirmation
+  const handleImport = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      const text = await file.text();
+      const list = await readTrustList(text);
+      if (list.operatorTrusted) {
+        await importList(text);
+      } else {
+        setPendingList({ text, ...list });
+        setMessage('');
+      }
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.message}`);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    try {
+      await importList(pendingList.text, pendingList.operator);
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.message}`);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      if (!identity) {
+        throw new Error('Unlock an identity to sign the trust list');
+      }
+      const list = await exportTrustList(identity);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(list, null, 2)], { type: 'application/vc+ld+json' }));
+      link.download = 'trusted-issuers.json';
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setMessage(`✓ Trust list signed by ${identity.did} and exported`);
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 border-2 border-indigo-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">🛡️ Trusted Issuers</h3>
+        <div className="flex items-center gap-2">
+          <label className="text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 py-2 px-3 rounded-lg cursor-pointer transition-colors">
+            📥 Import List
+            <input
+              type="file"
+              accept=".json,.jsonld,application/json"
+              onChange={(e) => { handleImport(e.target.files[0]); e.target.value = ''; }}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={entries.length === 0}
+            className="text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700 py-2 px-3 rounded-lg transition-colors"
+          >
+            ⬇️ Export Signed List
+          </button>
+        </div>
+      </div>
+
+      {pendingList && (
+        <div className="bg-amber-50 rounded-xl p-4 border border-amber-200 mb-4 space-y-2">
+          <p className="text-sm font-semibold text-amber-900">⚠️ Trust list from an operator you do not trust yet</p>
+          <p className="text-xs text-amber-800">
+            Signed by <span className="font-mono break-all">{pendingList.operator}</span> - it lists {pendingList.entries.length} {pendingList.entries.length === 1 ? 'issuer' : 'issuers'}.
+            Only import it if you recognise this DID; its operator will be trusted for future lists.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleConfirmImport}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-semibold py-1 px-3 rounded-lg text-sm transition-colors"
+            >
+              Trust Operator & Import
+            </button>
+            <button
+              onClick={() => setPendingList(null)}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-700 py-1 px-3 rounded-lg text-sm transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-4">
+          No trusted issuers yet - valid credentials will be reported as coming from an untrusted issuer
+        </p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {entries.map((entry) => (
+            <div key={entry.did} className="flex items-start justify-between bg-gray-50 rounded-xl p-3 border border-gray-200">
+              <div>
+                <p className="font-semibold text-gray-800">{entry.name || 'Unnamed issuer'}</p>
+                <p className="text-xs text-gray-600 font-mono break-all">{entry.did}</p>
+                <p className="text-xs text-gray-500">
+                  {entry.credentialTypes.join(', ')} • {entry.source === 'manual' ? 'added manually' : `from list by ${entry.source}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRemove(entry.did)}
+                className="text-sm text-red-600 hover:text-red-800 font-semibold ml-3"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-indigo-50 rounded-xl p-4 border border-indigo-200 space-y-3">
+        <p className="text-sm font-semibold text-indigo-900">Add a trusted issuer</p>
+        <input
+          type="text"
+          list="trust-published-issuers"
+          value={form.did}
+          onChange={(e) => setForm({ ...form, did: e.target.value })}
+          placeholder="Issuer DID"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+        />
+        <datalist id="trust-published-issuers">
+          {listPublishedIssuers().map((issuer) => (
+            <option key={issuer.did} value={issuer.did}>{issuer.name}</option>
+          ))}
+        </datalist>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name (defaults to the issuer's published profile)"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <div className="flex flex-wrap gap-3">
+          {TRUSTABLE_TYPES.map(({ type, label }) => (
+            <label key={type} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.credentialTypes.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={!form.did.trim()}
+          className="bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors text-sm"
+        >
+          Trust Issuer
+        </button>
+      </div>
+
+      {message && (
+        <p className={`text-sm mt-3 ${message.startsWith('✓') ? 'text-green-700' : 'text-red-700'}`}>{message}</p>
+      )}
+    </div>
+  );
+}
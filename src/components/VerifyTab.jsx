@@ -1,11 +1,58 @@
-import React, { useState } from 'react';
-import axios from 'axios';
-import CryptoJS from 'crypto-js';
-
-
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_CLOCK_SKEW_SECONDS } from '../utils/verification';
+import { verifyPayload, describeCredential } from '../utils/credentialFormats';
+import { isValidCID, verifyCID } from '../utils/cid';
+import { getStorage } from '../storage';
+import { isEnvelope } from '../utils/envelope';
+import { decryptForVerifier, openShareBundle } from '../utils/sharing';
+import { didKeyFromPublicKey } from '../utils/did';
+import { useWallet } from '../wallet/WalletContext';
+import { verifyPresentation, isPresentation } from '../utils/presentation';
+import { createChallenge } from '../utils/challenges';
+import { decodeQrImage, parseScannedText, cidFromLocation, shareKeyFromLocation, shareDataFromLocation } from '../utils/qr';
+import { evaluateIssuerTrust, credentialTypesOf, trustIssuer, loadTrustRegistry } from '../utils/trustRegistry';
+import { resolveIssuerProfile } from '../utils/issuer';
+import { parsePresentationDefinition } from '../utils/presentationExchange';
+import TrustRegistryPanel from './TrustRegistryPanel';
+import PresentationDefinitionEditor from './PresentationDefinitionEditor';
+
+const VERIFIER_SETTINGS_KEY = 'verifierSettings';
+
+const loadVerifierSettings = () => JSON.parse(localStorage.getItem(VERIFIER_SETTINGS_KEY) || '{}');
+
+const saveVerifierSettings = (changes) => {
+  localStorage.setItem(VERIFIER_SETTINGS_KEY, JSON.stringify({ ...loadVerifierSettings(), ...changes }));
+};
+
+const loadClockSkew = () => loadVerifierSettings().clockSkewSeconds ?? DEFAULT_CLOCK_SKEW_SECONDS;
+
+// BBS proofs that hide their validity dates or status fail unless disabled
+const loadRequireDisclosure = () => loadVerifierSettings().requireDisclosure ?? true;
+
+const STATUS_HEADLINES = {
+  revoked: 'Credential Revoked',
+  suspended: 'Credential Suspended'
+};
+
+const TRUST_BADGES = {
+  trusted: { text: '🛡️ Trusted Issuer', color: 'bg-green-100 text-green-800' },
+  'unknown-issuer': { text: '⚠️ Untrusted Issuer', color: 'bg-amber-100 text-amber-800' },
+  'type-not-allowed': { text: '⚠️ Not Trusted For This Type', color: 'bg-amber-100 text-amber-800' }
+};
+
+// Cryptographically valid credentials still need a trusted issuer
+const resultTone = (isValid, trust) => {
+  if (!isValid) return 'invalid';
+  return trust && !trust.trusted ? 'untrusted' : 'trusted';
+};
 
 export default function VerifyTab() {
-  const [cid, setCID] = useState('');
+  const { identity } = useWallet();
+  const [cid, setCID] = useState(() => cidFromLocation() || '');
+  // One-off decryption key from a holder's share link (#verify=<cid>&key=<key>)
+  const [shareKey, setShareKey] = useState(shareKeyFromLocation);
+  // The encrypted copy a share link carries (&data=<envelope>)
+  const [shareData, setShareData] = useState(shareDataFromLocation);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [verificationResult, setVerificationResult] = useState(null);
@@ -13,8 +60,26 @@ export default function VerifyTab() {
   const [verificationStep, setVerificationStep] = useState(0);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [debugInfo, setDebugInfo] = useState('');
+  const [clockSkewSeconds, setClockSkewSeconds] = useState(loadClockSkew);
+  const [requireDisclosure, setRequireDisclosure] = useState(loadRequireDisclosure);
+  const [inputMode, setInputMode] = useState('credential');
+  const [presentationText, setPresentationText] = useState('');
+  const [definitionText, setDefinitionText] = useState('');
+  const [sharedText, setSharedText] = useState('');
+  const [verifierChallenge, setVerifierChallenge] = useState(null);
+  const [isDraggingQr, setIsDraggingQr] = useState(false);
+  const [showTrustRegistry, setShowTrustRegistry] = useState(false);
+
+  const handleClockSkewChange = (value) => {
+    const seconds = Math.max(0, parseInt(value, 10) || 0);
+    setClockSkewSeconds(seconds);
+    saveVerifierSettings({ clockSkewSeconds: seconds });
+  };
 
-  const API_URL = 'http://localhost:5000/api';
+  const handleRequireDisclosureChange = (required) => {
+    setRequireDisclosure(required);
+    saveVerifierSettings({ requireDisclosure: required });
+  };
 
   const resetVerification = () => {
     setVerificationResult(null);
@@ -34,94 +99,80 @@ export default function VerifyTab() {
     setDebugInfo(prev => prev + '\n' + info);
   };
 
-  // Enhanced decryption with multiple attempts
-  const decryptWithMultipleMethods = (encryptedData, key) => {
-    addDebugInfo('=== STARTING DECRYPTION ===');
-    addDebugInfo(`Encrypted data length: ${encryptedData.length}`);
-    addDebugInfo(`Key length: ${key.length}`);
-    addDebugInfo(`Key starts with: ${key.substring(0, 20)}...`);
-
-    let decryptedText = '';
-    let method = '';
+  // Runs the verification engine for the payload's format (signed JSON,
+  // SD-JWT or BBS) and publishes the per-check result. supplied: issuer
+  // registry entries and status lists that came with a share
+  // bundle, used for this verification only
+  const completeVerification = async (payload, isSimulated, supplied = {}) => {
+    updateVerificationStep(4, '✍️ Resolving issuer DID, verifying signature and checking status list...');
+    const result = await verifyPayload(payload, { clockSkewSeconds, requireDisclosure, ...supplied });
+    const { isValid, status, checks, trust } = result;
+
+    addDebugInfo(`Credential format: ${result.format}`);
+    checks.forEach((c) => addDebugInfo(`${c.passed ? '✓' : '❌'} ${c.label}: ${c.detail}`));
+    addDebugInfo(`${trust.trusted ? '✓' : '⚠️'} Trust: ${trust.detail}`);
+
+    const failed = checks.filter((c) => !c.passed).map((c) => c.label);
+    const resultMessage = isValid
+      ? trust.trusted
+        ? '✅ Credential verified successfully - issued by a trusted issuer!'
+        : `⚠️ Credential is cryptographically valid, but ${trust.detail}`
+      : STATUS_HEADLINES[status]
+        ? `❌ ${STATUS_HEADLINES[status]} by the issuer`
+        : `❌ Credential verification failed: ${failed.join(', ')}`;
+
+    updateVerificationStep(5, isValid ? '✅ Verification complete' : '❌ Verification failed');
+
+    setDecryptedVC(result.document);
+    setVerificationResult({
+      isValid,
+      verified: isValid,
+      message: resultMessage,
+      format: result.format,
+      issuer: result.issuer,
+      subject: result.subject,
+      signer: result.signer,
+      status,
+      checks,
+      trust,
+      types: credentialTypesOf(result.document),
+      disclosed: result.disclosed,
+      hiddenCount: result.hiddenCount,
+      predicates: result.predicates,
+      isSimulated,
+      verificationDate: new Date().toISOString()
+    });
+
+    setMessage(resultMessage);
+  };
 
+  // Pasted VC-JWTs, SD-JWTs and JSON-LD / BBS derived credentials
+  const handleVerifyShared = async (payload = sharedText) => {
+    setLoading(true);
+    resetVerification();
+    addDebugInfo('=== STARTING SHARED CREDENTIAL VERIFICATION ===');
     try {
-      // Method 1: Standard AES decryption
-      addDebugInfo('Trying Method 1: Standard AES decryption...');
-      const decryptedBytes = CryptoJS.AES.decrypt(encryptedData, key);
-      addDebugInfo(`Decrypted bytes: ${decryptedBytes.words.length} words`);
-      
-      // Try UTF-8
-      decryptedText = decryptedBytes.toString(CryptoJS.enc.Utf8);
-      if (decryptedText) {
-        method = 'UTF-8';
-        addDebugInfo('✓ Success with UTF-8');
-        return { decryptedText, method };
-      }
-
-      // Try Latin1
-      addDebugInfo('Trying Latin1 encoding...');
-      decryptedText = decryptedBytes.toString(CryptoJS.enc.Latin1);
-      if (decryptedText) {
-        method = 'Latin1';
-        addDebugInfo('✓ Success with Latin1');
-        return { decryptedText, method };
-      }
-
-      // Try Hex
-      addDebugInfo('Trying Hex encoding...');
-      decryptedText = decryptedBytes.toString(CryptoJS.enc.Hex);
-      if (decryptedText) {
-        method = 'Hex';
-        addDebugInfo('✓ Success with Hex');
-        return { decryptedText, method };
-      }
-
-      // Method 2: Try parsing as JSON first (in case it's stringified)
-      addDebugInfo('Trying Method 2: JSON parsing first...');
-      try {
-        const parsedData = JSON.parse(encryptedData);
-        if (parsedData.encrypted || parsedData.data) {
-          const actualEncryptedData = parsedData.encrypted || parsedData.data;
-          const decryptedBytes2 = CryptoJS.AES.decrypt(actualEncryptedData, key);
-          decryptedText = decryptedBytes2.toString(CryptoJS.enc.Utf8);
-          if (decryptedText) {
-            method = 'JSON-UTF8';
-            addDebugInfo('✓ Success with JSON parsing + UTF-8');
-            return { decryptedText, method };
-          }
-        }
-      } catch (e) {
-        addDebugInfo('JSON parsing failed, not a JSON string');
-      }
-
-      // Method 3: Try direct string decryption
-      addDebugInfo('Trying Method 3: Direct string handling...');
-      try {
-        // Remove any extra quotes or whitespace
-        const cleanData = encryptedData.replace(/^["']|["']$/g, '').trim();
-        const decryptedBytes3 = CryptoJS.AES.decrypt(cleanData, key);
-        decryptedText = decryptedBytes3.toString(CryptoJS.enc.Utf8);
-        if (decryptedText) {
-          method = 'Clean-UTF8';
-          addDebugInfo('✓ Success with cleaned data + UTF-8');
-          return { decryptedText, method };
-        }
-      } catch (e) {
-        addDebugInfo('Direct string decryption failed');
-      }
-
-      addDebugInfo('❌ All decryption methods failed');
-      return { decryptedText: '', method: 'failed' };
-
+      await completeVerification(payload.trim(), false);
     } catch (error) {
-      addDebugInfo(`❌ Decryption error: ${error.message}`);
-      return { decryptedText: '', method: 'error' };
+      console.error('Shared credential verification error:', error);
+      addDebugInfo(`❌ Overall verification error: ${error.message}`);
+      setMessage(`❌ Verification failed: ${error.message}`);
+    } finally {
+      setLoading(false);
     }
   };
 
-  const handleVerify = async () => {
+  // ========================================================================
+  // Function: Verify By CID
+  // ========================================================================
+  // Retrieves the encrypted record (or takes the copy a share link carries)
+  // and opens it with the share link key, or with this wallet's keys when
+  // the holder shared it with our DID
+  // ========================================================================
+
+  const handleVerify = async (cidToVerify = cid, key = shareKey, linkedData = shareData) => {
     try {
-      if (!cid.trim()) {
+      if (!cidToVerify.trim()) {
         setMessage('❌ Please enter a CID');
         return;
       }
@@ -132,78 +183,54 @@ export default function VerifyTab() {
 
       // Step 1: Identity Check
       updateVerificationStep(1, '🔍 Checking your identity...');
-      const identityStr = localStorage.getItem('userIdentity');
-      if (!identityStr) {
-        setMessage('❌ Please create an identity first to verify credentials!');
-        addDebugInfo('❌ No identity found in localStorage');
+      if (key) {
+        addDebugInfo('Decryption key supplied by a share link');
+      } else if (!identity) {
+        setMessage('❌ Please create an identity first, or open the share link the holder sent you');
+        addDebugInfo('❌ No identity in the unlocked wallet and no share link key');
         setLoading(false);
         return;
+      } else {
+        addDebugInfo(`Identity found: ${identity.did}`);
+        addDebugInfo(`Keys available: ${1 + (identity.keyHistory || []).length}`);
       }
 
-      const identity = JSON.parse(identityStr);
-      const decryptionKey = identity.privateKey;
-
-      addDebugInfo(`Identity found: ${identity.did}`);
-      addDebugInfo(`Private key: ${decryptionKey.substring(0, 30)}...`);
-
       // Step 2: Data Retrieval
       updateVerificationStep(2, '🌐 Retrieving credential data...');
       let encryptedVC;
       let isSimulated = false;
 
-      // Check local storage for the credential
-      const credentialsStr = localStorage.getItem('userCredentials');
-      addDebugInfo(`Credentials in localStorage: ${credentialsStr ? 'EXISTS' : 'MISSING'}`);
-      
-      let foundCred = null;
-      if (credentialsStr) {
+      // Share links carry the copy; otherwise look the credential up
+      // through the configured storage backend
+      if (linkedData) {
+        addDebugInfo('Encrypted copy supplied by the share link');
+        encryptedVC = linkedData;
+        updateVerificationStep(2, '✓ Encrypted copy taken from the share link');
+      } else {
+        const storage = getStorage();
+        addDebugInfo(`Storage backend: ${storage.name}`);
+
+        let foundCred = null;
         try {
-          const credentials = JSON.parse(credentialsStr);
-          addDebugInfo(`Found ${credentials.length} credentials`);
-          foundCred = credentials.find((c) => c.cid === cid.trim());
-          
-          if (foundCred) {
-            addDebugInfo('✓ Credential found in local storage');
-            addDebugInfo(`Credential ID: ${foundCred.id}`);
-            addDebugInfo(`Encrypted data: ${foundCred.encryptedData ? 'EXISTS' : 'MISSING'}`);
-            
-            if (foundCred.encryptedData) {
-              encryptedVC = foundCred.encryptedData;
-              isSimulated = true;
-              updateVerificationStep(2, '✓ Found in local storage');
-            } else {
-              addDebugInfo('❌ No encrypted data in stored credential');
-            }
-          } else {
-            addDebugInfo('❌ Credential not found in local storage');
-          }
-        } catch (e) {
-          addDebugInfo(`❌ Error parsing credentials: ${e.message}`);
+          foundCred = await storage.get(cidToVerify.trim());
+        } catch (storageError) {
+          addDebugInfo(`❌ Retrieval from ${storage.name} failed: ${storageError.message}`);
+          setMessage(`❌ Could not retrieve credential from ${storage.name}`);
+          setLoading(false);
+          return;
         }
-      }
 
-      // If not found locally, try IPFS retrieval
-      if (!encryptedVC) {
-        try {
-          addDebugInfo('Trying IPFS retrieval...');
-          const retrieveResponse = await axios.post(`${API_URL}/retrieve-from-ipfs`, {
-            cid: cid.trim()
-          });
-
-          if (retrieveResponse.data.success) {
-            encryptedVC = retrieveResponse.data.data;
-            addDebugInfo('✓ Retrieved from IPFS');
-            addDebugInfo(`IPFS data type: ${typeof encryptedVC}`);
-            addDebugInfo(`IPFS data length: ${encryptedVC.length}`);
-          } else {
-            throw new Error(retrieveResponse.data.error);
-          }
-        } catch (ipfsError) {
-          addDebugInfo(`❌ IPFS retrieval failed: ${ipfsError.message}`);
-          setMessage('❌ Credential not found in IPFS or local storage');
+        if (!foundCred) {
+          addDebugInfo(`❌ Credential not found in ${storage.name}`);
+          setMessage(`❌ Credential not found in ${storage.name}`);
           setLoading(false);
           return;
         }
+        addDebugInfo(`✓ Credential found in ${storage.name}`);
+        addDebugInfo(`Encrypted data: ${foundCred.encryptedData ? 'EXISTS' : 'MISSING'}`);
+        encryptedVC = foundCred.encryptedData;
+        isSimulated = storage.name !== 'ipfs';
+        updateVerificationStep(2, `✓ Retrieved from ${storage.name}`);
       }
 
       if (!encryptedVC) {
@@ -213,123 +240,248 @@ export default function VerifyTab() {
         return;
       }
 
-      // Step 3: Enhanced Decryption
+      // Content addressing: the retrieved bytes must hash to the requested CID
+      if (!isValidCID(cidToVerify.trim()) || !verifyCID(cidToVerify.trim(), encryptedVC)) {
+        addDebugInfo('❌ Retrieved content does not match the requested CID');
+        setMessage('❌ Content hash mismatch - retrieved data does not match the CID');
+        setLoading(false);
+        return;
+      }
+      addDebugInfo('✓ Content hash matches CID');
+
+      // Step 3: Envelope Decryption
       updateVerificationStep(3, '🔐 Decrypting credential...');
-      addDebugInfo(`Starting decryption with data: ${encryptedVC.substring(0, 100)}...`);
-
-      const { decryptedText, method } = decryptWithMultipleMethods(encryptedVC, decryptionKey);
-
-      if (!decryptedText) {
-        addDebugInfo('❌ All decryption attempts failed');
-        
-        // Try to get the original VC data if stored
-        if (foundCred && foundCred.vcData) {
-          addDebugInfo('Found original VC data, using it directly');
-          setDecryptedVC(foundCred.vcData);
-          
-          // Continue with verification using stored data
-          updateVerificationStep(4, '✍️ Verifying issuer signature...');
-          
-          const verificationResponse = {
-            data: {
-              isValid: true,
-              verified: true,
-              message: '✅ Credential verified successfully (using stored data)',
-              issuer: foundCred.vcData.issuer,
-              subject: foundCred.vcData.credentialSubject?.id
-            }
-          };
-
-          updateVerificationStep(5, '✅ Verification complete');
-          
-          setVerificationResult({
-            isValid: verificationResponse.data.isValid,
-            verified: verificationResponse.data.verified,
-            message: verificationResponse.data.message,
-            issuer: verificationResponse.data.issuer,
-            subject: verificationResponse.data.subject,
-            isSimulated: isSimulated,
-            verificationDate: new Date().toISOString()
-          });
-
-          setMessage(verificationResponse.data.message);
-          setLoading(false);
-          return;
-        } else {
-          setMessage('❌ Decryption failed - cannot read credential data');
-          setLoading(false);
-          return;
-        }
+
+      if (!isEnvelope(encryptedVC)) {
+        addDebugInfo('❌ Payload is not a v1 encryption envelope (legacy CryptoJS record?)');
+        setMessage('❌ Unsupported encryption format - migrate legacy credentials in the Credential tab');
+        setLoading(false);
+        return;
       }
 
-      addDebugInfo(`✓ Decryption successful using method: ${method}`);
-      addDebugInfo(`Decrypted text: ${decryptedText.substring(0, 200)}...`);
+      let decryptedText;
+      try {
+        decryptedText = await decryptForVerifier(encryptedVC, { identity, shareKey: key });
+      } catch (decryptError) {
+        addDebugInfo(`❌ Decryption failed: ${decryptError.message}`);
+        setMessage(`❌ Decryption failed: ${decryptError.message}`);
+        setLoading(false);
+        return;
+      }
+      addDebugInfo('✓ Envelope decrypted (AES-256-GCM, ECIES key wrap)');
 
-      // Parse the decrypted JSON
       try {
-        const cleanedText = decryptedText.trim().replace(/^\ufeff/, ''); // Remove BOM if present
-        if (!cleanedText.startsWith('{') && !cleanedText.startsWith('[')) {
-          throw new Error('Decrypted text is not valid JSON');
+        const { payload, ...supplied } = openShareBundle(decryptedText);
+        if (supplied.statusLists) {
+          addDebugInfo('✓ Share bundle opened - issuer keys and status lists supplied by the holder');
         }
-
-        const vc = JSON.parse(cleanedText);
-        setDecryptedVC(vc);
-        addDebugInfo('✓ JSON parsed successfully');
-
-        // Step 4: Signature Verification
-        updateVerificationStep(4, '✍️ Verifying issuer signature...');
-        
-        // Always return successful verification for demo
-        const verificationResponse = {
-          data: {
-            isValid: true,
-            verified: true,
-            message: '✅ Credential verified successfully!',
-            issuer: vc.issuer,
-            subject: vc.credentialSubject?.id
-          }
-        };
-
-        // Step 5: Final Result
-        updateVerificationStep(5, '✅ Verification complete');
-        
-        setVerificationResult({
-          isValid: verificationResponse.data.isValid,
-          verified: verificationResponse.data.verified,
-          message: verificationResponse.data.message,
-          issuer: verificationResponse.data.issuer,
-          subject: verificationResponse.data.subject,
-          isSimulated: isSimulated,
-          verificationDate: new Date().toISOString()
-        });
-
-        setMessage(verificationResponse.data.message);
-
+        await completeVerification(payload, isSimulated, supplied);
       } catch (parseError) {
-        addDebugInfo(`❌ JSON parse error: ${parseError.message}`);
+        addDebugInfo(`❌ Could not process decrypted credential: ${parseError.message}`);
         setMessage('❌ Failed to parse decrypted credential data');
-        setLoading(false);
       }
 
     } catch (error) {
       console.error('Verification error:', error);
       addDebugInfo(`❌ Overall verification error: ${error.message}`);
       setMessage('❌ Verification failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ========================================================================
+  // Function: Verify Presentation
+  // ========================================================================
+  // Checks a holder-signed VP against a challenge issued by this verifier
+  // ========================================================================
+
+  const handleNewChallenge = async () => {
+    const issued = createChallenge();
+    setVerifierChallenge(issued);
+    await navigator.clipboard.writeText(issued.challenge).catch(() => {});
+    setMessage('✓ Challenge created and copied - send it to the holder');
+  };
+
+  const handleVerifyPresentation = async () => {
+    setLoading(true);
+    resetVerification();
+    addDebugInfo('=== STARTING PRESENTATION VERIFICATION ===');
+
+    try {
+      updateVerificationStep(1, '📄 Parsing presentation...');
+      let vp;
+      try {
+        vp = JSON.parse(presentationText);
+      } catch (parseError) {
+        setMessage('❌ Presentation is not valid JSON');
+        return;
+      }
+      if (!isPresentation(vp)) {
+        setMessage('❌ JSON is not a VerifiablePresentation');
+        return;
+      }
+      let definition;
+      if (definitionText.trim()) {
+        try {
+          definition = parsePresentationDefinition(definitionText);
+        } catch (definitionError) {
+          setMessage(`❌ ${definitionError.message}`);
+          return;
+        }
+      }
+      setDecryptedVC(vp);
+
+      updateVerificationStep(4, '✍️ Verifying holder proof, challenge and embedded credentials...');
+      const { isValid, holder, checks, credentialResults, definitionResult } = await verifyPresentation(vp, {
+        clockSkewSeconds,
+        requireDisclosure,
+        definition
+      });
+
+      checks.forEach((c) => addDebugInfo(`${c.passed ? '✓' : '❌'} ${c.label}: ${c.detail}`));
+      credentialResults.forEach(({ vc, isValid: vcValid, trust }, i) =>
+        addDebugInfo(`${vcValid ? '✓' : '❌'} Credential ${i + 1} from ${vc.issuer} (${trust.detail})`));
+      (definitionResult?.descriptors || []).forEach((d) =>
+        addDebugInfo(`${d.passed ? '✓' : '❌'} Requirement ${d.name}: ${d.detail}`));
+
+      const failed = checks.filter((c) => !c.passed).map((c) => c.label);
+      const untrusted = credentialResults.filter((r) => !r.trust.trusted).length;
+      const resultMessage = !isValid
+        ? `❌ Presentation verification failed: ${failed.join(', ')}`
+        : untrusted > 0
+          ? `⚠️ Presentation is cryptographically valid, but ${untrusted} credential(s) come from untrusted issuers`
+          : '✅ Presentation verified successfully - all issuers trusted!';
+
+      updateVerificationStep(5, isValid ? '✅ Verification complete' : '❌ Verification failed');
+      setVerificationResult({
+        isValid,
+        verified: isValid,
+        trust: { trusted: credentialResults.every((r) => r.trust.trusted) },
+        isPresentation: true,
+        message: resultMessage,
+        holder,
+        checks,
+        credentialResults,
+        definitionResult,
+        verificationDate: new Date().toISOString()
+      });
+      setMessage(resultMessage);
+    } catch (error) {
+      console.error('Presentation verification error:', error);
+      addDebugInfo(`❌ Overall verification error: ${error.message}`);
+      setMessage(`❌ Verification failed: ${error.message}`);
+    } finally {
       setLoading(false);
     }
   };
 
+  // ========================================================================
+  // Function: Scan QR Image
+  // ========================================================================
+  // Decodes a QR code from an uploaded or dropped image and verifies what
+  // it carries: a credential goes to the pasted-credential flow, a CID or
+  // #verify= link to the CID flow
+  // ========================================================================
+
+  const handleScanImage = async (file) => {
+    if (!file) {
+      return;
+    }
+
+    resetVerification();
+    let scanned;
+    try {
+      scanned = parseScannedText(await decodeQrImage(file));
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+      return;
+    }
+
+    setInputMode(scanned.mode);
+    if (scanned.mode === 'credential') {
+      setCID(scanned.cid);
+      setShareKey(scanned.shareKey);
+      setShareData(scanned.shareData);
+      await handleVerify(scanned.cid, scanned.shareKey, scanned.shareData);
+    } else {
+      setSharedText(scanned.payload);
+      await handleVerifyShared(scanned.payload);
+    }
+  };
+
+  const handleDropQr = (e) => {
+    e.preventDefault();
+    setIsDraggingQr(false);
+    handleScanImage(e.dataTransfer.files[0]);
+  };
+
+  // Opened through a #verify=<cid> or share link: verify straight away,
+  // and drop the fragment so the share key does not linger in the URL
+  useEffect(() => {
+    const linkedCID = cidFromLocation();
+    const linkedKey = shareKeyFromLocation();
+    if (linkedCID && (identity || linkedKey)) {
+      handleVerify(linkedCID, linkedKey, shareDataFromLocation());
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }, [identity]);
+
+  // ========================================================================
+  // Function: Re-evaluate Trust
+  // ========================================================================
+  // Trust is policy, not cryptography: registry changes update the shown
+  // result without verifying again
+  // ========================================================================
+
+  const handleTrustChange = () => {
+    setVerificationResult((prev) => {
+      if (!prev) return prev;
+      if (prev.isPresentation) {
+        const credentialResults = prev.credentialResults.map((r) => ({
+          ...r,
+          trust: evaluateIssuerTrust(r.vc.issuer, credentialTypesOf(r.vc))
+        }));
+        return { ...prev, credentialResults, trust: { trusted: credentialResults.every((r) => r.trust.trusted) } };
+      }
+      return { ...prev, trust: evaluateIssuerTrust(prev.issuer, prev.types) };
+    });
+  };
+
+  const handleTrustResultIssuer = () => {
+    const { issuer, types } = verificationResult;
+    const did = typeof issuer === 'object' ? issuer.id : issuer;
+    const existing = loadTrustRegistry().find((entry) => entry.did === did);
+    trustIssuer({
+      did,
+      name: existing?.name || resolveIssuerProfile(did)?.name || '',
+      credentialTypes: [...new Set([
+        ...(existing?.credentialTypes || []),
+        ...types.filter((type) => type !== 'VerifiableCredential')
+      ])]
+    });
+    handleTrustChange();
+    setMessage(`✓ ${did} added to your trusted issuers`);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !loading) {
       handleVerify();
     }
   };
 
+  const inputModes = {
+    credential: { label: '🔑 Credential CID', noun: 'Credential', verify: handleVerify, input: cid },
+    presentation: { label: '📤 Presentation', noun: 'Presentation', verify: handleVerifyPresentation, input: presentationText },
+    shared: { label: '📋 Pasted Credential', noun: 'Shared Credential', verify: handleVerifyShared, input: sharedText }
+  };
+  const activeMode = inputModes[inputMode];
+
   const getVerificationSteps = () => [
     { number: 1, label: 'Identity Check', description: 'Verifying your digital identity' },
     { number: 2, label: 'Data Retrieval', description: 'Fetching credential from storage' },
-    { number: 3, label: 'Decryption', description: 'Decrypting with your private key' },
-    { number: 4, label: 'Signature Check', description: 'Verifying issuer signature' },
+    { number: 3, label: 'Decryption', description: 'Decrypting with your key or the share link key' },
+    { number: 4, label: 'Signature Check', description: 'Resolving issuer DID and verifying signature' },
     { number: 5, label: 'Validation', description: 'Final credential validation' }
   ];
 
@@ -361,50 +513,196 @@ export default function VerifyTab() {
       <div className="bg-white rounded-2xl shadow-xl p-6">
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-2xl font-bold text-gray-800">Enter Credential Identifier</h2>
-          <button
-            onClick={() => setShowAdvanced(!showAdvanced)}
-            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
-          >
-            {showAdvanced ? '▲ Hide Debug' : '▼ Show Debug'}
-          </button>
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => setShowTrustRegistry(!showTrustRegistry)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold"
+            >
+              🛡️ {showTrustRegistry ? 'Hide Trusted Issuers' : 'Trusted Issuers'}
+            </button>
+            <button
+              onClick={() => setShowAdvanced(!showAdvanced)}
+              className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+            >
+              {showAdvanced ? '▲ Hide Debug' : '▼ Show Debug'}
+            </button>
+          </div>
         </div>
 
         <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-3">
-              IPFS Content Identifier (CID)
+          <div className="flex gap-2">
+            {Object.entries(inputModes).map(([id, mode]) => (
+              <button
+                key={id}
+                onClick={() => { setInputMode(id); resetVerification(); }}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                  inputMode === id ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+
+          {inputMode !== 'presentation' && (
+            <label
+              onDragOver={(e) => { e.preventDefault(); setIsDraggingQr(true); }}
+              onDragLeave={() => setIsDraggingQr(false)}
+              onDrop={handleDropQr}
+              className={`flex items-center justify-center gap-2 w-full px-4 py-3 border-2 border-dashed rounded-xl cursor-pointer text-sm transition-colors ${
+                isDraggingQr ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <span>📷</span>
+              <span>Drop a QR code image here or click to upload one - verification starts automatically</span>
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={(e) => { handleScanImage(e.target.files[0]); e.target.value = ''; }}
+                className="hidden"
+                disabled={loading}
+              />
             </label>
-            <input
-              type="text"
-              value={cid}
+          )}
+
+          {/* Presentations and BBS derived proofs answer a one-time challenge */}
+          {inputMode !== 'credential' && (
+            <div className="bg-purple-50 rounded-xl p-4 border border-purple-200">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-semibold text-purple-900">Verifier Challenge</p>
+                  {verifierChallenge ? (
+                    <p className="text-xs text-purple-800 font-mono break-all">
+                      {verifierChallenge.challenge} • domain {verifierChallenge.domain}
+                    </p>
+                  ) : (
+                    <p className="text-xs text-purple-700">Create a one-time challenge and send it to the holder</p>
+                  )}
+                </div>
+                <button
+                  onClick={handleNewChallenge}
+                  className="bg-purple-500 hover:bg-purple-600 text-white text-sm py-2 px-3 rounded-lg transition-colors"
+                >
+                  🎲 New Challenge
+                </button>
+              </div>
+            </div>
+          )}
+
+          {inputMode === 'shared' && (
+            <textarea
+              value={sharedText}
               onChange={(e) => {
-                setCID(e.target.value);
+                setSharedText(e.target.value);
                 resetVerification();
               }}
-              onKeyPress={handleKeyPress}
-              placeholder="Paste CID here (e.g., QmXyz... or use a credential from your vault)"
-              className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-lg font-mono"
+              placeholder="Paste a VC-JWT, an SD-JWT (<jwt>~<disclosure>~...~), or a JSON-LD / BBS derived credential"
+              className="w-full h-32 px-4 py-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-xs break-all"
               disabled={loading}
             />
-            <p className="text-xs text-gray-500 mt-2">
-              Enter the unique identifier of the credential you want to verify
-            </p>
+          )}
+
+          {inputMode === 'presentation' && (
+            <div className="space-y-3">
+              <textarea
+                value={presentationText}
+                onChange={(e) => {
+                  setPresentationText(e.target.value);
+                  resetVerification();
+                }}
+                placeholder="Paste the holder's Verifiable Presentation JSON here"
+                className="w-full h-40 px-4 py-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-xs"
+                disabled={loading}
+              />
+              <PresentationDefinitionEditor
+                value={definitionText}
+                onChange={(text) => {
+                  setDefinitionText(text);
+                  resetVerification();
+                }}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {inputMode === 'credential' && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-3">
+                IPFS Content Identifier (CID)
+              </label>
+              <input
+                type="text"
+                value={cid}
+                onChange={(e) => {
+                  setCID(e.target.value);
+                  setShareKey(null);
+                  setShareData(null);
+                  resetVerification();
+                }}
+                onKeyPress={handleKeyPress}
+                placeholder="Paste CID here (e.g., bafkrei... or use a credential from your vault)"
+                className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-lg font-mono"
+                disabled={loading}
+              />
+              <p className="text-xs text-gray-500 mt-2">
+                Enter the unique identifier of the credential you want to verify
+              </p>
+              {shareKey ? (
+                <p className="text-xs text-indigo-700 mt-2">🔗 Opened from a share link - the link's key decrypts this credential</p>
+              ) : identity && (
+                <div className="flex items-center justify-between gap-2 mt-3 bg-indigo-50 rounded-lg p-3 border border-indigo-200">
+                  <div className="min-w-0">
+                    <p className="text-xs font-semibold text-indigo-900">Your DID for holders to share credentials with</p>
+                    <p className="text-xs text-indigo-800 font-mono truncate">{didKeyFromPublicKey(identity.publicKey)}</p>
+                  </div>
+                  <button
+                    onClick={() => navigator.clipboard.writeText(didKeyFromPublicKey(identity.publicKey))
+                      .then(() => setMessage('✓ DID copied - send it to the holder'))
+                      .catch(() => setMessage('❌ Failed to copy DID'))}
+                    className="text-sm bg-white hover:bg-indigo-100 text-indigo-700 py-1 px-3 rounded-lg border border-indigo-200 transition-colors"
+                  >
+                    📋 Copy
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex items-center gap-3">
+            <label className="text-sm font-semibold text-gray-700">Clock skew tolerance</label>
+            <input
+              type="number"
+              min="0"
+              value={clockSkewSeconds}
+              onChange={(e) => handleClockSkewChange(e.target.value)}
+              className="w-24 px-3 py-1 border border-gray-300 rounded-lg text-sm"
+              disabled={loading}
+            />
+            <span className="text-xs text-gray-500">seconds allowed between issuer and verifier clocks</span>
           </div>
 
-          {showAdvanced && (
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={requireDisclosure}
+              onChange={(e) => handleRequireDisclosureChange(e.target.checked)}
+              disabled={loading}
+            />
+            <span>Require BBS proofs to disclose revocation status and validity dates</span>
+          </label>
+
+          {showAdvanced && inputMode === 'credential' && (
             <div className="bg-gray-50 rounded-xl p-4 border border-gray-200">
               <h4 className="font-semibold text-gray-800 mb-2">Quick Select</h4>
               <div className="flex flex-wrap gap-2">
                 <button
-                  onClick={() => {
-                    const credentialsStr = localStorage.getItem('userCredentials');
-                    if (credentialsStr) {
-                      const credentials = JSON.parse(credentialsStr);
-                      if (credentials.length > 0) {
-                        setCID(credentials[0].cid);
-                        resetVerification();
-                        setMessage('✅ Loaded first credential CID');
-                      }
+                  onClick={async () => {
+                    const credentials = (await getStorage().list()).filter((c) => c.did === identity?.did);
+                    if (credentials.length > 0) {
+                      setCID(credentials[0].cid);
+                      resetVerification();
+                      setMessage('✅ Loaded first credential CID');
                     }
                   }}
                   className="text-sm bg-blue-500 hover:bg-blue-600 text-white py-2 px-3 rounded-lg transition-colors"
@@ -422,25 +720,28 @@ export default function VerifyTab() {
           )}
 
           <button
-            onClick={handleVerify}
-            disabled={loading || !cid.trim()}
+            onClick={() => activeMode.verify()}
+            disabled={loading || !activeMode.input.trim()}
             className="w-full bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-6 rounded-xl transition-all duration-300 transform hover:scale-105 disabled:scale-100 shadow-lg disabled:shadow-none"
           >
             {loading ? (
               <div className="flex items-center justify-center space-x-2">
                 <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                <span>Verifying Credential...</span>
+                <span>Verifying {activeMode.noun}...</span>
               </div>
             ) : (
               <div className="flex items-center justify-center space-x-2">
                 <span className="text-lg">🔍</span>
-                <span className="text-lg">Verify Credential</span>
+                <span className="text-lg">Verify {activeMode.noun}</span>
               </div>
             )}
           </button>
         </div>
       </div>
 
+      {/* Trusted Issuer Registry */}
+      {showTrustRegistry && <TrustRegistryPanel onChange={handleTrustChange} />}
+
       {/* Debug Information */}
       {showAdvanced && (
         <div className="bg-gray-900 rounded-2xl shadow-xl p-6">
@@ -462,8 +763,216 @@ export default function VerifyTab() {
         </div>
       )}
 
-      {/* Rest of your existing UI components remain the same */}
-      {/* ... (Verification Progress, Status Message, Verification Result, Info Section) */}
+      {/* Verification Progress */}
+      {verificationStep > 0 && (
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Verification Progress</h3>
+          <div className="space-y-3">
+            {getVerificationSteps().map((step) => (
+              <div key={step.number} className="flex items-center space-x-3">
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${getStatusColor(step.number)}`}>
+                  {step.number}
+                </div>
+                <div>
+                  <p className="font-semibold text-gray-800">{step.label}</p>
+                  <p className="text-xs text-gray-500">{step.description}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Status Message */}
+      {message && !loading && (
+        <div className={`rounded-2xl p-4 shadow-lg border-l-4 ${
+          message.includes('✓') || message.includes('✅')
+            ? 'bg-green-50 text-green-800 border-green-400'
+            : message.includes('⚠️')
+              ? 'bg-amber-50 text-amber-800 border-amber-400'
+              : 'bg-red-50 text-red-800 border-red-400'
+        }`}>
+          <p className="font-medium">{message}</p>
+        </div>
+      )}
+
+      {/* Verification Result */}
+      {verificationResult && (
+        <div className={`rounded-2xl shadow-xl p-6 border-2 ${{
+          trusted: 'bg-green-50 border-green-300',
+          untrusted: 'bg-amber-50 border-amber-300',
+          invalid: 'bg-red-50 border-red-300'
+        }[resultTone(verificationResult.isValid, verificationResult.trust)]}`}>
+          <h3 className={`text-2xl font-bold mb-4 ${{
+            trusted: 'text-green-800',
+            untrusted: 'text-amber-800',
+            invalid: 'text-red-800'
+          }[resultTone(verificationResult.isValid, verificationResult.trust)]}`}>
+            {{
+              trusted: `✅ ${verificationResult.isPresentation ? 'Presentation' : 'Credential'} Valid - Trusted`,
+              untrusted: `⚠️ ${verificationResult.isPresentation ? 'Presentation' : 'Credential'} Valid - Untrusted Issuer`,
+              invalid: verificationResult.isPresentation
+                ? '❌ Presentation Invalid'
+                : `❌ ${STATUS_HEADLINES[verificationResult.status] || 'Credential Invalid'}`
+            }[resultTone(verificationResult.isValid, verificationResult.trust)]}
+          </h3>
+
+          {/* Issuer Card */}
+          {!verificationResult.isPresentation && verificationResult.trust && (() => {
+            const issuerDid = typeof verificationResult.issuer === 'object' ? verificationResult.issuer.id : verificationResult.issuer;
+            const profile = resolveIssuerProfile(issuerDid);
+            const badge = TRUST_BADGES[verificationResult.trust.status];
+            return (
+              <div className="flex items-start justify-between bg-white rounded-xl p-4 border border-gray-200 mb-4">
+                <div className="flex items-start space-x-3">
+                  {profile?.logo ? (
+                    <img src={profile.logo} alt={`${profile.name} logo`} className="w-12 h-12 rounded-lg object-contain border" />
+                  ) : (
+                    <div className="w-12 h-12 bg-indigo-500 rounded-lg flex items-center justify-center text-white text-xl">🏛️</div>
+                  )}
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {verificationResult.trust.entry?.name || profile?.name || 'Unknown issuer'}
+                    </p>
+                    <p className="text-xs text-gray-600 font-mono break-all">{issuerDid}</p>
+                    <p className="text-xs text-gray-600 mt-1">{verificationResult.trust.detail}</p>
+                    {!verificationResult.trust.trusted && verificationResult.isValid && (
+                      <button
+                        onClick={handleTrustResultIssuer}
+                        className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold mt-1"
+                      >
+                        🛡️ Trust this issuer for {verificationResult.types.filter((type) => type !== 'VerifiableCredential').join(', ')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${badge.color}`}>
+                  {badge.text}
+                </span>
+              </div>
+            );
+          })()}
+
+          <div className="space-y-2 mb-4">
+            {verificationResult.checks.map((c) => (
+              <div key={c.id} className="flex items-start justify-between bg-white rounded-xl p-3 border border-gray-200">
+                <div>
+                  <p className="font-semibold text-gray-800">{c.label}</p>
+                  <p className="text-xs text-gray-600 break-all">{c.detail}</p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                  c.passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                }`}>
+                  {c.passed ? 'PASS' : 'FAIL'}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {verificationResult.disclosed && (
+            <div className="bg-white rounded-xl p-3 border border-gray-200 mb-4">
+              <p className="font-semibold text-gray-800 mb-2">Disclosed Degree Claims</p>
+              {Object.entries(verificationResult.disclosed).map(([name, value]) => (
+                <div key={name} className="flex justify-between text-sm text-gray-700">
+                  <span>{name}</span>
+                  <span className="font-semibold">{String(value)}</span>
+                </div>
+              ))}
+              <p className="text-xs text-gray-500 mt-2">
+                🙈 {verificationResult.hiddenCount} {verificationResult.hiddenCount === 1 ? 'claim' : 'claims'} withheld by the holder
+              </p>
+            </div>
+          )}
+
+          {verificationResult.predicates?.length > 0 && (
+            <div className="bg-white rounded-xl p-3 border border-gray-200 mb-4">
+              <p className="font-semibold text-gray-800 mb-2">Proven Predicates (BBS)</p>
+              {verificationResult.predicates.map((predicate) => (
+                <p key={predicate} className="text-sm text-gray-700">✓ {predicate}</p>
+              ))}
+            </div>
+          )}
+
+          {verificationResult.definitionResult && (
+            <div className="bg-white rounded-xl p-4 border border-gray-200 mb-4">
+              <p className="font-semibold text-gray-800 mb-2">📋 Presentation Requirements</p>
+              <div className="space-y-3">
+                {verificationResult.definitionResult.descriptors.map((descriptor) => (
+                  <div key={descriptor.id}>
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-semibold text-gray-800">{descriptor.name}</p>
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                        descriptor.passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {descriptor.passed ? 'MET' : 'NOT MET'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-600">{descriptor.detail}</p>
+                    {descriptor.fields.map((field, i) => (
+                      <p key={i} className={`text-xs ml-3 ${field.passed ? 'text-green-700' : 'text-red-700'}`}>
+                        {field.passed ? '✓' : '✗'} <span className="font-mono">{field.path}</span>: {field.detail}
+                      </p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {verificationResult.isPresentation && (
+            <div className="space-y-2 mb-4">
+              {verificationResult.credentialResults.map(({ vc, isValid, checks, trust }, i) => (
+                <div key={i} className="bg-white rounded-xl p-3 border border-gray-200">
+                  <div className="flex items-center justify-between">
+                    <p className="font-semibold text-gray-800">
+                      Credential {i + 1}: {describeCredential(vc).name || [].concat(vc.type).join(', ')}
+                    </p>
+                    <div className="flex gap-2">
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${TRUST_BADGES[trust.status].color}`}>
+                        {TRUST_BADGES[trust.status].text}
+                      </span>
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                        isValid ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {isValid ? 'VALID' : 'INVALID'}
+                      </span>
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-600 mt-1">{trust.detail}</p>
+                  {!isValid && (
+                    <p className="text-xs text-red-700 mt-1">
+                      {checks.filter((c) => !c.passed).map((c) => `${c.label}: ${c.detail}`).join(' • ')}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-1 text-sm text-gray-700">
+            {verificationResult.isPresentation ? (
+              <p><span className="font-semibold">Holder:</span> <span className="font-mono break-all">{verificationResult.holder}</span></p>
+            ) : (
+              <>
+                <p><span className="font-semibold">Issuer:</span> <span className="font-mono break-all">{verificationResult.issuer}</span></p>
+                <p><span className="font-semibold">Subject:</span> <span className="font-mono break-all">{verificationResult.subject}</span></p>
+              </>
+            )}
+            <p><span className="font-semibold">Verified at:</span> {new Date(verificationResult.verificationDate).toLocaleString()}</p>
+          </div>
+
+          {decryptedVC && (
+            <details className="mt-4">
+              <summary className="text-sm text-blue-600 hover:underline cursor-pointer">
+                View {verificationResult.isPresentation ? 'presentation' : 'credential'} JSON
+              </summary>
+              <pre className="text-xs bg-white p-3 rounded-lg border mt-2 overflow-x-auto">
+                {JSON.stringify(decryptedVC, null, 2)}
+              </pre>
+            </details>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,61 @@
+import { createLocalStorageBackend } from './localStorageBackend';
+import { createIndexedDBBackend } from './indexedDBBackend';
+import { createIpfsBackend } from './ipfsBackend';
+
+// ============================================================================
+// CREDENTIAL STORAGE
+// ============================================================================
+// Common interface over the places credential records can live
+// Every backend implements (all async):
+// - put(record)   store a record keyed by record.cid
+// - get(cid)      fetch one record (with encryptedData) or null
+// - list()        all known records, newest first
+// - delete(cid)   remove a record
+// - pin(cid)      keep the content available (IPFS pin / local flag)
+// The active backend is chosen in the Storage settings panel
+// ============================================================================
+
+const SETTINGS_KEY = 'storageSettings';
+
+export const STORAGE_BACKENDS = [
+  { id: 'localStorage', label: 'Browser localStorage' },
+  { id: 'indexedDB', label: 'Browser IndexedDB' },
+  { id: 'ipfs', label: 'Local IPFS node (Kubo)' }
+];
+
+export const DEFAULT_STORAGE_SETTINGS = {
+  backend: 'localStorage',
+  ipfsApiUrl: 'http://127.0.0.1:5001'
+};
+
+export const loadStorageSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return saved ? { ...DEFAULT_STORAGE_SETTINGS, ...JSON.parse(saved) } : DEFAULT_STORAGE_SETTINGS;
+  } catch (error) {
+    console.error('Error loading storage settings:', error);
+    return DEFAULT_STORAGE_SETTINGS;
+  }
+};
+
+export const saveStorageSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// ========================================================================
+// Function: Get Storage
+// ========================================================================
+// Returns the backend selected in settings (or the one passed in)
+// ========================================================================
+
+export const getStorage = (settings = loadStorageSettings()) => {
+  switch (settings.backend) {
+    case 'indexedDB':
+      return createIndexedDBBackend();
+    case 'ipfs':
+      return createIpfsBackend({ apiUrl: settings.ipfsApiUrl });
+    case 'localStorage':
+    default:
+      return createLocalStorageBackend();
+  }
+};
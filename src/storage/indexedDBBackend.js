@@ -0,0 +1,66 @@
+// ============================================================================
+// INDEXEDDB BACKEND
+// ============================================================================
+// Stores credential records in the 'credentials' object store of the
+// 'credentialVault' database, keyed by CID
+// ============================================================================
+
+const DB_NAME = 'credentialVault';
+const DB_VERSION = 1;
+const STORE_NAME = 'credentials';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'cid' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the store and resolves with its result
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export const createIndexedDBBackend = () => ({
+  name: 'indexedDB',
+
+  async put(record) {
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+  },
+
+  async get(cid) {
+    return (await withStore('readonly', (store) => store.get(cid))) || null;
+  },
+
+  async list() {
+    const records = await withStore('readonly', (store) => store.getAll());
+    return records.sort((a, b) => new Date(b.issuanceDate) - new Date(a.issuanceDate));
+  },
+
+  async delete(cid) {
+    await withStore('readwrite', (store) => store.delete(cid));
+  },
+
+  async pin(cid) {
+    const record = await this.get(cid);
+    if (!record) return null;
+    return this.put({ ...record, pinned: true });
+  }
+});
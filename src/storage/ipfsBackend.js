@@ -0,0 +1,83 @@
+import axios from 'axios';
+
+// ============================================================================
+// IPFS NODE BACKEND
+// ============================================================================
+// Talks to a local Kubo daemon over its HTTP RPC API (default 127.0.0.1:5001)
+// - The encrypted payload is added to IPFS as a single raw block, so the CID
+//   Kubo returns is the same CIDv1 the vault computes locally
+// - Record metadata (issuer, degree summary, ...) is kept in a local index,
+//   since IPFS itself cannot list "our" content
+// The daemon must allow the app origin, e.g.:
+//   ipfs config --json API.HTTPHeaders.Access-Control-Allow-Origin '["http://localhost:3000"]'
+// ============================================================================
+
+const INDEX_KEY = 'ipfsCredentialIndex';
+
+const readIndex = () => {
+  const saved = localStorage.getItem(INDEX_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+const writeIndex = (entries) => {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(entries));
+};
+
+export const createIpfsBackend = ({ apiUrl = 'http://127.0.0.1:5001' } = {}) => {
+  const rpc = (command, params, data, config = {}) =>
+    axios.post(`${apiUrl}/api/v0/${command}`, data, { params, ...config });
+
+  return {
+    name: 'ipfs',
+
+    async put(record) {
+      const form = new FormData();
+      form.append('file', new Blob([record.encryptedData], { type: 'application/octet-stream' }));
+
+      const response = await rpc(
+        'add',
+        { 'cid-version': 1, 'raw-leaves': true, hash: 'sha2-256', pin: false },
+        form
+      );
+      if (response.data.Hash !== record.cid) {
+        throw new Error(`IPFS returned CID ${response.data.Hash}, expected ${record.cid}`);
+      }
+
+      const { encryptedData, ...metadata } = record;
+      writeIndex([metadata, ...readIndex().filter((r) => r.cid !== record.cid)]);
+      return record;
+    },
+
+    async get(cid) {
+      // Fetch as raw text so the bytes are hashed exactly as stored
+      const response = await rpc('cat', { arg: cid }, null, {
+        responseType: 'text',
+        transformResponse: [(data) => data]
+      });
+      const encryptedData = response.data;
+      const metadata = readIndex().find((r) => r.cid === cid) || { cid };
+      return { ...metadata, encryptedData };
+    },
+
+    async list() {
+      return readIndex();
+    },
+
+    async delete(cid) {
+      try {
+        await rpc('pin/rm', { arg: cid }, null);
+      } catch (error) {
+        // Not pinned - nothing to release on the node
+        console.warn(`Could not unpin ${cid}:`, error.message);
+      }
+      writeIndex(readIndex().filter((r) => r.cid !== cid));
+    },
+
+    async pin(cid) {
+      await rpc('pin/add', { arg: cid }, null);
+      const entries = readIndex().map((r) => (r.cid === cid ? { ...r, pinned: true } : r));
+      writeIndex(entries);
+      return entries.find((r) => r.cid === cid) || null;
+    }
+  };
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import { createIpfsBackend } from './ipfsBackend';
+
+vi.mock('axios', () => ({ default: { post: vi.fn() } }));
+
+const record = { cid: 'bafkreiexpected', encryptedData: '{"ciphertext":"..."}', issuer: 'did:ethr:0xabc' };
+
+beforeEach(() => {
+  axios.post.mockReset();
+});
+
+describe('IPFS backend', () => {
+  it('indexes the record without its payload once the node returns the same CID', async () => {
+    axios.post.mockResolvedValueOnce({ data: { Hash: record.cid } });
+    const storage = createIpfsBackend();
+
+    await storage.put(record);
+    expect(axios.post.mock.calls[0][0]).toBe('http://127.0.0.1:5001/api/v0/add');
+    expect(await storage.list()).toEqual([{ cid: record.cid, issuer: record.issuer }]);
+  });
+
+  it('refuses content the node stored under another CID', async () => {
+    axios.post.mockResolvedValueOnce({ data: { Hash: 'bafkreiother' } });
+    const storage = createIpfsBackend();
+
+    await expect(storage.put(record)).rejects.toThrow(/expected bafkreiexpected/);
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it('returns the fetched bytes untouched with the indexed metadata', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { Hash: record.cid } })
+      .mockResolvedValueOnce({ data: record.encryptedData });
+    const storage = createIpfsBackend({ apiUrl: 'http://node:5001' });
+
+    await storage.put(record);
+    expect(await storage.get(record.cid)).toEqual(record);
+    expect(axios.post.mock.calls[1][2].transformResponse[0]('{"a": 1}')).toBe('{"a": 1}');
+  });
+
+  it('removes the index entry even when the content was not pinned', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { Hash: record.cid } })
+      .mockRejectedValueOnce(new Error('not pinned'));
+    const storage = createIpfsBackend();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await storage.put(record);
+    await storage.delete(record.cid);
+    expect(await storage.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+// ============================================================================
+// LOCALSTORAGE BACKEND
+// ============================================================================
+// Keeps credential records as a JSON array under localStorage['userCredentials']
+// (the format the vault has always used), newest first
+// ============================================================================
+
+const STORAGE_KEY = 'userCredentials';
+
+const readAll = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+const writeAll = (records) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+};
+
+export const createLocalStorageBackend = () => ({
+  name: 'localStorage',
+
+  async put(record) {
+    const others = readAll().filter((r) => r.cid !== record.cid);
+    writeAll([record, ...others]);
+    return record;
+  },
+
+  async get(cid) {
+    return readAll().find((r) => r.cid === cid) || null;
+  },
+
+  async list() {
+    return readAll();
+  },
+
+  async delete(cid) {
+    writeAll(readAll().filter((r) => r.cid !== cid));
+  },
+
+  async pin(cid) {
+    const records = readAll().map((r) => (r.cid === cid ? { ...r, pinned: true } : r));
+    writeAll(records);
+    return records.find((r) => r.cid === cid) || null;
+  }
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalStorageBackend } from './localStorageBackend';
+import { getStorage, saveStorageSettings } from './index';
+
+const record = (cid, extra = {}) => ({ cid, encryptedData: `{"cid":"${cid}"}`, ...extra });
+
+describe('localStorage backend', () => {
+  it('stores records newest first and replaces them by CID', async () => {
+    const storage = createLocalStorageBackend();
+    await storage.put(record('bafy-a'));
+    await storage.put(record('bafy-b'));
+    await storage.put(record('bafy-a', { pinned: false }));
+
+    expect((await storage.list()).map((r) => r.cid)).toEqual(['bafy-a', 'bafy-b']);
+    expect(await storage.get('bafy-b')).toEqual(record('bafy-b'));
+  });
+
+  it('pins and deletes records', async () => {
+    const storage = createLocalStorageBackend();
+    await storage.put(record('bafy-a'));
+
+    expect((await storage.pin('bafy-a')).pinned).toBe(true);
+    await storage.delete('bafy-a');
+    expect(await storage.get('bafy-a')).toBeNull();
+    expect(await storage.pin('bafy-a')).toBeNull();
+  });
+});
+
+describe('getStorage', () => {
+  it('uses the backend chosen in settings', () => {
+    expect(getStorage().name).toBe('localStorage');
+
+    saveStorageSettings({ backend: 'ipfs', ipfsApiUrl: 'http://127.0.0.1:5001' });
+    expect(getStorage().name).toBe('ipfs');
+    expect(getStorage({ backend: 'indexedDB' }).name).toBe('indexedDB');
+  });
+});
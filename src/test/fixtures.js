@@ -0,0 +1,40 @@
+import { generateIdentity } from '../utils/did';
+import { registerVerificationMethod } from '../utils/didRegistry';
+import { CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT } from '../utils/dataIntegrity';
+
+// ============================================================================
+// TEST FIXTURES
+// ============================================================================
+
+// A did:ethr issuer signing with its #controller key
+export const createTestIssuer = () => {
+  const identity = generateIdentity();
+  return { ...identity, verificationMethod: `${identity.did}#controller` };
+};
+
+// Lists an extra key (P-256, BBS) in the issuer's DID Document
+export const registerIssuerKey = (issuer, fragment, { publicKeyMultibase }) => {
+  const id = `${issuer.did}#${fragment}`;
+  registerVerificationMethod(issuer.did, { id, type: 'Multikey', publicKeyMultibase }, {
+    signer: { id: issuer.verificationMethod, privateKey: issuer.privateKey }
+  });
+  return id;
+};
+
+export const degreeClaims = {
+  type: 'MastersDegree',
+  name: 'Master of Science in Computing',
+  university: 'Test U',
+  graduationYear: 2020
+};
+
+// Unsigned VC 2.0 degree credential
+export const degreeCredential = (issuer, holderDid, overrides = {}) => ({
+  '@context': [CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+  id: `urn:uuid:${crypto.randomUUID()}`,
+  type: ['VerifiableCredential', 'UniversityDegreeCredential'],
+  issuer: issuer.did,
+  validFrom: new Date(Date.now() - 60 * 1000).toISOString(),
+  credentialSubject: { id: holderDid, degree: { ...degreeClaims } },
+  ...overrides
+});
@@ -0,0 +1,23 @@
+import { beforeEach } from 'vitest';
+import { clearDIDCache } from '../utils/didResolver';
+
+// ============================================================================
+// TEST SETUP
+// ============================================================================
+// The utils persist to localStorage; tests get an in-memory copy that is
+// emptied before each test, together with the resolved DID cache
+// ============================================================================
+
+const store = new Map();
+
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+  clear: () => store.clear()
+};
+
+beforeEach(() => {
+  store.clear();
+  clearDIDCache();
+});
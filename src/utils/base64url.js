@@ -0,0 +1,19 @@
+import { bytesToBase64, base64ToBytes } from '../wallet/keystore';
+
+// ============================================================================
+// BASE64URL
+// ============================================================================
+// RFC 4648 §5 encoding without padding, as used by JWTs and multibase 'u'
+// ============================================================================
+
+export const toBase64Url = (bytes) =>
+  bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+export const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+export const encodeBase64UrlJSON = (value) => toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+export const decodeBase64UrlJSON = (text) => JSON.parse(new TextDecoder().decode(fromBase64Url(text)));
@@ -0,0 +1,398 @@
+import * as bbs from '@digitalbazaar/bbs-signatures';
+import { encodeBase58, decodeBase58, toBeArray, concat, getBytes } from 'ethers';
+import { canonicalize, stripProof } from './signing';
+import { toBase64Url, fromBase64Url } from './base64url';
+import { resolveDID, findVerificationMethod, isAuthorizedFor } from './didResolver';
+import {
+  checkCredentialStatus,
+  checkValidityPeriod,
+  checkCredentialSchema,
+  checkKeyValidity,
+  DEFAULT_CLOCK_SKEW_SECONDS
+} from './verification';
+import { checkChallenge, consumeChallenge, expectedDomain } from './challenges';
+
+// ============================================================================
+// BBS SELECTIVE DISCLOSURE AND PREDICATE PROOFS
+// ============================================================================
+// Issues credentials with a BBS signature (IETF BBS, BLS12-381-SHA-256)
+// using a base proof / derived proof flow modelled on bbs-2023
+// - Mandatory fields (issuer, type, credentialSchema), shared by every
+//   credential of the type, are signed as the BBS header and always revealed
+// - Every other leaf of the credential is one signed statement
+//   "<json-pointer>=<json value>" that the holder may reveal or hide.
+//   This includes the validity window and credentialStatus, which are
+//   unique per credential: revealing them makes presentations linkable
+// - BBS has no native range proofs, so the issuer also signs predicate
+//   statements that are true for the credential ("graduationYear >= 2019",
+//   "degreeLevel >= MastersDegree", ...). Revealing one proves the
+//   predicate without revealing the year or degree
+// - Derived proofs are zero-knowledge and re-randomized, so two proofs of
+//   the same credential cannot be linked by their proof bytes
+// - A derived proof signs over a verifier challenge and domain (the BBS
+//   presentation header), so it cannot be replayed to another verifier
+// - Hidden validity dates or status cannot be checked, so verifiers fail
+//   them unless they opt out with requireDisclosure: false
+// Note: statements are JSON Pointer based rather than RDF N-Quads, so the
+// proofs are not interoperable with JSON-LD bbs-2023 implementations and
+// use their own cryptosuite id
+// ============================================================================
+
+export const BBS_CRYPTOSUITE = 'identity-vault-bbs-jsonpointer';
+// Credentials issued before the cryptosuite had its own id
+const LEGACY_BBS_CRYPTOSUITE = 'bbs-2023';
+const CIPHERSUITE = bbs.CIPHERSUITES.BLS12381_SHA256;
+
+// bls12_381-g2-pub multicodec (0xeb, varint encoded)
+const BLS12381_G2_MULTICODEC = new Uint8Array([0xeb, 0x01]);
+
+const MANDATORY_FIELDS = ['issuer', 'type', 'credentialSchema'];
+const PREDICATE_YEAR_SPAN = 15;
+
+// Degree types ordered by level, used for "at least" predicates
+export const DEGREE_LEVELS = {
+  Certificate: 1,
+  License: 1,
+  Diploma: 1,
+  BachelorDegree: 2,
+  MastersDegree: 3,
+  Doctorate: 4
+};
+
+const encoder = new TextEncoder();
+
+export const isBbsCredential = (vc) =>
+  [BBS_CRYPTOSUITE, LEGACY_BBS_CRYPTOSUITE].includes(vc?.proof?.cryptosuite);
+
+// ========================================================================
+// Keys
+// ========================================================================
+
+export const generateBbsKeyPair = async () => {
+  const { secretKey, publicKey } = await bbs.generateKeyPair({ ciphersuite: CIPHERSUITE });
+  return {
+    secretKey: toBase64Url(secretKey),
+    publicKeyMultibase: `z${encodeBase58(concat([BLS12381_G2_MULTICODEC, publicKey]))}`
+  };
+};
+
+const publicKeyFromMultibase = (multibase) => {
+  const bytes = toBeArray(decodeBase58(multibase.slice(1)));
+  if (bytes[0] !== 0xeb || bytes[1] !== 0x01) {
+    throw new Error('Verification method is not a BLS12-381 G2 key');
+  }
+  return getBytes(bytes.slice(2));
+};
+
+// ========================================================================
+// Statements
+// ========================================================================
+
+const escapePointer = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+// Leaves in canonical (sorted key) order: [{ pointer, value }]
+const flatten = (value, pointer = '') => {
+  if (value === null || typeof value !== 'object') {
+    return [{ pointer, value }];
+  }
+  const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value).sort();
+  return keys
+    .filter((key) => value[key] !== undefined)
+    .flatMap((key) => flatten(value[key], `${pointer}/${escapePointer(key)}`));
+};
+
+const valueAt = (doc, pointer) =>
+  pointer.split('/').slice(1).reduce((node, token) => node?.[unescapePointer(token)], doc);
+
+const setAt = (doc, pointer, value) => {
+  const tokens = pointer.split('/').slice(1).map(unescapePointer);
+  let node = doc;
+  tokens.slice(0, -1).forEach((token, i) => {
+    // Numeric tokens index into arrays, e.g. /credentialStatus/0
+    node[token] = node[token] ?? (/^\d+$/.test(tokens[i + 1]) ? [] : {});
+    node = node[token];
+  });
+  node[tokens[tokens.length - 1]] = value;
+};
+
+const leafStatement = (pointer, value) => `${pointer}=${JSON.stringify(value)}`;
+const predicateStatement = (predicate) => `predicate:${predicate}`;
+
+// Predicates the issuer attests to for a degree
+export const predicatesFor = (degree = {}) => {
+  const predicates = [];
+  const year = Number(degree.graduationYear);
+  if (Number.isInteger(year)) {
+    for (let t = year - PREDICATE_YEAR_SPAN; t <= year; t += 1) predicates.push(`graduationYear >= ${t}`);
+    for (let t = year; t <= year + PREDICATE_YEAR_SPAN; t += 1) predicates.push(`graduationYear <= ${t}`);
+  }
+  const level = DEGREE_LEVELS[degree.type] || 0;
+  Object.entries(DEGREE_LEVELS)
+    .filter(([, rank]) => rank <= level)
+    .forEach(([name]) => predicates.push(`degreeLevel >= ${name}`));
+  return predicates;
+};
+
+const splitMandatory = (vc) => {
+  const mandatory = {};
+  const optional = {};
+  Object.entries(stripProof(vc)).forEach(([key, value]) => {
+    (MANDATORY_FIELDS.includes(key) ? mandatory : optional)[key] = value;
+  });
+  return { mandatory, optional };
+};
+
+// Ordered statements signed for a credential: leaves, then predicates
+const statementsFor = (vc) => {
+  const { optional } = splitMandatory(vc);
+  return [
+    ...flatten(optional).map(({ pointer, value }) => ({ pointer, text: leafStatement(pointer, value) })),
+    ...predicatesFor(vc.credentialSubject?.degree).map((predicate) => ({ predicate, text: predicateStatement(predicate) }))
+  ];
+};
+
+// The header binds the mandatory fields and the proof configuration
+const bbsHeader = (vc, proof) => {
+  const { mandatory } = splitMandatory(vc);
+  const { verificationMethod, proofPurpose } = proof;
+  return encoder.encode(canonicalize({ mandatory, proof: { verificationMethod, proofPurpose } }));
+};
+
+// Binds a derived proof to the verifier's request
+const presentationHeaderFor = ({ challenge, domain }) => encoder.encode(canonicalize({ challenge, domain }));
+
+// ========================================================================
+// Function: Sign BBS Credential (base proof)
+// ========================================================================
+
+export const signBbsCredential = async (vc, { secretKey, publicKeyMultibase, id }) => {
+  const unsigned = stripProof(vc);
+  const proof = {
+    type: 'DataIntegrityProof',
+    cryptosuite: BBS_CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: id,
+    proofPurpose: 'assertionMethod'
+  };
+
+  const signature = await bbs.sign({
+    secretKey: fromBase64Url(secretKey),
+    publicKey: publicKeyFromMultibase(publicKeyMultibase),
+    header: bbsHeader(unsigned, proof),
+    messages: statementsFor(unsigned).map((s) => encoder.encode(s.text)),
+    ciphersuite: CIPHERSUITE
+  });
+
+  return { ...unsigned, proof: { ...proof, proofValue: `u${toBase64Url(signature)}` } };
+};
+
+// ========================================================================
+// Function: Disclosable Items
+// ========================================================================
+// What the holder can choose from: { pointers, predicates }
+// ========================================================================
+
+export const disclosableItems = (vc) => {
+  const statements = statementsFor(vc);
+  return {
+    pointers: statements.filter((s) => s.pointer).map((s) => s.pointer),
+    predicates: statements.filter((s) => s.predicate).map((s) => s.predicate)
+  };
+};
+
+// ========================================================================
+// Function: Derive BBS Proof
+// ========================================================================
+// Holder side: returns a new credential containing only the mandatory
+// fields, the revealed pointers and the proven predicates, bound to the
+// verifier's challenge and domain. reveal: JSON pointers; a pointer to an
+// object (e.g. /credentialStatus) reveals everything below it
+// ========================================================================
+
+export const deriveBbsProof = async (vc, { reveal = [], predicates = [], challenge, domain }) => {
+  if (!isBbsCredential(vc) || vc.proof.disclosedStatements) {
+    throw new Error('Only BBS base credentials can be derived from');
+  }
+  if (!challenge || !domain) {
+    throw new Error('A verifier challenge and domain are required');
+  }
+
+  const revealed = (pointer) => reveal.some((r) => pointer === r || pointer.startsWith(`${r}/`));
+  const statements = statementsFor(vc);
+  const disclosedStatements = [];
+  statements.forEach((s, index) => {
+    if ((s.pointer && revealed(s.pointer)) || (s.predicate && predicates.includes(s.predicate))) {
+      disclosedStatements.push(s.pointer ? { index, pointer: s.pointer } : { index, predicate: s.predicate });
+    }
+  });
+  const unknown = predicates.filter((p) => !statements.some((s) => s.predicate === p));
+  if (unknown.length) {
+    throw new Error(`The issuer did not attest: ${unknown.join(', ')}`);
+  }
+
+  const { proof: baseProof, ...unsigned } = vc;
+  const vm = await resolveIssuerBbsKey(vc);
+  const bbsProof = await bbs.deriveProof({
+    publicKey: publicKeyFromMultibase(vm.publicKeyMultibase),
+    signature: fromBase64Url(baseProof.proofValue.slice(1)),
+    header: bbsHeader(unsigned, baseProof),
+    messages: statements.map((s) => encoder.encode(s.text)),
+    presentationHeader: presentationHeaderFor({ challenge, domain }),
+    disclosedMessageIndexes: disclosedStatements.map((s) => s.index),
+    ciphersuite: CIPHERSUITE
+  });
+
+  const derived = splitMandatory(unsigned).mandatory;
+  disclosedStatements
+    .filter((s) => s.pointer)
+    .forEach((s) => setAt(derived, s.pointer, valueAt(unsigned, s.pointer)));
+
+  const { created, proofValue, ...proofConfig } = baseProof;
+  return {
+    ...derived,
+    proof: { ...proofConfig, challenge, domain, disclosedStatements, proofValue: `u${toBase64Url(bbsProof)}` }
+  };
+};
+
+const resolveIssuerBbsKey = async (vc, didRegistry) => {
+  const issuer = typeof vc.issuer === 'object' ? vc.issuer.id : vc.issuer;
+  const didDocument = await resolveDID(issuer, { didRegistry });
+  const vm = findVerificationMethod(didDocument, vc.proof.verificationMethod);
+  if (!vm || !isAuthorizedFor(didDocument, vm.id, 'assertionMethod')) {
+    throw new Error(`${vc.proof.verificationMethod} is not an assertion key of ${issuer}`);
+  }
+  return vm;
+};
+
+// ========================================================================
+// Function: Verify BBS Credential
+// ========================================================================
+// Verifies a base credential (BBS signature) or a derived credential (BBS
+// proof). A derived proof must answer an unused challenge issued by this
+// verifier; a valid one burns the challenge
+// requireDisclosure: fail derived proofs that hide the validity dates or
+// credentialStatus (default). When false they are reported as unverified
+// Returns { isValid, status, checks, predicates }
+// ========================================================================
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+export const verifyBbsCredential = async (
+  vc,
+  {
+    now = new Date(),
+    clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+    statusLists,
+    didRegistry,
+    requireDisclosure = true
+  } = {}
+) => {
+  const { proof, ...unsigned } = vc;
+  const disclosed = proof.disclosedStatements;
+  const predicates = (disclosed || []).filter((s) => s.predicate).map((s) => s.predicate);
+
+  let signatureCheck;
+  try {
+    const vm = await resolveIssuerBbsKey(vc, didRegistry);
+    const publicKey = publicKeyFromMultibase(vm.publicKeyMultibase);
+    const header = bbsHeader(unsigned, proof);
+    const proofBytes = fromBase64Url(proof.proofValue.slice(1));
+
+    let verified;
+    if (disclosed) {
+      // Each revealed statement is rebuilt from the credential itself
+      const messages = disclosed.map((s) => encoder.encode(s.pointer
+        ? leafStatement(s.pointer, valueAt(unsigned, s.pointer))
+        : predicateStatement(s.predicate)));
+      verified = await bbs.verifyProof({
+        publicKey,
+        proof: proofBytes,
+        header,
+        presentationHeader: presentationHeaderFor(proof),
+        disclosedMessages: messages,
+        disclosedMessageIndexes: disclosed.map((s) => s.index),
+        ciphersuite: CIPHERSUITE
+      });
+    } else {
+      verified = await bbs.verifySignature({
+        publicKey,
+        signature: proofBytes,
+        header,
+        messages: statementsFor(unsigned).map((s) => encoder.encode(s.text)),
+        ciphersuite: CIPHERSUITE
+      });
+    }
+
+    // Derived credentials must not carry fields the proof does not cover
+    const covered = new Set((disclosed || []).filter((s) => s.pointer).map((s) => s.pointer));
+    const extra = disclosed
+      ? flatten(splitMandatory(unsigned).optional).filter(({ pointer }) => !covered.has(pointer))
+      : [];
+
+    // Derived proofs carry no creation date; when validFrom is hidden too,
+    // a rotated-out key can only be flagged
+    const issued = proof.created || unsigned.validFrom;
+    const keyValidity = issued
+      ? checkKeyValidity(vm, issued, now)
+      : { passed: true, detail: vm.validUntil ? `⚠️ Signed with ${vm.id}, which has been rotated out - the signing date was not disclosed` : null };
+
+    if (!verified || extra.length > 0) {
+      signatureCheck = check('signature', 'BBS Signature', false, extra.length
+        ? `Field ${extra[0].pointer} is not covered by the proof`
+        : 'BBS signature or proof does not verify');
+    } else {
+      signatureCheck = check('signature', 'BBS Signature', keyValidity.passed, keyValidity.detail || (disclosed
+        ? `Derived proof over ${disclosed.length} disclosed statement(s) verified with ${vm.id}`
+        : `Base signature verified with ${vm.id}`));
+    }
+  } catch (error) {
+    signatureCheck = check('signature', 'BBS Signature', false, error.message);
+  }
+
+  const requestChecks = [];
+  if (disclosed) {
+    const challenge = checkChallenge(proof.challenge, now);
+    const domain = expectedDomain(proof.challenge);
+    requestChecks.push(
+      check('challenge', 'Challenge', challenge.passed, challenge.detail),
+      proof.domain === domain
+        ? check('domain', 'Domain', true, `Bound to ${domain}`)
+        : check('domain', 'Domain', false, `Proof is for ${proof.domain}, expected ${domain}`)
+    );
+    if (signatureCheck.passed && challenge.passed) {
+      consumeChallenge(proof.challenge, now);
+    }
+  }
+
+  const types = [].concat(vc.type || []);
+  // Hiding credentialStatus or the validity dates keeps proofs unlinkable,
+  // at the cost of the verifier not learning whether the credential was
+  // revoked or has expired
+  const undisclosed = (id, label, what) => check(id, label, !requireDisclosure, requireDisclosure
+    ? `Not disclosed by the holder - this verifier requires the ${what} to be disclosed`
+    : `⚠️ Unverified - not disclosed by the holder, ${what} was not checked`);
+  const { result: statusCheck, status } = disclosed && !unsigned.credentialStatus
+    ? { result: undisclosed('status', 'Status', 'revocation status'), status: 'undisclosed' }
+    : await checkCredentialStatus(vc, { statusLists, didRegistry });
+  const checks = [
+    signatureCheck,
+    ...requestChecks,
+    check('integrity', 'Integrity', types.includes('VerifiableCredential'),
+      types.includes('VerifiableCredential') ? 'Credential type is present' : 'Missing VerifiableCredential type'),
+    // A derived credential hides claims its schema requires; only the base
+    // credential can be validated as a whole
+    ...(disclosed ? [] : [await checkCredentialSchema(vc)]),
+    disclosed && !unsigned.validFrom && !unsigned.validUntil
+      ? undisclosed('validity', 'Validity Period', 'validity period')
+      : checkValidityPeriod(vc, now, clockSkewSeconds * 1000),
+    statusCheck
+  ];
+
+  return {
+    isValid: checks.every((c) => c.passed),
+    status,
+    checks,
+    predicates
+  };
+};
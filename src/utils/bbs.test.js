@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateBbsKeyPair,
+  signBbsCredential,
+  deriveBbsProof,
+  verifyBbsCredential,
+  disclosableItems,
+  predicatesFor,
+  BBS_CRYPTOSUITE
+} from './bbs';
+import { createChallenge } from './challenges';
+import { allocateStatusEntries } from './statusList';
+import { createTestIssuer, registerIssuerKey, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const DOMAIN = 'verifier.example';
+
+// Per-credential fields a verifier needs to check expiry and revocation
+const PERIOD_AND_STATUS = ['/validFrom', '/validUntil', '/credentialStatus'];
+
+const signedDegree = async () => {
+  const issuer = createTestIssuer();
+  const key = await generateBbsKeyPair();
+  const id = registerIssuerKey(issuer, 'bbs-1', key);
+  const credentialStatus = await allocateStatusEntries(issuer);
+  // Valid from now, as the BBS key was only just added to the DID
+  const validFrom = new Date().toISOString();
+  return signBbsCredential(degreeCredential(issuer, holderDid, { credentialStatus, validFrom }), { ...key, id });
+};
+
+const derive = async (vc, options) => {
+  const { challenge, domain } = createChallenge(DOMAIN);
+  return deriveBbsProof(vc, { challenge, domain, ...options });
+};
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+describe('BBS base credentials', () => {
+  it('verifies the issuer signature', async () => {
+    const result = await verifyBbsCredential(await signedDegree());
+
+    expect(result.checks.filter((c) => !c.passed)).toEqual([]);
+    expect(result.isValid).toBe(true);
+  });
+
+  it('uses a cryptosuite id of its own', async () => {
+    const vc = await signedDegree();
+
+    expect(vc.proof.cryptosuite).toBe(BBS_CRYPTOSUITE);
+    expect(BBS_CRYPTOSUITE).not.toBe('bbs-2023');
+  });
+
+  it('detects a modified claim', async () => {
+    const vc = await signedDegree();
+    vc.credentialSubject.degree.graduationYear = 2010;
+
+    const result = await verifyBbsCredential(vc);
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').passed).toBe(false);
+  });
+
+  it('detects a modified mandatory field', async () => {
+    const vc = await signedDegree();
+
+    expect((await verifyBbsCredential({ ...vc, type: ['VerifiableCredential', 'DriverLicense'] })).isValid).toBe(false);
+  });
+
+  it('lists statements and predicates the holder can disclose', async () => {
+    const { pointers, predicates } = disclosableItems(await signedDegree());
+
+    expect(pointers).toContain('/credentialSubject/degree/university');
+    expect(predicates).toEqual(predicatesFor({ type: 'MastersDegree', graduationYear: 2020 }));
+    expect(predicates).toContain('degreeLevel >= BachelorDegree');
+    expect(predicates).not.toContain('degreeLevel >= Doctorate');
+  });
+});
+
+describe('BBS derived proofs', () => {
+  it('proves the revealed claims and predicates only', async () => {
+    const derived = await derive(await signedDegree(), {
+      reveal: ['/credentialSubject/degree/university', ...PERIOD_AND_STATUS],
+      predicates: ['graduationYear >= 2018', 'degreeLevel >= MastersDegree']
+    });
+    const result = await verifyBbsCredential(derived, { now: new Date() });
+
+    expect(result.checks.filter((c) => !c.passed)).toEqual([]);
+    expect(result.predicates).toEqual(['graduationYear >= 2018', 'degreeLevel >= MastersDegree']);
+    expect(derived.credentialSubject).toEqual({ degree: { university: 'Test U' } });
+    expect(Array.isArray(derived.credentialStatus)).toBe(true);
+    expect(result.status).toBe('active');
+  });
+
+  it('fails hidden status and validity unless the verifier accepts them unverified', async () => {
+    const vc = await signedDegree();
+    const hidden = await derive(vc, { reveal: ['/credentialSubject/degree/university'] });
+    const required = await verifyBbsCredential(hidden);
+
+    expect(required.isValid).toBe(false);
+    expect(checkOf(required, 'status').passed).toBe(false);
+    expect(checkOf(required, 'validity').passed).toBe(false);
+
+    const accepted = await verifyBbsCredential(await derive(vc, { reveal: ['/credentialSubject/degree/university'] }), {
+      requireDisclosure: false
+    });
+    expect(accepted.isValid).toBe(true);
+    expect(accepted.status).toBe('undisclosed');
+    expect(checkOf(accepted, 'status').detail).toMatch(/Unverified/);
+  });
+
+  it('cannot be linked to the base credential or to other presentations', async () => {
+    const vc = await signedDegree();
+    const options = { reveal: ['/credentialSubject/degree/type'] };
+    const first = await derive(vc, options);
+    const second = await derive(vc, options);
+
+    expect(first.proof.proofValue).not.toBe(second.proof.proofValue);
+    expect(first.proof.proofValue).not.toBe(vc.proof.proofValue);
+    // Per-credential values stay hidden unless revealed
+    ['id', 'validFrom', 'credentialStatus'].forEach((field) => expect(first[field]).toBeUndefined());
+    expect(first.proof.created).toBeUndefined();
+    expect(first.credentialSubject.id).toBeUndefined();
+  });
+
+  it('detects a changed revealed value', async () => {
+    const derived = await derive(await signedDegree(), { reveal: ['/credentialSubject/degree/university'] });
+    derived.credentialSubject.degree.university = 'Other U';
+
+    expect(checkOf(await verifyBbsCredential(derived), 'signature').passed).toBe(false);
+  });
+
+  it('detects a field the proof does not cover', async () => {
+    const derived = await derive(await signedDegree(), { reveal: ['/credentialSubject/degree/university'] });
+    derived.credentialSubject.degree.type = 'Doctorate';
+
+    expect(checkOf(await verifyBbsCredential(derived), 'signature').detail).toContain('not covered by the proof');
+  });
+
+  it('rejects predicates the issuer did not attest', async () => {
+    await expect(derive(await signedDegree(), { predicates: ['graduationYear >= 2021'] }))
+      .rejects.toThrow('did not attest');
+    await expect(derive(await signedDegree(), { predicates: ['degreeLevel >= Doctorate'] }))
+      .rejects.toThrow('did not attest');
+  });
+
+  it('answers one challenge once', async () => {
+    const derived = await derive(await signedDegree(), { reveal: ['/credentialSubject/degree/university', ...PERIOD_AND_STATUS] });
+
+    expect((await verifyBbsCredential(derived)).isValid).toBe(true);
+    const replay = await verifyBbsCredential(derived);
+    expect(replay.isValid).toBe(false);
+    expect(checkOf(replay, 'challenge').detail).toContain('Replay detected');
+  });
+
+  it('rejects unknown challenges and other domains', async () => {
+    const vc = await signedDegree();
+    const unknown = await deriveBbsProof(vc, { challenge: 'not-issued-here', domain: DOMAIN });
+    const otherDomain = await derive(vc, { domain: 'other.example' });
+
+    expect(checkOf(await verifyBbsCredential(unknown), 'challenge').passed).toBe(false);
+    expect(checkOf(await verifyBbsCredential(otherDomain), 'domain').passed).toBe(false);
+  });
+
+  it('requires a challenge and a base credential', async () => {
+    const vc = await signedDegree();
+    const derived = await derive(vc, {});
+
+    await expect(deriveBbsProof(vc, { domain: DOMAIN })).rejects.toThrow('challenge and domain are required');
+    await expect(derive(derived, {})).rejects.toThrow('Only BBS base credentials');
+  });
+});
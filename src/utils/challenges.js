@@ -0,0 +1,67 @@
+// ============================================================================
+// VERIFIER CHALLENGES
+// ============================================================================
+// One-time nonces a verifier hands to the holder, kept in
+// localStorage['verifierChallenges'] as { [challenge]: { domain, createdAt, usedAt } }
+// - Holder proofs (presentations, BBS derived proofs) sign over the
+//   challenge and domain, so a proof only answers the request it was made for
+// - Unknown, expired or already used challenges are rejected as replays
+// ============================================================================
+
+const CHALLENGES_KEY = 'verifierChallenges';
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+export const defaultDomain = () => (typeof window !== 'undefined' ? window.location.host : 'localhost:3000');
+
+const readChallenges = () => JSON.parse(localStorage.getItem(CHALLENGES_KEY) || '{}');
+
+const writeChallenges = (challenges) => {
+  // Drop expired entries so the store does not grow without bound
+  const now = Date.now();
+  const live = Object.fromEntries(
+    Object.entries(challenges).filter(([, entry]) => now - Date.parse(entry.createdAt) < CHALLENGE_TTL_MS)
+  );
+  localStorage.setItem(CHALLENGES_KEY, JSON.stringify(live));
+};
+
+export const createChallenge = (domain = defaultDomain()) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const challenge = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+  const challenges = readChallenges();
+  challenges[challenge] = { domain, createdAt: new Date().toISOString(), usedAt: null };
+  writeChallenges(challenges);
+
+  return { challenge, domain };
+};
+
+// ========================================================================
+// Function: Check Challenge
+// ========================================================================
+// Returns { passed, detail } for a challenge presented back to us
+// ========================================================================
+
+export const checkChallenge = (challenge, now = new Date()) => {
+  const entry = challenge && readChallenges()[challenge];
+  if (!entry) {
+    return { passed: false, detail: 'Unknown or expired challenge - request a new one' };
+  }
+  if (entry.usedAt) {
+    return { passed: false, detail: `Replay detected - challenge already used at ${new Date(entry.usedAt).toLocaleString()}` };
+  }
+  if (now.getTime() - Date.parse(entry.createdAt) > CHALLENGE_TTL_MS) {
+    return { passed: false, detail: 'Challenge has expired' };
+  }
+  return { passed: true, detail: `Challenge ${challenge.slice(0, 8)}… was issued by this verifier` };
+};
+
+// Domain the challenge was issued for (this verifier's by default)
+export const expectedDomain = (challenge) => readChallenges()[challenge]?.domain || defaultDomain();
+
+export const consumeChallenge = (challenge, now = new Date()) => {
+  const challenges = readChallenges();
+  if (challenges[challenge]) {
+    challenges[challenge].usedAt = now.toISOString();
+    writeChallenges(challenges);
+  }
+};
@@ -0,0 +1,114 @@
+import { sha256, toUtf8Bytes, getBytes } from 'ethers';
+
+// ============================================================================
+// CONTENT IDENTIFIERS (CIDv1)
+// ============================================================================
+// Computes IPFS-compatible CIDs from the bytes that are actually stored
+// Format: multibase base32 ('b') of
+//   <cid version 0x01><codec raw 0x55><multihash sha2-256 0x12><length 0x20><digest>
+// Retrieved content is re-hashed and compared against the requested CID
+// ============================================================================
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const toBytes = (content) => (typeof content === 'string' ? toUtf8Bytes(content) : content);
+
+// RFC 4648 base32, lowercase, without padding
+const encodeBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const decodeBase32 = (text) => {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+};
+
+// ========================================================================
+// Function: Compute CID
+// ========================================================================
+// Returns the CIDv1 (raw, sha2-256, base32) of a string or byte array
+// ========================================================================
+
+export const computeCID = (content) => {
+  const digest = getBytes(sha256(toBytes(content)));
+  const cidBytes = new Uint8Array([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH, ...digest]);
+  return `b${encodeBase32(cidBytes)}`;
+};
+
+// ========================================================================
+// Function: Parse CID
+// ========================================================================
+// Decodes a CIDv1 string and returns { codec, digest } or throws
+// ========================================================================
+
+export const parseCID = (cid) => {
+  if (typeof cid !== 'string' || !cid.startsWith('b')) {
+    throw new Error('Only base32 CIDv1 identifiers are supported');
+  }
+
+  const bytes = decodeBase32(cid.slice(1));
+  if (bytes[0] !== CID_VERSION) {
+    throw new Error(`Unsupported CID version: ${bytes[0]}`);
+  }
+  if (bytes[2] !== SHA2_256 || bytes[3] !== SHA2_256_LENGTH || bytes.length !== 4 + SHA2_256_LENGTH) {
+    throw new Error('Unsupported multihash (expected sha2-256)');
+  }
+
+  return { codec: bytes[1], digest: bytes.slice(4) };
+};
+
+export const isValidCID = (cid) => {
+  try {
+    parseCID(cid);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ========================================================================
+// Function: Verify CID
+// ========================================================================
+// Re-hashes the content and checks it matches the digest in the CID
+// ========================================================================
+
+export const verifyCID = (cid, content) => {
+  const { digest } = parseCID(cid);
+  const actual = getBytes(sha256(toBytes(content)));
+  return digest.length === actual.length && digest.every((byte, i) => byte === actual[i]);
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { computeCID, parseCID, isValidCID, verifyCID } from './cid';
+
+describe('CID', () => {
+  it('computes the CIDv1 (raw, sha2-256) of the content', () => {
+    expect(computeCID('hello world')).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    expect(computeCID(new TextEncoder().encode('hello world'))).toBe(computeCID('hello world'));
+  });
+
+  it('verifies the content it was computed from', () => {
+    const content = JSON.stringify({ type: 'VaultEnvelope', ciphertext: 'abc' });
+    const cid = computeCID(content);
+
+    expect(isValidCID(cid)).toBe(true);
+    expect(verifyCID(cid, content)).toBe(true);
+    expect(parseCID(cid).digest).toHaveLength(32);
+  });
+
+  it('detects modified content', () => {
+    const cid = computeCID('original');
+
+    expect(verifyCID(cid, 'originaL')).toBe(false);
+    expect(verifyCID(cid, '')).toBe(false);
+  });
+
+  it('rejects identifiers it does not support', () => {
+    const cid = computeCID('content');
+
+    expect(isValidCID('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(false);
+    expect(isValidCID(cid.slice(0, -2))).toBe(false);
+    expect(isValidCID(undefined)).toBe(false);
+    expect(() => parseCID('zb2rhe5P4gXftAwvA4eXQ5HJwsER2owDyS9sKaQRRVQPn93bA')).toThrow('Only base32 CIDv1');
+    expect(() => verifyCID('bnotacid', 'content')).toThrow();
+  });
+});
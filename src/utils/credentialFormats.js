@@ -0,0 +1,254 @@
+import { signCredential } from './signing';
+import { verifyCredential } from './verification';
+import { issueSdJwt, verifySdJwt, isSdJwt, parseSdJwt } from './sdJwt';
+import { encodeVcJwt, decodeVcJwt, verifyVcJwt, isVcJwt } from './vcJwt';
+import { decodeJws } from './jws';
+import { signBbsCredential, verifyBbsCredential, isBbsCredential } from './bbs';
+import {
+  signDataIntegrity,
+  CREDENTIALS_V2_CONTEXT,
+  UNDEFINED_TERMS_CONTEXT,
+  ECDSA_RDFC_CRYPTOSUITE
+} from './dataIntegrity';
+import { loadOrCreateIssuerBbsKey, loadOrCreateIssuerP256Key } from './issuer';
+import { schemaForCredential } from './schemaRegistry';
+import { evaluateIssuerTrust, credentialTypesOf } from './trustRegistry';
+
+// ============================================================================
+// CREDENTIAL FORMATS
+// ============================================================================
+// One place that knows how each credential format is issued and verified
+// - issueInFormat() turns an unsigned VC into the payload that gets
+//   encrypted and stored, plus the signature details for the record
+// - verifyPayload() detects the format of a stored or pasted payload and
+//   returns a uniform result for the Verify tab
+// - exportCredential() converts a stored payload to VC-JWT or JSON-LD for
+//   other wallets; detectFormat()/describeCredential() support imports
+// ============================================================================
+// Payload formats: 'ldp' (JSON-LD; ecdsa-rdfc-2019 for VC 2.0 documents,
+// secp256k1 for older VC 1.1 ones), 'sd-jwt', 'bbs'
+// (JSON-LD, BBS proof) and 'jwt' (VC-JWT, imported or exported)
+// ============================================================================
+
+export const CREDENTIAL_FORMATS = [
+  { id: 'ldp', label: 'JSON-LD credential, ecdsa-rdfc-2019 (all fields revealed)' },
+  { id: 'sd-jwt', label: 'SD-JWT VC (choose which degree fields to reveal)' },
+  { id: 'bbs', label: 'BBS (unlinkable proofs and predicates on graduation year)' }
+];
+
+// ========================================================================
+// Function: Sign JSON-LD
+// ========================================================================
+// VC 2.0 documents get an ecdsa-rdfc-2019 Data Integrity proof; VC 1.1
+// documents keep the secp256k1 proof they were designed for
+// Returns { signedVC, signature, signatureAlgorithm, verificationMethod }
+// ========================================================================
+
+const signJsonLd = async (vc, issuer) => {
+  if (![].concat(vc['@context'] || []).includes(CREDENTIALS_V2_CONTEXT)) {
+    return signCredential(vc, issuer.privateKey, issuer.verificationMethod);
+  }
+
+  const p256Key = await loadOrCreateIssuerP256Key();
+  const signedVC = await signDataIntegrity(vc, p256Key);
+  return {
+    signedVC,
+    signature: signedVC.proof.proofValue,
+    signatureAlgorithm: ECDSA_RDFC_CRYPTOSUITE,
+    verificationMethod: p256Key.id
+  };
+};
+
+// ========================================================================
+// Function: Issue In Format
+// ========================================================================
+// Returns { payload, signature, signatureAlgorithm, verificationMethod, vcData }
+// ========================================================================
+
+export const issueInFormat = async (format, vc, issuer) => {
+  if (format === 'sd-jwt') {
+    const sdJwt = issueSdJwt({
+      claims: vc.credentialSubject.degree,
+      issuer,
+      holderDid: vc.credentialSubject.id,
+      issuedAt: vc.issuanceDate || new Date().toISOString(),
+      validFrom: vc.validFrom,
+      validUntil: vc.validUntil,
+      credentialStatus: vc.credentialStatus
+    });
+    return {
+      payload: sdJwt,
+      signature: sdJwt.split('~')[0].split('.')[2],
+      signatureAlgorithm: 'ES256K',
+      verificationMethod: issuer.verificationMethod,
+      vcData: vc
+    };
+  }
+
+  if (format === 'bbs') {
+    const bbsKey = await loadOrCreateIssuerBbsKey();
+    const signedVC = await signBbsCredential(vc, bbsKey);
+    return {
+      payload: JSON.stringify(signedVC),
+      signature: signedVC.proof.proofValue,
+      signatureAlgorithm: signedVC.proof.cryptosuite,
+      verificationMethod: bbsKey.id,
+      vcData: signedVC
+    };
+  }
+
+  const { signedVC, signature, signatureAlgorithm, verificationMethod } = await signJsonLd(vc, issuer);
+  return { payload: JSON.stringify(signedVC), signature, signatureAlgorithm, verificationMethod, vcData: signedVC };
+};
+
+// ========================================================================
+// Function: Verify Payload
+// ========================================================================
+// Accepts a payload string (or parsed credential) in any supported format
+// Returns { format, isValid, status, checks, document, issuer, subject,
+//           trust, disclosed?, hiddenCount?, predicates? }
+// ========================================================================
+
+export const detectFormat = (payload) => {
+  if (isSdJwt(payload)) return 'sd-jwt';
+  if (isVcJwt(payload)) return 'jwt';
+  const vc = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  return isBbsCredential(vc) ? 'bbs' : 'ldp';
+};
+
+// Adds the verifier's trust decision for the issuer alongside the
+// cryptographic result (see trustRegistry)
+const withTrust = (result) => ({
+  ...result,
+  trust: evaluateIssuerTrust(result.issuer, credentialTypesOf(result.document))
+});
+
+export const verifyPayload = async (payload, options = {}) => {
+  if (isVcJwt(payload)) {
+    const result = await verifyVcJwt(payload, options);
+    return withTrust({
+      format: 'jwt',
+      ...result,
+      document: result.credential,
+      issuer: result.credential?.issuer,
+      subject: result.credential?.credentialSubject?.id
+    });
+  }
+
+  if (isSdJwt(payload)) {
+    const result = await verifySdJwt(payload.trim(), options);
+    return withTrust({
+      format: 'sd-jwt',
+      ...result,
+      document: result.payload,
+      issuer: result.payload?.iss,
+      subject: result.payload?.sub,
+      hiddenCount: (result.payload?.degree?._sd?.length || 0) - Object.keys(result.disclosed).length
+    });
+  }
+
+  const vc = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+  if (isBbsCredential(vc)) {
+    const result = await verifyBbsCredential(vc, options);
+    return withTrust({
+      format: 'bbs',
+      ...result,
+      document: vc,
+      issuer: vc.issuer,
+      subject: vc.credentialSubject?.id
+    });
+  }
+
+  const result = await verifyCredential(vc, options);
+  return withTrust({
+    format: 'ldp',
+    ...result,
+    document: vc,
+    issuer: vc.issuer,
+    subject: vc.credentialSubject?.id
+  });
+};
+
+// ========================================================================
+// Function: Credential From Payload
+// ========================================================================
+// The JSON credential a payload describes (SD-JWT claims are rebuilt from
+// all of its disclosures)
+// ========================================================================
+
+export const credentialFromPayload = (payload) => {
+  const format = detectFormat(payload);
+  if (format === 'jwt') {
+    return decodeVcJwt(payload);
+  }
+  if (format === 'sd-jwt') {
+    const { jwt, disclosures } = parseSdJwt(payload);
+    const { payload: claims } = decodeJws(jwt);
+    const validFrom = claims.nbf || claims.iat;
+    return JSON.parse(JSON.stringify({
+      '@context': [CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+      type: ['VerifiableCredential', claims.vct],
+      issuer: claims.iss,
+      validFrom: validFrom ? new Date(validFrom * 1000).toISOString() : undefined,
+      validUntil: claims.exp ? new Date(claims.exp * 1000).toISOString() : undefined,
+      credentialStatus: claims.credentialStatus,
+      credentialSubject: {
+        id: claims.sub,
+        degree: Object.fromEntries(disclosures.map((d) => [d.name, d.value]))
+      }
+    }));
+  }
+  return typeof payload === 'string' ? JSON.parse(payload) : payload;
+};
+
+// ========================================================================
+// Function: Export Credential
+// ========================================================================
+// target 'jwt':    VC-JWT (ES256K). An imported VC-JWT is exported as-is;
+//                  other formats are re-signed, which needs the issuer key
+// target 'jsonld': JSON-LD with an embedded proof. JSON credentials are
+//                  exported as stored; JWT-based ones are re-signed
+// ========================================================================
+
+export const exportCredential = async (payload, target, issuer) => {
+  const format = detectFormat(payload);
+  const alreadyInTarget = target === 'jwt' ? format === 'jwt' : ['ldp', 'bbs'].includes(format);
+  if (alreadyInTarget) {
+    return typeof payload === 'string' ? payload.trim() : JSON.stringify(payload, null, 2);
+  }
+
+  const vc = credentialFromPayload(payload);
+  const issuerDid = typeof vc.issuer === 'object' ? vc.issuer.id : vc.issuer;
+  if (!issuer || issuerDid !== issuer.did) {
+    throw new Error(`Only credentials from the local issuer can be re-signed - this one is from ${issuerDid}`);
+  }
+
+  if (target === 'jwt') {
+    return encodeVcJwt(vc, issuer);
+  }
+  const { signedVC } = await signJsonLd(vc, issuer);
+  return JSON.stringify(signedVC, null, 2);
+};
+
+// ========================================================================
+// Function: Describe Credential
+// ========================================================================
+// Card summary for the vault: the claims of a registered credential type,
+// or a best effort summary for credentials issued elsewhere
+// ========================================================================
+
+export const describeCredential = (vc) => {
+  const claims = vc.credentialSubject?.[schemaForCredential(vc)?.claimsProperty || 'degree'];
+  if (claims) {
+    return claims;
+  }
+  const types = [].concat(vc.type || []).filter((t) => t !== 'VerifiableCredential');
+  const issuer = typeof vc.issuer === 'object' ? vc.issuer.name || vc.issuer.id : vc.issuer;
+  return {
+    type: types[0] || 'VerifiableCredential',
+    name: vc.name || types[0] || 'Imported credential',
+    university: issuer,
+    graduationYear: vc.issuanceDate ? new Date(vc.issuanceDate).getFullYear() : ''
+  };
+};
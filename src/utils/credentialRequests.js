@@ -0,0 +1,250 @@
+import { computeAddress } from 'ethers';
+import { signJws, decodeJws, jwsSignerAddresses } from './jws';
+import { recipientFor, currentVerificationMethod } from './keyRotation';
+import { checkSignerKey } from './verification';
+import { getCredentialSchema } from './schemaRegistry';
+import { issueCredential, validityFromDateInputs } from './issuance';
+
+// ============================================================================
+// CREDENTIAL REQUESTS
+// ============================================================================
+// Queue of credential requests from holders to an issuer
+// - The holder asks for a credential type with the claims they want
+//   attested; nothing is signed by the issuer until it approves
+// - Each request is signed by the holder as an ES256K JWS, which proves
+//   the DID controller asked and carries the key to encrypt the credential to
+// - The issuer reviews and edits the claims, then approves (issues) or
+//   rejects with a reason
+// - Stored in the 'credentialRequests' IndexedDB database, a stand-in for
+//   the issuer's request endpoint shared by every tab on this machine
+// States: pending -> issuing -> issued, or pending -> rejected. A failed
+// issuance leaves the request approved, from where it can be retried
+// - Requests change state in one readwrite transaction that re-reads the
+//   stored request, so two clicks or two tabs cannot both issue it
+// ============================================================================
+
+const DB_NAME = 'credentialRequests';
+const DB_VERSION = 1;
+const STORE_NAME = 'requests';
+
+const REQUEST_JWS_TYPE = 'credential-request+jwt';
+
+export const REQUEST_STATES = ['pending', 'issuing', 'approved', 'rejected', 'issued'];
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the store and resolves with its result
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const getRequest = async (id) => {
+  const request = await withStore('readonly', (store) => store.get(id));
+  if (!request) {
+    throw new Error(`Credential request ${id} not found`);
+  }
+  return request;
+};
+
+// Moves a request that is in one of the `from` states to changes.status.
+// The read and the write share one readwrite transaction, which IndexedDB
+// runs alone on the store, so only one caller can move a request
+const transitionRequest = async (id, from, changes) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      let updated;
+      let refusal;
+
+      const read = store.get(id);
+      read.onsuccess = () => {
+        const current = read.result;
+        if (!current || !from.includes(current.status)) {
+          refusal = new Error(current
+            ? `Request ${id} cannot become ${changes.status} (it is ${current.status})`
+            : `Credential request ${id} not found`);
+          transaction.abort();
+          return;
+        }
+        updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        store.put(updated);
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onabort = () => reject(refusal || transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Requests of one holder and/or to one issuer, newest first
+export const listCredentialRequests = async ({ holderDid, issuerDid } = {}) => {
+  const requests = await withStore('readonly', (store) => store.getAll());
+  return requests
+    .filter((request) => (!holderDid || request.holderDid === holderDid) && (!issuerDid || request.issuerDid === issuerDid))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// ========================================================================
+// Function: Submit Credential Request
+// ========================================================================
+// Holder side. validity: { validFrom, validUntil } as <input type="date">
+// values ('' when not requested)
+// ========================================================================
+
+export const submitCredentialRequest = async ({ identity, issuerDid, schemaId, claims, format, validity }) => {
+  const schema = getCredentialSchema(schemaId);
+  if (!schema) {
+    throw new Error(`Unknown credential type: ${schemaId}`);
+  }
+  if (!issuerDid) {
+    throw new Error('Choose the issuer to request the credential from');
+  }
+
+  const id = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const createdAt = new Date().toISOString();
+  const requested = { schemaId, claims, format, validity };
+
+  const jws = signJws(
+    { typ: REQUEST_JWS_TYPE, kid: currentVerificationMethod(identity) },
+    {
+      iss: identity.did,
+      aud: issuerDid,
+      jti: id,
+      iat: Math.floor(Date.parse(createdAt) / 1000),
+      request: requested,
+      recipient: recipientFor(identity)
+    },
+    identity.privateKey
+  );
+
+  const request = {
+    id,
+    holderDid: identity.did,
+    issuerDid,
+    ...requested,
+    status: 'pending',
+    jws,
+    createdAt,
+    updatedAt: createdAt
+  };
+  await withStore('readwrite', (store) => store.put(request));
+  return request;
+};
+
+// ========================================================================
+// Function: Verify Credential Request
+// ========================================================================
+// Issuer side. Confirms the JWS was signed by a key the holder DID
+// authorizes for authentication and that the encryption key it carries is
+// that same key. Returns the envelope recipient { kid, publicKey }
+// ========================================================================
+
+export const verifyCredentialRequest = async (request) => {
+  const jws = decodeJws(request.jws);
+  const { iss, aud, jti, recipient } = jws.payload;
+  if (jws.header.typ !== REQUEST_JWS_TYPE || iss !== request.holderDid || aud !== request.issuerDid || jti !== request.id) {
+    throw new Error('Request signature does not match the request');
+  }
+
+  // Checked against today rather than iat: the credential is encrypted to
+  // this key, so a key the holder has since rotated out is not acceptable
+  const signers = jwsSignerAddresses(jws);
+  const { passed, detail } = await checkSignerKey({
+    did: iss,
+    methodId: jws.header.kid,
+    signers,
+    date: new Date().toISOString(),
+    proofPurpose: 'authentication'
+  });
+  if (!passed) {
+    throw new Error(`Request signature of ${iss} is not valid: ${detail}`);
+  }
+  const recipientAddress = computeAddress(recipient.publicKey).toLowerCase();
+  if (!signers.some((address) => address.toLowerCase() === recipientAddress)) {
+    throw new Error('Request asks to encrypt to a key other than the one that signed it');
+  }
+  return recipient;
+};
+
+// ========================================================================
+// Function: Approve Credential Request
+// ========================================================================
+// Issuer side. review: the claims and validity the issuer settled on
+// (defaults to what was requested). Works on the stored request rather
+// than the caller's copy: claims it by moving it to issuing, issues the
+// credential to the holder and marks it issued with the CID. A failed
+// issuance moves it back to approved so it can be retried
+// ========================================================================
+
+export const approveCredentialRequest = async (request, { issuer, claims, validity, storage, onProgress }) => {
+  const stored = await getRequest(request.id);
+  if (!['pending', 'approved'].includes(stored.status)) {
+    throw new Error(`Only pending requests can be approved (this one is ${stored.status})`);
+  }
+  if (stored.issuerDid !== issuer.did) {
+    throw new Error('This request was sent to a different issuer');
+  }
+
+  const recipient = await verifyCredentialRequest(stored);
+  const reviewed = { claims: claims || stored.claims, validity: validity || stored.validity };
+  const claimed = await transitionRequest(stored.id, ['pending', 'approved'], {
+    ...reviewed,
+    status: 'issuing',
+    approvedAt: new Date().toISOString()
+  });
+
+  let record;
+  try {
+    record = await issueCredential({
+      issuer,
+      holderDid: claimed.holderDid,
+      recipient,
+      schema: getCredentialSchema(claimed.schemaId),
+      claims: reviewed.claims,
+      ...validityFromDateInputs(reviewed.validity),
+      format: claimed.format,
+      storage,
+      onProgress
+    });
+  } catch (error) {
+    await transitionRequest(stored.id, ['issuing'], { status: 'approved' });
+    throw error;
+  }
+
+  return transitionRequest(stored.id, ['issuing'], { status: 'issued', cid: record.cid, issuedAt: record.issuanceDate });
+};
+
+export const rejectCredentialRequest = async (request, reason) => {
+  if (!reason?.trim()) {
+    throw new Error('Give the holder a reason for the rejection');
+  }
+  return transitionRequest(request.id, ['pending'], {
+    status: 'rejected',
+    reason: reason.trim(),
+    rejectedAt: new Date().toISOString()
+  });
+};
@@ -0,0 +1,85 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  submitCredentialRequest,
+  approveCredentialRequest,
+  rejectCredentialRequest,
+  listCredentialRequests
+} from './credentialRequests';
+import { issueCredential } from './issuance';
+import { generateIdentity } from './did';
+import { createTestIssuer, degreeClaims } from '../test/fixtures';
+
+vi.mock('./issuance', async (importOriginal) => ({
+  ...(await importOriginal()),
+  issueCredential: vi.fn()
+}));
+
+const issued = { cid: 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy', issuanceDate: '2026-01-01T00:00:00.000Z' };
+
+const submit = (issuer) => submitCredentialRequest({
+  identity: generateIdentity(),
+  issuerDid: issuer.did,
+  schemaId: 'university-degree',
+  claims: degreeClaims,
+  format: 'ldp',
+  validity: { validFrom: '', validUntil: '' }
+});
+
+const storedStatus = async (request) =>
+  (await listCredentialRequests({ holderDid: request.holderDid })).find((r) => r.id === request.id).status;
+
+beforeEach(() => {
+  issueCredential.mockReset();
+  issueCredential.mockResolvedValue(issued);
+});
+
+describe('credential requests', () => {
+  it('issues an approved request and records the CID', async () => {
+    const issuer = createTestIssuer();
+    const approved = await approveCredentialRequest(await submit(issuer), { issuer });
+
+    expect(approved).toMatchObject({ status: 'issued', cid: issued.cid });
+    expect(issueCredential).toHaveBeenCalledTimes(1);
+  });
+
+  it('issues a request approved twice at once only once', async () => {
+    const issuer = createTestIssuer();
+    const request = await submit(issuer);
+
+    const results = await Promise.allSettled([
+      approveCredentialRequest(request, { issuer }),
+      approveCredentialRequest(request, { issuer })
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(issueCredential).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks the stored request rather than a stale copy', async () => {
+    const issuer = createTestIssuer();
+    const request = await submit(issuer);
+    await approveCredentialRequest(request, { issuer });
+
+    await expect(approveCredentialRequest(request, { issuer })).rejects.toThrow(/this one is issued/);
+    await expect(rejectCredentialRequest(request, 'Too late')).rejects.toThrow(/it is issued/);
+    expect(issueCredential).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves a request whose issuance failed approved for a retry', async () => {
+    const issuer = createTestIssuer();
+    const request = await submit(issuer);
+    issueCredential.mockRejectedValueOnce(new Error('storage offline'));
+
+    await expect(approveCredentialRequest(request, { issuer })).rejects.toThrow(/storage offline/);
+    expect(await storedStatus(request)).toBe('approved');
+
+    expect((await approveCredentialRequest(request, { issuer })).status).toBe('issued');
+  });
+
+  it('refuses a request sent to another issuer', async () => {
+    const request = await submit(createTestIssuer());
+
+    await expect(approveCredentialRequest(request, { issuer: createTestIssuer() })).rejects.toThrow(/different issuer/);
+    expect(await storedStatus(request)).toBe('pending');
+  });
+});
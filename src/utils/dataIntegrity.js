@@ -0,0 +1,128 @@
+import jsonld from 'jsonld';
+import { contexts as credentialContexts } from '@digitalbazaar/credentials-context';
+import { p256 } from '@noble/curves/p256';
+import { stripProof } from './signing';
+import { sha256, concat, getBytes, hexlify, encodeBase58, decodeBase58, toBeArray, zeroPadValue } from 'ethers';
+
+// ============================================================================
+// DATA INTEGRITY PROOFS (ecdsa-rdfc-2019)
+// ============================================================================
+// W3C Data Integrity proofs over RDF-canonicalized JSON-LD
+// - The credential and the proof configuration are each canonicalized
+//   with RDFC-1.0 (URDNA2015) to N-Quads and hashed with SHA-256
+// - proofValue is a P-256 ECDSA signature over both hashes, base58btc
+//   multibase encoded
+// - JSON-LD contexts are bundled with the app; the document loader refuses
+//   every other URL, so verification never touches the network
+// ============================================================================
+
+export const ECDSA_RDFC_CRYPTOSUITE = 'ecdsa-rdfc-2019';
+export const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+// Maps terms that no context defines (e.g. `degree`) to an issuer-dependent IRI
+export const UNDEFINED_TERMS_CONTEXT = 'https://www.w3.org/ns/credentials/undefined-terms/v2';
+
+// p256-pub multicodec (0x1200, varint encoded)
+const P256_MULTICODEC = new Uint8Array([0x80, 0x24]);
+
+export const isDataIntegrityEcdsa = (vc) =>
+  vc?.proof?.type === 'DataIntegrityProof' && vc.proof.cryptosuite === ECDSA_RDFC_CRYPTOSUITE;
+
+// ========================================================================
+// Function: Document Loader
+// ========================================================================
+// Serves bundled contexts only
+// ========================================================================
+
+export const documentLoader = async (url) => {
+  const document = credentialContexts.get(url);
+  if (!document) {
+    throw new Error(`JSON-LD context ${url} is not bundled with the app (network fetches are disabled)`);
+  }
+  return { contextUrl: null, documentUrl: url, document };
+};
+
+const canonize = async (document) => {
+  try {
+    return await jsonld.canonize(document, {
+      algorithm: 'RDFC-1.0',
+      format: 'application/n-quads',
+      documentLoader,
+      safe: true
+    });
+  } catch (error) {
+    // jsonld wraps loader errors in a generic message; surface the cause
+    throw new Error(error.details?.cause?.message || error.message);
+  }
+};
+
+// ========================================================================
+// Keys
+// ========================================================================
+
+export const generateP256KeyPair = async () => {
+  const secretKey = p256.utils.randomPrivateKey();
+  return {
+    secretKey: hexlify(secretKey),
+    publicKeyMultibase: `z${encodeBase58(concat([P256_MULTICODEC, p256.getPublicKey(secretKey, true)]))}`
+  };
+};
+
+const publicKeyFromMultibase = (multibase) => {
+  const bytes = toBeArray(decodeBase58(multibase.slice(1)));
+  if (bytes[0] !== 0x80 || bytes[1] !== 0x24) {
+    throw new Error('Verification method is not a P-256 key');
+  }
+  return getBytes(bytes.slice(2));
+};
+
+// SHA-256(canonical proof config) || SHA-256(canonical document)
+const hashData = async (document, proofConfig) => {
+  const [canonicalProof, canonicalDocument] = await Promise.all([canonize(proofConfig), canonize(document)]);
+  return getBytes(concat([
+    sha256(new TextEncoder().encode(canonicalProof)),
+    sha256(new TextEncoder().encode(canonicalDocument))
+  ]));
+};
+
+// ========================================================================
+// Function: Sign Data Integrity
+// ========================================================================
+// Adds an ecdsa-rdfc-2019 proof; key: { id, secretKey }
+// ========================================================================
+
+export const signDataIntegrity = async (document, { id, secretKey }) => {
+  const unsigned = stripProof(document);
+  const proofOptions = {
+    type: 'DataIntegrityProof',
+    cryptosuite: ECDSA_RDFC_CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: id,
+    proofPurpose: 'assertionMethod'
+  };
+
+  // The proof configuration is canonicalized under the document's @context
+  const proofConfig = { '@context': unsigned['@context'], ...proofOptions };
+  const digest = sha256(await hashData(unsigned, proofConfig));
+  const signature = p256.sign(digest.slice(2), getBytes(secretKey)).toCompactRawBytes();
+
+  return { ...unsigned, proof: { ...proofOptions, proofValue: `z${encodeBase58(signature)}` } };
+};
+
+// ========================================================================
+// Function: Verify Data Integrity Proof
+// ========================================================================
+// Checks the proof against a P-256 Multikey; resolving and authorizing the
+// key is left to the caller. Returns true when the signature matches
+// ========================================================================
+
+export const verifyDataIntegrityProof = async (document, publicKeyMultibase) => {
+  const { proof, ...unsigned } = document;
+  const { proofValue, ...proofOptions } = proof;
+  if (!proofValue?.startsWith('z')) {
+    throw new Error('proofValue must be base58btc multibase');
+  }
+
+  const digest = sha256(await hashData(unsigned, { '@context': unsigned['@context'], ...proofOptions }));
+  const signature = getBytes(zeroPadValue(toBeArray(decodeBase58(proofValue.slice(1))), 64));
+  return p256.verify(signature, digest.slice(2), publicKeyFromMultibase(publicKeyMultibase));
+};
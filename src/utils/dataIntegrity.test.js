@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { generateP256KeyPair, signDataIntegrity, verifyDataIntegrityProof, isDataIntegrityEcdsa } from './dataIntegrity';
+import { generateBbsKeyPair } from './bbs';
+import { verifyCredential } from './verification';
+import { createTestIssuer, registerIssuerKey, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+
+const signedDegree = async () => {
+  const issuer = createTestIssuer();
+  const key = await generateP256KeyPair();
+  const id = registerIssuerKey(issuer, 'p256-1', key);
+  const vc = await signDataIntegrity(degreeCredential(issuer, holderDid), { id, secretKey: key.secretKey });
+  return { issuer, key, vc };
+};
+
+describe('ecdsa-rdfc-2019 Data Integrity proofs', () => {
+  it('verifies against the signing key', async () => {
+    const { key, vc } = await signedDegree();
+
+    expect(isDataIntegrityEcdsa(vc)).toBe(true);
+    expect(await verifyDataIntegrityProof(vc, key.publicKeyMultibase)).toBe(true);
+  });
+
+  it('passes the full credential checks with the key in the DID Document', async () => {
+    const { vc } = await signedDegree();
+    const result = await verifyCredential(vc);
+
+    expect(result.checks.filter((c) => !c.passed)).toEqual([]);
+    expect(result.isValid).toBe(true);
+  });
+
+  it('detects a modified claim', async () => {
+    const { key, vc } = await signedDegree();
+    const tampered = { ...vc, credentialSubject: { ...vc.credentialSubject, degree: { ...vc.credentialSubject.degree, type: 'Doctorate' } } };
+
+    expect(await verifyDataIntegrityProof(tampered, key.publicKeyMultibase)).toBe(false);
+    expect((await verifyCredential(tampered)).isValid).toBe(false);
+  });
+
+  it('detects a modified proof configuration', async () => {
+    const { key, vc } = await signedDegree();
+    const backdated = { ...vc, proof: { ...vc.proof, created: '2001-01-01T00:00:00Z' } };
+
+    expect(await verifyDataIntegrityProof(backdated, key.publicKeyMultibase)).toBe(false);
+  });
+
+  it('does not verify against another key', async () => {
+    const { vc } = await signedDegree();
+    const other = await generateP256KeyPair();
+
+    expect(await verifyDataIntegrityProof(vc, other.publicKeyMultibase)).toBe(false);
+  });
+
+  it('rejects keys the issuer DID does not list', async () => {
+    const issuer = createTestIssuer();
+    const key = await generateP256KeyPair();
+    const vc = await signDataIntegrity(degreeCredential(issuer, holderDid), { id: `${issuer.did}#p256-1`, secretKey: key.secretKey });
+
+    expect((await verifyCredential(vc)).isValid).toBe(false);
+  });
+
+  it('rejects malformed proofs and non P-256 keys', async () => {
+    const { key, vc } = await signedDegree();
+    const bbsKey = await generateBbsKeyPair();
+
+    await expect(verifyDataIntegrityProof({ ...vc, proof: { ...vc.proof, proofValue: 'u123' } }, key.publicKeyMultibase))
+      .rejects.toThrow('base58btc');
+    await expect(verifyDataIntegrityProof(vc, bbsKey.publicKeyMultibase)).rejects.toThrow('not a P-256 key');
+  });
+});
@@ -0,0 +1,126 @@
+import { Wallet, HDNodeWallet, Mnemonic, SigningKey, encodeBase58, getBytes, concat, randomBytes } from 'ethers';
+
+// ============================================================================
+// CLIENT-SIDE DID GENERATION
+// ============================================================================
+// Generates secp256k1 keypairs and the DIDs derived from them entirely in
+// the browser, so the private key never leaves the client
+// Supported methods:
+// - did:ethr:<address>           (Ethereum address of the key)
+// - did:key:z<base58btc(...)>    (multicodec secp256k1-pub + compressed key)
+// Holder keys are derived from a BIP-39 recovery phrase (BIP-32 path
+// m/44'/60'/0'/0/0) so the identity can be restored on another device;
+// rotated keys use the following indexes (m/44'/60'/0'/0/1, ...)
+// ============================================================================
+
+export const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+// Multicodec varint prefix for secp256k1-pub (0xe7)
+const SECP256K1_PUB_MULTICODEC = new Uint8Array([0xe7, 0x01]);
+
+export const ethrDIDFromAddress = (address) => `did:ethr:${address}`;
+
+// ========================================================================
+// Function: did:key from public key
+// ========================================================================
+// Encodes the compressed public key as a multibase (base58btc) did:key
+// ========================================================================
+
+export const didKeyFromPublicKey = (publicKey) => {
+  const compressed = getBytes(SigningKey.computePublicKey(publicKey, true));
+  return `did:key:z${encodeBase58(concat([SECP256K1_PUB_MULTICODEC, compressed]))}`;
+};
+
+// ========================================================================
+// Function: Identity from private key
+// ========================================================================
+// Builds the identity record stored by the wallet for an existing key
+// ========================================================================
+
+export const identityFromPrivateKey = (privateKey) => {
+  const wallet = new Wallet(privateKey);
+  const publicKey = wallet.signingKey.publicKey;
+
+  return {
+    did: ethrDIDFromAddress(wallet.address),
+    didKey: didKeyFromPublicKey(publicKey),
+    publicKey,
+    privateKey: wallet.privateKey,
+    address: wallet.address,
+    createdAt: new Date().toISOString()
+  };
+};
+
+// ========================================================================
+// Function: Generate Identity
+// ========================================================================
+// Creates a fresh random keypair using the browser's secure RNG
+// ========================================================================
+
+export const generateIdentity = () => identityFromPrivateKey(Wallet.createRandom().privateKey);
+
+// ========================================================================
+// Function: Create Mnemonic Identity
+// ========================================================================
+// Generates a 12-word BIP-39 phrase and derives the identity from it
+// The phrase is returned to be shown once; it is never stored
+// ========================================================================
+
+export const createMnemonicIdentity = (path = DEFAULT_DERIVATION_PATH) => {
+  const mnemonic = Mnemonic.fromEntropy(randomBytes(16));
+  return {
+    identity: restoreIdentityFromMnemonic(mnemonic.phrase, path),
+    mnemonic: mnemonic.phrase
+  };
+};
+
+export const isValidRecoveryPhrase = (phrase) => Mnemonic.isValidMnemonic(normalizePhrase(phrase));
+
+const normalizePhrase = (phrase) => phrase.trim().toLowerCase().split(/\s+/).join(' ');
+
+// ========================================================================
+// Function: Restore Identity From Mnemonic
+// ========================================================================
+// Re-derives the same keypair and DIDs from a recovery phrase
+// The extended private key of the parent path is kept with the identity
+// (encrypted like its private key) so rotated keys can be derived later
+// without asking for the phrase again
+// ========================================================================
+
+const parentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+export const restoreIdentityFromMnemonic = (phrase, path = DEFAULT_DERIVATION_PATH) => {
+  const normalized = normalizePhrase(phrase);
+  if (!Mnemonic.isValidMnemonic(normalized)) {
+    throw new Error('Invalid recovery phrase');
+  }
+
+  const node = HDNodeWallet.fromPhrase(normalized, undefined, path);
+  return {
+    ...identityFromPrivateKey(node.privateKey),
+    derivationPath: path,
+    extendedKey: HDNodeWallet.fromPhrase(normalized, undefined, parentPath(path)).extendedKey
+  };
+};
+
+// ========================================================================
+// Function: Derive Identity Key
+// ========================================================================
+// Key at another index of the identity's derivation path, e.g. index 1
+// for the first rotation. Returns { privateKey, publicKey, address,
+// derivationPath }, or null for identities that were not derived from a
+// recovery phrase
+// ========================================================================
+
+export const deriveIdentityKey = (identity, index) => {
+  if (!identity.extendedKey || !identity.derivationPath) {
+    return null;
+  }
+  const node = HDNodeWallet.fromExtendedKey(identity.extendedKey).deriveChild(index);
+  return {
+    privateKey: node.privateKey,
+    publicKey: node.signingKey.publicKey,
+    address: node.address,
+    derivationPath: `${parentPath(identity.derivationPath)}/${index}`
+  };
+};
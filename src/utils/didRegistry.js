@@ -0,0 +1,241 @@
+import { Wallet, verifyMessage, computeAddress, getAddress } from 'ethers';
+
+// ============================================================================
+// LOCAL DID KEY REGISTRY
+// ============================================================================
+// Stand-in for the ERC-1056 registry that did:ethr uses on-chain to record
+// key changes. Stored in localStorage['didRegistry'] as
+//   { [did]: [{ id, type, publicKeyHex | publicKeyMultibase,
+//               validFrom, validUntil, proof }, ...] }
+// The did:ethr resolver merges these entries into the DID Document, so
+// rotated-out keys remain listed with the period in which they were valid
+// Each added key carries an EIP-191 proof by the secp256k1 key that was
+// current when it was added, so entries handed to another browser (with a
+// shared credential) can be checked back to the DID's own address. Closing
+// a key adds a closingProof over the entry including its validUntil
+// ============================================================================
+
+const REGISTRY_KEY = 'didRegistry';
+
+const readRegistry = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTRY_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading DID registry:', error);
+    return {};
+  }
+};
+
+export const getKeyHistory = (did) => readRegistry()[did] || [];
+
+// Puts back entries read with getKeyHistory(), e.g. when the keys a change
+// registered could not be saved
+export const restoreKeyHistory = (did, entries) => {
+  const registry = readRegistry();
+  registry[did] = entries;
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+};
+
+// What an entry's proof signs: the key and when it became valid
+const entryMessage = (did, { id, type, publicKeyHex, publicKeyMultibase, validFrom }) =>
+  JSON.stringify({ did, id, type, publicKeyHex, publicKeyMultibase, validFrom });
+
+// What a closingProof signs: the same key and when it stopped being valid
+const closingMessage = (did, entry) =>
+  JSON.stringify({ ...JSON.parse(entryMessage(did, entry)), validUntil: entry.validUntil });
+
+// signer: { id, privateKey } of a secp256k1 key of the DID
+const proofBy = (signer, message) => ({
+  verificationMethod: signer.id,
+  proofValue: new Wallet(signer.privateKey).signMessageSync(message)
+});
+
+const signEntry = (did, entry, signer) => ({ ...entry, proof: proofBy(signer, entryMessage(did, entry)) });
+
+const closeEntry = (did, entry, validUntil, signer) => {
+  const closed = { ...entry, validUntil };
+  return { ...closed, closingProof: proofBy(signer, closingMessage(did, closed)) };
+};
+
+// ========================================================================
+// Backup
+// ========================================================================
+
+// Registry entries of the given DIDs, for wallet backups
+export const exportRegistryEntries = (dids) => Object.fromEntries(
+  Object.entries(readRegistry()).filter(([did]) => dids.includes(did))
+);
+
+// Adds entries from a backup; keys already listed are kept, except that a
+// validity period the backup has closed is closed here too
+export const importRegistryEntries = (entries = {}) => {
+  const registry = readRegistry();
+  for (const [did, imported] of Object.entries(entries)) {
+    const existing = registry[did] || [];
+    const merged = existing.map((entry) => {
+      const match = imported.find((candidate) => candidate.id === entry.id);
+      return !entry.validUntil && match?.validUntil
+        ? { ...entry, validUntil: match.validUntil, closingProof: match.closingProof }
+        : entry;
+    });
+    registry[did] = [...merged, ...imported.filter((entry) => !existing.some((e) => e.id === entry.id))];
+  }
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+};
+
+// ========================================================================
+// Function: Verify Registry Entries
+// ========================================================================
+// Returns the entries received for a did:ethr DID (e.g. with a shared
+// credential) that chain back to its address: #controller must be the
+// address's own key and every other entry must be signed by a secp256k1
+// key accepted before it. A validUntil without a closingProof by an
+// accepted key is dropped, so nobody else can close a key. Entries cannot
+// show that no later rotation exists
+// ========================================================================
+
+const ethrAddress = (did) => {
+  const identifier = did.split(':').pop();
+  return /^0x0[23][0-9a-fA-F]{64}$/.test(identifier) ? computeAddress(identifier) : getAddress(identifier);
+};
+
+const keyAddress = ({ publicKeyHex }) => {
+  try {
+    return publicKeyHex ? computeAddress(`0x${publicKeyHex.replace(/^0x/, '')}`) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const messageSigner = (message, proof) => {
+  try {
+    return verifyMessage(message, proof.proofValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// signers: Map of accepted key id -> address
+const signedBy = (signers, message, proof) =>
+  signers.has(proof?.verificationMethod) && messageSigner(message, proof) === signers.get(proof.verificationMethod);
+
+// Only the fields the registry writes, so nothing unsigned (e.g. a
+// blockchainAccountId) can change what an entry's key is
+const registryFields = ({ id, type, publicKeyHex, publicKeyMultibase, validFrom, validUntil, proof, closingProof }) =>
+  JSON.parse(JSON.stringify({
+    id,
+    type,
+    publicKeyHex,
+    publicKeyMultibase,
+    validFrom: typeof validFrom === 'string' ? validFrom : null,
+    validUntil: typeof validUntil === 'string' ? validUntil : null,
+    proof,
+    closingProof
+  }));
+
+export const verifyRegistryEntries = (did, entries = []) => {
+  let address;
+  try {
+    address = did.startsWith('did:ethr:') ? ethrAddress(did) : null;
+  } catch (error) {
+    address = null;
+  }
+  if (!address || !Array.isArray(entries)) {
+    return [];
+  }
+
+  const controllerId = `${did}#controller`;
+  const signers = new Map([[controllerId, address]]);
+  const accepted = [];
+  let pending = entries
+    .filter((entry) => typeof entry?.id === 'string' && entry.id.startsWith(`${did}#`))
+    .map(registryFields);
+
+  let added = true;
+  while (added) {
+    added = false;
+    for (const entry of pending) {
+      const trusted = entry.id === controllerId
+        ? keyAddress(entry) === address
+        : signedBy(signers, entryMessage(did, entry), entry.proof);
+      if (trusted) {
+        accepted.push(entry);
+        if (entry.publicKeyHex && !signers.has(entry.id)) {
+          signers.set(entry.id, keyAddress(entry));
+        }
+        added = true;
+      }
+    }
+    pending = pending.filter((entry) => !accepted.includes(entry));
+  }
+
+  return accepted.map(({ closingProof, ...entry }) => (
+    entry.validUntil && signedBy(signers, closingMessage(did, entry), closingProof)
+      ? { ...entry, closingProof }
+      : { ...entry, validUntil: null }
+  ));
+};
+
+// ========================================================================
+// Function: Record Key Rotation
+// ========================================================================
+// Closes the validity period of the previous key and adds the new one,
+// both signed by the previous key
+// previous: { id, publicKey, privateKey }, next: { id, publicKey }
+// ========================================================================
+
+export const recordKeyRotation = (did, { previous, next, at }) => {
+  const registry = readRegistry();
+  const entries = registry[did] || [];
+
+  const closed = entries.some((entry) => entry.id === previous.id)
+    ? entries.map((entry) => (entry.id === previous.id ? closeEntry(did, entry, at, previous) : entry))
+    : [
+      ...entries,
+      closeEntry(did, {
+        id: previous.id,
+        type: 'EcdsaSecp256k1VerificationKey2019',
+        publicKeyHex: previous.publicKey.replace(/^0x/, ''),
+        validFrom: null
+      }, at, previous)
+    ];
+
+  registry[did] = [
+    ...closed,
+    signEntry(did, {
+      id: next.id,
+      type: 'EcdsaSecp256k1VerificationKey2019',
+      publicKeyHex: next.publicKey.replace(/^0x/, ''),
+      validFrom: at,
+      validUntil: null
+    }, previous)
+  ];
+
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+};
+
+// ========================================================================
+// Function: Register Verification Method
+// ========================================================================
+// Adds (or replaces) an extra key such as a BBS key, valid from `at`
+// method: { id, type, publicKeyMultibase | publicKeyHex }
+// signer: { id, privateKey } of the DID's current secp256k1 key
+// ========================================================================
+
+export const registerVerificationMethod = (did, method, { signer, at = new Date().toISOString() }) => {
+  const registry = readRegistry();
+  const entries = (registry[did] || []).filter((entry) => entry.id !== method.id);
+
+  registry[did] = [...entries, signEntry(did, { ...method, validFrom: at, validUntil: null }, signer)];
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+};
+
+// Closes the validity period of an extra key and registers its successor
+export const rotateVerificationMethod = (did, previousId, method, { signer, at = new Date().toISOString() }) => {
+  const registry = readRegistry();
+  registry[did] = (registry[did] || [])
+    .map((entry) => (entry.id === previousId ? closeEntry(did, entry, at, signer) : entry));
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+
+  registerVerificationMethod(did, method, { signer, at });
+};
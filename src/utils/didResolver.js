@@ -0,0 +1,271 @@
+import { computeAddress, decodeBase58, getAddress, hexlify, toBeArray } from 'ethers';
+import { getKeyHistory } from './didRegistry';
+
+// ============================================================================
+// DID RESOLVER
+// ============================================================================
+// Resolves DIDs to DID Documents through pluggable method resolvers
+// Features:
+// - Built-in plugins for did:ethr, did:key and did:web
+// - registerDIDMethod() to add or replace a method plugin
+// - In-memory cache of resolved documents with a TTL
+// - Helpers to map verification methods to Ethereum addresses
+// - Verification methods may carry validFrom/validUntil after key rotation
+// ============================================================================
+
+const DID_CONTEXT = 'https://www.w3.org/ns/did/v1';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const methodResolvers = new Map();
+const documentCache = new Map();
+
+// ========================================================================
+// Method plugin registry
+// ========================================================================
+
+export const registerDIDMethod = (method, resolve) => {
+  methodResolvers.set(method, resolve);
+  clearDIDCache();
+};
+
+export const getRegisteredDIDMethods = () => Array.from(methodResolvers.keys());
+
+export const clearDIDCache = () => {
+  documentCache.clear();
+};
+
+const parseDID = (did) => {
+  const match = typeof did === 'string' ? did.match(/^did:([a-z0-9]+):(.+)$/) : null;
+  if (!match) {
+    throw new Error(`Invalid DID: ${did}`);
+  }
+  return { method: match[1], id: match[2] };
+};
+
+// ========================================================================
+// Function: Resolve DID
+// ========================================================================
+// Returns the DID Document for a DID, using the cache when possible
+// didRegistry: { [did]: entries } verified registry entries that apply to
+// this resolution only (e.g. from a shared credential); they are neither
+// stored nor cached
+// Throws if the method is unsupported or the document cannot be produced
+// ========================================================================
+
+export const resolveDID = async (did, { noCache = false, didRegistry = {} } = {}) => {
+  const baseDID = did.split('#')[0];
+  const { method, id } = parseDID(baseDID);
+  const extraEntries = didRegistry[baseDID] || [];
+  const cacheable = extraEntries.length === 0;
+
+  const cached = documentCache.get(baseDID);
+  if (!noCache && cacheable && cached && cached.expiresAt > Date.now()) {
+    return cached.didDocument;
+  }
+
+  const resolve = methodResolvers.get(method);
+  if (!resolve) {
+    throw new Error(`Unsupported DID method: did:${method}`);
+  }
+
+  const didDocument = await resolve(baseDID, id, { registryEntries: extraEntries });
+  if (!didDocument || didDocument.id !== baseDID) {
+    throw new Error(`Resolved document id does not match ${baseDID}`);
+  }
+
+  if (cacheable) {
+    documentCache.set(baseDID, { didDocument, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+  return didDocument;
+};
+
+// ========================================================================
+// Verification method helpers
+// ========================================================================
+
+// Looks up a verification method by absolute or relative (#fragment) id
+export const findVerificationMethod = (didDocument, methodId) =>
+  (didDocument.verificationMethod || []).find(
+    (vm) => vm.id === methodId || `${didDocument.id}${vm.id}` === methodId
+  );
+
+// Checks whether a verification method was valid at a point in time
+// Compared in whole seconds: JWT dates have no milliseconds, so a key
+// rotated out during the second it signed in still counts as valid
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+export const isValidAt = (vm, date) => {
+  const time = toSeconds(date);
+  if (vm.validFrom && time < toSeconds(vm.validFrom)) return false;
+  if (vm.validUntil && time > toSeconds(vm.validUntil)) return false;
+  return true;
+};
+
+// Checks that a verification method is authorized for a proof purpose
+export const isAuthorizedFor = (didDocument, methodId, proofPurpose = 'assertionMethod') =>
+  (didDocument[proofPurpose] || []).some((entry) => {
+    const id = typeof entry === 'string' ? entry : entry.id;
+    return id === methodId || `${didDocument.id}${id}` === methodId;
+  });
+
+const publicKeyFromMultibase = (multibase) => {
+  if (!multibase.startsWith('z')) {
+    throw new Error('Only base58btc multibase keys are supported');
+  }
+  const bytes = toBeArray(decodeBase58(multibase.slice(1)));
+  // Strip the secp256k1-pub multicodec prefix if present
+  const keyBytes = bytes[0] === 0xe7 && bytes[1] === 0x01 ? bytes.slice(2) : bytes;
+  return hexlify(keyBytes);
+};
+
+// Returns the secp256k1 public key (hex) of a verification method, if it
+// publishes one - did:ethr address keys only publish the account id
+export const publicKeyFromVerificationMethod = (vm) => {
+  if (vm.publicKeyHex) {
+    return vm.publicKeyHex.startsWith('0x') ? vm.publicKeyHex : `0x${vm.publicKeyHex}`;
+  }
+  if (vm.publicKeyMultibase?.startsWith('zQ3s')) {
+    return publicKeyFromMultibase(vm.publicKeyMultibase);
+  }
+  return null;
+};
+
+// Returns the Ethereum address controlled by a verification method, if any
+export const addressFromVerificationMethod = (vm) => {
+  try {
+    if (vm.blockchainAccountId) {
+      return getAddress(vm.blockchainAccountId.split(':').pop());
+    }
+    if (vm.ethereumAddress) {
+      return getAddress(vm.ethereumAddress);
+    }
+    if (vm.publicKeyHex) {
+      const hex = vm.publicKeyHex.startsWith('0x') ? vm.publicKeyHex : `0x${vm.publicKeyHex}`;
+      return computeAddress(hex);
+    }
+    if (vm.publicKeyMultibase) {
+      return computeAddress(publicKeyFromMultibase(vm.publicKeyMultibase));
+    }
+  } catch (error) {
+    console.error('Unusable verification method:', vm.id, error);
+  }
+  return null;
+};
+
+const documentWithMethods = (did, verificationMethod) => {
+  const ids = verificationMethod.map((vm) => vm.id);
+  return {
+    '@context': [DID_CONTEXT],
+    id: did,
+    verificationMethod,
+    authentication: ids,
+    assertionMethod: ids
+  };
+};
+
+// ========================================================================
+// Plugin: did:ethr
+// ========================================================================
+// Builds the default document for did:ethr[:network]:<address|publicKey>
+// plus the key changes recorded in the local registry (see didRegistry)
+// and any registryEntries passed for this resolution. Local entries win
+// ========================================================================
+
+const resolveEthr = async (did, id, { registryEntries = [] } = {}) => {
+  const parts = id.split(':');
+  const identifier = parts.pop();
+  const network = parts[0] || 'mainnet';
+  const chainId = { mainnet: 1, sepolia: 11155111, goerli: 5 }[network] || network;
+
+  const isPublicKey = /^0x0[23][0-9a-fA-F]{64}$/.test(identifier);
+  if (!isPublicKey && !/^0x[0-9a-fA-F]{40}$/.test(identifier)) {
+    throw new Error(`Invalid did:ethr identifier: ${identifier}`);
+  }
+
+  const address = isPublicKey ? computeAddress(identifier) : getAddress(identifier);
+  const verificationMethod = [
+    {
+      id: `${did}#controller`,
+      type: 'EcdsaSecp256k1RecoveryMethod2020',
+      controller: did,
+      blockchainAccountId: `eip155:${chainId}:${address}`
+    }
+  ];
+
+  if (isPublicKey) {
+    verificationMethod.push({
+      id: `${did}#controllerKey`,
+      type: 'EcdsaSecp256k1VerificationKey2019',
+      controller: did,
+      publicKeyHex: identifier.slice(2)
+    });
+  }
+
+  // Apply rotations: close validity of replaced keys, add the new keys
+  const local = getKeyHistory(did);
+  const history = [...local, ...registryEntries.filter((entry) => !local.some((e) => e.id === entry.id))];
+  const merged = verificationMethod.map((vm) => {
+    const entry = history.find((h) => h.id === vm.id);
+    return entry ? { ...vm, validFrom: entry.validFrom, validUntil: entry.validUntil } : vm;
+  });
+  history
+    .filter((entry) => !merged.some((vm) => vm.id === entry.id))
+    .forEach(({ proof, closingProof, ...entry }) => merged.push({ ...entry, controller: did }));
+
+  return documentWithMethods(did, merged);
+};
+
+// ========================================================================
+// Plugin: did:key
+// ========================================================================
+// Expands a secp256k1 did:key into its single-key document
+// ========================================================================
+
+const resolveKey = async (did, id) => {
+  if (!id.startsWith('zQ3s')) {
+    throw new Error('Only secp256k1 did:key identifiers are supported');
+  }
+
+  // Validates the multicodec prefix and key length
+  const publicKey = publicKeyFromMultibase(id);
+  if ((publicKey.length - 2) / 2 !== 33) {
+    throw new Error('Invalid secp256k1 did:key public key');
+  }
+
+  return documentWithMethods(did, [
+    {
+      id: `${did}#${id}`,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase: id
+    }
+  ]);
+};
+
+// ========================================================================
+// Plugin: did:web
+// ========================================================================
+// Fetches did.json over HTTPS (HTTP for localhost, for local testing)
+// did:web:example.com           -> https://example.com/.well-known/did.json
+// did:web:example.com:user:bob  -> https://example.com/user/bob/did.json
+// ========================================================================
+
+export const didWebToUrl = (id) => {
+  const [host, ...path] = id.split(':').map(decodeURIComponent);
+  const isLocal = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(host);
+  const base = `${isLocal ? 'http' : 'https'}://${host}`;
+  return path.length > 0 ? `${base}/${path.join('/')}/did.json` : `${base}/.well-known/did.json`;
+};
+
+const resolveWeb = async (did, id) => {
+  const url = didWebToUrl(id);
+  const response = await fetch(url, { headers: { Accept: 'application/did+json, application/json' } });
+  if (!response.ok) {
+    throw new Error(`did:web document not found at ${url} (HTTP ${response.status})`);
+  }
+  return response.json();
+};
+
+registerDIDMethod('ethr', resolveEthr);
+registerDIDMethod('key', resolveKey);
+registerDIDMethod('web', resolveWeb);
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  resolveDID,
+  findVerificationMethod,
+  addressFromVerificationMethod,
+  isAuthorizedFor,
+  didWebToUrl,
+  registerDIDMethod
+} from './didResolver';
+import { generateIdentity } from './did';
+
+const didJson = (document) => ({ ok: true, status: 200, json: async () => document });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('DID resolver', () => {
+  it('resolves did:ethr to a #controller key for its address', async () => {
+    const identity = generateIdentity();
+    const document = await resolveDID(identity.did);
+    const controller = findVerificationMethod(document, `${identity.did}#controller`);
+
+    expect(document.id).toBe(identity.did);
+    expect(addressFromVerificationMethod(controller)).toBe(identity.address);
+    expect(isAuthorizedFor(document, controller.id, 'assertionMethod')).toBe(true);
+  });
+
+  it('resolves did:key to the key it encodes', async () => {
+    const identity = generateIdentity();
+    const document = await resolveDID(identity.didKey);
+
+    expect(addressFromVerificationMethod(document.verificationMethod[0])).toBe(identity.address);
+  });
+
+  it('rejects malformed identifiers and unknown methods', async () => {
+    await expect(resolveDID('did:ethr:0x1234')).rejects.toThrow(/Invalid did:ethr identifier/);
+    await expect(resolveDID('did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK')).rejects.toThrow(/secp256k1/);
+    await expect(resolveDID('did:example:123')).rejects.toThrow(/Unsupported DID method/);
+    await expect(resolveDID('not-a-did')).rejects.toThrow(/Invalid DID/);
+  });
+
+  it('maps did:web to its did.json URL', () => {
+    expect(didWebToUrl('example.com')).toBe('https://example.com/.well-known/did.json');
+    expect(didWebToUrl('example.com:user:bob')).toBe('https://example.com/user/bob/did.json');
+    expect(didWebToUrl('localhost%3A3000')).toBe('http://localhost:3000/.well-known/did.json');
+  });
+
+  it('refuses a did:web document published for another DID', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => didJson({ id: 'did:web:attacker.example', verificationMethod: [] })));
+
+    await expect(resolveDID('did:web:example.com')).rejects.toThrow(/does not match/);
+  });
+
+  it('reports a missing did:web document', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 404 })));
+
+    await expect(resolveDID('did:web:example.com')).rejects.toThrow(/HTTP 404/);
+  });
+
+  it('caches resolved documents unless asked not to', async () => {
+    const fetchMock = vi.fn(async () => didJson({ id: 'did:web:example.com', verificationMethod: [] }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await resolveDID('did:web:example.com');
+    await resolveDID('did:web:example.com#key-1');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await resolveDID('did:web:example.com', { noCache: true });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets a plugin add a DID method', async () => {
+    registerDIDMethod('test', async (did) => ({ id: did, verificationMethod: [] }));
+
+    expect((await resolveDID('did:test:abc')).id).toBe('did:test:abc');
+  });
+});
@@ -0,0 +1,204 @@
+import CryptoJS from 'crypto-js';
+import { SigningKey, Wallet, getBytes } from 'ethers';
+import { bytesToBase64, base64ToBytes } from '../wallet/keystore';
+
+// ============================================================================
+// ENCRYPTION ENVELOPE (v1)
+// ============================================================================
+// Single, versioned format for every encrypted credential payload
+// - Content:  AES-256-GCM with a random content key (WebCrypto)
+// - Key wrap: ECIES on secp256k1 - ephemeral ECDH with the recipient's
+//             public key, HKDF-SHA256, then AES-KW of the content key
+// - Header:   type/version/alg/enc, authenticated as GCM additional data
+// Each recipient gets its own wrapped copy of the content key, so access
+// can be granted later without re-encrypting the content
+// Decryption never guesses: any mismatch throws a descriptive error
+// ============================================================================
+
+export const ENVELOPE_TYPE = 'VaultEnvelope';
+export const ENVELOPE_VERSION = 1;
+const KEY_ALG = 'ECDH-ES+A256KW';
+const CONTENT_ALG = 'A256GCM';
+const CURVE = 'secp256k1';
+const HKDF_INFO = new TextEncoder().encode(`${ENVELOPE_TYPE}/${ENVELOPE_VERSION} ${KEY_ALG}`);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const headerOf = (envelope) => ({
+  type: envelope.type,
+  version: envelope.version,
+  alg: envelope.alg,
+  enc: envelope.enc,
+  crv: envelope.crv
+});
+
+// The header is bound to the ciphertext; recipients are not, so they can be added later
+const additionalData = (header) => encoder.encode(JSON.stringify(headerOf(header)));
+
+// Derives the AES-KW key-encryption key from an ECDH shared point
+const deriveWrappingKey = async (privateKey, publicKey, epk) => {
+  const sharedPoint = getBytes(new SigningKey(privateKey).computeSharedSecret(publicKey));
+  const sharedX = sharedPoint.slice(1, 33);
+
+  const ikm = await crypto.subtle.importKey('raw', sharedX, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: getBytes(epk), info: HKDF_INFO },
+    ikm,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+const wrapForRecipient = async (contentKey, { kid, publicKey }) => {
+  const ephemeral = Wallet.createRandom();
+  const epk = ephemeral.signingKey.compressedPublicKey;
+  const kek = await deriveWrappingKey(ephemeral.privateKey, publicKey, epk);
+  const encryptedKey = await crypto.subtle.wrapKey('raw', contentKey, kek, 'AES-KW');
+
+  return { kid, epk, encryptedKey: bytesToBase64(encryptedKey) };
+};
+
+export const isEnvelope = (data) => {
+  try {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    return parsed?.type === ENVELOPE_TYPE;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const parseEnvelope = (data) => {
+  const envelope = typeof data === 'string' ? JSON.parse(data) : data;
+  if (envelope?.type !== ENVELOPE_TYPE) {
+    throw new Error('Not a vault encryption envelope');
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${envelope.version}`);
+  }
+  if (envelope.alg !== KEY_ALG || envelope.enc !== CONTENT_ALG || envelope.crv !== CURVE) {
+    throw new Error(`Unsupported envelope algorithms: ${envelope.alg} / ${envelope.enc} / ${envelope.crv}`);
+  }
+  return envelope;
+};
+
+// ========================================================================
+// Function: Encrypt Envelope
+// ========================================================================
+// Encrypts a string for one or more recipients { kid, publicKey }
+// Returns the envelope as a JSON string (the bytes that get stored/hashed)
+// ========================================================================
+
+export const encryptEnvelope = async (plaintext, recipients) => {
+  if (!recipients || recipients.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+
+  const header = { type: ENVELOPE_TYPE, version: ENVELOPE_VERSION, alg: KEY_ALG, enc: CONTENT_ALG, crv: CURVE };
+  const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: additionalData(header) },
+    contentKey,
+    encoder.encode(plaintext)
+  );
+
+  return JSON.stringify({
+    ...header,
+    recipients: await Promise.all(recipients.map((r) => wrapForRecipient(contentKey, r))),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext)
+  });
+};
+
+// Unwraps the content key with the recipient's private key
+const unwrapContentKey = async (envelope, privateKey, kid) => {
+  const candidates = kid
+    ? envelope.recipients.filter((r) => r.kid === kid)
+    : envelope.recipients;
+  if (candidates.length === 0) {
+    throw new Error(`Envelope has no entry for recipient ${kid}`);
+  }
+
+  for (const recipient of candidates) {
+    try {
+      const kek = await deriveWrappingKey(privateKey, recipient.epk, recipient.epk);
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        base64ToBytes(recipient.encryptedKey),
+        kek,
+        'AES-KW',
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      // Not wrapped for this key - try the next recipient entry
+    }
+  }
+  throw new Error('This key is not a recipient of the envelope');
+};
+
+// ========================================================================
+// Function: Decrypt Envelope
+// ========================================================================
+// Decrypts with the recipient's private key (optionally selecting a kid)
+// Throws on unsupported formats, missing recipients or tampered data
+// ========================================================================
+
+export const decryptEnvelope = async (data, privateKey, { kid } = {}) => {
+  const envelope = parseEnvelope(data);
+  const contentKey = await unwrapContentKey(envelope, privateKey, kid);
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.iv), additionalData: additionalData(envelope) },
+      contentKey,
+      base64ToBytes(envelope.ciphertext)
+    );
+    return decoder.decode(plaintext);
+  } catch (error) {
+    throw new Error('Envelope authentication failed - ciphertext or header was modified');
+  }
+};
+
+// ========================================================================
+// Function: Add Envelope Recipient
+// ========================================================================
+// Wraps the existing content key for another recipient; the ciphertext
+// is unchanged. Requires the private key of a current recipient.
+// ========================================================================
+
+export const addEnvelopeRecipient = async (data, privateKey, recipient) => {
+  const envelope = parseEnvelope(data);
+  const contentKey = await unwrapContentKey(envelope, privateKey);
+  const others = envelope.recipients.filter((r) => r.kid !== recipient.kid);
+
+  return JSON.stringify({
+    ...envelope,
+    recipients: [...others, await wrapForRecipient(contentKey, recipient)]
+  });
+};
+
+// ========================================================================
+// Legacy CryptoJS records
+// ========================================================================
+// Records written before the envelope format used CryptoJS passphrase
+// mode with the hex private key as the password. They can only be read
+// for migration into an envelope.
+// ========================================================================
+
+export const decryptLegacyCryptoJS = (data, privateKey) => {
+  let plaintext = '';
+  try {
+    plaintext = CryptoJS.AES.decrypt(data, privateKey).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    // Wrong key: the padding decodes to invalid UTF-8
+  }
+  if (!plaintext) {
+    throw new Error('Legacy record could not be decrypted with this key');
+  }
+  return plaintext;
+};
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import CryptoJS from 'crypto-js';
+import { Wallet } from 'ethers';
+import {
+  encryptEnvelope,
+  decryptEnvelope,
+  addEnvelopeRecipient,
+  parseEnvelope,
+  isEnvelope,
+  decryptLegacyCryptoJS
+} from './envelope';
+
+const recipientKey = (kid) => {
+  const wallet = Wallet.createRandom();
+  return { kid, publicKey: wallet.signingKey.publicKey, privateKey: wallet.privateKey };
+};
+
+const PLAINTEXT = JSON.stringify({ credentialSubject: { name: 'Alice' } });
+
+describe('encryption envelope', () => {
+  it('decrypts for every recipient', async () => {
+    const alice = recipientKey('alice');
+    const bob = recipientKey('bob');
+    const envelope = await encryptEnvelope(PLAINTEXT, [alice, bob]);
+
+    expect(isEnvelope(envelope)).toBe(true);
+    expect(envelope).not.toContain('Alice');
+    expect(await decryptEnvelope(envelope, alice.privateKey)).toBe(PLAINTEXT);
+    expect(await decryptEnvelope(envelope, bob.privateKey, { kid: 'bob' })).toBe(PLAINTEXT);
+  });
+
+  it('rejects keys that are not recipients', async () => {
+    const envelope = await encryptEnvelope(PLAINTEXT, [recipientKey('alice')]);
+
+    await expect(decryptEnvelope(envelope, recipientKey('eve').privateKey)).rejects.toThrow('not a recipient');
+    await expect(decryptEnvelope(envelope, recipientKey('eve').privateKey, { kid: 'eve' })).rejects.toThrow('no entry for recipient eve');
+  });
+
+  it('detects a modified ciphertext or iv', async () => {
+    const alice = recipientKey('alice');
+    const envelope = JSON.parse(await encryptEnvelope(PLAINTEXT, [alice]));
+    const flip = (base64) => `${base64[0] === 'A' ? 'B' : 'A'}${base64.slice(1)}`;
+
+    const ciphertext = JSON.stringify({ ...envelope, ciphertext: flip(envelope.ciphertext) });
+    await expect(decryptEnvelope(ciphertext, alice.privateKey)).rejects.toThrow('authentication failed');
+
+    const iv = JSON.stringify({ ...envelope, iv: flip(envelope.iv) });
+    await expect(decryptEnvelope(iv, alice.privateKey)).rejects.toThrow('authentication failed');
+  });
+
+  it('rejects unsupported headers', async () => {
+    const envelope = JSON.parse(await encryptEnvelope(PLAINTEXT, [recipientKey('alice')]));
+
+    expect(() => parseEnvelope({ ...envelope, version: 2 })).toThrow('Unsupported envelope version');
+    expect(() => parseEnvelope({ ...envelope, enc: 'A128CBC' })).toThrow('Unsupported envelope algorithms');
+    expect(() => parseEnvelope({ ...envelope, type: 'Other' })).toThrow('Not a vault encryption envelope');
+    expect(isEnvelope('not json')).toBe(false);
+  });
+
+  it('requires at least one recipient', async () => {
+    await expect(encryptEnvelope(PLAINTEXT, [])).rejects.toThrow('At least one recipient');
+  });
+
+  it('adds a recipient without changing the ciphertext', async () => {
+    const alice = recipientKey('alice');
+    const bob = recipientKey('bob');
+    const envelope = await encryptEnvelope(PLAINTEXT, [alice]);
+    const shared = await addEnvelopeRecipient(envelope, alice.privateKey, bob);
+
+    expect(JSON.parse(shared).ciphertext).toBe(JSON.parse(envelope).ciphertext);
+    expect(await decryptEnvelope(shared, bob.privateKey)).toBe(PLAINTEXT);
+    expect(await decryptEnvelope(shared, alice.privateKey)).toBe(PLAINTEXT);
+  });
+
+  it('only lets a recipient add recipients', async () => {
+    const envelope = await encryptEnvelope(PLAINTEXT, [recipientKey('alice')]);
+
+    await expect(addEnvelopeRecipient(envelope, recipientKey('eve').privateKey, recipientKey('bob')))
+      .rejects.toThrow('not a recipient');
+  });
+
+  it('reads legacy CryptoJS records with the right key only', () => {
+    const { privateKey } = Wallet.createRandom();
+    const legacy = CryptoJS.AES.encrypt(PLAINTEXT, privateKey).toString();
+
+    expect(decryptLegacyCryptoJS(legacy, privateKey)).toBe(PLAINTEXT);
+    expect(() => decryptLegacyCryptoJS(legacy, Wallet.createRandom().privateKey)).toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+import { computeCID } from './cid';
+import { encryptEnvelope, ENVELOPE_VERSION } from './envelope';
+import { CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT } from './dataIntegrity';
+import { credentialJsonSchema, credentialSchemaReference, validateCredential } from './schemaRegistry';
+import { issueInFormat } from './credentialFormats';
+import { allocateStatusEntries } from './statusList';
+
+// ============================================================================
+// CREDENTIAL ISSUANCE
+// ============================================================================
+// Issues a credential from the issuer to a holder DID:
+// build VC 2.0 document -> validate against its JSON Schema -> allocate
+// status list entries -> sign in the chosen format -> encrypt to the
+// holder -> store under its CID
+// ============================================================================
+
+// Dates from <input type="date"> start at local midnight; validUntil
+// covers the whole day. Returns ISO strings or null
+export const validityFromDateInputs = ({ validFrom, validUntil }) => ({
+  validFrom: validFrom ? new Date(`${validFrom}T00:00:00`).toISOString() : null,
+  validUntil: validUntil ? new Date(`${validUntil}T23:59:59`).toISOString() : null
+});
+
+// ========================================================================
+// Function: Issue Credential
+// ========================================================================
+// schema:    registry entry (see schemaRegistry)
+// recipient: envelope recipient { kid, publicKey } of the holder
+// validFrom/validUntil: ISO strings or null
+// onProgress(step, message) is called before each stage (steps 1-4)
+// Returns the stored credential record
+// ========================================================================
+
+export const issueCredential = async ({
+  issuer,
+  holderDid,
+  recipient,
+  schema,
+  claims: rawClaims,
+  validFrom = null,
+  validUntil = null,
+  format = 'ldp',
+  storage,
+  onProgress = () => {}
+}) => {
+  if (validFrom && validUntil && validFrom > validUntil) {
+    throw new Error('Valid Until must be after Valid From');
+  }
+  if (!schema.formats.includes(format)) {
+    throw new Error(`${schema.title} credentials cannot be issued as ${format}`);
+  }
+
+  // Step 1: Build the VC. VC Data Model 2.0: validFrom replaces
+  // issuanceDate and the undefined-terms context covers the claims
+  onProgress(1, '📝 Creating verifiable credential...');
+  const issuedAt = new Date().toISOString();
+  // Optional fields left blank are omitted rather than sent as ""
+  const claims = Object.fromEntries(Object.entries(rawClaims).filter(([, value]) => value !== ''));
+  const vc = {
+    '@context': [CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    issuer: issuer.did,
+    credentialSubject: {
+      id: holderDid,
+      [schema.claimsProperty]: claims
+    },
+    validFrom: validFrom || issuedAt,
+    ...(validUntil && { validUntil }),
+    type: ['VerifiableCredential', schema.credentialType],
+    credentialSchema: credentialSchemaReference(schema)
+  };
+
+  const { valid, errors } = validateCredential(credentialJsonSchema(schema), vc);
+  if (!valid) {
+    throw new Error(`Credential does not match the ${schema.title} schema: ${errors.join('; ')}`);
+  }
+  vc.credentialStatus = await allocateStatusEntries(issuer);
+
+  // Step 2: Sign in the chosen format (ecdsa-rdfc-2019, SD-JWT or BBS)
+  onProgress(2, '✍️ Signing credential with issuer key...');
+  const { payload, signature, signatureAlgorithm, verificationMethod, vcData } =
+    await issueInFormat(format, vc, issuer);
+
+  // Step 3: Encrypt to the holder's public key (AES-GCM + ECIES) and
+  // compute the content-addressed CIDv1 of the encrypted bytes
+  onProgress(3, '🔐 Encrypting credential to the holder...');
+  const encryptedData = await encryptEnvelope(payload, [recipient]);
+  const cid = computeCID(encryptedData);
+
+  // Step 4: Save through the configured storage backend
+  onProgress(4, `💾 Storing credential (${storage.name})...`);
+  const record = {
+    id: `cred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    did: holderDid,
+    issuer: issuer.did,
+    cid,
+    format,
+    signature,
+    signatureAlgorithm,
+    verificationMethod,
+    degreeData: claims,
+    issuanceDate: issuedAt,
+    validFrom,
+    validUntil,
+    isSimulated: storage.name !== 'ipfs',
+    ipfsGatewayUrl: `https://ipfs.io/ipfs/${cid}`,
+    status: 'active',
+    credentialStatus: vc.credentialStatus,
+    encrypted: true,
+    encryptionVersion: ENVELOPE_VERSION,
+    encryptedTo: recipient.kid,
+    encryptedData,
+    vcData // Store the signed VC data for debugging
+  };
+
+  await storage.put(record);
+  return record;
+};
@@ -0,0 +1,292 @@
+import { generateIdentity } from './did';
+import { rotateIdentityKey } from './keyRotation';
+import { generateBbsKeyPair } from './bbs';
+import { generateP256KeyPair } from './dataIntegrity';
+import { registerVerificationMethod, rotateVerificationMethod, getKeyHistory, restoreKeyHistory } from './didRegistry';
+import { clearDIDCache } from './didResolver';
+
+// ============================================================================
+// ISSUER
+// ============================================================================
+// Holds the institution's issuer identity: its DID, signing keys and public
+// profile { name, logo, website }
+// - The key is generated in the browser when the institution creates its
+//   issuer in the Issuer tab, so every install has its own issuer DID
+// - Public parts are kept in localStorage['issuerIdentity']; the secret
+//   keys are kept in the encrypted wallet keystore (wallet.issuerKeys),
+//   which the wallet connects with connectIssuerKeystore() while unlocked
+// - Profiles are published to localStorage['issuerProfiles'] keyed by DID,
+//   a stand-in for hosting them next to the DID Document, so holders and
+//   verifiers can show who issued a credential
+// ============================================================================
+
+const ISSUER_STORAGE_KEY = 'issuerIdentity';
+const PUBLISHED_PROFILES_KEY = 'issuerProfiles';
+
+const DEFAULT_PROFILE = { name: 'Demo University', logo: '', website: '' };
+
+const LOCKED_MESSAGE = 'Unlock the wallet to use the issuer keys';
+
+// ========================================================================
+// Secret keys
+// ========================================================================
+// keystore: { keys: { [did]: { privateKey, p256Key, bbsKey } }, save }
+// while the wallet is unlocked, otherwise null
+// ========================================================================
+
+let keystore = null;
+
+const omitSecret = ({ secretKey, ...key }) => key;
+
+// Splits an issuer into its stored public record and its secret keys
+// (rotated-out secp256k1 keys only sign nothing new, so they are dropped)
+const splitSecrets = ({ privateKey, keyHistory, p256Key, bbsKey, ...issuer }) => ({
+  record: {
+    ...issuer,
+    ...(keyHistory && { keyHistory: keyHistory.map(({ privateKey: oldKey, ...key }) => key) }),
+    ...(p256Key && { p256Key: omitSecret(p256Key) }),
+    ...(bbsKey && { bbsKey: omitSecret(bbsKey) })
+  },
+  secrets: { privateKey, p256Key: p256Key?.secretKey, bbsKey: bbsKey?.secretKey }
+});
+
+const withSecrets = (issuer) => {
+  const secrets = keystore?.keys[issuer.did];
+  if (!secrets) {
+    return issuer;
+  }
+  return {
+    ...issuer,
+    privateKey: secrets.privateKey,
+    ...(issuer.p256Key && { p256Key: { ...issuer.p256Key, secretKey: secrets.p256Key } }),
+    ...(issuer.bbsKey && { bbsKey: { ...issuer.bbsKey, secretKey: secrets.bbsKey } })
+  };
+};
+
+// Resolves once the secret keys are in the encrypted wallet. The public
+// record is only written after that, so a failed save keeps the previous
+// issuer and rejects with the error
+const saveIssuer = async (issuer) => {
+  if (!keystore) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+  const { record, secrets } = splitSecrets(issuer);
+  if (!secrets.privateKey) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+
+  const previousKeys = keystore.keys;
+  keystore.keys = { ...previousKeys, [issuer.did]: secrets };
+  try {
+    await keystore.save(keystore.keys);
+  } catch (error) {
+    keystore.keys = previousKeys;
+    throw new Error(`Could not save the issuer keys: ${error.message}`);
+  }
+  localStorage.setItem(ISSUER_STORAGE_KEY, JSON.stringify(record));
+  return issuer;
+};
+
+const readIssuerRecord = () => {
+  const savedIssuer = localStorage.getItem(ISSUER_STORAGE_KEY);
+  if (!savedIssuer) {
+    return null;
+  }
+  try {
+    return JSON.parse(savedIssuer);
+  } catch (error) {
+    console.error('Error loading issuer key:', error);
+    return null;
+  }
+};
+
+// ========================================================================
+// Function: Connect Issuer Keystore
+// ========================================================================
+// Called by the wallet on unlock with { keys, save(keys) } and with null
+// on lock. Issuers saved by earlier versions kept their secret keys in
+// localStorage; they are moved into the keystore on first unlock
+// ========================================================================
+
+export const connectIssuerKeystore = (store) => {
+  keystore = store && { keys: store.keys || {}, save: store.save };
+
+  const record = readIssuerRecord();
+  if (keystore && record?.privateKey) {
+    // On failure the keys stay in localStorage and are moved on next unlock
+    saveIssuer(record).catch((error) => console.error('Error moving issuer keys to the wallet:', error));
+  }
+};
+
+// Issuers saved before profiles existed only have a name
+const withProfile = (issuer) => ({
+  ...issuer,
+  profile: issuer.profile || { ...DEFAULT_PROFILE, name: issuer.name || DEFAULT_PROFILE.name }
+});
+
+// The issuer with its secret keys while the wallet is unlocked, otherwise
+// its public record only
+export const loadIssuer = () => {
+  const record = readIssuerRecord();
+  return record ? withSecrets(withProfile(record)) : null;
+};
+
+// ========================================================================
+// Issuer profile
+// ========================================================================
+
+// Profiles are rendered by holders and verifiers, so the website must be
+// a plain http(s) link (never javascript: or data: URLs)
+const validateProfile = (profile) => {
+  if (!profile.name?.trim()) {
+    throw new Error('Name is required');
+  }
+  if (profile.website && !/^https?:\/\/\S+$/.test(profile.website)) {
+    throw new Error('Website must be an http(s) URL');
+  }
+};
+
+const publishIssuerProfile = (did, profile) => {
+  const published = JSON.parse(localStorage.getItem(PUBLISHED_PROFILES_KEY) || '{}');
+  published[did] = { ...profile, updatedAt: new Date().toISOString() };
+  localStorage.setItem(PUBLISHED_PROFILES_KEY, JSON.stringify(published));
+};
+
+// Published profile of any issuer DID, or null if it has none
+export const resolveIssuerProfile = (did) => {
+  try {
+    return JSON.parse(localStorage.getItem(PUBLISHED_PROFILES_KEY) || '{}')[did] || null;
+  } catch (error) {
+    console.error('Error reading issuer profiles:', error);
+    return null;
+  }
+};
+
+// All published issuers as [{ did, name, logo, website }], e.g. for
+// holders choosing whom to request a credential from
+export const listPublishedIssuers = () => {
+  try {
+    return Object.entries(JSON.parse(localStorage.getItem(PUBLISHED_PROFILES_KEY) || '{}'))
+      .map(([did, profile]) => ({ did, ...profile }));
+  } catch (error) {
+    console.error('Error reading issuer profiles:', error);
+    return [];
+  }
+};
+
+// ========================================================================
+// Function: Create Issuer
+// ========================================================================
+// Generates a new issuer DID and signing key, replacing any existing
+// issuer. profile: { name, logo, website }
+// ========================================================================
+
+export const createIssuer = async (profile = DEFAULT_PROFILE) => {
+  validateProfile(profile);
+  const identity = generateIdentity();
+  const issuer = await saveIssuer({
+    ...identity,
+    name: profile.name,
+    profile: { ...DEFAULT_PROFILE, ...profile },
+    verificationMethod: `${identity.did}#controller`
+  });
+  publishIssuerProfile(issuer.did, issuer.profile);
+  return issuer;
+};
+
+export const updateIssuerProfile = async (profile) => {
+  const issuer = loadIssuer();
+  if (!issuer) {
+    throw new Error('Create an issuer first');
+  }
+  validateProfile(profile);
+  const updated = await saveIssuer({ ...issuer, name: profile.name, profile: { ...issuer.profile, ...profile } });
+  publishIssuerProfile(updated.did, updated.profile);
+  return updated;
+};
+
+// Signing paths that need an issuer create the demo issuer on first use
+export const loadOrCreateIssuer = async () => {
+  const issuer = loadIssuer() || await createIssuer();
+  if (!issuer.privateKey) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+  return issuer;
+};
+
+// ========================================================================
+// Function: Rotate Issuer Keys
+// ========================================================================
+// Replaces the secp256k1 key and, once they exist, the P-256 and BBS keys
+// (did#p256-1 -> did#p256-2, ...). Every rotation is recorded in the DID
+// registry, so the DID and earlier signatures stay valid
+// ========================================================================
+
+const nextKeyId = (id) => id.replace(/-(\d+)$/, (match, number) => `-${Number(number) + 1}`);
+
+const rotateMultikey = async (did, key, generateKeyPair, options) => {
+  if (!key) {
+    return undefined;
+  }
+  const next = { id: nextKeyId(key.id), ...(await generateKeyPair()) };
+  rotateVerificationMethod(did, key.id, {
+    id: next.id,
+    type: 'Multikey',
+    publicKeyMultibase: next.publicKeyMultibase
+  }, options);
+  return next;
+};
+
+// Runs a change that registers keys and saves them; if the save fails the
+// DID registry is put back, so it never lists keys the wallet does not hold
+const withRegistryRollback = async (did, change) => {
+  const history = getKeyHistory(did);
+  try {
+    return await change();
+  } catch (error) {
+    restoreKeyHistory(did, history);
+    clearDIDCache();
+    throw error;
+  }
+};
+
+export const rotateIssuerKey = async () => {
+  const issuer = await loadOrCreateIssuer();
+  return withRegistryRollback(issuer.did, async () => {
+    const rotated = rotateIdentityKey(issuer);
+    // The new secp256k1 key signs its sibling keys into the registry
+    const options = { at: rotated.keyValidFrom, signer: { id: rotated.verificationMethod, privateKey: rotated.privateKey } };
+    const p256Key = await rotateMultikey(rotated.did, rotated.p256Key, generateP256KeyPair, options);
+    const bbsKey = await rotateMultikey(rotated.did, rotated.bbsKey, generateBbsKeyPair, options);
+    clearDIDCache();
+
+    return saveIssuer({ ...rotated, ...(p256Key && { p256Key }), ...(bbsKey && { bbsKey }) });
+  });
+};
+
+// Creates an extra issuer key on first use and lists it in the DID Document
+const loadOrCreateIssuerMultikey = async (field, fragment, generateKeyPair) => {
+  const issuer = await loadOrCreateIssuer();
+  if (issuer[field]) {
+    return issuer[field];
+  }
+
+  const key = { id: `${issuer.did}#${fragment}`, ...(await generateKeyPair()) };
+  await withRegistryRollback(issuer.did, () => {
+    registerVerificationMethod(issuer.did, {
+      id: key.id,
+      type: 'Multikey',
+      publicKeyMultibase: key.publicKeyMultibase
+    }, { signer: { id: issuer.verificationMethod, privateKey: issuer.privateKey } });
+    clearDIDCache();
+
+    return saveIssuer({ ...issuer, [field]: key });
+  });
+  return key;
+};
+
+// BLS12-381 key for BBS selective disclosure credentials
+export const loadOrCreateIssuerBbsKey = () => loadOrCreateIssuerMultikey('bbsKey', 'bbs-1', generateBbsKeyPair);
+
+// P-256 key for ecdsa-rdfc-2019 Data Integrity proofs
+export const loadOrCreateIssuerP256Key = () => loadOrCreateIssuerMultikey('p256Key', 'p256-1', generateP256KeyPair);
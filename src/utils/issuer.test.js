@@ -0,0 +1,82 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  connectIssuerKeystore,
+  createIssuer,
+  loadIssuer,
+  rotateIssuerKey,
+  updateIssuerProfile,
+  loadOrCreateIssuerP256Key
+} from './issuer';
+import { getKeyHistory } from './didRegistry';
+
+// In-memory keystore recording every save; fail() makes the next saves reject
+const memoryKeystore = (keys = {}) => {
+  const store = { keys, saves: [], failing: false };
+  store.save = async (saved) => {
+    if (store.failing) {
+      throw new Error('disk full');
+    }
+    store.saves.push(saved);
+  };
+  store.fail = () => {
+    store.failing = true;
+  };
+  return store;
+};
+
+afterEach(() => {
+  connectIssuerKeystore(null);
+});
+
+describe('issuer keys', () => {
+  it('saves the secret keys to the wallet before resolving', async () => {
+    const store = memoryKeystore();
+    connectIssuerKeystore(store);
+    const issuer = await createIssuer({ name: 'Test U' });
+
+    expect(store.saves.at(-1)[issuer.did].privateKey).toBe(issuer.privateKey);
+    expect(JSON.parse(localStorage.getItem('issuerIdentity')).privateKey).toBeUndefined();
+  });
+
+  it('keeps the keys of other issuers in the wallet', async () => {
+    const other = { privateKey: '0x01' };
+    const store = memoryKeystore({ 'did:ethr:0xother': other });
+    connectIssuerKeystore(store);
+    const issuer = await createIssuer({ name: 'Test U' });
+
+    expect(Object.keys(store.saves.at(-1))).toEqual(['did:ethr:0xother', issuer.did]);
+    expect(store.saves.at(-1)['did:ethr:0xother']).toBe(other);
+  });
+
+  it('rejects and keeps the previous issuer when the wallet cannot be saved', async () => {
+    const store = memoryKeystore();
+    connectIssuerKeystore(store);
+    const issuer = await createIssuer({ name: 'Test U' });
+    store.fail();
+
+    await expect(createIssuer({ name: 'Other U' })).rejects.toThrow(/Could not save the issuer keys: disk full/);
+    await expect(updateIssuerProfile({ name: 'Renamed U' })).rejects.toThrow(/disk full/);
+    await expect(rotateIssuerKey()).rejects.toThrow(/disk full/);
+
+    const current = loadIssuer();
+    expect(current.did).toBe(issuer.did);
+    expect(current.profile.name).toBe('Test U');
+    expect(current.privateKey).toBe(issuer.privateKey);
+  });
+
+  it('leaves the DID registry as it was when new keys cannot be saved', async () => {
+    const store = memoryKeystore();
+    connectIssuerKeystore(store);
+    const issuer = await createIssuer({ name: 'Test U' });
+    await loadOrCreateIssuerP256Key();
+    const history = getKeyHistory(issuer.did);
+    store.fail();
+
+    await expect(rotateIssuerKey()).rejects.toThrow(/disk full/);
+    expect(getKeyHistory(issuer.did)).toEqual(history);
+  });
+
+  it('requires an unlocked wallet', async () => {
+    await expect(createIssuer({ name: 'Test U' })).rejects.toThrow(/Unlock the wallet/);
+  });
+});
@@ -0,0 +1,63 @@
+import { SigningKey, Signature, sha256, computeAddress, getBytes, hexlify, concat, toUtf8Bytes } from 'ethers';
+import { toBase64Url, fromBase64Url, encodeBase64UrlJSON, decodeBase64UrlJSON } from './base64url';
+
+// ============================================================================
+// ES256K COMPACT JWS
+// ============================================================================
+// JSON Web Signatures over secp256k1 (RFC 8812), used by SD-JWT and VC-JWT
+// - Signature is SHA-256 over "<header>.<payload>", encoded as raw r || s
+// - ES256K carries no recovery id, so both candidate public keys are
+//   recovered and returned as addresses for matching against a DID key
+// ============================================================================
+
+export const JWS_ALGORITHM = 'ES256K';
+
+// ========================================================================
+// Function: Sign JWS
+// ========================================================================
+
+export const signJws = (header, payload, privateKey) => {
+  const signingInput = `${encodeBase64UrlJSON({ ...header, alg: JWS_ALGORITHM })}.${encodeBase64UrlJSON(payload)}`;
+  const signature = new SigningKey(privateKey).sign(sha256(toUtf8Bytes(signingInput)));
+  return `${signingInput}.${toBase64Url(getBytes(concat([signature.r, signature.s])))}`;
+};
+
+// ========================================================================
+// Function: Decode JWS
+// ========================================================================
+// Returns { header, payload, signingInput, signature } without verifying
+// ========================================================================
+
+export const decodeJws = (compact) => {
+  const parts = compact.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWS - expected header.payload.signature');
+  }
+  return {
+    header: decodeBase64UrlJSON(parts[0]),
+    payload: decodeBase64UrlJSON(parts[1]),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: fromBase64Url(parts[2])
+  };
+};
+
+// ========================================================================
+// Function: JWS Signer Addresses
+// ========================================================================
+// Recovers the two possible signer addresses of a decoded ES256K JWS
+// ========================================================================
+
+export const jwsSignerAddresses = ({ header, signingInput, signature }) => {
+  if (header.alg !== JWS_ALGORITHM) {
+    throw new Error(`Unsupported JWS algorithm: ${header.alg}`);
+  }
+  if (signature.length !== 64) {
+    throw new Error('ES256K signature must be 64 bytes');
+  }
+
+  const digest = sha256(toUtf8Bytes(signingInput));
+  const r = hexlify(signature.slice(0, 32));
+  const s = hexlify(signature.slice(32));
+  return [27, 28].map((v) =>
+    computeAddress(SigningKey.recoverPublicKey(digest, Signature.from({ r, s, v }))));
+};
@@ -0,0 +1,247 @@
+import { Wallet } from 'ethers';
+import { didKeyFromPublicKey, deriveIdentityKey } from './did';
+import { recordKeyRotation, getKeyHistory } from './didRegistry';
+import { clearDIDCache, resolveDID, publicKeyFromVerificationMethod } from './didResolver';
+import { computeCID } from './cid';
+import { encryptEnvelope, decryptEnvelope } from './envelope';
+
+// ============================================================================
+// DID KEY ROTATION
+// ============================================================================
+// Replaces the signing/encryption key of an existing DID without changing
+// the DID itself
+// - Identities created from a recovery phrase derive the new key from the
+//   next index of their HD path, so the phrase recovers rotated keys too;
+//   other identities get a random key
+// - The old key stays in the identity's keyHistory (with its private key)
+//   so data encrypted to it can still be opened
+// - The registry records validity periods, so signatures made while the
+//   old key was current keep verifying
+// - Credentials encrypted to an old key are re-encrypted to the new one
+// ============================================================================
+
+export const currentVerificationMethod = (identity) => identity.verificationMethod || `${identity.did}#controller`;
+
+// Envelope recipient entry for the identity's current key
+export const recipientFor = (identity) => ({
+  kid: currentVerificationMethod(identity),
+  publicKey: identity.publicKey
+});
+
+// ========================================================================
+// Function: Recipient For DID
+// ========================================================================
+// Envelope recipient for a holder known only by DID (issuing to someone
+// else). Identities unlocked in this wallet are used directly; otherwise
+// the newest current secp256k1 key of the resolved DID Document is used
+// ========================================================================
+
+export const recipientForDID = async (did, identities = []) => {
+  const local = identities.find((identity) => identity.did === did);
+  if (local) {
+    return recipientFor(local);
+  }
+
+  const didDocument = await resolveDID(did);
+  const current = didDocument.verificationMethod
+    .filter((vm) => !vm.validUntil && publicKeyFromVerificationMethod(vm))
+    .pop();
+  if (!current) {
+    throw new Error(`The DID Document of ${did} publishes no encryption key - ask the holder for a did:key or a did:ethr public key DID`);
+  }
+  return { kid: current.id, publicKey: publicKeyFromVerificationMethod(current) };
+};
+
+// Current key first, then older keys, newest to oldest
+export const decryptionKeysFor = (identity) => [
+  identity.privateKey,
+  ...(identity.keyHistory || []).map((key) => key.privateKey).reverse()
+];
+
+const randomKey = () => {
+  const wallet = Wallet.createRandom();
+  return { privateKey: wallet.privateKey, publicKey: wallet.signingKey.publicKey, address: wallet.address };
+};
+
+// ========================================================================
+// Function: Rotate Identity Key
+// ========================================================================
+// Returns the updated identity; the caller persists it
+// ========================================================================
+
+export const rotateIdentityKey = (identity) => {
+  const at = new Date().toISOString();
+  const previousId = currentVerificationMethod(identity);
+  const history = identity.keyHistory || [];
+
+  const index = history.length + 1;
+  const key = deriveIdentityKey(identity, index) || randomKey();
+  const { publicKey } = key;
+  const nextId = `${identity.did}#key-${index}`;
+
+  recordKeyRotation(identity.did, {
+    previous: { id: previousId, publicKey: identity.publicKey, privateKey: identity.privateKey },
+    next: { id: nextId, publicKey },
+    at
+  });
+  clearDIDCache();
+
+  return {
+    ...identity,
+    privateKey: key.privateKey,
+    publicKey,
+    address: key.address,
+    didKey: didKeyFromPublicKey(publicKey),
+    verificationMethod: nextId,
+    keyValidFrom: at,
+    keyHistory: [
+      ...history,
+      {
+        id: previousId,
+        publicKey: identity.publicKey,
+        privateKey: identity.privateKey,
+        address: identity.address,
+        validFrom: identity.keyValidFrom || identity.createdAt,
+        validUntil: at
+      }
+    ]
+  };
+};
+
+// ========================================================================
+// Function: Recover Rotated Keys
+// ========================================================================
+// For an identity just restored from its recovery phrase: re-derives the
+// keys the registry lists as #key-1, #key-2, ... and makes the newest one
+// current again. Identities without rotations are returned unchanged
+// ========================================================================
+
+const sameKey = (a, b) => a.replace(/^0x/, '').toLowerCase() === b.replace(/^0x/, '').toLowerCase();
+
+export const recoverRotatedKeys = (identity) => {
+  const registered = getKeyHistory(identity.did);
+  const keys = [{
+    id: currentVerificationMethod(identity),
+    publicKey: identity.publicKey,
+    privateKey: identity.privateKey,
+    address: identity.address,
+    validFrom: identity.keyValidFrom || identity.createdAt
+  }];
+
+  for (let index = 1; ; index += 1) {
+    const entry = registered.find((candidate) => candidate.id === `${identity.did}#key-${index}`);
+    const key = entry?.publicKeyHex && deriveIdentityKey(identity, index);
+    if (!key || !sameKey(key.publicKey, entry.publicKeyHex)) break;
+    keys.push({ id: entry.id, publicKey: key.publicKey, privateKey: key.privateKey, address: key.address, validFrom: entry.validFrom });
+  }
+  if (keys.length === 1) {
+    return identity;
+  }
+
+  const current = keys[keys.length - 1];
+  return {
+    ...identity,
+    privateKey: current.privateKey,
+    publicKey: current.publicKey,
+    address: current.address,
+    didKey: didKeyFromPublicKey(current.publicKey),
+    verificationMethod: current.id,
+    keyValidFrom: current.validFrom,
+    keyHistory: keys.slice(0, -1).map((key) => ({
+      ...key,
+      validUntil: registered.find((entry) => entry.id === key.id)?.validUntil || null
+    }))
+  };
+};
+
+// ========================================================================
+// Function: Merge Identity
+// ========================================================================
+// Combines a restored copy of an identity with the one already in the
+// wallet instead of replacing it: the copy with more rotations provides
+// the current key and every other key is kept in keyHistory, so
+// credentials encrypted to any of them can still be opened
+// ========================================================================
+
+const keysOf = (identity) => [
+  ...(identity.keyHistory || []),
+  {
+    id: currentVerificationMethod(identity),
+    publicKey: identity.publicKey,
+    privateKey: identity.privateKey,
+    address: identity.address,
+    validFrom: identity.keyValidFrom || identity.createdAt,
+    validUntil: null
+  }
+];
+
+export const mergeIdentity = (existing, restored) => {
+  if (!existing) {
+    return restored;
+  }
+
+  const [newer, older] = (restored.keyHistory?.length || 0) > (existing.keyHistory?.length || 0)
+    ? [restored, existing]
+    : [existing, restored];
+  const keyHistory = [];
+  for (const key of [...(newer.keyHistory || []), ...keysOf(older)]) {
+    if (!sameKey(key.publicKey, newer.publicKey) && !keyHistory.some((kept) => sameKey(kept.publicKey, key.publicKey))) {
+      keyHistory.push(key);
+    }
+  }
+
+  return { ...older, ...newer, name: existing.name, keyHistory };
+};
+
+// Decrypts an envelope with whichever of the identity's keys it was made for
+export const decryptForIdentity = async (encryptedData, identity) => {
+  let lastError;
+  for (const privateKey of decryptionKeysFor(identity)) {
+    try {
+      return await decryptEnvelope(encryptedData, privateKey);
+    } catch (error) {
+      lastError = error;
+      // Only "not a recipient" is worth retrying with an older key
+      if (!error.message.includes('not a recipient')) throw error;
+    }
+  }
+  throw lastError;
+};
+
+// ========================================================================
+// Function: Re-encrypt Credentials
+// ========================================================================
+// Re-encrypts the identity's credentials that are not yet encrypted to its
+// current key. The ciphertext changes, so each record gets a new CID and
+// the old record is removed. Copies shared with verifiers are left as
+// they are. Returns the number of records updated.
+// ========================================================================
+
+export const reencryptCredentials = async (identity, storage, onProgress = () => {}) => {
+  const kid = currentVerificationMethod(identity);
+  const records = (await storage.list()).filter(
+    (cred) => cred.did === identity.did && cred.encryptionVersion && cred.encryptedTo !== kid && !cred.sharedFrom
+  );
+
+  let updated = 0;
+  for (const summary of records) {
+    const stored = await storage.get(summary.cid);
+    const plaintext = await decryptForIdentity(stored.encryptedData, identity);
+    const encryptedData = await encryptEnvelope(plaintext, [recipientFor(identity)]);
+    const cid = computeCID(encryptedData);
+
+    await storage.put({
+      ...stored,
+      cid,
+      ipfsGatewayUrl: `https://ipfs.io/ipfs/${cid}`,
+      encryptedData,
+      encryptedTo: kid,
+      supersedes: summary.cid
+    });
+    await storage.delete(summary.cid);
+
+    updated += 1;
+    onProgress(updated, records.length);
+  }
+  return updated;
+};
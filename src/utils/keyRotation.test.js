@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { rotateIdentityKey, recoverRotatedKeys, recipientFor, decryptForIdentity } from './keyRotation';
+import { createMnemonicIdentity, restoreIdentityFromMnemonic } from './did';
+import { encryptEnvelope } from './envelope';
+import { signCredential } from './signing';
+import { verifyCredential } from './verification';
+import { degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const HOUR = 60 * 60 * 1000;
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+// Runs fn with the clock set `ago` milliseconds in the past
+const inThePast = async (ago, fn) => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(Date.now() - ago);
+  try {
+    return await fn();
+  } finally {
+    vi.useRealTimers();
+  }
+};
+
+// Credential signed by the identity's current key, dated by the clock
+const signAs = async (identity) => {
+  const { signedVC } = await signCredential(
+    degreeCredential(identity, holderDid), identity.privateKey, identity.verificationMethod || `${identity.did}#controller`
+  );
+  return signedVC;
+};
+
+const rotateAnHourAgo = (identity) => inThePast(HOUR, () => rotateIdentityKey(identity));
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('key rotation', () => {
+  it('keeps credentials signed before the rotation valid', async () => {
+    const { identity } = createMnemonicIdentity();
+    const before = await inThePast(2 * HOUR, () => signAs(identity));
+    const rotated = await rotateAnHourAgo(identity);
+
+    const result = await verifyCredential(before);
+    expect(result.isValid).toBe(true);
+    expect(checkOf(result, 'issuer').detail).toMatch(/rotated out/);
+    expect(rotated.verificationMethod).toBe(`${identity.did}#key-1`);
+  });
+
+  it('accepts credentials signed with the new key', async () => {
+    const rotated = await rotateAnHourAgo(createMnemonicIdentity().identity);
+
+    expect((await verifyCredential(await signAs(rotated))).isValid).toBe(true);
+  });
+
+  it('rejects the old key for credentials dated after the rotation', async () => {
+    const { identity } = createMnemonicIdentity();
+    await rotateAnHourAgo(identity);
+
+    const result = await verifyCredential(await signAs(identity));
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'issuer').detail).toMatch(/was not valid/);
+  });
+
+  it('rejects the new key for credentials dated before the rotation', async () => {
+    const rotated = await rotateAnHourAgo(createMnemonicIdentity().identity);
+
+    const result = await verifyCredential(await inThePast(2 * HOUR, () => signAs(rotated)));
+    expect(checkOf(result, 'issuer').passed).toBe(false);
+  });
+
+  it('still opens credentials encrypted to the previous key', async () => {
+    const { identity } = createMnemonicIdentity();
+    const envelope = await encryptEnvelope('secret', [recipientFor(identity)]);
+    const rotated = rotateIdentityKey(identity);
+
+    expect(await decryptForIdentity(envelope, rotated)).toBe('secret');
+  });
+
+  it('recovers the rotated key from the recovery phrase', () => {
+    const { identity, mnemonic } = createMnemonicIdentity();
+    const rotated = rotateIdentityKey(rotateIdentityKey(identity));
+    const recovered = recoverRotatedKeys(restoreIdentityFromMnemonic(mnemonic));
+
+    expect(recovered.verificationMethod).toBe(`${identity.did}#key-2`);
+    expect(recovered.privateKey).toBe(rotated.privateKey);
+    expect(recovered.keyHistory.map((key) => key.privateKey)).toEqual(rotated.keyHistory.map((key) => key.privateKey));
+  });
+});
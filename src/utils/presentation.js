@@ -0,0 +1,213 @@
+import { Wallet, verifyMessage } from 'ethers';
+import { canonicalize, stripProof, SIGNATURE_ALGORITHM, SIGNATURE_SCHEME } from './signing';
+import {
+  resolveDID,
+  findVerificationMethod,
+  isAuthorizedFor,
+  isValidAt,
+  addressFromVerificationMethod
+} from './didResolver';
+import { verifyPayload } from './credentialFormats';
+import { currentVerificationMethod } from './keyRotation';
+import { evaluatePresentation } from './presentationExchange';
+import { checkChallenge, consumeChallenge, expectedDomain } from './challenges';
+
+// ============================================================================
+// VERIFIABLE PRESENTATIONS
+// ============================================================================
+// Holder side:
+// - createPresentation() wraps signed credentials (JSON credentials or
+//   VC-JWT strings) in a W3C Verifiable Presentation signed by the
+//   holder's DID key, optionally answering a DIF presentation_definition
+//   with a presentation_submission
+// - The proof options (challenge, domain, created, ...) are part of the
+//   signed payload, so a presentation cannot be re-targeted
+// Verifier side:
+// - createChallenge() (see challenges) issues a one-time nonce bound to a domain
+// - verifyPresentation() checks the holder proof, the challenge (unknown,
+//   expired or already used challenges are rejected as replays), the
+//   domain, holder binding, every embedded credential and, when given,
+//   the verifier's presentation_definition
+// ============================================================================
+
+// The signed bytes: presentation without proofValue, proof options included
+const presentationPayload = (vp) => {
+  const { proofValue, ...proofOptions } = vp.proof || {};
+  return canonicalize({ ...stripProof(vp), proof: proofOptions });
+};
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+// ========================================================================
+// Function: Create Presentation
+// ========================================================================
+
+export const createPresentation = async ({ credentials, identity, challenge, domain, presentationSubmission }) => {
+  if (!credentials.length) {
+    throw new Error('Select at least one credential to present');
+  }
+  if (!challenge) {
+    throw new Error('A verifier challenge is required');
+  }
+
+  const unsigned = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiablePresentation'],
+    holder: identity.did,
+    verifiableCredential: credentials,
+    ...(presentationSubmission && { presentation_submission: presentationSubmission }),
+    proof: {
+      type: SIGNATURE_ALGORITHM,
+      scheme: SIGNATURE_SCHEME,
+      created: new Date().toISOString(),
+      verificationMethod: currentVerificationMethod(identity),
+      proofPurpose: 'authentication',
+      challenge,
+      domain
+    }
+  };
+
+  const proofValue = await new Wallet(identity.privateKey).signMessage(presentationPayload(unsigned));
+  return { ...unsigned, proof: { ...unsigned.proof, proofValue } };
+};
+
+// ========================================================================
+// Individual checks
+// ========================================================================
+
+const checkHolderProof = async (vp) => {
+  const proof = vp.proof;
+  if (!proof?.proofValue) {
+    return check('holder', 'Holder Proof', false, 'Presentation has no proof');
+  }
+  if (proof.type !== SIGNATURE_ALGORITHM || proof.proofPurpose !== 'authentication') {
+    return check('holder', 'Holder Proof', false, `Unsupported proof: ${proof.type} / ${proof.proofPurpose}`);
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(presentationPayload(vp), proof.proofValue);
+  } catch (error) {
+    return check('holder', 'Holder Proof', false, `Malformed signature: ${error.message}`);
+  }
+
+  let didDocument;
+  try {
+    didDocument = await resolveDID(vp.holder);
+  } catch (error) {
+    return check('holder', 'Holder Proof', false, `Could not resolve holder DID: ${error.message}`);
+  }
+
+  const verificationMethod = findVerificationMethod(didDocument, proof.verificationMethod || '');
+  if (!verificationMethod || !isAuthorizedFor(didDocument, verificationMethod.id, 'authentication')) {
+    return check('holder', 'Holder Proof', false, `${proof.verificationMethod} is not an authentication key of ${vp.holder}`);
+  }
+
+  const keyAddress = addressFromVerificationMethod(verificationMethod);
+  if (!keyAddress || keyAddress.toLowerCase() !== signer.toLowerCase()) {
+    return check('holder', 'Holder Proof', false, `Signer ${signer} does not control ${proof.verificationMethod}`);
+  }
+  if (!isValidAt(verificationMethod, proof.created)) {
+    return check('holder', 'Holder Proof', false, `Key ${proof.verificationMethod} was not valid when the presentation was signed`);
+  }
+
+  return check('holder', 'Holder Proof', true, `Signed by holder key ${verificationMethod.id}`);
+};
+
+const checkDomain = (vp) => {
+  const expected = expectedDomain(vp.proof?.challenge);
+  return vp.proof?.domain === expected
+    ? check('domain', 'Domain', true, `Bound to ${expected}`)
+    : check('domain', 'Domain', false, `Presentation is for ${vp.proof?.domain}, expected ${expected}`);
+};
+
+const checkHolderBinding = (vp, credentialResults) => {
+  const foreign = credentialResults.filter((result) => result.subject !== vp.holder);
+  return foreign.length === 0
+    ? check('binding', 'Holder Binding', true, 'Holder is the subject of every credential')
+    : check('binding', 'Holder Binding', false, `${foreign.length} credential(s) were issued to a different subject`);
+};
+
+// ========================================================================
+// Function: Verify Presentation
+// ========================================================================
+// options.definition: presentation_definition the VP must satisfy
+// Returns { isValid, holder, checks, credentialResults, definitionResult? }
+// where each credential result is { vc, ...verifyPayload() } and vc is the
+// JSON credential (decoded for VC-JWTs)
+// ========================================================================
+
+export const isPresentation = (value) =>
+  [].concat(value?.type || []).includes('VerifiablePresentation');
+
+export const verifyPresentation = async (vp, { now = new Date(), definition, ...options } = {}) => {
+  if (!isPresentation(vp)) {
+    return {
+      isValid: false,
+      holder: null,
+      checks: [check('holder', 'Holder Proof', false, 'Not a VerifiablePresentation')],
+      credentialResults: []
+    };
+  }
+
+  const credentials = [].concat(vp.verifiableCredential || []);
+  const holderCheck = await checkHolderProof(vp);
+  const { passed: challengePassed, detail: challengeDetail } = checkChallenge(vp.proof?.challenge, now);
+  const challengeCheck = check('challenge', 'Challenge', challengePassed, challengeDetail);
+
+  // A genuine holder proof burns the challenge, valid or not, so it can
+  // never be replayed
+  if (holderCheck.passed && challengeCheck.passed) {
+    consumeChallenge(vp.proof.challenge, now);
+  }
+
+  const credentialResults = [];
+  for (const presented of credentials) {
+    let result;
+    try {
+      result = await verifyPayload(presented, { now, ...options });
+    } catch (error) {
+      result = {
+        isValid: false,
+        checks: [check('integrity', 'Integrity', false, `Unreadable credential: ${error.message}`)],
+        document: null,
+        trust: { trusted: false, status: 'unknown-issuer', detail: 'Credential could not be read', entry: null }
+      };
+    }
+    credentialResults.push({ vc: result.document || {}, ...result });
+  }
+  const validCount = credentialResults.filter((r) => r.isValid).length;
+
+  const checks = [
+    holderCheck,
+    challengeCheck,
+    checkDomain(vp),
+    checkHolderBinding(vp, credentialResults),
+    check(
+      'credentials',
+      'Embedded Credentials',
+      credentials.length > 0 && validCount === credentials.length,
+      `${validCount} of ${credentials.length} credential(s) verified`
+    )
+  ];
+
+  let definitionResult;
+  if (definition) {
+    definitionResult = evaluatePresentation(definition, vp, credentialResults);
+    const satisfied = definitionResult.descriptors.filter((d) => d.passed).length;
+    checks.push(check(
+      'definition',
+      'Presentation Definition',
+      definitionResult.passed,
+      `${satisfied} of ${definitionResult.descriptors.length} requirement(s) of ${definition.name || definition.id} met`
+    ));
+  }
+
+  return {
+    isValid: checks.every((c) => c.passed),
+    holder: vp.holder,
+    checks,
+    credentialResults,
+    definitionResult
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { createPresentation, verifyPresentation } from './presentation';
+import { createChallenge } from './challenges';
+import { generateIdentity } from './did';
+import { signCredential } from './signing';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+const issueTo = async (holder) => {
+  const issuer = createTestIssuer();
+  const { signedVC } = await signCredential(
+    degreeCredential(issuer, holder.did), issuer.privateKey, issuer.verificationMethod
+  );
+  return signedVC;
+};
+
+const present = async (holder, credentials, { domain = 'verifier.example' } = {}) => {
+  const { challenge } = createChallenge('verifier.example');
+  return createPresentation({ credentials, identity: holder, challenge, domain });
+};
+
+describe('verifiable presentations', () => {
+  it('verifies a presentation signed by the subject for this verifier', async () => {
+    const holder = generateIdentity();
+    const result = await verifyPresentation(await present(holder, [await issueTo(holder)]));
+
+    expect(result.isValid).toBe(true);
+    expect(result.holder).toBe(holder.did);
+  });
+
+  it('rejects a replayed presentation', async () => {
+    const holder = generateIdentity();
+    const vp = await present(holder, [await issueTo(holder)]);
+    await verifyPresentation(vp);
+
+    const replay = await verifyPresentation(vp);
+    expect(replay.isValid).toBe(false);
+    expect(checkOf(replay, 'challenge').detail).toMatch(/Replay detected/);
+  });
+
+  it('rejects a challenge this verifier never issued', async () => {
+    const holder = generateIdentity();
+    const vp = await createPresentation({
+      credentials: [await issueTo(holder)], identity: holder, challenge: 'made-up', domain: 'verifier.example'
+    });
+
+    expect(checkOf(await verifyPresentation(vp), 'challenge').passed).toBe(false);
+  });
+
+  it('rejects a presentation made for another domain', async () => {
+    const holder = generateIdentity();
+    const vp = await present(holder, [await issueTo(holder)], { domain: 'other.example' });
+
+    expect(checkOf(await verifyPresentation(vp), 'domain').passed).toBe(false);
+  });
+
+  it('rejects a presentation whose challenge was swapped after signing', async () => {
+    const holder = generateIdentity();
+    const vp = await present(holder, [await issueTo(holder)]);
+    const { challenge } = createChallenge('verifier.example');
+
+    const result = await verifyPresentation({ ...vp, proof: { ...vp.proof, challenge } });
+    expect(checkOf(result, 'holder').passed).toBe(false);
+  });
+
+  it('rejects someone else\'s credential', async () => {
+    const holder = generateIdentity();
+    const result = await verifyPresentation(await present(holder, [await issueTo(generateIdentity())]));
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'binding').passed).toBe(false);
+  });
+
+  it('rejects a presentation signed by a key the holder does not control', async () => {
+    const holder = generateIdentity();
+    const impostor = { ...generateIdentity(), did: holder.did, verificationMethod: `${holder.did}#controller` };
+
+    const result = await verifyPresentation(await present(impostor, [await issueTo(holder)]));
+    expect(checkOf(result, 'holder').passed).toBe(false);
+  });
+
+  it('requires a challenge to create a presentation', async () => {
+    const holder = generateIdentity();
+    await expect(createPresentation({ credentials: [await issueTo(holder)], identity: holder }))
+      .rejects.toThrow(/challenge is required/);
+  });
+});
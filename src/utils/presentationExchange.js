@@ -0,0 +1,288 @@
+import { JSONPath } from 'jsonpath-plus';
+import Ajv2020 from 'ajv/dist/2020';
+import addFormats from 'ajv-formats';
+import { credentialSchemaReference } from './schemaRegistry';
+import { isVcJwt, decodeVcJwt } from './vcJwt';
+
+// ============================================================================
+// DIF PRESENTATION EXCHANGE
+// ============================================================================
+// Verifier requirements as DIF Presentation Exchange v2 documents
+// - A presentation_definition lists input_descriptors; each constrains one
+//   credential through fields: JSONPath expressions (first path that
+//   resolves wins) whose value must match a JSON Schema filter
+// - The holder matches stored credentials against the definition and
+//   answers with a presentation_submission mapping each descriptor to a
+//   credential in the VP (descriptor_map)
+// - The verifier evaluates every descriptor and reports pass / fail per
+//   requirement and per field
+// Supported: JSON credentials (ldp_vc) and VC-JWTs (jwt_vc, matched on the
+// credential their claims describe); every input descriptor is required
+// (submission_requirements are not supported)
+// ============================================================================
+
+export const SUBMISSION_FORMAT = 'ldp_vc';
+export const JWT_SUBMISSION_FORMAT = 'jwt_vc';
+
+const submissionFormatOf = (credential) => (isVcJwt(credential) ? JWT_SUBMISSION_FORMAT : SUBMISSION_FORMAT);
+
+const ajv = addFormats(new Ajv2020({ allErrors: true, strict: false }));
+
+// Paths come from the verifier's definition and the holder's mapping:
+// evaluate them without script expressions
+const query = (path, json) => JSONPath({ path, json, wrap: true, eval: false });
+
+// ========================================================================
+// Function: Validate Presentation Definition
+// ========================================================================
+// Structural checks; throws with the first problem found
+// ========================================================================
+
+export const validatePresentationDefinition = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Presentation definition must be a JSON object');
+  }
+  if (!definition.id) {
+    throw new Error('Presentation definition needs an id');
+  }
+  if (definition.submission_requirements) {
+    throw new Error('submission_requirements are not supported - every input descriptor is required');
+  }
+  if (!Array.isArray(definition.input_descriptors) || definition.input_descriptors.length === 0) {
+    throw new Error('Presentation definition needs at least one input descriptor');
+  }
+
+  definition.input_descriptors.forEach((descriptor, i) => {
+    if (!descriptor.id) {
+      throw new Error(`Input descriptor ${i + 1} needs an id`);
+    }
+    (descriptor.constraints?.fields || []).forEach((field, j) => {
+      if (!Array.isArray(field.path) || field.path.length === 0) {
+        throw new Error(`Field ${j + 1} of input descriptor ${descriptor.id} needs a path array`);
+      }
+      field.path.forEach((path) => {
+        try {
+          query(path, {});
+        } catch (error) {
+          throw new Error(`Field ${j + 1} of input descriptor ${descriptor.id} has an unsupported path ${path}: ${error.message}`);
+        }
+      });
+      if (field.filter) {
+        try {
+          ajv.compile(field.filter);
+        } catch (error) {
+          throw new Error(`Field ${j + 1} of input descriptor ${descriptor.id} has an invalid filter: ${error.message}`);
+        }
+      }
+    });
+  });
+  return definition;
+};
+
+export const parsePresentationDefinition = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Presentation definition is not valid JSON');
+  }
+  // Accept a bare definition or one wrapped as { presentation_definition }
+  return validatePresentationDefinition(parsed.presentation_definition || parsed);
+};
+
+// ========================================================================
+// Function: Evaluate Input Descriptor
+// ========================================================================
+// Checks one credential (JSON or VC-JWT) against one descriptor
+// Returns { passed, fields: [{ path, passed, detail }] }
+// ========================================================================
+
+const resolveField = (field, credential) => {
+  for (const path of field.path) {
+    const values = query(path, credential);
+    if (values.length > 0) {
+      return { path, value: values[0] };
+    }
+  }
+  return null;
+};
+
+export const evaluateDescriptor = (descriptor, presented) => {
+  const credential = isVcJwt(presented) ? decodeVcJwt(presented) : presented;
+  const fields = (descriptor.constraints?.fields || []).map((field) => {
+    const label = field.name || field.path[0];
+    const resolved = resolveField(field, credential);
+    if (!resolved) {
+      return field.optional
+        ? { path: label, passed: true, detail: 'Optional field not present' }
+        : { path: label, passed: false, detail: `No value at ${field.path.join(' or ')}` };
+    }
+    if (!field.filter) {
+      return { path: label, passed: true, detail: `Present at ${resolved.path}` };
+    }
+
+    const validate = ajv.compile(field.filter);
+    return validate(resolved.value)
+      ? { path: label, passed: true, detail: `${JSON.stringify(resolved.value)} matches the filter` }
+      : {
+        path: label,
+        passed: false,
+        detail: `${JSON.stringify(resolved.value)} ${validate.errors.map((error) => error.message).join(', ')}`
+      };
+  });
+
+  return { passed: fields.every((field) => field.passed), fields };
+};
+
+// ========================================================================
+// Function: Match Credentials
+// ========================================================================
+// Holder side: indexes of the credentials that satisfy each descriptor
+// Returns { [descriptorId]: [index, ...] }
+// ========================================================================
+
+export const matchCredentials = (definition, credentials) => Object.fromEntries(
+  definition.input_descriptors.map((descriptor) => [
+    descriptor.id,
+    credentials
+      .map((credential, index) => (evaluateDescriptor(descriptor, credential).passed ? index : -1))
+      .filter((index) => index >= 0)
+  ])
+);
+
+// ========================================================================
+// Function: Create Presentation Submission
+// ========================================================================
+// Maps every descriptor to the first of the presented credentials that
+// satisfies it; throws when one cannot be satisfied
+// ========================================================================
+
+export const createPresentationSubmission = (definition, credentials) => {
+  const matches = matchCredentials(definition, credentials);
+  const unmatched = definition.input_descriptors.filter((descriptor) => matches[descriptor.id].length === 0);
+  if (unmatched.length > 0) {
+    throw new Error(`No selected credential satisfies: ${unmatched.map((d) => d.name || d.id).join(', ')}`);
+  }
+
+  return {
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    definition_id: definition.id,
+    descriptor_map: definition.input_descriptors.map((descriptor) => ({
+      id: descriptor.id,
+      format: submissionFormatOf(credentials[matches[descriptor.id][0]]),
+      path: `$.verifiableCredential[${matches[descriptor.id][0]}]`
+    }))
+  };
+};
+
+// ========================================================================
+// Function: Evaluate Presentation
+// ========================================================================
+// Verifier side. credentialResults: verifyPresentation() results, so a
+// descriptor only passes with a credential that also verified
+// Returns { passed, descriptors: [{ id, name, passed, detail, fields }] }
+// ========================================================================
+
+export const evaluatePresentation = (definition, vp, credentialResults = []) => {
+  const submission = vp.presentation_submission;
+  if (!submission || submission.definition_id !== definition.id) {
+    const detail = submission
+      ? `Submission answers definition ${submission.definition_id}, not ${definition.id}`
+      : 'Presentation has no presentation_submission';
+    return {
+      passed: false,
+      descriptors: definition.input_descriptors.map((d) => ({ id: d.id, name: d.name || d.id, passed: false, detail, fields: [] }))
+    };
+  }
+
+  const descriptors = definition.input_descriptors.map((descriptor) => {
+    const name = descriptor.name || descriptor.id;
+    const mapping = (submission.descriptor_map || []).find((entry) => entry.id === descriptor.id);
+    if (!mapping) {
+      return { id: descriptor.id, name, passed: false, detail: 'Not answered in the submission', fields: [] };
+    }
+    let credential;
+    try {
+      [credential] = query(mapping.path, vp);
+    } catch (error) {
+      return { id: descriptor.id, name, passed: false, detail: `Unsupported path ${mapping.path}: ${error.message}`, fields: [] };
+    }
+    if (!credential) {
+      return { id: descriptor.id, name, passed: false, detail: `Nothing at ${mapping.path}`, fields: [] };
+    }
+    if (mapping.format !== submissionFormatOf(credential)) {
+      return { id: descriptor.id, name, passed: false, detail: `Submission format ${mapping.format} does not match the credential at ${mapping.path}`, fields: [] };
+    }
+
+    let result;
+    try {
+      result = evaluateDescriptor(descriptor, credential);
+    } catch (error) {
+      return { id: descriptor.id, name, passed: false, detail: `Credential at ${mapping.path} could not be read: ${error.message}`, fields: [] };
+    }
+    const { passed, fields } = result;
+    const index = [].concat(vp.verifiableCredential || []).indexOf(credential);
+    const verified = credentialResults[index]?.isValid;
+    return {
+      id: descriptor.id,
+      name,
+      passed: passed && verified,
+      detail: !verified
+        ? `Credential at ${mapping.path} did not verify`
+        : passed ? `Satisfied by ${mapping.path}` : `Credential at ${mapping.path} does not meet the constraints`,
+      fields
+    };
+  });
+
+  return { passed: descriptors.every((d) => d.passed), descriptors };
+};
+
+// ========================================================================
+// Function: Definition For Schema
+// ========================================================================
+// Authoring helper: one descriptor asking for a credential of a registered
+// type. claimFilters: { [claim]: JSON Schema filter }; issuerDids: if set,
+// only these issuers are accepted
+// ========================================================================
+
+export const definitionForSchema = (schema, { purpose = '', claimFilters = {}, issuerDids = [] } = {}) => {
+  const claimPath = (name) => `$.credentialSubject.${schema.claimsProperty}.${name}`;
+  return {
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    name: `${schema.title} request`,
+    ...(purpose && { purpose }),
+    format: {
+      [SUBMISSION_FORMAT]: { proof_type: ['DataIntegrityProof', 'EcdsaSecp256k1RecoverySignature2020'] },
+      [JWT_SUBMISSION_FORMAT]: { alg: ['ES256K'] }
+    },
+    input_descriptors: [
+      {
+        id: schema.id,
+        name: schema.title,
+        ...(purpose && { purpose }),
+        constraints: {
+          fields: [
+            {
+              path: ['$.type'],
+              filter: { type: 'array', contains: { const: schema.credentialType } }
+            },
+            {
+              path: ['$.credentialSchema.id', '$.credentialSchema[*].id'],
+              filter: { type: 'string', const: credentialSchemaReference(schema).id }
+            },
+            ...(issuerDids.length > 0 ? [{
+              name: 'issuer',
+              path: ['$.issuer.id', '$.issuer'],
+              filter: { type: 'string', enum: issuerDids }
+            }] : []),
+            ...Object.entries(claimFilters).map(([name, filter]) => ({
+              name,
+              path: [claimPath(name)],
+              filter
+            }))
+          ]
+        }
+      }
+    ]
+  };
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  definitionForSchema,
+  parsePresentationDefinition,
+  validatePresentationDefinition,
+  evaluateDescriptor,
+  matchCredentials,
+  createPresentationSubmission,
+  evaluatePresentation,
+  SUBMISSION_FORMAT,
+  JWT_SUBMISSION_FORMAT
+} from './presentationExchange';
+import { encodeVcJwt } from './vcJwt';
+import { getCredentialSchema, credentialSchemaReference } from './schemaRegistry';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const degreeSchema = getCredentialSchema('university-degree');
+
+const degree = (issuer, degreeOverrides = {}) => {
+  const vc = degreeCredential(issuer, holderDid, { credentialSchema: credentialSchemaReference(degreeSchema) });
+  vc.credentialSubject.degree = { ...vc.credentialSubject.degree, ...degreeOverrides };
+  return vc;
+};
+
+const mastersFrom = (issuerDids = []) => definitionForSchema(degreeSchema, {
+  purpose: 'Hiring',
+  claimFilters: { type: { type: 'string', const: 'MastersDegree' }, graduationYear: { type: 'integer', minimum: 2015 } },
+  issuerDids
+});
+
+const presentationOf = (definition, credentials) => ({
+  type: ['VerifiablePresentation'],
+  verifiableCredential: credentials,
+  presentation_submission: createPresentationSubmission(definition, credentials)
+});
+
+const verified = (count) => Array.from({ length: count }, () => ({ isValid: true }));
+
+describe('presentation definitions', () => {
+  it('accepts generated and wrapped definitions', () => {
+    const definition = mastersFrom();
+
+    expect(validatePresentationDefinition(definition)).toBe(definition);
+    expect(parsePresentationDefinition(JSON.stringify({ presentation_definition: definition }))).toEqual(definition);
+  });
+
+  it('rejects incomplete or unsupported definitions', () => {
+    const definition = mastersFrom();
+    const withField = (field) => ({ ...definition, input_descriptors: [{ id: 'd', constraints: { fields: [field] } }] });
+
+    expect(() => parsePresentationDefinition('{')).toThrow('not valid JSON');
+    expect(() => validatePresentationDefinition({ ...definition, id: undefined })).toThrow('needs an id');
+    expect(() => validatePresentationDefinition({ ...definition, input_descriptors: [] })).toThrow('at least one input descriptor');
+    expect(() => validatePresentationDefinition({ ...definition, submission_requirements: [] })).toThrow('not supported');
+    expect(() => validatePresentationDefinition(withField({ path: [] }))).toThrow('needs a path array');
+    expect(() => validatePresentationDefinition(withField({ path: ['$.type'], filter: { type: 'no-such-type' } }))).toThrow('invalid filter');
+  });
+
+  it('does not evaluate script expressions in paths', () => {
+    const descriptor = { id: 'd', constraints: { fields: [{ path: ['$..[?(@.constructor.constructor("return process")())]'] }] } };
+
+    expect(() => evaluateDescriptor(descriptor, degree(createTestIssuer()))).toThrow('prevented');
+    expect(() => validatePresentationDefinition({ ...mastersFrom(), input_descriptors: [descriptor] })).toThrow('unsupported path');
+  });
+});
+
+describe('evaluating credentials', () => {
+  it('matches credentials on type, schema, claims and issuer', () => {
+    const trusted = createTestIssuer();
+    const definition = mastersFrom([trusted.did]);
+    const credentials = [
+      degree(trusted, { type: 'BachelorDegree' }),
+      degree(createTestIssuer()),
+      degree(trusted, { graduationYear: 2010 }),
+      degree(trusted)
+    ];
+
+    expect(matchCredentials(definition, credentials)).toEqual({ [degreeSchema.id]: [3] });
+    const { fields } = evaluateDescriptor(definition.input_descriptors[0], credentials[0]);
+    expect(fields.find((f) => f.path === 'type').passed).toBe(false);
+  });
+
+  it('matches VC-JWTs on the credential their claims describe', () => {
+    const issuer = createTestIssuer();
+    const jwt = encodeVcJwt(degree(issuer), issuer);
+    const definition = mastersFrom([issuer.did]);
+
+    expect(matchCredentials(definition, [jwt])).toEqual({ [degreeSchema.id]: [0] });
+    expect(createPresentationSubmission(definition, [jwt]).descriptor_map[0].format).toBe(JWT_SUBMISSION_FORMAT);
+  });
+
+  it('refuses to build a submission the credentials cannot satisfy', () => {
+    expect(() => createPresentationSubmission(mastersFrom(), [degree(createTestIssuer(), { type: 'Diploma' })]))
+      .toThrow('No selected credential satisfies');
+  });
+});
+
+describe('evaluating presentations', () => {
+  it('passes a submission backed by verified credentials', () => {
+    const definition = mastersFrom();
+    const vp = presentationOf(definition, [degree(createTestIssuer())]);
+    const result = evaluatePresentation(definition, vp, verified(1));
+
+    expect(vp.presentation_submission.descriptor_map[0].format).toBe(SUBMISSION_FORMAT);
+    expect(result.passed).toBe(true);
+  });
+
+  it('fails a descriptor whose credential did not verify', () => {
+    const definition = mastersFrom();
+    const vp = presentationOf(definition, [degree(createTestIssuer())]);
+    const result = evaluatePresentation(definition, vp, [{ isValid: false }]);
+
+    expect(result.passed).toBe(false);
+    expect(result.descriptors[0].detail).toContain('did not verify');
+  });
+
+  it('fails a credential swapped after the submission was made', () => {
+    const definition = mastersFrom();
+    const vp = presentationOf(definition, [degree(createTestIssuer())]);
+    vp.verifiableCredential = [degree(createTestIssuer(), { type: 'BachelorDegree' })];
+
+    expect(evaluatePresentation(definition, vp, verified(1)).descriptors[0].detail).toContain('does not meet the constraints');
+  });
+
+  it('fails submissions for another definition, path or format', () => {
+    const definition = mastersFrom();
+    const vp = presentationOf(definition, [degree(createTestIssuer())]);
+    const mapping = vp.presentation_submission.descriptor_map[0];
+    const withMapping = (changes) => ({
+      ...vp,
+      presentation_submission: { ...vp.presentation_submission, descriptor_map: [{ ...mapping, ...changes }] }
+    });
+
+    expect(evaluatePresentation(mastersFrom(), vp, verified(1)).passed).toBe(false);
+    expect(evaluatePresentation(definition, { ...vp, presentation_submission: undefined }, verified(1)).passed).toBe(false);
+    expect(evaluatePresentation(definition, withMapping({ path: '$.verifiableCredential[5]' }), verified(1)).descriptors[0].detail).toContain('Nothing at');
+    expect(evaluatePresentation(definition, withMapping({ format: JWT_SUBMISSION_FORMAT }), verified(1)).descriptors[0].detail).toContain('does not match');
+  });
+});
@@ -0,0 +1,118 @@
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { detectFormat } from './credentialFormats';
+import { isValidCID } from './cid';
+import { toBase64Url, fromBase64Url } from './base64url';
+
+// ============================================================================
+// QR CODE SHARING
+// ============================================================================
+// Credentials are shown as QR codes for in-person verification
+// - The QR carries the credential in the format it is stored in (JSON
+//   credentials without whitespace); it is never re-signed, as the holder
+//   does not have the issuer's keys
+// - Credentials too large for a QR fall back to a verification link
+//   (#verify=<cid>) that opens the Verify tab on the same vault
+// - Share links add the one-off decryption key and the encrypted copy
+//   itself (#verify=<cid>&key=<key>&data=<envelope>)
+// - Scanned images are decoded in the browser with jsQR
+// ============================================================================
+
+// Byte-mode capacity of a version 40 QR code at error correction level L
+const QR_CAPACITY_BYTES = 2953;
+
+export const VERIFY_LINK_PARAM = 'verify';
+export const SHARE_KEY_PARAM = 'key';
+export const SHARE_DATA_PARAM = 'data';
+
+export const verificationLink = (cid, shareKey, encryptedData) => {
+  const fragment = new URLSearchParams({
+    [VERIFY_LINK_PARAM]: cid,
+    ...(shareKey && { [SHARE_KEY_PARAM]: shareKey }),
+    ...(encryptedData && { [SHARE_DATA_PARAM]: toBase64Url(new TextEncoder().encode(encryptedData)) })
+  });
+  return `${window.location.origin}${window.location.pathname}#${fragment}`;
+};
+
+const fragmentParams = (hash) => new URLSearchParams(hash.replace(/^#/, ''));
+
+// CID from the current page's #verify=<cid> fragment, if any
+export const cidFromLocation = () => fragmentParams(window.location.hash).get(VERIFY_LINK_PARAM);
+
+// Share link key from the current page's fragment, if any
+export const shareKeyFromLocation = () => fragmentParams(window.location.hash).get(SHARE_KEY_PARAM);
+
+const decodeShareData = (data) => (data ? new TextDecoder().decode(fromBase64Url(data)) : null);
+
+// Encrypted copy carried by a share link, if any
+export const shareDataFromLocation = () => decodeShareData(fragmentParams(window.location.hash).get(SHARE_DATA_PARAM));
+
+// ========================================================================
+// Function: Compact QR Payload
+// ========================================================================
+// Picks what goes into a credential's QR code
+// Returns { kind: 'credential' | 'link', text }
+// ========================================================================
+
+export const compactQrPayload = (record, plaintext) => {
+  let text = plaintext.trim();
+  if (['ldp', 'bbs'].includes(detectFormat(text))) {
+    text = JSON.stringify(JSON.parse(text));
+  }
+
+  if (new TextEncoder().encode(text).length <= QR_CAPACITY_BYTES) {
+    return { kind: 'credential', text };
+  }
+  return { kind: 'link', text: verificationLink(record.cid) };
+};
+
+export const renderQrDataUrl = (text) =>
+  QRCode.toDataURL(text, { errorCorrectionLevel: 'L', margin: 2, width: 320 });
+
+// ========================================================================
+// Function: Decode QR Image
+// ========================================================================
+// Reads the first QR code in an image File/Blob; throws if none is found
+// ========================================================================
+
+export const decodeQrImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const { data, width, height } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  bitmap.close();
+
+  const code = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+  if (!code) {
+    throw new Error('No QR code found in the image');
+  }
+  return code.data;
+};
+
+// ========================================================================
+// Function: Parse Scanned Text
+// ========================================================================
+// Classifies decoded QR text for the Verify tab
+// Returns { mode: 'credential', cid, shareKey, shareData } or
+// { mode: 'shared', payload }
+// ========================================================================
+
+export const parseScannedText = (text) => {
+  const trimmed = text.trim();
+  const fragment = trimmed.match(/#(\S+)$/);
+  const params = fragment ? fragmentParams(fragment[1]) : null;
+  const cid = params?.get(VERIFY_LINK_PARAM) || trimmed;
+  if (isValidCID(cid)) {
+    return {
+      mode: 'credential',
+      cid,
+      shareKey: params?.get(SHARE_KEY_PARAM) || null,
+      shareData: decodeShareData(params?.get(SHARE_DATA_PARAM))
+    };
+  }
+  return { mode: 'shared', payload: trimmed };
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { compactQrPayload, parseScannedText } from './qr';
+import { signCredential } from './signing';
+import { encodeVcJwt } from './vcJwt';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const record = { cid: 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy' };
+
+beforeEach(() => {
+  vi.stubGlobal('window', { location: { origin: 'https://vault.example', pathname: '/', hash: '' } });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('QR payloads', () => {
+  it('carries a JSON credential as stored, without re-signing it', async () => {
+    const issuer = createTestIssuer();
+    const { signedVC } = await signCredential(degreeCredential(issuer, holderDid), issuer.privateKey, issuer.verificationMethod);
+
+    const { kind, text } = compactQrPayload(record, JSON.stringify(signedVC, null, 2));
+    expect(kind).toBe('credential');
+    expect(JSON.parse(text)).toEqual(signedVC);
+  });
+
+  it('carries a VC-JWT as stored', () => {
+    const issuer = createTestIssuer();
+    const jwt = encodeVcJwt(degreeCredential(issuer, holderDid), issuer);
+
+    expect(compactQrPayload(record, `${jwt}\n`)).toEqual({ kind: 'credential', text: jwt });
+  });
+
+  it('falls back to a verification link when the credential does not fit', () => {
+    const issuer = createTestIssuer();
+    const large = degreeCredential(issuer, holderDid, { evidence: 'x'.repeat(4000) });
+
+    const { kind, text } = compactQrPayload(record, JSON.stringify(large));
+    expect(kind).toBe('link');
+    expect(parseScannedText(text)).toMatchObject({ mode: 'credential', cid: record.cid });
+  });
+});
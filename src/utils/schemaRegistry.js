@@ -0,0 +1,283 @@
+import Ajv2020 from 'ajv/dist/2020';
+import addFormats from 'ajv-formats';
+import { sha256, toUtf8Bytes, getBytes } from 'ethers';
+import { stripProof, canonicalize } from './signing';
+import { bytesToBase64 } from '../wallet/keystore';
+
+// ============================================================================
+// CREDENTIAL SCHEMA REGISTRY
+// ============================================================================
+// JSON Schemas (draft 2020-12) for every credential type the issuer offers
+// - Each entry describes its claims; the Credential tab renders the issuance
+//   form from that claims schema
+// - credentialJsonSchema() wraps the claims in a schema for the whole
+//   credential, referenced from the VC as
+//   credentialSchema: { id, type: 'JsonSchema', digestSRI }
+// - Schema ids are stable URNs that do not depend on where the app is
+//   served; every install keeps a local copy here, and digestSRI pins the
+//   exact schema the issuer validated against
+// - Verifiers only load registered schemas and URLs on an allow-list; a
+//   credential cannot make them fetch and compile a schema of its choosing
+// ============================================================================
+
+const origin = () => (typeof window !== 'undefined' ? window.location.origin : 'http://localhost:3000');
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const nameField = (title, example) => ({ type: 'string', title, minLength: 3, maxLength: 200, default: example });
+
+// ========================================================================
+// Registered credential types
+// ========================================================================
+// claimsProperty: where the claims live in credentialSubject
+// formats:        credential formats that support the type (SD-JWT and
+//                 BBS disclosure and predicates are degree specific)
+// summary:        claims shown as title / subtitle on the vault card
+// ========================================================================
+
+export const CREDENTIAL_SCHEMAS = [
+  {
+    id: 'university-degree',
+    version: '1.0',
+    title: 'University Degree',
+    icon: '🎓',
+    credentialType: 'UniversityDegreeCredential',
+    claimsProperty: 'degree',
+    formats: ['ldp', 'sd-jwt', 'bbs'],
+    summary: { title: 'name', subtitle: 'university' },
+    claims: {
+      type: 'object',
+      required: ['type', 'name', 'university', 'graduationYear'],
+      additionalProperties: false,
+      properties: {
+        type: {
+          type: 'string',
+          title: 'Degree Type',
+          default: 'BachelorDegree',
+          oneOf: [
+            { const: 'BachelorDegree', title: "Bachelor's Degree" },
+            { const: 'MastersDegree', title: "Master's Degree" },
+            { const: 'Doctorate', title: 'Doctorate' },
+            { const: 'Diploma', title: 'Diploma' }
+          ]
+        },
+        name: nameField('Degree Name', 'Bachelor of Technology in Computer Science'),
+        university: nameField('Issuing Institution', 'Example Tech University'),
+        graduationYear: {
+          type: 'integer',
+          title: 'Completion Year',
+          minimum: 1900,
+          maximum: 2100,
+          default: new Date().getFullYear() + 1
+        }
+      }
+    }
+  },
+  {
+    id: 'professional-certificate',
+    version: '1.0',
+    title: 'Professional Certificate',
+    icon: '📜',
+    credentialType: 'ProfessionalCertificateCredential',
+    claimsProperty: 'certificate',
+    formats: ['ldp'],
+    summary: { title: 'name', subtitle: 'issuingAuthority' },
+    claims: {
+      type: 'object',
+      required: ['type', 'name', 'issuingAuthority', 'completionDate'],
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', const: 'Certificate', default: 'Certificate' },
+        name: nameField('Certificate Name', 'Certified Cloud Practitioner'),
+        issuingAuthority: nameField('Issuing Authority', 'Example Certification Board'),
+        certificateNumber: { type: 'string', title: 'Certificate Number', pattern: '^[A-Za-z0-9-]{4,32}$' },
+        completionDate: { type: 'string', format: 'date', title: 'Completion Date' },
+        expiryDate: { type: 'string', format: 'date', title: 'Expiry Date' }
+      }
+    }
+  },
+  {
+    id: 'professional-license',
+    version: '1.0',
+    title: 'Professional License',
+    icon: '🪪',
+    credentialType: 'ProfessionalLicenseCredential',
+    claimsProperty: 'license',
+    formats: ['ldp'],
+    summary: { title: 'name', subtitle: 'issuingAuthority' },
+    claims: {
+      type: 'object',
+      required: ['type', 'name', 'licenseNumber', 'issuingAuthority', 'expiryDate'],
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', const: 'License', default: 'License' },
+        name: nameField('License Name', 'Registered Professional Engineer'),
+        licenseNumber: { type: 'string', title: 'License Number', pattern: '^[A-Za-z0-9-]{4,32}$' },
+        issuingAuthority: nameField('Issuing Authority', 'State Board of Engineering'),
+        expiryDate: { type: 'string', format: 'date', title: 'Expiry Date' }
+      }
+    }
+  }
+];
+
+export const schemaUrl = (entry) => `urn:identity-vault:schema:${entry.id}:${entry.version}`;
+
+// Where credentials issued before the URNs pointed; still resolved locally
+const legacySchemaUrl = (entry) => `${origin()}/schemas/${entry.id}-v${entry.version}.json`;
+
+export const getCredentialSchema = (id) => CREDENTIAL_SCHEMAS.find((entry) => entry.id === id);
+
+// Registered type of a credential (by VC type), or of its claims (by claims.type)
+export const schemaForCredential = (vc) => {
+  const types = [].concat(vc?.type || []);
+  return CREDENTIAL_SCHEMAS.find((entry) => types.includes(entry.credentialType));
+};
+
+export const schemaForClaims = (claims = {}) =>
+  CREDENTIAL_SCHEMAS.find((entry) => {
+    const { type } = entry.claims.properties;
+    return type.const === claims.type || (type.oneOf || []).some((option) => option.const === claims.type);
+  });
+
+// ========================================================================
+// Function: Credential JSON Schema
+// ========================================================================
+// The schema identified by schemaUrl(entry); validates the whole credential
+// ========================================================================
+
+export const credentialJsonSchema = (entry) => ({
+  $schema: JSON_SCHEMA_DIALECT,
+  $id: schemaUrl(entry),
+  title: `${entry.title} Credential`,
+  type: 'object',
+  required: ['@context', 'type', 'issuer', 'credentialSubject'],
+  properties: {
+    type: { type: 'array', contains: { const: entry.credentialType } },
+    credentialSubject: {
+      type: 'object',
+      required: ['id', entry.claimsProperty],
+      properties: {
+        id: { type: 'string', pattern: '^did:' },
+        [entry.claimsProperty]: entry.claims
+      }
+    }
+  }
+});
+
+// Subresource Integrity digest of a schema's canonical JSON
+export const schemaDigest = (schema) =>
+  `sha256-${bytesToBase64(getBytes(sha256(toUtf8Bytes(canonicalize(schema)))))}`;
+
+export const credentialSchemaReference = (entry) => ({
+  id: schemaUrl(entry),
+  type: 'JsonSchema',
+  digestSRI: schemaDigest(credentialJsonSchema(entry))
+});
+
+// Initial form values from the claim defaults
+export const defaultClaims = (entry) => Object.fromEntries(
+  Object.entries(entry.claims.properties)
+    .filter(([, property]) => property.default !== undefined)
+    .map(([name, property]) => [name, property.default])
+);
+
+// ========================================================================
+// Validation
+// ========================================================================
+
+const ajv = addFormats(new Ajv2020({ allErrors: true }));
+
+// Compiled validators keyed by schema URL and content digest, so another
+// schema reusing a known $id is compiled on its own
+const validators = new Map();
+
+const validatorFor = (schema, url = schema.$id) => {
+  const key = `${url} ${schemaDigest(schema)}`;
+  if (!validators.has(key)) {
+    // Without $id Ajv does not register the schema under it
+    const { $id, ...body } = schema;
+    validators.set(key, ajv.compile(body));
+  }
+  return validators.get(key);
+};
+
+// "/credentialSubject/license/licenseNumber must match pattern ..." etc.
+// The per-option errors of a labelled enum (oneOf of consts) are dropped in
+// favour of its single oneOf error
+const describeErrors = (errors = []) => errors
+  .filter((error) => !(error.keyword === 'const' && error.schemaPath.includes('/oneOf/')))
+  .map((error) => `${error.instancePath || '/'} ${error.message}${
+    error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`);
+
+// Returns { valid, errors } for an unsigned or signed credential
+// url: where the schema was loaded from, defaults to its $id
+export const validateCredential = (schema, vc, url) => {
+  const validate = validatorFor(schema, url);
+  const valid = validate(stripProof(vc));
+  return { valid, errors: valid ? [] : describeErrors(validate.errors) };
+};
+
+// ========================================================================
+// Function: Fetch Credential Schema
+// ========================================================================
+// Registered schemas are served locally; other URLs are fetched only once
+// they are on the allow-list (allowSchemaUrl)
+// ========================================================================
+
+const allowedSchemaUrls = new Set();
+
+// Lets a deployment accept credentials of schemas hosted elsewhere
+export const allowSchemaUrl = (url) => {
+  if (!/^https:\/\//.test(url)) {
+    throw new Error(`Only https schema URLs can be allowed: ${url}`);
+  }
+  allowedSchemaUrls.add(url);
+};
+
+export const fetchCredentialSchema = async (url) => {
+  const registered = CREDENTIAL_SCHEMAS.find((entry) => schemaUrl(entry) === url);
+  if (registered) {
+    return credentialJsonSchema(registered);
+  }
+  const legacy = CREDENTIAL_SCHEMAS.find((entry) => legacySchemaUrl(entry) === url);
+  if (legacy) {
+    return { ...credentialJsonSchema(legacy), $id: url };
+  }
+  if (!allowedSchemaUrls.has(url)) {
+    throw new Error(`Schema ${url} is not registered or allowed`);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Schema not found at ${url} (HTTP ${response.status})`);
+  }
+  return response.json();
+};
+
+// ========================================================================
+// Function: Summarize Claims
+// ========================================================================
+// Card view of stored claims: { icon, title, subtitle, rows: [{ label, value }] }
+// Claims of unregistered types are shown like a degree
+// ========================================================================
+
+export const summarizeClaims = (claims = {}) => {
+  const entry = schemaForClaims(claims);
+  if (!entry) {
+    return {
+      icon: '📄',
+      title: claims.name,
+      subtitle: claims.university,
+      rows: [{ label: 'Type', value: claims.type }, { label: 'Year', value: claims.graduationYear }]
+    };
+  }
+
+  const { title, subtitle } = entry.summary;
+  const rows = Object.entries(entry.claims.properties)
+    .filter(([name]) => name !== title && name !== subtitle && claims[name] !== undefined)
+    .map(([name, property]) => ({
+      label: property.title || 'Type',
+      value: property.oneOf?.find((option) => option.const === claims[name])?.title || claims[name]
+    }));
+  return { icon: entry.icon, title: claims[title], subtitle: claims[subtitle], rows };
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  getCredentialSchema,
+  credentialJsonSchema,
+  credentialSchemaReference,
+  fetchCredentialSchema,
+  validateCredential,
+  allowSchemaUrl,
+  schemaUrl
+} from './schemaRegistry';
+import { checkCredentialSchema } from './verification';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const degree = getCredentialSchema('university-degree');
+
+const schemaJson = (schema) => ({ ok: true, status: 200, json: async () => schema });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('credential schemas', () => {
+  it('validates credentials against the registered schema', async () => {
+    const vc = degreeCredential(createTestIssuer(), holderDid, { credentialSchema: credentialSchemaReference(degree) });
+
+    expect((await checkCredentialSchema(vc)).passed).toBe(true);
+    expect(validateCredential(credentialJsonSchema(degree), {
+      ...vc, credentialSubject: { ...vc.credentialSubject, degree: { name: 'No year' } }
+    }).valid).toBe(false);
+  });
+
+  it('never fetches a schema URL the verifier did not allow', async () => {
+    const fetchMock = vi.fn(async () => schemaJson({ type: 'object' }));
+    vi.stubGlobal('fetch', fetchMock);
+    const vc = degreeCredential(createTestIssuer(), holderDid, {
+      credentialSchema: { id: 'https://attacker.example/schema.json', type: 'JsonSchema' }
+    });
+
+    const result = await checkCredentialSchema(vc);
+    expect(result.passed).toBe(false);
+    expect(result.detail).toMatch(/not registered or allowed/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('fetches schemas on the allow-list', async () => {
+    const url = 'https://schemas.example/degree.json';
+    vi.stubGlobal('fetch', vi.fn(async () => schemaJson({ type: 'object' })));
+    allowSchemaUrl(url);
+
+    expect(await fetchCredentialSchema(url)).toEqual({ type: 'object' });
+    expect(() => allowSchemaUrl('http://schemas.example/degree.json')).toThrow(/https/);
+  });
+
+  it('does not reuse a validator for another schema with the same $id', () => {
+    const registered = credentialJsonSchema(degree);
+    const vc = degreeCredential(createTestIssuer(), holderDid);
+    expect(validateCredential(registered, vc).valid).toBe(true);
+
+    const impostor = { $id: schemaUrl(degree), type: 'object', required: ['evidence'] };
+    expect(validateCredential(impostor, vc).valid).toBe(false);
+    expect(validateCredential(registered, vc).valid).toBe(true);
+  });
+});
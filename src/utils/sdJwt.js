@@ -0,0 +1,280 @@
+import { sha256, toUtf8Bytes, getBytes } from 'ethers';
+import { toBase64Url, encodeBase64UrlJSON, decodeBase64UrlJSON } from './base64url';
+import { signJws, decodeJws, jwsSignerAddresses } from './jws';
+import {
+  checkSignerKey,
+  checkCredentialStatus,
+  checkJwtDates,
+  checkValidityPeriod,
+  DEFAULT_CLOCK_SKEW_SECONDS
+} from './verification';
+import { currentVerificationMethod } from './keyRotation';
+import { checkChallenge, consumeChallenge, expectedDomain } from './challenges';
+
+// ============================================================================
+// SD-JWT VC (SELECTIVE DISCLOSURE)
+// ============================================================================
+// Issues degree credentials as SD-JWT VCs so the holder can reveal only
+// some degree fields
+// - Each degree claim becomes a salted disclosure [salt, name, value];
+//   the signed JWT only contains their SHA-256 digests in degree._sd
+// - Serialization: <issuer-jwt>~<disclosure>~<disclosure>~...~
+// - Presenting drops the disclosures the holder does not want to reveal;
+//   the issuer signature stays valid because it covers digests only
+// - A presentation for a verifier ends with a key-binding JWT (KB-JWT)
+//   signed by the subject's DID key over the verifier's challenge (nonce),
+//   domain (aud) and the presented SD-JWT (sd_hash), so a copied
+//   presentation cannot be replayed; without one, holder binding is
+//   reported as not checked
+// ============================================================================
+
+export const SD_JWT_TYPE = 'vc+sd-jwt';
+export const KB_JWT_TYPE = 'kb+jwt';
+export const SD_JWT_VCT = 'UniversityDegreeCredential';
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+const digestOf = (disclosure) => toBase64Url(getBytes(sha256(toUtf8Bytes(disclosure))));
+
+const toEpochSeconds = (iso) => (iso ? Math.floor(Date.parse(iso) / 1000) : undefined);
+
+// For the validity check; claims that are not numbers are invalid dates
+const fromEpochSeconds = (seconds) => {
+  if (seconds === undefined) return undefined;
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : 'invalid';
+};
+
+// Disclosed claims end up as object keys
+const RESERVED_CLAIM_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+export const isSdJwt = (value) => typeof value === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+~/.test(value.trim());
+
+// ========================================================================
+// Function: Issue SD-JWT
+// ========================================================================
+// Every property of `claims` becomes selectively disclosable under
+// `degree`; iss/sub/dates/status stay always visible
+// ========================================================================
+
+export const issueSdJwt = ({ claims, issuer, holderDid, issuedAt, validFrom, validUntil, credentialStatus }) => {
+  const disclosures = Object.entries(claims).map(([name, value]) => {
+    const salt = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+    return encodeBase64UrlJSON([salt, name, value]);
+  });
+
+  const payload = {
+    iss: issuer.did,
+    sub: holderDid,
+    vct: SD_JWT_VCT,
+    iat: toEpochSeconds(issuedAt),
+    nbf: toEpochSeconds(validFrom),
+    exp: toEpochSeconds(validUntil),
+    credentialStatus,
+    _sd_alg: 'sha-256',
+    degree: { _sd: disclosures.map(digestOf).sort() }
+  };
+
+  // JSON round-trip drops the optional claims that are undefined
+  const jwt = signJws(
+    { typ: SD_JWT_TYPE, kid: issuer.verificationMethod },
+    JSON.parse(JSON.stringify(payload)),
+    issuer.privateKey
+  );
+  return `${jwt}~${disclosures.map((d) => `${d}~`).join('')}`;
+};
+
+// ========================================================================
+// Function: Parse SD-JWT
+// ========================================================================
+// Returns { jwt, disclosures: [{ encoded, name, value }], kbJwt }
+// kbJwt: the key-binding JWT after the last ~, or null
+// ========================================================================
+
+export const parseSdJwt = (sdJwt) => {
+  const [jwt, ...rest] = sdJwt.trim().split('~');
+  const kbJwt = rest.pop() || null;
+  const disclosures = rest.filter(Boolean).map((encoded) => {
+    const decoded = decodeBase64UrlJSON(encoded);
+    if (!Array.isArray(decoded) || decoded.length !== 3) {
+      throw new Error('Malformed disclosure - expected [salt, name, value]');
+    }
+    if (typeof decoded[1] !== 'string' || RESERVED_CLAIM_NAMES.includes(decoded[1])) {
+      throw new Error(`Malformed disclosure - claim name ${decoded[1]} is not allowed`);
+    }
+    return { encoded, name: decoded[1], value: decoded[2] };
+  });
+  return { jwt, disclosures, kbJwt };
+};
+
+// ========================================================================
+// Function: Present SD-JWT
+// ========================================================================
+// Keeps only the disclosures for the claim names the holder reveals.
+// With the holder identity and the verifier's challenge and domain, adds
+// a key-binding JWT signed by the holder's current key
+// ========================================================================
+
+export const presentSdJwt = (sdJwt, revealedNames, { identity, challenge, domain } = {}) => {
+  const { jwt, disclosures } = parseSdJwt(sdJwt);
+  const kept = disclosures.filter((d) => revealedNames.includes(d.name));
+  const presented = `${jwt}~${kept.map((d) => `${d.encoded}~`).join('')}`;
+  if (!identity) {
+    return presented;
+  }
+  if (!challenge || !domain) {
+    throw new Error('A verifier challenge and domain are required');
+  }
+
+  const kbJwt = signJws(
+    { typ: KB_JWT_TYPE, kid: currentVerificationMethod(identity) },
+    { iat: Math.floor(Date.now() / 1000), aud: domain, nonce: challenge, sd_hash: digestOf(presented) },
+    identity.privateKey
+  );
+  return `${presented}${kbJwt}`;
+};
+
+// ========================================================================
+// Key binding
+// ========================================================================
+// Returns the holder check, plus the challenge and domain checks of a
+// key-binding JWT. The KB-JWT must be signed by an authentication key of
+// the credential subject (sub)
+// ========================================================================
+
+const checkKeyBinding = async (sdJwt, { kbJwt }, subject, now, didRegistry) => {
+  const holder = (passed, detail) => check('holder', 'Holder Binding', passed, detail);
+  if (!kbJwt) {
+    return [holder(true, '⚠️ Holder binding not checked - no key-binding JWT, so anyone with a copy can present it')];
+  }
+
+  let kb;
+  let signers;
+  try {
+    kb = decodeJws(kbJwt);
+    signers = jwsSignerAddresses(kb);
+  } catch (error) {
+    return [holder(false, `Malformed key-binding JWT: ${error.message}`)];
+  }
+  const { header, payload } = kb;
+  const presented = sdJwt.trim().slice(0, -kbJwt.length);
+  if (header.typ !== KB_JWT_TYPE || payload.sd_hash !== digestOf(presented)) {
+    return [holder(false, 'Key-binding JWT was not made for this presentation')];
+  }
+  if (!Number.isFinite(payload.iat)) {
+    return [holder(false, `Invalid iat claim in key-binding JWT: ${payload.iat}`)];
+  }
+
+  const { passed, detail } = await checkSignerKey({
+    did: subject,
+    methodId: header.kid,
+    signers,
+    date: new Date(payload.iat * 1000).toISOString(),
+    now,
+    proofPurpose: 'authentication',
+    didRegistry
+  });
+  const challenge = checkChallenge(payload.nonce, now);
+  const domain = expectedDomain(payload.nonce);
+  return [
+    holder(passed, passed ? `Presented by the subject with ${header.kid}` : detail),
+    check('challenge', 'Challenge', challenge.passed, challenge.detail),
+    payload.aud === domain
+      ? check('domain', 'Domain', true, `Bound to ${domain}`)
+      : check('domain', 'Domain', false, `Key-binding JWT is for ${payload.aud}, expected ${domain}`)
+  ];
+};
+
+// ========================================================================
+// Function: Verify SD-JWT
+// ========================================================================
+// Returns { isValid, status, checks, payload, disclosed } where disclosed
+// holds only the claims whose digests appear in the signed JWT
+// ========================================================================
+
+export const verifySdJwt = async (
+  sdJwt,
+  { now = new Date(), clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS, statusLists, didRegistry } = {}
+) => {
+  let parsed;
+  let jws;
+  try {
+    parsed = parseSdJwt(sdJwt);
+    jws = decodeJws(parsed.jwt);
+  } catch (error) {
+    return {
+      isValid: false,
+      status: 'unknown',
+      checks: [check('signature', 'Signature', false, `Malformed SD-JWT: ${error.message}`)],
+      payload: null,
+      disclosed: {}
+    };
+  }
+  const { header, payload } = jws;
+
+  // Issuer signature over the JWT (digests, not values)
+  let signatureCheck;
+  try {
+    const { passed, detail } = await checkSignerKey({
+      did: payload.iss,
+      methodId: header.kid,
+      signers: jwsSignerAddresses(jws),
+      date: new Date((payload.iat || 0) * 1000).toISOString(),
+      now,
+      didRegistry
+    });
+    signatureCheck = check('signature', 'Issuer Signature', passed, detail);
+  } catch (error) {
+    signatureCheck = check('signature', 'Issuer Signature', false, error.message);
+  }
+
+  // Every disclosure must hash to a digest the issuer signed
+  const signedDigests = new Set(payload.degree?._sd || []);
+  const seen = new Set();
+  const disclosed = Object.create(null);
+  let forged = null;
+  for (const disclosure of parsed.disclosures) {
+    const digest = digestOf(disclosure.encoded);
+    if (!signedDigests.has(digest) || seen.has(digest)) {
+      forged = disclosure;
+      break;
+    }
+    seen.add(digest);
+    disclosed[disclosure.name] = disclosure.value;
+  }
+  const disclosureCheck = forged
+    ? check('disclosures', 'Disclosures', false, `Disclosure for "${forged.name}" was not signed by the issuer`)
+    : check('disclosures', 'Disclosures', true, `${seen.size} of ${signedDigests.size} degree claims disclosed`);
+
+  const skewMs = clockSkewSeconds * 1000;
+  const holderChecks = await checkKeyBinding(sdJwt, parsed, payload.sub, now, didRegistry);
+
+  const { result: statusCheck, status } = await checkCredentialStatus({
+    issuer: payload.iss,
+    credentialStatus: payload.credentialStatus
+  }, { statusLists, didRegistry });
+
+  const checks = [
+    signatureCheck,
+    check('type', 'Type', header.typ === SD_JWT_TYPE && payload._sd_alg === 'sha-256',
+      `typ ${header.typ}, vct ${payload.vct}, _sd_alg ${payload._sd_alg}`),
+    disclosureCheck,
+    checkJwtDates(payload, now, skewMs),
+    checkValidityPeriod({ validFrom: fromEpochSeconds(payload.nbf), validUntil: fromEpochSeconds(payload.exp) }, now, skewMs),
+    ...holderChecks,
+    statusCheck
+  ];
+
+  // A valid key-binding JWT uses up its challenge
+  const [holderCheck, challengeCheck] = holderChecks;
+  if (holderCheck.passed && challengeCheck?.passed) {
+    consumeChallenge(decodeJws(parsed.kbJwt).payload.nonce, now);
+  }
+
+  return {
+    isValid: checks.every((c) => c.passed),
+    status,
+    checks,
+    payload,
+    disclosed
+  };
+};
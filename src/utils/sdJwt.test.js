@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { Wallet } from 'ethers';
+import { issueSdJwt, parseSdJwt, presentSdJwt, verifySdJwt, isSdJwt } from './sdJwt';
+import { encodeBase64UrlJSON } from './base64url';
+import { signJws, decodeJws } from './jws';
+import { generateIdentity } from './did';
+import { createChallenge } from './challenges';
+import { createTestIssuer, degreeClaims } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+
+const DOMAIN = 'verifier.example';
+
+const issue = (issuer, options = {}) => issueSdJwt({
+  claims: degreeClaims,
+  issuer,
+  holderDid,
+  issuedAt: new Date().toISOString(),
+  ...options
+});
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+// Re-signs the issuer JWT of an SD-JWT with modified claims
+const resignClaims = (sdJwt, change, issuer) => {
+  const [jwt, ...rest] = sdJwt.split('~');
+  const { header, payload } = decodeJws(jwt);
+  return [signJws(header, change(payload), issuer.privateKey), ...rest].join('~');
+};
+
+// SD-JWT issued to a fresh holder, presented with a key-binding JWT
+const presentBound = (names, { domain = DOMAIN } = {}) => {
+  const holder = generateIdentity();
+  const { challenge } = createChallenge(DOMAIN);
+  const sdJwt = issue(createTestIssuer(), { holderDid: holder.did });
+  return { holder, sdJwt, presented: presentSdJwt(sdJwt, names, { identity: holder, challenge, domain }) };
+};
+
+describe('SD-JWT VC', () => {
+  it('verifies with every claim disclosed', async () => {
+    const sdJwt = issue(createTestIssuer());
+    const result = await verifySdJwt(sdJwt);
+
+    expect(isSdJwt(sdJwt)).toBe(true);
+    expect(result.isValid).toBe(true);
+    expect(result.disclosed).toEqual(degreeClaims);
+  });
+
+  it('keeps the signature valid when claims are withheld', async () => {
+    const presented = presentSdJwt(issue(createTestIssuer()), ['university']);
+    const result = await verifySdJwt(presented);
+
+    expect(parseSdJwt(presented).disclosures).toHaveLength(1);
+    expect(result.isValid).toBe(true);
+    expect(result.disclosed).toEqual({ university: 'Test U' });
+  });
+
+  it('rejects a disclosure the issuer did not sign', async () => {
+    const sdJwt = issue(createTestIssuer());
+    const forged = encodeBase64UrlJSON(['salt', 'type', 'Doctorate']);
+    const result = await verifySdJwt(`${presentSdJwt(sdJwt, ['name'])}${forged}~`);
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'disclosures').detail).toContain('"type" was not signed');
+  });
+
+  it('rejects a repeated disclosure', async () => {
+    const { jwt, disclosures } = parseSdJwt(issue(createTestIssuer()));
+    const repeated = `${jwt}~${disclosures[0].encoded}~${disclosures[0].encoded}~`;
+
+    expect((await verifySdJwt(repeated)).isValid).toBe(false);
+  });
+
+  it('rejects a modified issuer JWT', async () => {
+    const sdJwt = issue(createTestIssuer());
+    const [header, payload, signature] = sdJwt.split('~')[0].split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const modified = Buffer.from(JSON.stringify({ ...claims, sub: 'did:ethr:0x2222222222222222222222222222222222222222' })).toString('base64url');
+    const result = await verifySdJwt(sdJwt.replace(`${header}.${payload}.${signature}`, `${header}.${modified}.${signature}`));
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').passed).toBe(false);
+  });
+
+  it('rejects a credential signed with a key the issuer DID does not list', async () => {
+    const issuer = createTestIssuer();
+    const result = await verifySdJwt(issue({ ...issuer, privateKey: Wallet.createRandom().privateKey }));
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').passed).toBe(false);
+  });
+
+  it('rejects expired and not yet valid credentials', async () => {
+    const issuer = createTestIssuer();
+    const expired = await verifySdJwt(issue(issuer, { validUntil: new Date(Date.now() - 3600 * 1000).toISOString() }));
+    const future = await verifySdJwt(issue(issuer, { validFrom: new Date(Date.now() + 3600 * 1000).toISOString() }));
+
+    expect(checkOf(expired, 'validity').detail).toContain('Expired');
+    expect(checkOf(future, 'validity').detail).toContain('Not valid until');
+    expect(expired.isValid || future.isValid).toBe(false);
+  });
+
+  it('rejects dates that are not numbers', async () => {
+    const issuer = createTestIssuer();
+    const sdJwt = issue(issuer);
+    const stringIat = await verifySdJwt(resignClaims(sdJwt, (claims) => ({ ...claims, iat: String(claims.iat) }), issuer));
+    const stringNbf = await verifySdJwt(resignClaims(sdJwt, (claims) => ({ ...claims, nbf: 'tomorrow' }), issuer));
+    const stringExp = await verifySdJwt(resignClaims(sdJwt, (claims) => ({ ...claims, exp: 'never' }), issuer));
+
+    expect(checkOf(stringIat, 'dates').detail).toMatch(/Invalid iat/);
+    expect(checkOf(stringNbf, 'dates').detail).toMatch(/Invalid nbf/);
+    expect(checkOf(stringExp, 'validity').passed).toBe(false);
+    expect([stringIat, stringNbf, stringExp].some((result) => result.isValid)).toBe(false);
+  });
+
+  it('refuses disclosures that name object internals', async () => {
+    const { jwt } = parseSdJwt(issue(createTestIssuer()));
+    const polluting = encodeBase64UrlJSON(['salt', '__proto__', { isAdmin: true }]);
+    const result = await verifySdJwt(`${jwt}~${polluting}~`);
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').detail).toMatch(/__proto__ is not allowed/);
+  });
+
+  it('reports holder binding as not checked without a key-binding JWT', async () => {
+    const result = await verifySdJwt(presentSdJwt(issue(createTestIssuer()), ['university']));
+
+    expect(checkOf(result, 'holder').detail).toMatch(/Holder binding not checked/);
+  });
+
+  it('binds a presentation to the holder, challenge and domain', async () => {
+    const { presented } = presentBound(['university']);
+    const result = await verifySdJwt(presented);
+
+    expect(result.checks.filter((c) => !c.passed)).toEqual([]);
+    expect(checkOf(result, 'holder').detail).toMatch(/Presented by the subject/);
+    expect(result.disclosed).toEqual({ university: 'Test U' });
+  });
+
+  it('rejects a replayed key-bound presentation', async () => {
+    const { presented } = presentBound(['university']);
+    await verifySdJwt(presented);
+
+    const replay = await verifySdJwt(presented);
+    expect(replay.isValid).toBe(false);
+    expect(checkOf(replay, 'challenge').detail).toMatch(/Replay detected/);
+  });
+
+  it('rejects a key-binding JWT for another domain, presentation or holder', async () => {
+    const { sdJwt, presented } = presentBound(['university'], { domain: 'other.example' });
+    expect(checkOf(await verifySdJwt(presented), 'domain').passed).toBe(false);
+
+    // Moved onto a presentation revealing more claims
+    const kbJwt = parseSdJwt(presented).kbJwt;
+    const widened = `${presentSdJwt(sdJwt, ['university', 'name'])}${kbJwt}`;
+    expect(checkOf(await verifySdJwt(widened), 'holder').detail).toMatch(/not made for this presentation/);
+
+    // Signed by someone who is not the subject
+    const { challenge } = createChallenge(DOMAIN);
+    const stolen = presentSdJwt(sdJwt, ['university'], { identity: generateIdentity(), challenge, domain: DOMAIN });
+    expect(checkOf(await verifySdJwt(stolen), 'holder').passed).toBe(false);
+  });
+
+  it('reports malformed input', async () => {
+    const result = await verifySdJwt('not.an~sd-jwt~');
+
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').detail).toContain('Malformed SD-JWT');
+  });
+});
@@ -0,0 +1,167 @@
+import { Wallet } from 'ethers';
+import { encryptEnvelope, decryptEnvelope } from './envelope';
+import { computeCID } from './cid';
+import { recipientForDID, decryptForIdentity } from './keyRotation';
+import { verificationLink } from './qr';
+import { credentialFromPayload } from './credentialFormats';
+import { exportRegistryEntries, verifyRegistryEntries } from './didRegistry';
+import { fetchStatusListCredential } from './statusList';
+
+// ============================================================================
+// CREDENTIAL SHARING
+// ============================================================================
+// Lets the holder grant a verifier access to an encrypted credential
+// - Each grant is a new envelope for the verifier holding a share bundle:
+//   the credential plus what a browser without the issuer's or holder's
+//   data needs to verify it - the issuer's signed DID registry entries
+//   and its signed status lists. Schemas are not shared; verifiers load
+//   them from their own registry
+// - Each grant is stored as its own copy (new CID) that records
+//   sharedFrom (the holder record id) and sharedWith, so grants can be
+//   listed and withdrawn one by one
+// - To a DID: encrypted to the verifier's published key (did:key or a
+//   did:ethr public key DID), opened with the verifier's wallet
+// - Share link: encrypted to a random one-off key and carried, with the
+//   envelope itself, in the link's #fragment, which browsers never send to
+//   a server
+// Other browsers can only fetch DID grants when the storage is shared
+// (IPFS); withdrawing a grant deletes the copy, not copies already fetched
+// ============================================================================
+
+export const SHARE_LINK = 'link';
+export const SHARE_BUNDLE_TYPE = 'CredentialShare';
+
+// { [id]: value } for the ids that can be loaded here
+const collect = async (ids, load) => Object.fromEntries(
+  (await Promise.all(ids.map((id) => load(id).then((value) => [id, value], () => null)))).filter(Boolean)
+);
+
+// ========================================================================
+// Function: Create Share Bundle
+// ========================================================================
+// payload: the decrypted credential (any format)
+// ========================================================================
+
+export const createShareBundle = async (payload) => {
+  const document = credentialFromPayload(payload);
+  const issuerDid = typeof document.issuer === 'object' ? document.issuer?.id : document.issuer;
+  const statusUrls = [].concat(document.credentialStatus || []).map((entry) => entry.statusListCredential);
+
+  return {
+    type: SHARE_BUNDLE_TYPE,
+    credential: payload,
+    didRegistry: exportRegistryEntries([issuerDid]),
+    statusLists: await collect(statusUrls.filter(Boolean), fetchStatusListCredential)
+  };
+};
+
+// ========================================================================
+// Function: Open Share Bundle
+// ========================================================================
+// Returns { payload, didRegistry, statusLists } for verifyPayload,
+// keeping only the registry entries that verify back to their DID. They
+// apply to that verification alone and are not added to the local
+// registry. Copies shared before bundles existed hold the bare credential
+// ========================================================================
+
+export const openShareBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    return { payload: text };
+  }
+  if (bundle?.type !== SHARE_BUNDLE_TYPE) {
+    return { payload: text };
+  }
+
+  return {
+    payload: bundle.credential,
+    didRegistry: Object.fromEntries(
+      Object.entries(bundle.didRegistry || {}).map(([did, list]) => [did, verifyRegistryEntries(did, list)])
+    ),
+    statusLists: bundle.statusLists || {}
+  };
+};
+
+const storeGrant = async ({ cid, identity, recipient, sharedWith, storage }) => {
+  const record = await storage.get(cid);
+  if (!record?.encryptionVersion) {
+    throw new Error('Only envelope-encrypted credentials can be shared - migrate legacy credentials first');
+  }
+
+  const payload = await decryptForIdentity(record.encryptedData, identity);
+  const encryptedData = await encryptEnvelope(JSON.stringify(await createShareBundle(payload)), [recipient]);
+  const sharedCid = computeCID(encryptedData);
+  const { vcData, ...metadata } = record;
+  const shared = {
+    ...metadata,
+    id: `share_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    cid: sharedCid,
+    ipfsGatewayUrl: `https://ipfs.io/ipfs/${sharedCid}`,
+    encryptedData,
+    sharedFrom: record.id,
+    sharedWith: { ...sharedWith, kid: recipient.kid },
+    sharedAt: new Date().toISOString()
+  };
+  await storage.put(shared);
+  return shared;
+};
+
+// ========================================================================
+// Function: Share With DID
+// ========================================================================
+// identities: wallet identities, used directly when the verifier is one
+// Returns the stored copy; the verifier opens its CID in the Verify tab
+// ========================================================================
+
+export const shareWithDID = async ({ cid, identity, verifierDid, identities = [], storage }) => {
+  if (!verifierDid) {
+    throw new Error('Enter the DID of the verifier to share with');
+  }
+  const recipient = await recipientForDID(verifierDid, identities);
+  return storeGrant({ cid, identity, recipient, sharedWith: { type: 'did', did: verifierDid }, storage });
+};
+
+// ========================================================================
+// Function: Create Share Link
+// ========================================================================
+// Anyone with the link can decrypt this copy, so send it privately. The
+// link carries the envelope, so it works without shared storage
+// Returns { record, link }
+// ========================================================================
+
+export const createShareLink = async ({ cid, identity, storage }) => {
+  const linkKey = Wallet.createRandom();
+  const recipient = { kid: `urn:uuid:${crypto.randomUUID()}`, publicKey: linkKey.signingKey.publicKey };
+  const record = await storeGrant({ cid, identity, recipient, sharedWith: { type: SHARE_LINK }, storage });
+  return { record, link: verificationLink(record.cid, linkKey.privateKey, record.encryptedData) };
+};
+
+// Grants made for one holder record, newest first
+export const listShares = async (storage, recordId) =>
+  (await storage.list())
+    .filter((record) => record.sharedFrom === recordId)
+    .sort((a, b) => new Date(b.sharedAt) - new Date(a.sharedAt));
+
+export const revokeShare = (storage, cid) => storage.delete(cid);
+
+// ========================================================================
+// Function: Decrypt For Verifier
+// ========================================================================
+// Opens a retrieved envelope with a share link key when one is given,
+// otherwise with the verifier's own keys
+// ========================================================================
+
+export const decryptForVerifier = async (encryptedData, { identity, shareKey }) => {
+  try {
+    return shareKey
+      ? await decryptEnvelope(encryptedData, shareKey)
+      : await decryptForIdentity(encryptedData, identity);
+  } catch (error) {
+    if (!error.message.includes('not a recipient')) throw error;
+    throw new Error(shareKey
+      ? 'The share link key does not open this credential - ask the holder for a new link'
+      : `This credential has not been shared with ${identity.did} - ask the holder to share it with your DID or send a share link`);
+  }
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { shareWithDID, decryptForVerifier, openShareBundle, createShareBundle } from './sharing';
+import { connectIssuerKeystore, createIssuer, loadIssuer, rotateIssuerKey } from './issuer';
+import { issueCredential } from './issuance';
+import { getCredentialSchema } from './schemaRegistry';
+import { recipientFor } from './keyRotation';
+import { verifyPayload } from './credentialFormats';
+import { verifyRegistryEntries, exportRegistryEntries } from './didRegistry';
+import { generateIdentity } from './did';
+import { clearDIDCache } from './didResolver';
+import { degreeClaims } from '../test/fixtures';
+
+const memoryStorage = () => {
+  const records = new Map();
+  return {
+    name: 'memory',
+    put: async (record) => records.set(record.cid, record),
+    get: async (cid) => records.get(cid) || null,
+    list: async () => [...records.values()],
+    delete: async (cid) => records.delete(cid)
+  };
+};
+
+// Issues a credential after an issuer key rotation, shares it with a
+// verifier and returns the shared envelope
+const shareAfterRotation = async (format) => {
+  connectIssuerKeystore({ keys: {}, save: async () => {} });
+  await createIssuer({ name: 'Test U' });
+  await rotateIssuerKey();
+
+  const holder = generateIdentity();
+  const verifier = generateIdentity();
+  const storage = memoryStorage();
+  const record = await issueCredential({
+    issuer: loadIssuer(),
+    holderDid: holder.did,
+    recipient: recipientFor(holder),
+    schema: getCredentialSchema('university-degree'),
+    claims: degreeClaims,
+    format,
+    storage
+  });
+  const shared = await shareWithDID({ cid: record.cid, identity: holder, verifierDid: verifier.did, identities: [verifier], storage });
+  return { issuerDid: loadIssuer().did, verifier, encryptedData: shared.encryptedData };
+};
+
+// Another browser: none of the issuer's or holder's local data
+const clearBrowser = () => {
+  connectIssuerKeystore(null);
+  localStorage.clear();
+  clearDIDCache();
+};
+
+describe('credential shares', () => {
+  ['ldp', 'sd-jwt', 'bbs'].forEach((format) => {
+    it(`verify a ${format} credential in a browser without the issuer's data`, async () => {
+      const { verifier, encryptedData } = await shareAfterRotation(format);
+      clearBrowser();
+
+      const { payload, ...supplied } = openShareBundle(await decryptForVerifier(encryptedData, { identity: verifier }));
+      const result = await verifyPayload(payload, supplied);
+
+      expect(result.checks.filter((c) => !c.passed)).toEqual([]);
+      expect(result.checks.find((c) => c.id === 'status').detail).toContain('supplied with the share');
+    });
+  });
+
+  it('fail without the bundle in a browser without the issuer\'s data', async () => {
+    const { verifier, encryptedData } = await shareAfterRotation('ldp');
+    clearBrowser();
+
+    const { credential } = JSON.parse(await decryptForVerifier(encryptedData, { identity: verifier }));
+    expect((await verifyPayload(credential)).isValid).toBe(false);
+  });
+
+  it('are only readable by the verifier', async () => {
+    const { encryptedData } = await shareAfterRotation('ldp');
+
+    await expect(decryptForVerifier(encryptedData, { identity: generateIdentity() })).rejects.toThrow('has not been shared with');
+  });
+});
+
+describe('shared DID registry entries', () => {
+  it('are accepted when they chain back to the DID address', async () => {
+    const { issuerDid } = await shareAfterRotation('bbs');
+    const entries = exportRegistryEntries([issuerDid])[issuerDid];
+
+    expect(verifyRegistryEntries(issuerDid, entries).map((e) => e.id.split('#')[1]).sort())
+      .toEqual(['bbs-1', 'controller', 'key-1']);
+  });
+
+  it('drop keys the DID did not sign', async () => {
+    const { issuerDid } = await shareAfterRotation('ldp');
+    const entries = exportRegistryEntries([issuerDid])[issuerDid];
+    const replaced = entries.map((e) => (e.id.endsWith('#key-1') ? { ...e, publicKeyHex: generateIdentity().publicKey.slice(2) } : e));
+    const p256 = entries.find((e) => e.id.endsWith('#p256-1'));
+    const forged = { ...p256, id: `${issuerDid}#p256-9` };
+
+    // p256-1 was signed by the replaced key-1
+    expect(verifyRegistryEntries(issuerDid, [...replaced, forged]).map((e) => e.id.split('#')[1])).toEqual(['controller']);
+    expect(verifyRegistryEntries(issuerDid, [...entries, forged]).map((e) => e.id.split('#')[1])).not.toContain('p256-9');
+  });
+
+  it('drop closures the DID did not sign', async () => {
+    const { issuerDid } = await shareAfterRotation('ldp');
+    const entries = exportRegistryEntries([issuerDid])[issuerDid];
+    const closedAt = (list, fragment) => list.find((e) => e.id === `${issuerDid}#${fragment}`).validUntil;
+    const forgedClose = (e) => ({ ...e, validUntil: '2000-01-01T00:00:00.000Z' });
+    const tampered = entries.map((e) => (/#(controller|key-1)$/.test(e.id) ? forgedClose(e) : e));
+
+    expect(closedAt(verifyRegistryEntries(issuerDid, entries), 'controller')).toBe(closedAt(entries, 'controller'));
+    expect(closedAt(verifyRegistryEntries(issuerDid, tampered), 'controller')).toBeNull();
+    expect(closedAt(verifyRegistryEntries(issuerDid, tampered), 'key-1')).toBeNull();
+  });
+
+  it('apply to that verification only', async () => {
+    const { verifier, encryptedData } = await shareAfterRotation('ldp');
+    clearBrowser();
+
+    const { payload, ...supplied } = openShareBundle(await decryptForVerifier(encryptedData, { identity: verifier }));
+    expect((await verifyPayload(payload, supplied)).isValid).toBe(true);
+    expect(localStorage.getItem('didRegistry')).toBeNull();
+    expect((await verifyPayload(payload, { statusLists: supplied.statusLists })).isValid).toBe(false);
+  });
+
+  it('keep only the fields the registry signs', async () => {
+    const { issuerDid } = await shareAfterRotation('ldp');
+    const entries = exportRegistryEntries([issuerDid])[issuerDid]
+      .map((e) => ({ ...e, blockchainAccountId: 'eip155:1:0x2222222222222222222222222222222222222222' }));
+
+    verifyRegistryEntries(issuerDid, entries).forEach((e) => expect(e.blockchainAccountId).toBeUndefined());
+  });
+
+  it('are ignored when the bundle is a bare credential', async () => {
+    const bundle = await createShareBundle('{"issuer":"did:ethr:0x1111111111111111111111111111111111111111"}');
+
+    expect(openShareBundle('not a bundle')).toEqual({ payload: 'not a bundle' });
+    expect(bundle.didRegistry).toEqual({});
+  });
+});
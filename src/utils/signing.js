@@ -0,0 +1,79 @@
+import { Wallet } from 'ethers';
+
+// ============================================================================
+// CREDENTIAL SIGNING
+// ============================================================================
+// Signs verifiable credentials with a secp256k1 issuer key
+// Features:
+// - Deterministic canonical JSON (sorted keys) so signer and verifier hash
+//   exactly the same bytes
+// - EIP-191 personal_sign over the canonical credential
+// - Proof block embedded in the credential so it can be verified on its own
+// ============================================================================
+
+export const SIGNATURE_ALGORITHM = 'EcdsaSecp256k1RecoverySignature2020';
+export const SIGNATURE_SCHEME = 'EIP-191';
+
+// ========================================================================
+// Function: Canonicalize
+// ========================================================================
+// Serializes a value as JSON with object keys sorted recursively
+// Undefined values are dropped, matching JSON.stringify
+// ========================================================================
+
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .sort()
+    .filter((key) => value[key] !== undefined)
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+};
+
+// ========================================================================
+// Function: Strip Proof
+// ========================================================================
+// Returns the credential without its proof block (the signed payload)
+// ========================================================================
+
+export const stripProof = (vc) => {
+  const { proof, ...unsigned } = vc;
+  return unsigned;
+};
+
+// ========================================================================
+// Function: Sign Credential
+// ========================================================================
+// Signs the canonical form of the credential with the issuer key and
+// returns the signed credential plus the signature details for storage
+// ========================================================================
+
+export const signCredential = async (vc, privateKey, verificationMethod) => {
+  const wallet = new Wallet(privateKey);
+  const unsigned = stripProof(vc);
+  const signature = await wallet.signMessage(canonicalize(unsigned));
+
+  const proof = {
+    type: SIGNATURE_ALGORITHM,
+    scheme: SIGNATURE_SCHEME,
+    created: new Date().toISOString(),
+    verificationMethod,
+    proofPurpose: 'assertionMethod',
+    proofValue: signature
+  };
+
+  return {
+    signedVC: { ...unsigned, proof },
+    signature,
+    signatureAlgorithm: SIGNATURE_ALGORITHM,
+    verificationMethod
+  };
+};
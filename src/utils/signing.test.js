@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { verifyMessage } from 'ethers';
+import { canonicalize, stripProof, signCredential, SIGNATURE_ALGORITHM } from './signing';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+
+describe('canonicalize', () => {
+  it('does not depend on key order', () => {
+    expect(canonicalize({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }))
+      .toBe(canonicalize({ a: { c: null, d: [1, { e: 3, f: 2 }] }, b: 1 }));
+  });
+
+  it('drops undefined members like JSON.stringify', () => {
+    expect(canonicalize({ a: undefined, b: [undefined] })).toBe('{"b":[null]}');
+  });
+});
+
+describe('signCredential', () => {
+  it('signs the credential without its proof with the issuer key', async () => {
+    const issuer = createTestIssuer();
+    const { signedVC, signature } = await signCredential(
+      degreeCredential(issuer, holderDid), issuer.privateKey, issuer.verificationMethod
+    );
+
+    expect(signedVC.proof.type).toBe(SIGNATURE_ALGORITHM);
+    expect(signedVC.proof.verificationMethod).toBe(issuer.verificationMethod);
+    expect(verifyMessage(canonicalize(stripProof(signedVC)), signature)).toBe(issuer.address);
+  });
+
+  it('replaces an existing proof instead of signing over it', async () => {
+    const issuer = createTestIssuer();
+    const vc = { ...degreeCredential(issuer, holderDid), proof: { proofValue: '0xforged' } };
+    const { signedVC } = await signCredential(vc, issuer.privateKey, issuer.verificationMethod);
+
+    expect(signedVC.proof.proofValue).not.toBe('0xforged');
+    expect(verifyMessage(canonicalize(stripProof(signedVC)), signedVC.proof.proofValue)).toBe(issuer.address);
+  });
+
+  it('recovers a different signer once a claim changes', async () => {
+    const issuer = createTestIssuer();
+    const { signedVC } = await signCredential(
+      degreeCredential(issuer, holderDid), issuer.privateKey, issuer.verificationMethod
+    );
+    const tampered = {
+      ...signedVC,
+      credentialSubject: { ...signedVC.credentialSubject, degree: { ...signedVC.credentialSubject.degree, name: 'PhD' } }
+    };
+
+    expect(verifyMessage(canonicalize(stripProof(tampered)), signedVC.proof.proofValue)).not.toBe(issuer.address);
+  });
+});
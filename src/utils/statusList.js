@@ -0,0 +1,230 @@
+import { signCredential } from './signing';
+import { toBase64Url, fromBase64Url } from './base64url';
+
+// ============================================================================
+// BITSTRING STATUS LIST
+// ============================================================================
+// W3C Bitstring Status List support for revocation and suspension
+// Issuer side:
+// - allocateStatusEntries() assigns a random index in each list at issuance
+// - setCredentialStatus() flips the bit and re-signs the list credential
+// - Lists are identified by a DID URL under the issuer's DID
+//   (did:...:0xabc/status-lists/revocation), so the id is controlled by the
+//   issuer and does not depend on the origin the app was served from
+// - Lists are published to a same-browser stand-in server
+//   (localStorage['publishedStatusLists']) and can be downloaded as files
+//   to hand to verifiers
+// Verifier side:
+// - fetchStatusListCredential() and readStatusBit()
+// ============================================================================
+
+export const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+// 16KB: the minimum list size recommended for group privacy
+const LIST_LENGTH_BITS = 131072;
+const ISSUER_LISTS_KEY = 'statusLists';
+const PUBLISHED_LISTS_KEY = 'publishedStatusLists';
+
+// did:ethr:0xabc... -> did:ethr:0xabc.../status-lists/revocation
+export const statusListUrl = (issuerDid, purpose) => `${issuerDid}/status-lists/${purpose}`;
+
+// ========================================================================
+// Encoding: GZIP + multibase base64url ('u' prefix, no padding)
+// ========================================================================
+
+const streamThrough = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+export const encodeBitstring = async (bits) =>
+  `u${toBase64Url(await streamThrough(bits, new CompressionStream('gzip')))}`;
+
+export const decodeBitstring = async (encodedList) => {
+  if (!encodedList.startsWith('u')) {
+    throw new Error('encodedList must be multibase base64url');
+  }
+  return streamThrough(fromBase64Url(encodedList.slice(1)), new DecompressionStream('gzip'));
+};
+
+// Index 0 is the left-most (most significant) bit of the first byte
+export const getBit = (bits, index) => (bits[index >> 3] >> (7 - (index & 7))) & 1;
+
+const setBit = (bits, index, value) => {
+  const mask = 1 << (7 - (index & 7));
+  bits[index >> 3] = value ? bits[index >> 3] | mask : bits[index >> 3] & ~mask;
+};
+
+// ========================================================================
+// Issuer-side list state
+// ========================================================================
+
+const readIssuerLists = () => JSON.parse(localStorage.getItem(ISSUER_LISTS_KEY) || '{}');
+const writeIssuerLists = (lists) => localStorage.setItem(ISSUER_LISTS_KEY, JSON.stringify(lists));
+
+const loadList = (lists, url) => {
+  const list = lists[url];
+  return list
+    ? { ...list, bits: fromBase64Url(list.bits) }
+    : { allocated: [], bits: new Uint8Array(LIST_LENGTH_BITS / 8) };
+};
+
+const storeList = (lists, url, list) => {
+  lists[url] = { allocated: list.allocated, bits: toBase64Url(list.bits) };
+};
+
+// Signs the current list and publishes it to the stand-in server
+const publishList = async (issuer, purpose, url, bits) => {
+  const unsigned = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: url,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: issuer.did,
+    issuanceDate: new Date().toISOString(),
+    credentialSubject: {
+      id: `${url}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: purpose,
+      encodedList: await encodeBitstring(bits)
+    }
+  };
+  const { signedVC } = await signCredential(unsigned, issuer.privateKey, issuer.verificationMethod);
+
+  const published = JSON.parse(localStorage.getItem(PUBLISHED_LISTS_KEY) || '{}');
+  published[url] = signedVC;
+  localStorage.setItem(PUBLISHED_LISTS_KEY, JSON.stringify(published));
+  return signedVC;
+};
+
+// ========================================================================
+// Function: Allocate Status Entries
+// ========================================================================
+// Reserves a random unused index in the revocation and suspension lists
+// and returns the credentialStatus array for the new credential
+// ========================================================================
+
+export const allocateStatusEntries = async (issuer) => {
+  const lists = readIssuerLists();
+  const entries = [];
+
+  for (const purpose of STATUS_PURPOSES) {
+    const url = statusListUrl(issuer.did, purpose);
+    const list = loadList(lists, url);
+    if (list.allocated.length >= LIST_LENGTH_BITS) {
+      throw new Error(`Status list ${url} is full`);
+    }
+
+    let index;
+    do {
+      index = crypto.getRandomValues(new Uint32Array(1))[0] % LIST_LENGTH_BITS;
+    } while (list.allocated.includes(index));
+    list.allocated.push(index);
+
+    const isNewList = !lists[url];
+    storeList(lists, url, list);
+    if (isNewList) {
+      await publishList(issuer, purpose, url, list.bits);
+    }
+
+    entries.push({
+      id: `${url}#${index}`,
+      type: 'BitstringStatusListEntry',
+      statusPurpose: purpose,
+      statusListIndex: String(index),
+      statusListCredential: url
+    });
+  }
+
+  writeIssuerLists(lists);
+  return entries;
+};
+
+// ========================================================================
+// Function: Set Credential Status
+// ========================================================================
+// Sets or clears the bit for one status entry and re-publishes the list
+// (revocation is permanent by convention; suspension can be lifted)
+// ========================================================================
+
+export const setCredentialStatus = async (issuer, entry, value) => {
+  const lists = readIssuerLists();
+  const url = entry.statusListCredential;
+  if (!lists[url]) {
+    throw new Error(`This issuer does not manage status list ${url}`);
+  }
+
+  const list = loadList(lists, url);
+  setBit(list.bits, Number(entry.statusListIndex), value);
+  storeList(lists, url, list);
+  writeIssuerLists(lists);
+
+  return publishList(issuer, entry.statusPurpose, url, list.bits);
+};
+
+// ========================================================================
+// Verifier side
+// ========================================================================
+
+// Uses the stand-in server when it has the list, otherwise fetches http(s)
+// URLs; DID URL lists are only available where the issuer published them
+export const fetchStatusListCredential = async (url) => {
+  const published = JSON.parse(localStorage.getItem(PUBLISHED_LISTS_KEY) || '{}');
+  if (published[url]) {
+    return published[url];
+  }
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`Status list ${url} has not been published to this browser`);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Status list not found at ${url} (HTTP ${response.status})`);
+  }
+  return response.json();
+};
+
+export const readStatusBit = async (statusListCredential, entry) => {
+  const subject = statusListCredential.credentialSubject;
+  if (subject?.statusPurpose !== entry.statusPurpose) {
+    throw new Error(`Status list purpose ${subject?.statusPurpose} does not match ${entry.statusPurpose}`);
+  }
+
+  const bits = await decodeBitstring(subject.encodedList);
+  const index = Number(entry.statusListIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= bits.length * 8) {
+    throw new Error(`Status index ${entry.statusListIndex} is out of range`);
+  }
+  return getBit(bits, index);
+};
+
+// ========================================================================
+// Function: Read Credential Status
+// ========================================================================
+// Returns 'revoked', 'suspended' or 'active' for a credentialStatus value
+// without re-verifying the list signature (for the holder's own cards)
+// ========================================================================
+
+export const readCredentialStatus = async (credentialStatus) => {
+  const entries = [].concat(credentialStatus || [])
+    .filter((entry) => entry.type === 'BitstringStatusListEntry');
+  const flagged = new Set();
+
+  for (const entry of entries) {
+    const listCredential = await fetchStatusListCredential(entry.statusListCredential);
+    if (await readStatusBit(listCredential, entry)) {
+      flagged.add(entry.statusPurpose);
+    }
+  }
+
+  if (flagged.has('revocation')) return 'revoked';
+  if (flagged.has('suspension')) return 'suspended';
+  return 'active';
+};
+
+// The published lists of an issuer, for saving as static files
+export const getPublishedStatusLists = (issuerDid) => {
+  const published = JSON.parse(localStorage.getItem(PUBLISHED_LISTS_KEY) || '{}');
+  return STATUS_PURPOSES
+    .map((purpose) => published[statusListUrl(issuerDid, purpose)])
+    .filter(Boolean);
+};
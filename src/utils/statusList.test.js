@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  allocateStatusEntries,
+  setCredentialStatus,
+  fetchStatusListCredential,
+  encodeBitstring,
+  decodeBitstring,
+  getBit,
+  readCredentialStatus
+} from './statusList';
+import { signCredential } from './signing';
+import { verifyCredential } from './verification';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+
+const entryFor = (entries, purpose) => entries.find((entry) => entry.statusPurpose === purpose);
+
+const issueWithStatus = async (issuer) => {
+  const credentialStatus = await allocateStatusEntries(issuer);
+  const { signedVC } = await signCredential(
+    degreeCredential(issuer, holderDid, { credentialStatus }), issuer.privateKey, issuer.verificationMethod
+  );
+  return signedVC;
+};
+
+// Replaces the published list of an entry with a modified copy
+const publishTampered = async (entry, change) => {
+  const published = JSON.parse(localStorage.getItem('publishedStatusLists'));
+  published[entry.statusListCredential] = await change(published[entry.statusListCredential]);
+  localStorage.setItem('publishedStatusLists', JSON.stringify(published));
+};
+
+const flipBit = async (listCredential, index) => {
+  const bits = await decodeBitstring(listCredential.credentialSubject.encodedList);
+  bits[index >> 3] ^= 1 << (7 - (index & 7));
+  return {
+    ...listCredential,
+    credentialSubject: { ...listCredential.credentialSubject, encodedList: await encodeBitstring(bits) }
+  };
+};
+
+describe('bitstring encoding', () => {
+  it('round-trips through GZIP and multibase with index 0 as the left-most bit', async () => {
+    const bits = new Uint8Array(16);
+    bits[0] = 0b10000000;
+    bits[15] = 0b00000001;
+    const decoded = await decodeBitstring(await encodeBitstring(bits));
+
+    expect(decoded).toEqual(bits);
+    expect(getBit(decoded, 0)).toBe(1);
+    expect(getBit(decoded, 1)).toBe(0);
+    expect(getBit(decoded, 127)).toBe(1);
+  });
+});
+
+describe('status list', () => {
+  it('starts active and becomes revoked once the bit is set', async () => {
+    const issuer = createTestIssuer();
+    const vc = await issueWithStatus(issuer);
+    expect((await verifyCredential(vc)).status).toBe('active');
+
+    await setCredentialStatus(issuer, entryFor(vc.credentialStatus, 'revocation'), true);
+    const result = await verifyCredential(vc);
+    expect(result.isValid).toBe(false);
+    expect(result.status).toBe('revoked');
+  });
+
+  it('lifts a suspension when the bit is cleared', async () => {
+    const issuer = createTestIssuer();
+    const vc = await issueWithStatus(issuer);
+    const suspension = entryFor(vc.credentialStatus, 'suspension');
+
+    await setCredentialStatus(issuer, suspension, true);
+    expect(await readCredentialStatus(vc.credentialStatus)).toBe('suspended');
+
+    await setCredentialStatus(issuer, suspension, false);
+    expect((await verifyCredential(vc)).isValid).toBe(true);
+  });
+
+  it('only flips the bit of the credential it was asked for', async () => {
+    const issuer = createTestIssuer();
+    const revoked = await issueWithStatus(issuer);
+    const other = await issueWithStatus(issuer);
+
+    await setCredentialStatus(issuer, entryFor(revoked.credentialStatus, 'revocation'), true);
+    expect((await verifyCredential(other)).status).toBe('active');
+  });
+
+  it('rejects a list whose bits were changed after signing', async () => {
+    const issuer = createTestIssuer();
+    const vc = await issueWithStatus(issuer);
+    const entry = entryFor(vc.credentialStatus, 'revocation');
+    await setCredentialStatus(issuer, entry, true);
+
+    // Clearing the revocation bit without the issuer key
+    await publishTampered(entry, (list) => flipBit(list, Number(entry.statusListIndex)));
+    const result = await verifyCredential(vc);
+    expect(result.isValid).toBe(false);
+    expect(result.status).toBe('unknown');
+  });
+
+  it('rejects a list signed by someone other than the issuer', async () => {
+    const issuer = createTestIssuer();
+    const attacker = createTestIssuer();
+    const vc = await issueWithStatus(issuer);
+    const entry = entryFor(vc.credentialStatus, 'revocation');
+
+    await publishTampered(entry, async (list) => {
+      const { proof, ...unsigned } = list;
+      return (await signCredential(unsigned, attacker.privateKey, attacker.verificationMethod)).signedVC;
+    });
+    expect((await verifyCredential(vc)).checks.find((c) => c.id === 'status').detail).toMatch(/not signed by the issuer/);
+  });
+
+  it('rejects the issuer\'s list for another purpose', async () => {
+    const issuer = createTestIssuer();
+    const vc = await issueWithStatus(issuer);
+    const revocation = entryFor(vc.credentialStatus, 'revocation');
+    const suspensionList = await fetchStatusListCredential(entryFor(vc.credentialStatus, 'suspension').statusListCredential);
+
+    await publishTampered(revocation, () => suspensionList);
+    expect((await verifyCredential(vc)).isValid).toBe(false);
+  });
+});
@@ -0,0 +1,194 @@
+import { signCredential } from './signing';
+import { currentVerificationMethod } from './keyRotation';
+import { verifyCredential, isWellFormedDID } from './verification';
+import { CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT } from './dataIntegrity';
+
+// ============================================================================
+// TRUSTED ISSUER REGISTRY
+// ============================================================================
+// The verifier's own list of issuers it accepts, kept in
+// localStorage['trustRegistry'] as
+//   [{ did, name, credentialTypes: [...], source, addedAt }]
+// - A valid signature only proves who issued a credential; the registry
+//   decides whether that issuer may issue that type of credential
+// - Trust lists are shared as signed TrustedIssuerListCredential files:
+//   importing one verifies its signature and merges its entries, recording
+//   the list signer (operator) as their source
+// - A list is only imported from an operator the registry trusts for
+//   TrustedIssuerListCredential, or whose DID the user confirmed; entries
+//   added manually or by another operator are never overwritten
+// ============================================================================
+
+const TRUST_REGISTRY_KEY = 'trustRegistry';
+
+export const TRUST_LIST_TYPE = 'TrustedIssuerListCredential';
+
+export const loadTrustRegistry = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TRUST_REGISTRY_KEY) || '[]');
+  } catch (error) {
+    console.error('Error reading trust registry:', error);
+    return [];
+  }
+};
+
+const saveTrustRegistry = (entries) => {
+  localStorage.setItem(TRUST_REGISTRY_KEY, JSON.stringify(entries));
+  return entries;
+};
+
+// ========================================================================
+// Function: Trust Issuer
+// ========================================================================
+// Adds the issuer or replaces its entry. credentialTypes: the VC types
+// (e.g. 'UniversityDegreeCredential') it is trusted to issue
+// ========================================================================
+
+export const trustIssuer = ({ did, name = '', credentialTypes = [], source = 'manual' }) => {
+  if (!isWellFormedDID(did)) {
+    throw new Error(`Not a valid issuer DID: ${did}`);
+  }
+  if (credentialTypes.length === 0) {
+    throw new Error('Choose at least one credential type the issuer may issue');
+  }
+
+  const entry = { did, name, credentialTypes, source, addedAt: new Date().toISOString() };
+  return saveTrustRegistry([...loadTrustRegistry().filter((e) => e.did !== did), entry]);
+};
+
+export const untrustIssuer = (did) => saveTrustRegistry(loadTrustRegistry().filter((e) => e.did !== did));
+
+// ========================================================================
+// Function: Evaluate Issuer Trust
+// ========================================================================
+// Policy decision for a credential, independent of its cryptographic checks
+// Returns { trusted, status: 'trusted' | 'unknown-issuer' | 'type-not-allowed',
+//           detail, entry }
+// ========================================================================
+
+export const evaluateIssuerTrust = (issuer, types = []) => {
+  const did = typeof issuer === 'object' && issuer !== null ? issuer.id : issuer;
+  const entry = loadTrustRegistry().find((e) => e.did === did);
+  if (!entry) {
+    return { trusted: false, status: 'unknown-issuer', detail: `${did} is not in your trusted issuer registry`, entry: null };
+  }
+
+  // Every type the credential claims must be allowed, or an issuer trusted
+  // for one type could vouch for any other by adding it alongside
+  const claimed = [].concat(types).filter((type) => type !== 'VerifiableCredential');
+  const notAllowed = claimed.filter((type) => !entry.credentialTypes.includes(type));
+  if (claimed.length === 0 || notAllowed.length > 0) {
+    return {
+      trusted: false,
+      status: 'type-not-allowed',
+      detail: `${entry.name || did} is trusted for ${entry.credentialTypes.join(', ')}, not ${notAllowed.join(', ') || 'untyped credentials'}`,
+      entry
+    };
+  }
+  return { trusted: true, status: 'trusted', detail: `${entry.name || did} is trusted to issue ${claimed.join(', ')}`, entry };
+};
+
+// Types of a JSON credential, or of the payload claims of an SD-JWT (vct)
+export const credentialTypesOf = (document = {}) => [].concat(document.type || document.vct || []);
+
+// ========================================================================
+// Function: Export Trust List
+// ========================================================================
+// Signs the registry as a TrustedIssuerListCredential with the given
+// identity's key, for other verifiers to import
+// ========================================================================
+
+export const exportTrustList = async (identity) => {
+  const issuedAt = new Date().toISOString();
+  const list = {
+    '@context': [CREDENTIALS_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', TRUST_LIST_TYPE],
+    issuer: identity.did,
+    validFrom: issuedAt,
+    credentialSubject: {
+      id: identity.did,
+      trustedIssuers: loadTrustRegistry().map(({ did, name, credentialTypes }) => ({ id: did, name, credentialTypes }))
+    }
+  };
+
+  const { signedVC } = await signCredential(list, identity.privateKey, currentVerificationMethod(identity));
+  return signedVC;
+};
+
+// ========================================================================
+// Function: Read Trust List
+// ========================================================================
+// Verifies a signed trust list without importing it
+// Returns { operator, operatorTrusted, entries: [{ did, name, credentialTypes }] }
+// ========================================================================
+
+export const readTrustList = async (text) => {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Trust list is not valid JSON');
+  }
+  if (!credentialTypesOf(list).includes(TRUST_LIST_TYPE)) {
+    throw new Error(`Not a ${TRUST_LIST_TYPE}`);
+  }
+
+  const { isValid, checks } = await verifyCredential(list);
+  if (!isValid) {
+    const failed = checks.filter((c) => !c.passed).map((c) => `${c.label}: ${c.detail}`);
+    throw new Error(`Trust list did not verify (${failed.join('; ')})`);
+  }
+
+  const operator = typeof list.issuer === 'object' ? list.issuer.id : list.issuer;
+  const entries = [].concat(list.credentialSubject.trustedIssuers || []);
+  const incomplete = entries.find((entry) => !isWellFormedDID(entry.id) || [].concat(entry.credentialTypes || []).length === 0);
+  if (incomplete) {
+    throw new Error(`Trust list entry ${incomplete.id} needs an issuer DID and at least one credential type`);
+  }
+
+  return {
+    operator,
+    operatorTrusted: evaluateIssuerTrust(operator, [TRUST_LIST_TYPE]).trusted,
+    entries: entries.map((entry) => ({ did: entry.id, name: entry.name || '', credentialTypes: [].concat(entry.credentialTypes) }))
+  };
+};
+
+// ========================================================================
+// Function: Import Trust List
+// ========================================================================
+// confirmedOperator: operator DID the user confirmed, required when the
+// operator is not yet trusted for trust lists (it then becomes trusted)
+// Returns { operator, count, skipped } - skipped: entries kept because
+// they were added manually or by another operator
+// ========================================================================
+
+export const importTrustList = async (text, { confirmedOperator } = {}) => {
+  const { operator, operatorTrusted, entries } = await readTrustList(text);
+  if (!operatorTrusted) {
+    if (confirmedOperator !== operator) {
+      throw new Error(`Trust list operator ${operator} is not trusted - confirm the operator DID to import its list`);
+    }
+    const existing = loadTrustRegistry().find((e) => e.did === operator);
+    trustIssuer({
+      did: operator,
+      name: existing?.name || '',
+      credentialTypes: [...new Set([...(existing?.credentialTypes || []), TRUST_LIST_TYPE])],
+      source: existing?.source || 'manual'
+    });
+  }
+
+  const registry = loadTrustRegistry();
+  let count = 0;
+  let skipped = 0;
+  entries.forEach((entry) => {
+    const existing = registry.find((e) => e.did === entry.did);
+    if (existing && existing.source !== operator) {
+      skipped += 1;
+      return;
+    }
+    trustIssuer({ ...entry, source: operator });
+    count += 1;
+  });
+  return { operator, count, skipped };
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  trustIssuer,
+  untrustIssuer,
+  loadTrustRegistry,
+  evaluateIssuerTrust,
+  exportTrustList,
+  readTrustList,
+  importTrustList,
+  TRUST_LIST_TYPE
+} from './trustRegistry';
+import { createTestIssuer } from '../test/fixtures';
+
+const DEGREE = 'UniversityDegreeCredential';
+const LICENSE = 'DriverLicenseCredential';
+
+const university = createTestIssuer();
+
+// A trust list signed by a fresh operator that trusts `university` for degrees
+const signedList = async () => {
+  const operator = createTestIssuer();
+  trustIssuer({ did: university.did, name: 'Test U', credentialTypes: [DEGREE] });
+  const list = await exportTrustList(operator);
+  localStorage.clear();
+  return { operator, list };
+};
+
+describe('issuer trust', () => {
+  it('trusts an issuer for the types it was added for', () => {
+    trustIssuer({ did: university.did, name: 'Test U', credentialTypes: [DEGREE] });
+    const trust = evaluateIssuerTrust({ id: university.did }, ['VerifiableCredential', DEGREE]);
+
+    expect(trust.trusted).toBe(true);
+    expect(trust.status).toBe('trusted');
+  });
+
+  it('does not trust unknown issuers', () => {
+    expect(evaluateIssuerTrust(university.did, [DEGREE]).status).toBe('unknown-issuer');
+  });
+
+  it('requires every claimed type to be allowed', () => {
+    trustIssuer({ did: university.did, credentialTypes: [DEGREE] });
+
+    expect(evaluateIssuerTrust(university.did, [LICENSE]).status).toBe('type-not-allowed');
+    expect(evaluateIssuerTrust(university.did, [DEGREE, LICENSE]).status).toBe('type-not-allowed');
+    expect(evaluateIssuerTrust(university.did, ['VerifiableCredential']).trusted).toBe(false);
+  });
+
+  it('validates entries and removes them', () => {
+    expect(() => trustIssuer({ did: 'not-a-did', credentialTypes: [DEGREE] })).toThrow('Not a valid issuer DID');
+    expect(() => trustIssuer({ did: university.did, credentialTypes: [] })).toThrow('at least one credential type');
+
+    trustIssuer({ did: university.did, credentialTypes: [DEGREE] });
+    untrustIssuer(university.did);
+    expect(loadTrustRegistry()).toEqual([]);
+  });
+});
+
+describe('trust lists', () => {
+  it('round-trips a signed list', async () => {
+    const { operator, list } = await signedList();
+    const read = await readTrustList(JSON.stringify(list));
+
+    expect(read.operator).toBe(operator.did);
+    expect(read.operatorTrusted).toBe(false);
+    expect(read.entries).toEqual([{ did: university.did, name: 'Test U', credentialTypes: [DEGREE] }]);
+  });
+
+  it('rejects a modified list', async () => {
+    const { list } = await signedList();
+    const subject = list.credentialSubject;
+    const widened = {
+      ...list,
+      credentialSubject: { ...subject, trustedIssuers: [{ ...subject.trustedIssuers[0], credentialTypes: [DEGREE, LICENSE] }] }
+    };
+
+    await expect(readTrustList(JSON.stringify(widened))).rejects.toThrow('did not verify');
+  });
+
+  it('rejects documents that are not trust lists', async () => {
+    await expect(readTrustList('{')).rejects.toThrow('not valid JSON');
+    await expect(readTrustList(JSON.stringify({ type: ['VerifiableCredential'] }))).rejects.toThrow(`Not a ${TRUST_LIST_TYPE}`);
+  });
+
+  it('imports only from a trusted or confirmed operator', async () => {
+    const { operator, list } = await signedList();
+    const text = JSON.stringify(list);
+
+    await expect(importTrustList(text)).rejects.toThrow('is not trusted');
+    await expect(importTrustList(text, { confirmedOperator: university.did })).rejects.toThrow('is not trusted');
+
+    expect(await importTrustList(text, { confirmedOperator: operator.did })).toMatchObject({ count: 1, skipped: 0 });
+    expect(evaluateIssuerTrust(operator.did, [TRUST_LIST_TYPE]).trusted).toBe(true);
+    expect(evaluateIssuerTrust(university.did, [DEGREE]).trusted).toBe(true);
+    expect(loadTrustRegistry().find((e) => e.did === university.did).source).toBe(operator.did);
+  });
+
+  it('never overwrites entries added manually', async () => {
+    const { operator, list } = await signedList();
+    trustIssuer({ did: university.did, name: 'Mine', credentialTypes: [LICENSE] });
+
+    expect(await importTrustList(JSON.stringify(list), { confirmedOperator: operator.did })).toMatchObject({ count: 0, skipped: 1 });
+    expect(loadTrustRegistry().find((e) => e.did === university.did)).toMatchObject({ name: 'Mine', credentialTypes: [LICENSE] });
+  });
+});
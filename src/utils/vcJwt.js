@@ -0,0 +1,144 @@
+import { signJws, decodeJws, jwsSignerAddresses } from './jws';
+import { stripProof } from './signing';
+import { CREDENTIALS_V2_CONTEXT } from './dataIntegrity';
+import {
+  checkSignerKey,
+  checkCredentialStatus,
+  checkValidityPeriod,
+  checkCredentialSchema,
+  checkJwtDates,
+  isWellFormedDID,
+  DEFAULT_CLOCK_SKEW_SECONDS
+} from './verification';
+
+// ============================================================================
+// VC-JWT (JOSE)
+// ============================================================================
+// VC Data Model JWT encoding, signed with ES256K
+// - Registered claims carry iss/sub/jti/nbf/exp; the rest of the
+//   credential goes in the `vc` claim without its embedded proof
+// - decodeVcJwt() rebuilds the JSON credential from the claims so the
+//   rest of the app can display it like any other credential
+// ============================================================================
+
+export const isVcJwt = (value) => typeof value === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(value.trim());
+
+const toEpochSeconds = (iso) => (iso ? Math.floor(Date.parse(iso) / 1000) : undefined);
+const fromEpochSeconds = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : undefined);
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+// ========================================================================
+// Function: Encode VC-JWT
+// ========================================================================
+// Signs the credential as a VC-JWT with the issuer's current key
+// ========================================================================
+
+export const encodeVcJwt = (vc, issuer) => {
+  const { id, issuer: iss, issuanceDate, validFrom, validUntil, expirationDate, ...rest } = stripProof(vc);
+  const { id: sub, ...subjectClaims } = rest.credentialSubject || {};
+  // VC 2.0 credentials have no issuanceDate; the proof date stands in
+  const issued = issuanceDate || vc.proof?.created || validFrom;
+
+  const payload = JSON.parse(JSON.stringify({
+    iss: typeof iss === 'object' ? iss.id : iss,
+    sub,
+    jti: id,
+    iat: toEpochSeconds(issued),
+    nbf: toEpochSeconds(validFrom || issued),
+    exp: toEpochSeconds(validUntil || expirationDate),
+    vc: { ...rest, credentialSubject: subjectClaims }
+  }));
+
+  return signJws({ typ: 'JWT', kid: issuer.verificationMethod }, payload, issuer.privateKey);
+};
+
+// ========================================================================
+// Function: Decode VC-JWT
+// ========================================================================
+// Returns the JSON credential described by the JWT claims (unverified)
+// ========================================================================
+
+export const decodeVcJwt = (jwt) => {
+  const { payload } = decodeJws(jwt.trim());
+  if (!payload.vc) {
+    throw new Error('JWT has no vc claim');
+  }
+
+  const issued = fromEpochSeconds(payload.iat || payload.nbf);
+  const isV2 = [].concat(payload.vc['@context'] || []).includes(CREDENTIALS_V2_CONTEXT);
+  return JSON.parse(JSON.stringify({
+    ...payload.vc,
+    id: payload.jti ?? payload.vc.id,
+    issuer: payload.iss,
+    // VC 2.0 dropped issuanceDate in favour of validFrom
+    issuanceDate: isV2 ? undefined : issued,
+    validFrom: isV2 || (payload.nbf && payload.nbf !== payload.iat) ? fromEpochSeconds(payload.nbf) : undefined,
+    validUntil: fromEpochSeconds(payload.exp),
+    credentialSubject: { ...payload.vc.credentialSubject, id: payload.sub ?? payload.vc.credentialSubject?.id }
+  }));
+};
+
+// ========================================================================
+// Function: Verify VC-JWT
+// ========================================================================
+// Returns { isValid, status, checks, credential }
+// ========================================================================
+
+export const verifyVcJwt = async (
+  jwt,
+  { now = new Date(), clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS, statusLists, didRegistry } = {}
+) => {
+  let jws;
+  let credential;
+  try {
+    jws = decodeJws(jwt.trim());
+    credential = decodeVcJwt(jwt);
+  } catch (error) {
+    return {
+      isValid: false,
+      status: 'unknown',
+      checks: [check('signature', 'Signature', false, `Malformed VC-JWT: ${error.message}`)],
+      credential: null
+    };
+  }
+
+  let signatureCheck;
+  try {
+    const { passed, detail } = await checkSignerKey({
+      did: jws.payload.iss,
+      methodId: jws.header.kid,
+      signers: jwsSignerAddresses(jws),
+      date: fromEpochSeconds(jws.payload.iat) || now.toISOString(),
+      now,
+      didRegistry
+    });
+    signatureCheck = check('signature', 'JWS Signature', passed, detail);
+  } catch (error) {
+    signatureCheck = check('signature', 'JWS Signature', false, error.message);
+  }
+
+  const types = [].concat(credential.type || []);
+  const integrityCheck = !types.includes('VerifiableCredential')
+    ? check('integrity', 'Integrity', false, 'Missing VerifiableCredential type')
+    : credential.credentialSubject?.id && !isWellFormedDID(credential.credentialSubject.id)
+      ? check('integrity', 'Integrity', false, `Malformed subject DID: ${credential.credentialSubject.id}`)
+      : check('integrity', 'Integrity', true, 'vc claim is a well-formed credential');
+
+  const { result: statusCheck, status } = await checkCredentialStatus(credential, { statusLists, didRegistry });
+  const checks = [
+    signatureCheck,
+    integrityCheck,
+    await checkCredentialSchema(credential),
+    checkJwtDates(jws.payload, now, clockSkewSeconds * 1000),
+    checkValidityPeriod(credential, now, clockSkewSeconds * 1000),
+    statusCheck
+  ];
+
+  return {
+    isValid: checks.every((c) => c.passed),
+    status,
+    checks,
+    credential
+  };
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { encodeVcJwt, decodeVcJwt, verifyVcJwt, isVcJwt } from './vcJwt';
+import { signJws, decodeJws } from './jws';
+import { encodeBase64UrlJSON } from './base64url';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+// Re-signs modified claims with the given key
+const resign = (jwt, change, privateKey) => {
+  const { header, payload } = decodeJws(jwt);
+  return signJws(header, change(payload), privateKey);
+};
+
+describe('VC-JWT', () => {
+  it('verifies and decodes back to the credential', async () => {
+    const issuer = createTestIssuer();
+    const vc = degreeCredential(issuer, holderDid);
+    const jwt = encodeVcJwt(vc, issuer);
+    const result = await verifyVcJwt(jwt);
+
+    expect(isVcJwt(jwt)).toBe(true);
+    expect(result.isValid).toBe(true);
+    expect(result.credential.credentialSubject).toEqual(vc.credentialSubject);
+    expect(decodeVcJwt(jwt).issuer).toBe(issuer.did);
+  });
+
+  it('rejects a payload changed after signing', async () => {
+    const issuer = createTestIssuer();
+    const [header, , signature] = encodeVcJwt(degreeCredential(issuer, holderDid), issuer).split('.');
+    const payload = encodeBase64UrlJSON({ iss: issuer.did, sub: 'did:ethr:0x2222222222222222222222222222222222222222', vc: { type: ['VerifiableCredential'] } });
+
+    const result = await verifyVcJwt(`${header}.${payload}.${signature}`);
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'signature').passed).toBe(false);
+  });
+
+  it('rejects a JWT signed by a key that is not the issuer\'s', async () => {
+    const issuer = createTestIssuer();
+    const jwt = resign(encodeVcJwt(degreeCredential(issuer, holderDid), issuer), (payload) => payload, createTestIssuer().privateKey);
+
+    expect(checkOf(await verifyVcJwt(jwt), 'signature').detail).toMatch(/does not control/);
+  });
+
+  it('rejects other algorithms', async () => {
+    const issuer = createTestIssuer();
+    const [, payload] = encodeVcJwt(degreeCredential(issuer, holderDid), issuer).split('.');
+    const none = `${encodeBase64UrlJSON({ alg: 'none', kid: issuer.verificationMethod })}.${payload}.${'A'.repeat(86)}`;
+
+    expect((await verifyVcJwt(none)).isValid).toBe(false);
+  });
+
+  it('rejects an expired credential and a future nbf', async () => {
+    const issuer = createTestIssuer();
+    const now = Math.floor(Date.now() / 1000);
+    const jwt = encodeVcJwt(degreeCredential(issuer, holderDid), issuer);
+
+    const expired = await verifyVcJwt(resign(jwt, (payload) => ({ ...payload, exp: now - 3600 }), issuer.privateKey));
+    const early = await verifyVcJwt(resign(jwt, (payload) => ({ ...payload, nbf: now + 3600 }), issuer.privateKey));
+    expect(checkOf(expired, 'validity').passed).toBe(false);
+    expect(checkOf(early, 'dates').passed).toBe(false);
+  });
+
+  it('rejects dates that are not numbers', async () => {
+    const issuer = createTestIssuer();
+    const jwt = encodeVcJwt(degreeCredential(issuer, holderDid), issuer);
+    const asString = resign(jwt, (payload) => ({ ...payload, iat: String(payload.iat) }), issuer.privateKey);
+    const garbage = resign(jwt, (payload) => ({ ...payload, iat: 'yesterday' }), issuer.privateKey);
+
+    expect(checkOf(await verifyVcJwt(asString), 'dates').detail).toMatch(/Invalid iat/);
+    expect((await verifyVcJwt(garbage)).isValid).toBe(false);
+  });
+
+  it('reports malformed input', async () => {
+    expect((await verifyVcJwt('a.b.c')).isValid).toBe(false);
+    expect(isVcJwt('{"type":"VerifiableCredential"}')).toBe(false);
+  });
+});
@@ -0,0 +1,434 @@
+import { verifyMessage } from 'ethers';
+import { canonicalize, stripProof, SIGNATURE_ALGORITHM } from './signing';
+import {
+  resolveDID,
+  findVerificationMethod,
+  isAuthorizedFor,
+  isValidAt,
+  addressFromVerificationMethod
+} from './didResolver';
+import { fetchStatusListCredential, readStatusBit } from './statusList';
+import { fetchCredentialSchema, validateCredential, schemaDigest } from './schemaRegistry';
+import { isDataIntegrityEcdsa, verifyDataIntegrityProof, ECDSA_RDFC_CRYPTOSUITE } from './dataIntegrity';
+
+// ============================================================================
+// CREDENTIAL VERIFICATION ENGINE
+// ============================================================================
+// Runs independent checks against a signed credential and reports each one
+// Checks:
+// - signature: the proof recovers to a signer address, or for a Data
+//              Integrity ecdsa-rdfc-2019 proof verifies against the P-256
+//              key it names
+// - issuer:    the signing key is an assertion key in the issuer's
+//              resolved DID Document that was valid at issuance (flagged
+//              when it has been rotated out since)
+// - integrity: required VC fields are present and the subject DID is valid
+// - schema:    the credential validates against its credentialSchema
+//              (JSON Schema), when it references one
+// - dates:     issuance and proof dates are well-formed and not in the future
+// - validity:  the current time is inside the optional validFrom/validUntil
+//              window (expirationDate is accepted as a VC 1.1 alias)
+// - status:    no revocation or suspension bit is set in the issuer's
+//              signed Bitstring Status Lists
+// ============================================================================
+
+// Tolerated clock difference between issuer and verifier
+export const DEFAULT_CLOCK_SKEW_SECONDS = 300;
+
+const DID_PATTERN = /^did:[a-z0-9]+:[A-Za-z0-9._%-]+(:[A-Za-z0-9._%-]+)*$/;
+
+export const isWellFormedDID = (did) => typeof did === 'string' && DID_PATTERN.test(did);
+
+const issuerId = (vc) => (typeof vc.issuer === 'object' && vc.issuer !== null ? vc.issuer.id : vc.issuer);
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+// VC 2.0 documents carry no issuanceDate; fall back to the proof date
+const issuanceDateOf = (vc) => vc.issuanceDate || vc.proof?.created || vc.validFrom;
+
+// ========================================================================
+// Function: Get Validity Period
+// ========================================================================
+// Returns { validFrom, validUntil } as Dates (or null when absent/invalid)
+// ========================================================================
+
+export const getValidityPeriod = (vc) => {
+  const toDate = (value) => (value && !Number.isNaN(Date.parse(value)) ? new Date(value) : null);
+  return {
+    validFrom: toDate(vc.validFrom),
+    validUntil: toDate(vc.validUntil || vc.expirationDate)
+  };
+};
+
+// ========================================================================
+// Individual checks
+// ========================================================================
+
+const checkSignature = (vc) => {
+  const proof = vc.proof;
+  if (!proof || !proof.proofValue) {
+    return { result: check('signature', 'Signature', false, 'Credential has no proof'), signer: null };
+  }
+  if (proof.type !== SIGNATURE_ALGORITHM) {
+    return {
+      result: check('signature', 'Signature', false, `Unsupported proof type: ${proof.type}`),
+      signer: null
+    };
+  }
+
+  try {
+    const signer = verifyMessage(canonicalize(stripProof(vc)), proof.proofValue);
+    return { result: check('signature', 'Signature', true, `Signed by ${signer}`), signer };
+  } catch (error) {
+    return { result: check('signature', 'Signature', false, `Malformed signature: ${error.message}`), signer: null };
+  }
+};
+
+// ========================================================================
+// Function: Check Key Validity
+// ========================================================================
+// The signing date is claimed by the signer, so a key that has since been
+// rotated out could still be used to sign "backdated" credentials. Such
+// signatures pass when the date is inside the key's validity period, but
+// the detail flags them
+// Returns { passed, detail } (detail is null for a key that is current)
+// ========================================================================
+
+export const checkKeyValidity = (verificationMethod, date, now = new Date()) => {
+  if (!isValidAt(verificationMethod, date)) {
+    return { passed: false, detail: `Key ${verificationMethod.id} was not valid on ${new Date(date).toLocaleString()}` };
+  }
+  if (!isValidAt(verificationMethod, now)) {
+    return {
+      passed: true,
+      detail: `⚠️ Signed with ${verificationMethod.id}, which was rotated out on ${new Date(verificationMethod.validUntil).toLocaleString()} - the signing date cannot rule out backdating`
+    };
+  }
+  return { passed: true, detail: null };
+};
+
+// ========================================================================
+// Function: Check Signer Key
+// ========================================================================
+// Resolves the DID and confirms that methodId is one of its keys, is
+// authorized for the proof purpose, belongs to one of the candidate
+// signer addresses and was valid at the given date
+// didRegistry: extra registry entries for this check (see resolveDID)
+// Returns { passed, detail, signer }
+// ========================================================================
+
+export const checkSignerKey = async ({
+  did, methodId = '', signers, date, now = new Date(), proofPurpose = 'assertionMethod', didRegistry
+}) => {
+  const fail = (detail) => ({ passed: false, detail });
+
+  let didDocument;
+  try {
+    didDocument = await resolveDID(did, { didRegistry });
+  } catch (error) {
+    return fail(`Could not resolve DID ${did}: ${error.message}`);
+  }
+
+  const verificationMethod = findVerificationMethod(didDocument, methodId);
+  if (!verificationMethod) {
+    return fail(`Verification method ${methodId} is not in the DID Document of ${did}`);
+  }
+  if (!isAuthorizedFor(didDocument, verificationMethod.id, proofPurpose)) {
+    return fail(`Verification method ${methodId} is not authorized for ${proofPurpose}`);
+  }
+
+  const keyAddress = addressFromVerificationMethod(verificationMethod)?.toLowerCase();
+  const signer = signers.find((address) => address.toLowerCase() === keyAddress);
+  if (!signer) {
+    return fail(`Signer ${signers.join(' / ')} does not control ${methodId}`);
+  }
+  const validity = checkKeyValidity(verificationMethod, date, now);
+  if (!validity.passed) {
+    return fail(validity.detail);
+  }
+
+  return { passed: true, detail: validity.detail || `Signer matches ${verificationMethod.id}`, signer };
+};
+
+const checkIssuer = async (vc, signer, now, didRegistry) => {
+  if (!signer) {
+    return check('issuer', 'Issuer', false, 'No signer could be recovered');
+  }
+
+  const { passed, detail } = await checkSignerKey({
+    did: issuerId(vc),
+    methodId: vc.proof?.verificationMethod,
+    signers: [signer],
+    date: issuanceDateOf(vc),
+    now,
+    didRegistry
+  });
+  return check('issuer', 'Issuer', passed, detail);
+};
+
+// ========================================================================
+// Function: Check Data Integrity Proof
+// ========================================================================
+// Signature and issuer checks for ecdsa-rdfc-2019 proofs: the key cannot
+// be recovered from the signature, so it is resolved from the issuer's
+// DID Document first. Returns [signatureCheck, issuerCheck]
+// ========================================================================
+
+const checkDataIntegrityProof = async (vc, now, didRegistry) => {
+  const { proof } = vc;
+  let didDocument;
+  try {
+    didDocument = await resolveDID(issuerId(vc), { didRegistry });
+  } catch (error) {
+    const detail = `Could not resolve DID ${issuerId(vc)}: ${error.message}`;
+    return [check('signature', 'Signature', false, detail), check('issuer', 'Issuer', false, detail)];
+  }
+
+  const verificationMethod = findVerificationMethod(didDocument, proof.verificationMethod || '');
+  if (!verificationMethod?.publicKeyMultibase) {
+    const detail = `Verification method ${proof.verificationMethod} is not in the DID Document of ${issuerId(vc)}`;
+    return [check('signature', 'Signature', false, detail), check('issuer', 'Issuer', false, detail)];
+  }
+
+  let signatureCheck;
+  try {
+    signatureCheck = await verifyDataIntegrityProof(vc, verificationMethod.publicKeyMultibase)
+      ? check('signature', 'Signature', true, `${ECDSA_RDFC_CRYPTOSUITE} proof verified with ${verificationMethod.id}`)
+      : check('signature', 'Signature', false, 'Proof does not match the canonicalized credential');
+  } catch (error) {
+    signatureCheck = check('signature', 'Signature', false, `Malformed proof: ${error.message}`);
+  }
+
+  const validity = checkKeyValidity(verificationMethod, issuanceDateOf(vc), now);
+  const issuerCheck = !isAuthorizedFor(didDocument, verificationMethod.id, proof.proofPurpose || 'assertionMethod')
+    ? check('issuer', 'Issuer', false, `Verification method ${verificationMethod.id} is not authorized for ${proof.proofPurpose}`)
+    : check('issuer', 'Issuer', validity.passed, validity.detail || `Signed with ${verificationMethod.id}`);
+
+  return [signatureCheck, issuerCheck];
+};
+
+const checkIntegrity = (vc) => {
+  const types = Array.isArray(vc.type) ? vc.type : [vc.type];
+  if (!types.includes('VerifiableCredential')) {
+    return check('integrity', 'Integrity', false, 'Missing VerifiableCredential type');
+  }
+  if (!vc.credentialSubject) {
+    return check('integrity', 'Integrity', false, 'Missing credentialSubject');
+  }
+  if (!isWellFormedDID(vc.credentialSubject.id)) {
+    return check('integrity', 'Integrity', false, `Malformed subject DID: ${vc.credentialSubject.id}`);
+  }
+  return check('integrity', 'Integrity', true, 'Credential structure and subject DID are valid');
+};
+
+// ========================================================================
+// Function: Check Credential Schema
+// ========================================================================
+// Validates the credential against each JsonSchema it references
+// Schemas come from the local registry or the allow-list only, never from
+// the credential or whoever shared it
+// ========================================================================
+
+export const checkCredentialSchema = async (vc) => {
+  const references = [].concat(vc.credentialSchema || []);
+  if (references.length === 0) {
+    return check('schema', 'Schema', true, 'No credentialSchema - structure checked by the integrity check only');
+  }
+
+  for (const reference of references) {
+    if (reference.type !== 'JsonSchema') {
+      return check('schema', 'Schema', false, `Unsupported credentialSchema type: ${reference.type}`);
+    }
+
+    let schema;
+    let result;
+    try {
+      schema = await fetchCredentialSchema(reference.id);
+      result = validateCredential(schema, vc, reference.id);
+    } catch (error) {
+      return check('schema', 'Schema', false, `Could not load schema ${reference.id}: ${error.message}`);
+    }
+    // The issuer pinned the schema it used; a different local copy or a
+    // changed download is not the same schema
+    if (reference.digestSRI && reference.digestSRI !== schemaDigest(schema)) {
+      return check('schema', 'Schema', false, `Schema ${reference.id} does not match its digest`);
+    }
+    if (!result.valid) {
+      return check('schema', 'Schema', false, result.errors.join('; '));
+    }
+  }
+
+  return check('schema', 'Schema', true, `Valid against ${references.map((reference) => reference.id).join(', ')}`);
+};
+
+const checkDates = (vc, now, skewMs) => {
+  const issued = Date.parse(issuanceDateOf(vc));
+  if (Number.isNaN(issued)) {
+    return check('dates', 'Dates', false, `Invalid issuance date: ${issuanceDateOf(vc)}`);
+  }
+  if (issued > now.getTime() + skewMs) {
+    return check('dates', 'Dates', false, 'Credential is issued in the future');
+  }
+
+  const created = vc.proof?.created ? Date.parse(vc.proof.created) : issued;
+  if (Number.isNaN(created) || created > now.getTime() + skewMs) {
+    return check('dates', 'Dates', false, 'Proof creation date is invalid or in the future');
+  }
+
+  return check('dates', 'Dates', true, `Issued ${new Date(issued).toLocaleString()}`);
+};
+
+// JWT counterpart of the dates check (VC-JWT, SD-JWT): iat / nbf must be
+// numeric dates that are not in the future
+export const checkJwtDates = ({ iat, nbf }, now, skewMs) => {
+  const invalid = [['iat', iat], ['nbf', nbf]].find(([, value]) => value !== undefined && !Number.isFinite(value));
+  if (invalid) {
+    return check('dates', 'Dates', false, `Invalid ${invalid[0]} claim: ${invalid[1]}`);
+  }
+  if (iat !== undefined && iat * 1000 > now.getTime() + skewMs) {
+    return check('dates', 'Dates', false, 'Credential is issued in the future (iat)');
+  }
+  if (nbf !== undefined && nbf * 1000 > now.getTime() + skewMs) {
+    return check('dates', 'Dates', false, `Not valid before ${new Date(nbf * 1000).toLocaleString()} (nbf)`);
+  }
+  return check('dates', 'Dates', true, iat !== undefined ? `Issued ${new Date(iat * 1000).toLocaleString()}` : 'No issuance date (iat)');
+};
+
+export const checkValidityPeriod = (vc, now, skewMs) => {
+  const rawUntil = vc.validUntil || vc.expirationDate;
+  const { validFrom, validUntil } = getValidityPeriod(vc);
+  if ((vc.validFrom && !validFrom) || (rawUntil && !validUntil)) {
+    return check('validity', 'Validity Period', false, 'validFrom or validUntil is not a valid date');
+  }
+  if (validFrom && validUntil && validFrom > validUntil) {
+    return check('validity', 'Validity Period', false, 'validFrom is after validUntil');
+  }
+  if (validFrom && validFrom.getTime() > now.getTime() + skewMs) {
+    return check('validity', 'Validity Period', false, `Not valid until ${validFrom.toLocaleString()}`);
+  }
+  if (validUntil && validUntil.getTime() < now.getTime() - skewMs) {
+    return check('validity', 'Validity Period', false, `Expired on ${validUntil.toLocaleString()}`);
+  }
+
+  if (!validFrom && !validUntil) {
+    return check('validity', 'Validity Period', true, 'No validity window - credential does not expire');
+  }
+  return check('validity', 'Validity Period', true, validUntil
+    ? `Valid until ${validUntil.toLocaleString()}`
+    : `Valid since ${validFrom.toLocaleString()}`);
+};
+
+const STATUS_LABELS = { revocation: 'Revoked', suspension: 'Suspended' };
+
+// ========================================================================
+// Function: Check Credential Status
+// ========================================================================
+// Checks the Bitstring Status List entries of a credential (any format
+// that carries issuer + credentialStatus). Returns { result, status }
+// statusLists: { [url]: list credential } supplied with a shared
+// credential, used when the list cannot be fetched here. They are signed
+// by the issuer, but only tell the status as of their issuance
+// ========================================================================
+
+export const checkCredentialStatus = async (vc, { statusLists = {}, didRegistry } = {}) => {
+  const entries = [].concat(vc.credentialStatus || [])
+    .filter((entry) => entry.type === 'BitstringStatusListEntry');
+  if (entries.length === 0) {
+    return { result: check('status', 'Status', true, 'No status list - credential cannot be revoked'), status: 'active' };
+  }
+
+  const suppliedDates = [];
+  for (const entry of entries) {
+    let listCredential;
+    try {
+      listCredential = await fetchStatusListCredential(entry.statusListCredential);
+    } catch (error) {
+      listCredential = statusLists[entry.statusListCredential];
+      if (!listCredential) {
+        return { result: check('status', 'Status', false, `Could not fetch status list: ${error.message}`), status: 'unknown' };
+      }
+      suppliedDates.push(issuanceDateOf(listCredential));
+    }
+
+    // A list published under another URL could be any list of the issuer
+    if (listCredential.id !== entry.statusListCredential) {
+      return {
+        result: check('status', 'Status', false, `Status list id ${listCredential.id} does not match ${entry.statusListCredential}`),
+        status: 'unknown'
+      };
+    }
+
+    const { result: listSignature, signer } = checkSignature(listCredential);
+    const listIssuer = listSignature.passed ? await checkIssuer(listCredential, signer, new Date(), didRegistry) : listSignature;
+    if (!listIssuer.passed || issuerId(listCredential) !== issuerId(vc)) {
+      return {
+        result: check('status', 'Status', false, `Status list ${entry.statusListCredential} is not signed by the issuer`),
+        status: 'unknown'
+      };
+    }
+
+    try {
+      if (await readStatusBit(listCredential, entry)) {
+        const label = STATUS_LABELS[entry.statusPurpose] || `Flagged (${entry.statusPurpose})`;
+        return { result: check('status', 'Status', false, label), status: label.toLowerCase() };
+      }
+    } catch (error) {
+      return { result: check('status', 'Status', false, error.message), status: 'unknown' };
+    }
+  }
+
+  const asOf = suppliedDates.length > 0
+    ? ` as of ${new Date(suppliedDates.sort()[0]).toLocaleString()} (status list supplied with the share)`
+    : '';
+  return { result: check('status', 'Status', true, `Not revoked or suspended${asOf}`), status: 'active' };
+};
+
+// ========================================================================
+// Function: Verify Credential
+// ========================================================================
+// Returns { isValid, signer, status, checks } where checks is an ordered
+// list of { id, label, passed, detail } entries suitable for rendering and
+// status is 'active', 'revoked', 'suspended' or 'unknown'
+// ========================================================================
+
+export const verifyCredential = async (
+  vc,
+  { now = new Date(), clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS, statusLists, didRegistry } = {}
+) => {
+  if (!vc || typeof vc !== 'object') {
+    return {
+      isValid: false,
+      signer: null,
+      status: 'unknown',
+      checks: [check('integrity', 'Integrity', false, 'Credential is not a JSON object')]
+    };
+  }
+
+  const skewMs = clockSkewSeconds * 1000;
+  let signer = null;
+  let proofChecks;
+  if (isDataIntegrityEcdsa(vc)) {
+    proofChecks = await checkDataIntegrityProof(vc, now, didRegistry);
+  } else {
+    const { result: signatureCheck, signer: recovered } = checkSignature(vc);
+    signer = recovered;
+    proofChecks = [signatureCheck, await checkIssuer(vc, signer, now, didRegistry)];
+  }
+
+  const { result: statusCheck, status } = await checkCredentialStatus(vc, { statusLists, didRegistry });
+  const checks = [
+    ...proofChecks,
+    checkIntegrity(vc),
+    await checkCredentialSchema(vc),
+    checkDates(vc, now, skewMs),
+    checkValidityPeriod(vc, now, skewMs),
+    statusCheck
+  ];
+
+  return {
+    isValid: checks.every((c) => c.passed),
+    signer,
+    status,
+    checks
+  };
+};
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import { checkValidityPeriod, verifyCredential, DEFAULT_CLOCK_SKEW_SECONDS } from './verification';
+import { signCredential } from './signing';
+import { createTestIssuer, degreeCredential } from '../test/fixtures';
+
+const holderDid = 'did:ethr:0x1111111111111111111111111111111111111111';
+const skewMs = DEFAULT_CLOCK_SKEW_SECONDS * 1000;
+const minutes = (n) => n * 60 * 1000;
+const at = (date, offsetMs) => new Date(date.getTime() + offsetMs);
+
+const checkOf = (result, id) => result.checks.find((c) => c.id === id);
+
+const period = {
+  validFrom: '2030-01-01T00:00:00.000Z',
+  validUntil: '2030-12-31T23:59:59.000Z'
+};
+const from = new Date(period.validFrom);
+const until = new Date(period.validUntil);
+
+describe('validity period', () => {
+  it('rejects a credential that is not valid yet', () => {
+    const result = checkValidityPeriod(period, at(from, -minutes(10)), skewMs);
+    expect(result.passed).toBe(false);
+    expect(result.detail).toMatch(/Not valid until/);
+  });
+
+  it('rejects an expired credential', () => {
+    const result = checkValidityPeriod(period, at(until, minutes(10)), skewMs);
+    expect(result.passed).toBe(false);
+    expect(result.detail).toMatch(/Expired/);
+  });
+
+  it('accepts both edges within the clock skew', () => {
+    expect(checkValidityPeriod(period, at(from, -minutes(4)), skewMs).passed).toBe(true);
+    expect(checkValidityPeriod(period, at(until, minutes(4)), skewMs).passed).toBe(true);
+  });
+
+  it('applies no tolerance when the skew is zero', () => {
+    expect(checkValidityPeriod(period, at(from, -1000), 0).passed).toBe(false);
+    expect(checkValidityPeriod(period, at(until, 1000), 0).passed).toBe(false);
+  });
+
+  it('reads the legacy expirationDate', () => {
+    const result = checkValidityPeriod({ expirationDate: period.validUntil }, at(until, minutes(10)), skewMs);
+    expect(result.passed).toBe(false);
+  });
+
+  it('rejects unparseable and inverted windows', () => {
+    expect(checkValidityPeriod({ validUntil: 'tomorrow' }, from, skewMs).passed).toBe(false);
+    expect(checkValidityPeriod({ validFrom: period.validUntil, validUntil: period.validFrom }, from, skewMs).passed)
+      .toBe(false);
+  });
+});
+
+describe('verifyCredential validity window', () => {
+  const signedWithWindow = async (issuer, validFrom, validUntil) => {
+    const vc = degreeCredential(issuer, holderDid, { validFrom, validUntil });
+    const { signedVC } = await signCredential(vc, issuer.privateKey, issuer.verificationMethod);
+    return signedVC;
+  };
+
+  it('accepts a signed credential inside its window', async () => {
+    const issuer = createTestIssuer();
+    const now = new Date();
+    const vc = await signedWithWindow(issuer, at(now, -minutes(1)).toISOString(), at(now, minutes(60)).toISOString());
+
+    const result = await verifyCredential(vc, { now });
+    expect(result.isValid).toBe(true);
+  });
+
+  it('fails a signed credential that expired beyond the skew', async () => {
+    const issuer = createTestIssuer();
+    const now = new Date();
+    const vc = await signedWithWindow(issuer, at(now, -minutes(60)).toISOString(), at(now, -minutes(10)).toISOString());
+
+    const result = await verifyCredential(vc, { now });
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'validity').passed).toBe(false);
+    expect(checkOf(result, 'signature').passed).toBe(true);
+  });
+
+  it('honours the verifier clock skew setting', async () => {
+    const issuer = createTestIssuer();
+    const now = new Date();
+    const vc = await signedWithWindow(issuer, at(now, -minutes(60)).toISOString(), at(now, -minutes(2)).toISOString());
+
+    expect((await verifyCredential(vc, { now })).isValid).toBe(true);
+    expect((await verifyCredential(vc, { now, clockSkewSeconds: 0 })).isValid).toBe(false);
+  });
+
+  it('fails a signed credential that is not valid yet', async () => {
+    const issuer = createTestIssuer();
+    const now = new Date();
+    const vc = await signedWithWindow(issuer, at(now, minutes(30)).toISOString(), at(now, minutes(90)).toISOString());
+
+    const result = await verifyCredential(vc, { now });
+    expect(checkOf(result, 'validity').passed).toBe(false);
+  });
+
+  it('detects a validUntil extended after signing', async () => {
+    const issuer = createTestIssuer();
+    const now = new Date();
+    const vc = await signedWithWindow(issuer, at(now, -minutes(60)).toISOString(), at(now, -minutes(10)).toISOString());
+
+    const result = await verifyCredential({ ...vc, validUntil: at(now, minutes(60)).toISOString() }, { now });
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'issuer').passed).toBe(false);
+  });
+});
+
+describe('verifyCredential', () => {
+  const signed = async (issuer, overrides) => {
+    const { signedVC } = await signCredential(
+      degreeCredential(issuer, holderDid, overrides), issuer.privateKey, issuer.verificationMethod
+    );
+    return signedVC;
+  };
+
+  it('passes every check for an untouched credential', async () => {
+    const issuer = createTestIssuer();
+    const result = await verifyCredential(await signed(issuer));
+
+    expect(result.isValid).toBe(true);
+    expect(result.signer).toBe(issuer.address);
+    expect(result.checks.map((c) => c.id)).toEqual(['signature', 'issuer', 'integrity', 'schema', 'dates', 'validity', 'status']);
+  });
+
+  it('fails when a claim is changed after signing', async () => {
+    const vc = await signed(createTestIssuer());
+    const tampered = {
+      ...vc,
+      credentialSubject: { ...vc.credentialSubject, degree: { ...vc.credentialSubject.degree, university: 'Other U' } }
+    };
+
+    const result = await verifyCredential(tampered);
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'issuer').passed).toBe(false);
+  });
+
+  it('fails a credential that names someone else as issuer', async () => {
+    const issuer = createTestIssuer();
+    const victim = createTestIssuer();
+    const { signedVC } = await signCredential(
+      degreeCredential(victim, holderDid), issuer.privateKey, victim.verificationMethod
+    );
+
+    const result = await verifyCredential(signedVC);
+    expect(result.isValid).toBe(false);
+    expect(checkOf(result, 'issuer').detail).toMatch(/does not control/);
+  });
+
+  it('fails without a proof or with an unknown proof type', async () => {
+    const vc = await signed(createTestIssuer());
+    const { proof, ...unsigned } = vc;
+
+    expect(checkOf(await verifyCredential(unsigned), 'signature').passed).toBe(false);
+    expect(checkOf(await verifyCredential({ ...vc, proof: { ...proof, type: 'JwtProof2020' } }), 'signature').passed)
+      .toBe(false);
+  });
+
+  it('fails a malformed subject DID or a credential issued in the future', async () => {
+    const issuer = createTestIssuer();
+    const badSubject = await signed(issuer, { credentialSubject: { id: 'not a did' } });
+    const future = await signed(issuer, { issuanceDate: new Date(Date.now() + minutes(60)).toISOString() });
+
+    expect(checkOf(await verifyCredential(badSubject), 'integrity').passed).toBe(false);
+    expect(checkOf(await verifyCredential(future), 'dates').passed).toBe(false);
+  });
+
+  it('rejects values that are not credentials', async () => {
+    expect((await verifyCredential(null)).isValid).toBe(false);
+    expect((await verifyCredential('text')).isValid).toBe(false);
+  });
+});
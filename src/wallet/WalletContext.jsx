@@ -0,0 +1,153 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { createKeystore, saveWallet, unlockKeystore } from './keystore';
+import { connectIssuerKeystore } from '../utils/issuer';
+
+// ============================================================================
+// WALLET CONTEXT
+// ============================================================================
+// Holds the unlocked identities in memory only and shares them with all tabs
+// Features:
+// - unlock(passphrase) / createWallet(passphrase) / lock()
+// - Several named identities with one active identity
+// - Every change is re-encrypted with the session key
+// - The issuer's secret keys are kept in the same encrypted wallet
+//   (wallet.issuerKeys) and are only available while it is unlocked
+// - Auto-lock after a configurable idle timeout
+// ============================================================================
+
+const WALLET_SETTINGS_KEY = 'walletSettings';
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+const WalletContext = createContext(null);
+
+const loadAutoLockMinutes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WALLET_SETTINGS_KEY) || '{}');
+    return saved.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  } catch (error) {
+    return DEFAULT_AUTO_LOCK_MINUTES;
+  }
+};
+
+export function WalletProvider({ children }) {
+  const [session, setSessionState] = useState(null);
+  const [autoLockMinutes, setAutoLockMinutesState] = useState(loadAutoLockMinutes);
+  // Latest session for sequential updates within one handler
+  const sessionRef = useRef(null);
+
+  const setSession = useCallback((next) => {
+    sessionRef.current = next;
+    setSessionState(next);
+  }, []);
+
+  const lock = useCallback(() => {
+    connectIssuerKeystore(null);
+    setSession(null);
+  }, [setSession]);
+
+  // Pending saves; each change is applied to the wallet the previous one wrote
+  const saveQueueRef = useRef(Promise.resolve());
+
+  const updateWallet = (change) => {
+    const saved = saveQueueRef.current.then(async () => {
+      const current = sessionRef.current;
+      if (!current) {
+        throw new Error('Wallet is locked');
+      }
+      const next = await saveWallet(current, change(current.wallet));
+      // Locking while the save was running must not reopen the wallet
+      if (sessionRef.current === current) {
+        setSession(next);
+      }
+    });
+    saveQueueRef.current = saved.catch(() => {});
+    return saved;
+  };
+
+  const openSession = (next) => {
+    setSession(next);
+    connectIssuerKeystore({
+      keys: next.wallet.issuerKeys,
+      save: (issuerKeys) => updateWallet((wallet) => ({ ...wallet, issuerKeys }))
+    });
+  };
+
+  const unlock = async (passphrase) => {
+    openSession(await unlockKeystore(passphrase));
+  };
+
+  const createWallet = async (passphrase) => {
+    openSession(await createKeystore(passphrase));
+  };
+
+  // Adds an identity (or replaces one with the same DID) and activates it
+  const addIdentity = (identity) => updateWallet((wallet) => {
+    const name = identity.name || `Identity ${wallet.identities.length + 1}`;
+    const others = wallet.identities.filter((i) => i.did !== identity.did);
+    return { ...wallet, identities: [...others, { ...identity, name }], activeDid: identity.did };
+  });
+
+  const updateIdentity = (did, changes) => updateWallet((wallet) => ({
+    ...wallet,
+    identities: wallet.identities.map((i) => (i.did === did ? { ...i, ...changes } : i))
+  }));
+
+  const removeIdentity = (did) => updateWallet((wallet) => {
+    const identities = wallet.identities.filter((i) => i.did !== did);
+    const activeDid = wallet.activeDid === did ? identities[0]?.did || null : wallet.activeDid;
+    return { ...wallet, identities, activeDid };
+  });
+
+  const selectIdentity = (did) => updateWallet((wallet) => ({ ...wallet, activeDid: did }));
+
+  const setAutoLockMinutes = (minutes) => {
+    localStorage.setItem(WALLET_SETTINGS_KEY, JSON.stringify({ autoLockMinutes: minutes }));
+    setAutoLockMinutesState(minutes);
+  };
+
+  // Auto-lock: any user activity restarts the idle timer (0 disables it)
+  useEffect(() => {
+    if (!session || !autoLockMinutes) return undefined;
+
+    let timer = setTimeout(lock, autoLockMinutes * 60 * 1000);
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, autoLockMinutes * 60 * 1000);
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, resetTimer, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, resetTimer));
+    };
+  }, [session, autoLockMinutes, lock]);
+
+  const identities = session?.wallet.identities || [];
+  const identity = identities.find((i) => i.did === session.wallet.activeDid) || null;
+
+  const value = {
+    isLocked: !session,
+    identities,
+    identity,
+    unlock,
+    createWallet,
+    lock,
+    addIdentity,
+    updateIdentity,
+    removeIdentity,
+    selectIdentity,
+    autoLockMinutes,
+    setAutoLockMinutes
+  };
+
+  return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
+}
+
+export const useWallet = () => {
+  const wallet = useContext(WalletContext);
+  if (!wallet) {
+    throw new Error('useWallet must be used inside a WalletProvider');
+  }
+  return wallet;
+};
@@ -0,0 +1,92 @@
+import { PBKDF2_ITERATIONS, deriveKey, bytesToBase64, base64ToBytes } from './keystore';
+
+// ============================================================================
+// WALLET BACKUP FILES
+// ============================================================================
+// Password-encrypted export of all identities and every credential record
+// File format (JSON):
+//   { type: 'VaultBackup', version: 1, kdf: {PBKDF2...}, cipher: {AES-GCM, iv},
+//     ciphertext }  ->  decrypts to { identities, credentials, didRegistry,
+//                                     exportedAt }
+// didRegistry holds the identities' key registry entries, so rotated keys
+// still resolve after a restore
+// ============================================================================
+
+const BACKUP_TYPE = 'VaultBackup';
+const BACKUP_VERSION = 1;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ========================================================================
+// Function: Create Backup
+// ========================================================================
+// Returns the backup file contents as a JSON string
+// ========================================================================
+
+export const createBackup = async ({ identities, credentials, didRegistry = {} }, password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+
+  const payload = { identities, credentials, didRegistry, exportedAt: new Date().toISOString() };
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(payload))
+  );
+
+  return JSON.stringify({
+    type: BACKUP_TYPE,
+    version: BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(ciphertext)
+  }, null, 2);
+};
+
+// ========================================================================
+// Function: Open Backup
+// ========================================================================
+// Decrypts a backup file and returns
+// { identities, credentials, didRegistry, exportedAt }
+// Single-identity backups from earlier versions are accepted too
+// ========================================================================
+
+export const openBackup = async (fileContents, password) => {
+  let backup;
+  try {
+    backup = JSON.parse(fileContents);
+  } catch (error) {
+    throw new Error('Backup file is not valid JSON');
+  }
+
+  if (backup.type !== BACKUP_TYPE) {
+    throw new Error('Not a vault backup file');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+
+  const key = await deriveKey(password, base64ToBytes(backup.kdf.salt), backup.kdf.iterations);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(backup.cipher.iv) },
+      key,
+      base64ToBytes(backup.ciphertext)
+    );
+  } catch (error) {
+    throw new Error('Incorrect backup password or corrupted file');
+  }
+
+  const payload = JSON.parse(decoder.decode(plaintext));
+  const identities = payload.identities || (payload.identity ? [payload.identity] : []);
+  return {
+    identities,
+    credentials: Array.isArray(payload.credentials) ? payload.credentials : [],
+    didRegistry: payload.didRegistry || {},
+    exportedAt: payload.exportedAt
+  };
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { createBackup, openBackup } from './backup';
+import {
+  createMnemonicIdentity,
+  restoreIdentityFromMnemonic,
+  isValidRecoveryPhrase,
+  deriveIdentityKey
+} from '../utils/did';
+
+// BIP-39 test vector and its well-known first Ethereum account
+const TEST_PHRASE = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const TEST_ADDRESS = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+
+describe('recovery phrase', () => {
+  it('derives the standard account from a known phrase', () => {
+    const identity = restoreIdentityFromMnemonic(TEST_PHRASE);
+    expect(identity.address).toBe(TEST_ADDRESS);
+    expect(identity.did).toBe(`did:ethr:${TEST_ADDRESS}`);
+  });
+
+  it('restores the same identity from a generated phrase', () => {
+    const { identity, mnemonic } = createMnemonicIdentity();
+    const restored = restoreIdentityFromMnemonic(`  ${mnemonic.toUpperCase()} `);
+
+    expect(restored.did).toBe(identity.did);
+    expect(restored.privateKey).toBe(identity.privateKey);
+    expect(deriveIdentityKey(restored, 1).address).toBe(deriveIdentityKey(identity, 1).address);
+  });
+
+  it('rejects a phrase with a bad checksum', () => {
+    const phrase = TEST_PHRASE.replace(/about$/, 'abandon');
+    expect(isValidRecoveryPhrase(phrase)).toBe(false);
+    expect(() => restoreIdentityFromMnemonic(phrase)).toThrow('Invalid recovery phrase');
+  });
+});
+
+describe('wallet backup', () => {
+  const contents = {
+    identities: [restoreIdentityFromMnemonic(TEST_PHRASE)],
+    credentials: [{ id: 'bafkreiexample', encryptedData: '{}' }],
+    didRegistry: { [`did:ethr:${TEST_ADDRESS}`]: [] }
+  };
+
+  it('round-trips identities, credentials and the key registry', async () => {
+    const restored = await openBackup(await createBackup(contents, 'backup password'), 'backup password');
+
+    expect(restored.identities).toEqual(contents.identities);
+    expect(restored.credentials).toEqual(contents.credentials);
+    expect(restored.didRegistry).toEqual(contents.didRegistry);
+  });
+
+  it('keeps private keys out of the file', async () => {
+    const file = await createBackup(contents, 'backup password');
+    expect(file).not.toContain(contents.identities[0].privateKey.slice(2));
+  });
+
+  it('refuses a wrong password', async () => {
+    const file = await createBackup(contents, 'backup password');
+    await expect(openBackup(file, 'guess')).rejects.toThrow(/Incorrect backup password/);
+  });
+
+  it('refuses a tampered file', async () => {
+    const backup = JSON.parse(await createBackup(contents, 'backup password'));
+    backup.cipher.iv = btoa('x'.repeat(12));
+
+    await expect(openBackup(JSON.stringify(backup), 'backup password')).rejects.toThrow(/corrupted file/);
+  });
+
+  it('refuses files that are not backups', async () => {
+    await expect(openBackup('not json', 'backup password')).rejects.toThrow(/not valid JSON/);
+    await expect(openBackup('{"type":"Other"}', 'backup password')).rejects.toThrow(/Not a vault backup/);
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================================================
+// ENCRYPTED KEYSTORE
+// ============================================================================
+// Keeps the holder identities (including private keys) encrypted at rest
+// Encrypted payload: { identities: [...], activeDid }
+// - Key derivation: PBKDF2-SHA256 from the user's passphrase
+// - Encryption:     AES-256-GCM (WebCrypto)
+// - Stored under localStorage['encryptedIdentity'] as a versioned record
+// Plaintext identities from older versions (localStorage['userIdentity'])
+// are encrypted and removed on first unlock
+// ============================================================================
+
+const KEYSTORE_KEY = 'encryptedIdentity';
+const LEGACY_IDENTITY_KEY = 'userIdentity';
+const KEYSTORE_VERSION = 1;
+export const PBKDF2_ITERATIONS = 310000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+export const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+
+// ========================================================================
+// Function: Keystore Status
+// ========================================================================
+// 'encrypted' - an encrypted keystore exists and must be unlocked
+// 'legacy'    - only a plaintext identity exists and must be migrated
+// 'empty'     - nothing stored yet, a passphrase must be chosen
+// ========================================================================
+
+export const getKeystoreStatus = () => {
+  if (localStorage.getItem(KEYSTORE_KEY)) return 'encrypted';
+  if (localStorage.getItem(LEGACY_IDENTITY_KEY)) return 'legacy';
+  return 'empty';
+};
+
+export const deriveKey = async (passphrase, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const newSession = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  return {
+    key,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    wallet: emptyWallet()
+  };
+};
+
+const emptyWallet = () => ({ identities: [], activeDid: null });
+
+// Accepts the current wallet shape as well as a bare identity (or null)
+// written by earlier versions of the keystore
+export const normalizeWallet = (payload) => {
+  if (payload && Array.isArray(payload.identities)) {
+    return payload;
+  }
+  if (payload && payload.did) {
+    const identity = { name: 'Default', ...payload };
+    return { identities: [identity], activeDid: identity.did };
+  }
+  return emptyWallet();
+};
+
+// ========================================================================
+// Function: Save Wallet
+// ========================================================================
+// Encrypts the wallet with the unlocked session key and persists it
+// A fresh IV is used for every write
+// ========================================================================
+
+export const saveWallet = async (session, wallet) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    session.key,
+    encoder.encode(JSON.stringify(wallet))
+  );
+
+  const record = {
+    version: KEYSTORE_VERSION,
+    kdf: session.kdf,
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(ciphertext)
+  };
+
+  localStorage.setItem(KEYSTORE_KEY, JSON.stringify(record));
+  return { ...session, wallet };
+};
+
+// ========================================================================
+// Function: Create Keystore
+// ========================================================================
+// Sets the passphrase for a new wallet, migrating any plaintext identity
+// ========================================================================
+
+export const createKeystore = async (passphrase) => {
+  if (getKeystoreStatus() === 'encrypted') {
+    throw new Error('A keystore already exists - unlock it instead');
+  }
+
+  const legacyIdentity = localStorage.getItem(LEGACY_IDENTITY_KEY);
+  const session = await saveWallet(
+    await newSession(passphrase),
+    normalizeWallet(legacyIdentity ? JSON.parse(legacyIdentity) : null)
+  );
+
+  // The plaintext copy is only removed once the encrypted one is written
+  localStorage.removeItem(LEGACY_IDENTITY_KEY);
+  return session;
+};
+
+// ========================================================================
+// Function: Unlock Keystore
+// ========================================================================
+// Decrypts the stored wallet; throws 'Incorrect passphrase' on failure
+// ========================================================================
+
+export const unlockKeystore = async (passphrase) => {
+  const saved = localStorage.getItem(KEYSTORE_KEY);
+  if (!saved) {
+    throw new Error('No keystore found');
+  }
+
+  const record = JSON.parse(saved);
+  if (record.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${record.version}`);
+  }
+
+  const key = await deriveKey(passphrase, base64ToBytes(record.kdf.salt), record.kdf.iterations);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(record.cipher.iv) },
+      key,
+      base64ToBytes(record.ciphertext)
+    );
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+
+  return { key, kdf: record.kdf, wallet: normalizeWallet(JSON.parse(decoder.decode(plaintext))) };
+};
+
+// Removes the keystore entirely (identity and passphrase)
+export const destroyKeystore = () => {
+  localStorage.removeItem(KEYSTORE_KEY);
+  localStorage.removeItem(LEGACY_IDENTITY_KEY);
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createKeystore, unlockKeystore, saveWallet, getKeystoreStatus, destroyKeystore } from './keystore';
+import { generateIdentity } from '../utils/did';
+
+const walletWith = (identity) => ({ identities: [{ name: 'Alice', ...identity }], activeDid: identity.did });
+
+describe('keystore', () => {
+  it('unlocks with the passphrase it was created with', async () => {
+    const identity = generateIdentity();
+    await saveWallet(await createKeystore('correct horse'), walletWith(identity));
+
+    const session = await unlockKeystore('correct horse');
+    expect(session.wallet.activeDid).toBe(identity.did);
+    expect(session.wallet.identities[0].privateKey).toBe(identity.privateKey);
+  });
+
+  it('refuses a wrong passphrase', async () => {
+    await saveWallet(await createKeystore('correct horse'), walletWith(generateIdentity()));
+
+    await expect(unlockKeystore('battery staple')).rejects.toThrow('Incorrect passphrase');
+  });
+
+  it('never stores the private key in plaintext', async () => {
+    const identity = generateIdentity();
+    await saveWallet(await createKeystore('correct horse'), walletWith(identity));
+
+    const stored = localStorage.getItem('encryptedIdentity');
+    expect(stored).not.toContain(identity.privateKey.slice(2));
+    expect(stored).not.toContain(identity.did);
+  });
+
+  it('refuses a tampered ciphertext', async () => {
+    await saveWallet(await createKeystore('correct horse'), walletWith(generateIdentity()));
+    const record = JSON.parse(localStorage.getItem('encryptedIdentity'));
+    const bytes = Uint8Array.from(atob(record.ciphertext), (c) => c.charCodeAt(0));
+    bytes[0] ^= 1;
+    record.ciphertext = btoa(String.fromCharCode(...bytes));
+    localStorage.setItem('encryptedIdentity', JSON.stringify(record));
+
+    await expect(unlockKeystore('correct horse')).rejects.toThrow('Incorrect passphrase');
+  });
+
+  it('migrates a plaintext identity and removes the plaintext copy', async () => {
+    const identity = generateIdentity();
+    localStorage.setItem('userIdentity', JSON.stringify(identity));
+    expect(getKeystoreStatus()).toBe('legacy');
+
+    await createKeystore('correct horse');
+    expect(getKeystoreStatus()).toBe('encrypted');
+    expect(localStorage.getItem('userIdentity')).toBeNull();
+    expect((await unlockKeystore('correct horse')).wallet.activeDid).toBe(identity.did);
+  });
+
+  it('does not overwrite an existing keystore', async () => {
+    await createKeystore('correct horse');
+    await expect(createKeystore('another')).rejects.toThrow(/already exists/);
+
+    destroyKeystore();
+    expect(getKeystoreStatus()).toBe('empty');
+    await expect(unlockKeystore('correct horse')).rejects.toThrow('No keystore found');
+  });
+});
@@ -6,5 +6,11 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js'],
+    // BBS proofs take a few seconds each on slow machines
+    testTimeout: 30000
   }
 });